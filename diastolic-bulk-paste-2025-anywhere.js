@@ -3,6 +3,15 @@
    - Global paste interception ("anywhere in the app")
    - Safe heuristics so normal single-value or non-echo text pastes still work
    - 2025 extensions included (LARS, PV S/D, IVRT, PASP/RAP, LV GLS, LA stiffness, exercise E/e′ & TRV)
+   - Grading engine (2016 primary variables + 2025 supplementary), re-run on every field change
+   - Special-population pathways (AF, paced, MR/MS, HCM, transplant) and age-adjusted limits
+   - Per-beat lists, ranges and mean/max statistics with per-rhythm averaging policy
+   - Export as FHIR R4 Bundle, flat JSON or CSV, with bundled schemas
+   - Template-driven, localisable narrative of the interpretation
+   - Saved assessments in IndexedDB, serial comparison and passphrase-encrypted backup files
+   - German, French, Spanish and Italian reports (decimal comma, label packs) and a translated UI
+   - HTML tables from the clipboard, dropped .txt/.html/.pdf files and optional offline OCR of images
+   - UMD module (CommonJS / AMD / global, ESM via diastolic-paste.mjs); only setup() needs a DOM
    MIT License.
 */
 (function(global){
@@ -12,12 +21,24 @@
   // Helpers
   // -----------------------------
   const round = (x, d=2) => (x==null || Number.isNaN(+x)) ? null : +(+x).toFixed(d);
-  const toNum = (s) => (s==null) ? null : Number(String(s).replace(/[^0-9.+-]/g, ""));
+  // Strips units/labels but rejects malformed numbers ("0.9.2", "", "--3") instead of guessing;
+  // a sentence-final period ("E/e′ 8.9.") is not part of the number. A lone comma is a
+  // decimal comma ("0,92", "0,920") unless three digits follow a non-zero integer part ("1,900");
+  // with decimal ',' it always is.
+  const toNum = (s, decimal) => {
+    if (s==null) return null;
+    let t = String(s).trim();
+    const dc = /^[^.,]*?(\d+),(\d+)[^.,\d]*$/.exec(t);
+    if (dc && (decimal === ',' || dc[2].length !== 3 || /^0+$/.test(dc[1]))) t = t.replace(',', '.');
+    t = t.replace(/[^0-9.+-]/g, "").replace(/(\.\d+)\.$/, "$1");
+    return /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/.test(t) ? Number(t) : null;
+  };
   const isTextEntry = (el) => !!el && el instanceof Element && (el.matches('input,textarea,[contenteditable="true"]'));
   const inFormControl = (el) => !!el && el instanceof Element && el.closest('input,textarea,[contenteditable="true"],select');
   const dispatchInput = (el) => { try { el.dispatchEvent(new Event('input', { bubbles: true })); el.dispatchEvent(new Event('change', { bubbles: true })); } catch {} };
 
-  function showToast(msg){
+  // action (optional): { label, onClick } renders a button and keeps the toast up longer
+  function showToast(msg, action){
     try {
       const id = 'diasto-toast';
       let t = document.getElementById(id);
@@ -40,8 +61,20 @@
         document.body.appendChild(t);
       }
       t.textContent = msg;
+      if (action) {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = action.label;
+        b.style.cssText = 'margin-left:10px;font:inherit;color:#1d4ed8;background:none;border:0;text-decoration:underline;cursor:pointer';
+        b.addEventListener('click', () => { t.style.opacity = '0'; t.style.pointerEvents = 'none'; try { action.onClick(); } catch {} });
+        t.appendChild(b);
+      }
+      t.setAttribute('role', 'status');
+      t.style.transition = '';
       t.style.opacity = '1';
-      setTimeout(()=>{ t.style.transition = 'opacity .6s ease'; t.style.opacity = '0'; }, 1800);
+      t.style.pointerEvents = '';
+      clearTimeout(t._diastoTimer);
+      t._diastoTimer = setTimeout(()=>{ t.style.transition = 'opacity .6s ease'; t.style.opacity = '0'; t.style.pointerEvents = 'none'; }, action ? 6000 : 1800);
     } catch {}
   }
 
@@ -49,7 +82,8 @@
     if (!t) return false;
     const lines = t.trim().split(/\r?\n/);
     if (lines.length >= 3) return true;
-    if (/\b(?:MV\s*E|Mitral\s*E|E\/A|e['′` ]|TR\s*(?:Vmax|peak)|LAVI|LA\s*volume|Deceleration\s*time|DT|HR|BP|Rhythm|LASr|LARS|PALS|IVRT|PASP|RVSP|pulmonary\s*vein|PV\s*S\/D)\b/i.test(t)) return true;
+    if (/\b(?:MV\s*E|Mitral\s*E|E\/A|e['’′`´ ]|TR\s*(?:Vmax|peak)|LAVI|LA\s*volume|Deceleration\s*time|DT|HR|BP|Rhythm|LASr|LARS|PALS|IVRT|PASP|RVSP|pulmonary\s*vein|PV\s*S\/D)\b/i.test(t)) return true;
+    if (languageSignal(t)) return true;
     if ((t.match(/:/g)||[]).length >= 2) return true;
     return false;
   };
@@ -57,38 +91,69 @@
   // -----------------------------
   // Canonical fields (2016 + 2025)
   // -----------------------------
+  // Yes/No conditions: "no (history of) HCM" and "HCM: none" are No; "rule out HCM" and
+  // "heart transplant evaluation" state nothing. Groups: 1 negation, 2 doubt, 3 value after ":", 4 pending.
+  const conditionPattern = (term) => new RegExp(
+    '(?:\\b(no|not|without|negative\\s+for|absence\\s+of|free\\s+of)\\s+(?:(?:history|evidence|features|signs|findings)\\s+(?:suggestive\\s+)?(?:of|for)\\s+|(?:prior|previous|known)\\s+)*'
+    + '|(\\?|\\b(?:rule\\s*out|r\\/o|suspected|possible|probable|query|exclude|(?:evaluat(?:e|ion)|assess(?:ed|ment)?|referr(?:ed|al)|screening)\\s+for))\\s*)?'
+    + term
+    + '(?:[ \\t]*[:=][ \\t]*(\\p{L}[\\p{L} ]{0,20}?)(?=[ \\t]*(?:[.,;)\\r\\n]|$))'
+    + '|[ \\t]+(evaluation|work[-\\s]?up|candidacy|candidate|listing|referral|screening|assessment)\\b)?', 'iu');
+  const ABSENT_WORDS = ['no', 'none', 'absent', 'negative', 'nil', 'not present', 'not seen', 'excluded', 'ruled out'];
+  const DOUBT_WORDS = /^(?:not\s+(?:assessed|evaluated|known)|unknown|unclear|possible|suspected|query|indeterminate|n\/?a)$/i;
+  // After ":" the value may be in any report language ("HCM: nein", "Mitralstenose: keine")
+  const absentWord = (w) => {
+    const t = String(w).trim().toLowerCase().replace(/\s+/g, ' ');
+    if (ABSENT_WORDS.includes(t)) return true;
+    return Object.values(LANGUAGES).some(p => [].concat(p.negations || [], p.absent || []).some(x => String(x).toLowerCase() === t));
+  };
+  const conditionOf = (v, unit, bag, m) => {
+    const [, negated, doubt, said, pending] = m || [];
+    if (doubt || pending) return null;
+    if (negated) return "No";
+    if (said) return absentWord(said) ? "No" : DOUBT_WORDS.test(said.trim()) ? null : "Yes";
+    return "Yes";
+  };
+
   const FIELD_SPECS = {
     // Mitral inflow
     MV_E_m_s: {
       label: "Mitral E velocity (m/s)",
+      range: [0.2, 2.5],
       patterns: [
-        /(?:\b(?:MV|Mitral)\s*E(?:\s*(?:peak|wave))?(?:\s*velocity)?)[^0-9]{0,10}([0-9.]+)\s*(m\/s|cm\/s)?/i,
-        /(?:\bE\s*wave(?:\s*velocity)?)\s*[:=]?\s*([0-9.]+)\s*(m\/s|cm\/s)?\b/i
+        /(?:\b(?:MV|Mitral)\s*E\b(?:\s*(?:peak|wave))?(?:\s*velocity)?)(?!\s*(?:\/|:\s*A\b|['’′`´]|-?prime|dec|DT\b|acc))[^0-9\/\n]{0,10}([0-9.]+)\s*(m\/s|cm\/s)?/i,
+        /(?:\bE\s*wave(?:\s*velocity)?)\s*[:=]?\s*([0-9.]+)\s*(m\/s|cm\/s)?\b/i,
+        /^[ \t]*E(?:\s*vel(?:ocity)?)?\s*[:=]\s*([0-9.]+)\s*(m\/s|cm\/s)?/im
       ],
+      inferUnit: (x) => x > 5 ? 'cm/s' : null,
       normalize: (v, unit) => {
         const x = toNum(v);
         if (!x && x !== 0) return null;
-        if (!unit || /m\/s/i.test(unit)) return round(x, 3);
-        if (/cm\/s/i.test(unit)) return round(x/100, 3);
+        if (unit && /cm\/s/i.test(unit)) return round(x/100, 3);
         return round(x, 3);
       }
     },
     MV_A_m_s: {
       label: "Mitral A velocity (m/s)",
+      range: [0.1, 2.0],
       patterns: [
-        /(?:\b(?:MV|Mitral)\s*A(?:\s*(?:peak|wave))?(?:\s*velocity)?)[^0-9]{0,10}([0-9.]+)\s*(m\/s|cm\/s)?/i,
-        /(?:\bA\s*wave(?:\s*velocity)?)\s*[:=]?\s*([0-9.]+)\s*(m\/s|cm\/s)?\b/i
+        /(?:\b(?:MV|Mitral)\s*A\b(?:\s*(?:peak|wave))?(?:\s*velocity)?)(?!\s*(?:\/|:\s*E\b|['’′`´]|-?prime|dur))[^0-9\/\n]{0,10}([0-9.]+)\s*(m\/s|cm\/s)?/i,
+        /(?:\bA\s*wave(?:\s*velocity)?)\s*[:=]?\s*([0-9.]+)\s*(m\/s|cm\/s)?\b/i,
+        /^[ \t]*A(?:\s*vel(?:ocity)?)?\s*[:=]\s*([0-9.]+)\s*(m\/s|cm\/s)?/im
       ],
+      inferUnit: (x) => x > 5 ? 'cm/s' : null,
       normalize: (v, unit) => {
         const x = toNum(v);
         if (!x && x !== 0) return null;
-        if (!unit || /m\/s/i.test(unit)) return round(x, 3);
-        if (/cm\/s/i.test(unit)) return round(x/100, 3);
+        if (unit && /cm\/s/i.test(unit)) return round(x/100, 3);
         return round(x, 3);
       }
     },
     EA_ratio: {
       label: "E/A ratio",
+      formula: "E ÷ A",
+      dependsOn: ["MV_E_m_s", "MV_A_m_s"],
+      range: [0.3, 5],
       patterns: [
         /\bE\s*\/\s*A\s*(?:ratio)?\s*[:=]?\s*([0-9.]+)/i,
         /\bE:?A\s*(?:ratio)?\s*[:=]?\s*([0-9.]+)/i
@@ -102,17 +167,20 @@
     },
     DT_ms: {
       label: "MV E deceleration time (ms)",
-      patterns: [ /\b(?:Deceleration\s*time|DT)\s*[:=]?\s*([0-9.]+)\s*ms\b/i ],
+      range: [60, 450],
+      patterns: [ /\b(?:Deceleration\s*time|DT)\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*ms)?)*\s*ms\b)/i ],
       normalize: (v) => round(toNum(v), 0)
     },
 
     // Tissue Doppler e′
     eprime_septal_cm_s: {
       label: "e′ (septal) (cm/s)",
+      range: [1.5, 25],
       patterns: [
-        /\b(?:septal|medial)\s*(?:e['′` ]|e-?prime)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i,
-        /\be['′` ](?:septal|medial)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i
+        /\b(?:septal|medial)\s*(?:e['’′`´ ]|e-?prime)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i,
+        /\be['’′`´ ]\s*(?:septal|medial)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i
       ],
+      inferUnit: (x) => x < 0.3 ? 'm/s' : null,
       normalize: (v, unit) => {
         const x = toNum(v);
         if (!x && x !== 0) return null;
@@ -123,10 +191,12 @@
     },
     eprime_lateral_cm_s: {
       label: "e′ (lateral) (cm/s)",
+      range: [1.5, 25],
       patterns: [
-        /\b(?:lateral|lat)\s*(?:e['′` ]|e-?prime)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i,
-        /\be['′` ](?:lateral|lat)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i
+        /\b(?:lateral|lat)\s*(?:e['’′`´ ]|e-?prime)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i,
+        /\be['’′`´ ]\s*(?:lateral|lat)\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i
       ],
+      inferUnit: (x) => x < 0.3 ? 'm/s' : null,
       normalize: (v, unit) => {
         const x = toNum(v);
         if (!x && x !== 0) return null;
@@ -137,7 +207,11 @@
     },
     eprime_avg_cm_s: {
       label: "e′ (average) (cm/s)",
-      patterns: [ /\b(?:average|avg)\s*e['′` ]\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i ],
+      formula: "(septal + lateral e′) ÷ 2",
+      dependsOn: ["eprime_septal_cm_s", "eprime_lateral_cm_s"],
+      range: [1.5, 25],
+      patterns: [ /\b(?:average|avg)\s*e['’′`´ ]\s*[:=]?\s*([0-9.]+)\s*(cm\/s|m\/s)?\b/i ],
+      inferUnit: (x) => x < 0.3 ? 'm/s' : null,
       normalize: (v, unit) => {
         const x = toNum(v);
         if (!x && x !== 0) return null;
@@ -155,7 +229,10 @@
     // E/e′
     E_over_eprime_septal: {
       label: "E/e′ (septal)",
-      patterns: [ /\bE\s*\/\s*e['′` ]\s*(?:septal|medial)\s*[:=]?\s*([0-9.]+)/i ],
+      formula: "E ÷ septal e′",
+      dependsOn: ["MV_E_m_s", "eprime_septal_cm_s"],
+      range: [2, 45],
+      patterns: [ /\bE\s*\/\s*e['’′`´ ]\s*(?:septal|medial)\s*[:=]?\s*([0-9.]+)/i ],
       normalize: (v) => round(toNum(v), 2),
       derive: (bag) => {
         const E_ms = bag.MV_E_m_s;
@@ -169,7 +246,10 @@
     },
     E_over_eprime_lateral: {
       label: "E/e′ (lateral)",
-      patterns: [ /\bE\s*\/\s*e['′` ]\s*(?:lateral|lat)\s*[:=]?\s*([0-9.]+)/i ],
+      formula: "E ÷ lateral e′",
+      dependsOn: ["MV_E_m_s", "eprime_lateral_cm_s"],
+      range: [2, 45],
+      patterns: [ /\bE\s*\/\s*e['’′`´ ]\s*(?:lateral|lat)\s*[:=]?\s*([0-9.]+)/i ],
       normalize: (v) => round(toNum(v), 2),
       derive: (bag) => {
         const E_ms = bag.MV_E_m_s;
@@ -183,7 +263,10 @@
     },
     E_over_eprime_avg: {
       label: "E/e′ (average)",
-      patterns: [ /\bE\s*\/\s*e['′` ]\s*(?:avg|average)\s*[:=]?\s*([0-9.]+)/i ],
+      formula: "E ÷ average e′",
+      dependsOn: ["MV_E_m_s", "eprime_avg_cm_s", "eprime_septal_cm_s", "eprime_lateral_cm_s"],
+      range: [2, 45],
+      patterns: [ /\bE\s*\/\s*e['’′`´ ]\s*(?:avg|average)\s*[:=]?\s*([0-9.]+)/i ],
       normalize: (v) => round(toNum(v), 2),
       derive: (bag) => {
         const E_ms = bag.MV_E_m_s;
@@ -199,15 +282,25 @@
     // TR & LA
     TR_Vmax_m_s: {
       label: "TR peak velocity (m/s)",
+      range: [0.8, 6],
       patterns: [
         /\bTR\s*(?:Vmax|Vmax\.?|V max|peak\s*velocity)\s*[:=]?\s*([0-9.]+)\s*m\/s\b/i,
         /\btricuspid\s*regurgitation.*?peak\s*velocity[^0-9]{0,10}([0-9.]+)\s*m\/s\b/i
       ],
-      normalize: (v) => round(toNum(v), 2)
+      inferUnit: (x) => x > 10 ? 'cm/s' : null,
+      normalize: (v, unit) => {
+        const x = toNum(v);
+        if (!x && x !== 0) return null;
+        if (unit && /cm\/s/i.test(unit)) return round(x/100, 2);
+        return round(x, 2);
+      }
     },
     LAVI_ml_m2: {
       label: "LA volume index (mL/m²)",
-      patterns: [ /\b(?:LA\s*volume\s*index|LAVI)\s*[:=]?\s*([0-9.]+)\s*(?:ml|mL)\s*\/\s*m(?:2|\^2)\b/i ],
+      formula: "LA volume ÷ BSA",
+      dependsOn: ["LA_volume_ml", "BSA_m2"],
+      range: [8, 150],
+      patterns: [ /\b(?:LA\s*volume\s*index|LAVI)\s*[:=]?\s*([0-9.]+)\s*(?:ml|mL)\s*\/\s*m(?:2|²|\^2)(?!\w)/i ],
       normalize: (v) => round(toNum(v), 1),
       derive: (bag) => {
         const vol = bag.LA_volume_ml, bsa = bag.BSA_m2;
@@ -217,41 +310,118 @@
     },
     LA_volume_ml: {
       label: "LA volume (mL)",
+      range: [10, 300],
       patterns: [ /\bLA\s*volume(?:\s*\(biplane\))?\s*[:=]?\s*([0-9.]+)\s*(?:ml|mL)\b/i ],
       normalize: (v) => round(toNum(v), 1)
     },
     BSA_m2: {
       label: "Body surface area (m²)",
+      range: [0.8, 3.2],
       patterns: [
-        /\bBSA\s*[:=]?\s*([0-9.]+)\s*m(?:2|\^2)\b/i,
-        /\bBody\s*surface\s*area\s*[:=]?\s*([0-9.]+)\s*m(?:2|\^2)\b/i
+        /\bBSA\s*[:=]?\s*([0-9.]+)\s*m(?:2|²|\^2)(?!\w)/i,
+        /\bBody\s*surface\s*area\s*[:=]?\s*([0-9.]+)\s*m(?:2|²|\^2)(?!\w)/i
       ],
       normalize: (v) => round(toNum(v), 2)
     },
 
     // Vitals/Context
-    HR_bpm: { label: "Heart rate (bpm)", patterns: [ /\b(?:HR|Heart\s*rate)\s*[:=]?\s*([0-9.]+)\s*bpm\b/i ], normalize: (v) => round(toNum(v), 0) },
-    BP_sys: { label: "Systolic BP (mmHg)", patterns: [ /\b(?:BP|Blood\s*pressure)\s*[:=]?\s*([0-9]{2,3})\s*\/\s*([0-9]{2,3})\b/i ], normalize: () => null },
-    BP_dia: { label: "Diastolic BP (mmHg)", patterns: [ /\b(?:BP|Blood\s*pressure)\s*[:=]?\s*([0-9]{2,3})\s*\/\s*([0-9]{2,3})\b/i ], normalize: () => null },
+    HR_bpm: { label: "Heart rate (bpm)", range: [25, 220], patterns: [ /\b(?:HR|Heart\s*rate)\s*[:=]?\s*([0-9.]+)\s*bpm\b/i ], normalize: (v) => round(toNum(v), 0) },
+    // BP patterns capture "sys/dia": the second group is a value, not a unit.
+    BP_sys: { label: "Systolic BP (mmHg)", range: [50, 280], unitGroup: null, patterns: [ /\b(?:BP|Blood\s*pressure)\s*[:=]?\s*([0-9]{2,3})\s*\/\s*([0-9]{2,3})\b/i ], normalize: (sys) => round(toNum(sys), 0) },
+    BP_dia: { label: "Diastolic BP (mmHg)", range: [20, 160], valueGroup: 2, unitGroup: null, patterns: [ /\b(?:BP|Blood\s*pressure)\s*[:=]?\s*([0-9]{2,3})\s*\/\s*([0-9]{2,3})\b/i ], normalize: (sys, dia) => round(toNum(dia), 0) },
     Rhythm: {
       label: "Rhythm",
+      type: "text",
+      // Named rhythms first; a "Rhythm:" label only at the start of a line, so "AF rhythm noted" is AF
       patterns: [
-        /\b(?:Rhythm|Underlying\s*rhythm)\s*[:=]?\s*([A-Za-z ]{2,})/i,
-        /\bAtrial\s*fibrillation\b/i, /\bAF(?:ib)?\b/i,
-        /\bSinus\s*rhythm\b/i, /\bNSR\b/i
+        /\bAtrial\s*fibrillation\b/i, /\bA[-\s]?fib\b/i,
+        /\b(?:[Ii]n|[Kk]nown|[Cc]hronic|[Pp]ersistent|[Pp]ermanent|[Pp]aroxysmal|[Ll]ongstanding|[Rr]ate-controlled)\s+AF\b|\bAF\b(?=,?\s*(?:rhythm|with\b|(?:ventricular\s*)?rate\b|HR\b))/,
+        /\b(?:(?:A|V|AV|dual[-\s]*chamber)[-\s]*)?paced\s*rhythm\b|\bpacemaker\s*rhythm\b/i,
+        /\bSinus\s*rhythm\b/i, /\bNSR\b/i,
+        /^[ \t]*(?:Underlying\s*)?Rhythm[ \t]*[:=][ \t]*([A-Za-z][A-Za-z -]*)/im
       ],
       normalize: (v, unit, bag, all) => {
         const txt = (all && all[0] || "").toLowerCase();
-        if (/atrial\s*fibrillation|afib|\baf\b/.test(txt)) return "AF";
-        if (/sinus\s*rhythm|\bnsr\b/.test(txt)) return "Sinus";
-        if (v) return String(v).trim();
+        if (/atrial\s*fibrillation|\ba[-\s]?fib\b|\baf\b/.test(txt)) return "AF";
+        if (/paced|pacemaker/.test(txt)) return "Paced";
+        if (/\bsinus\b|\bnsr\b/.test(txt)) return "Sinus";
+        return null;
+      }
+    },
+
+    // Population context (selects the grading pathway)
+    Age_years: {
+      label: "Age (years)",
+      range: [1, 119],
+      patterns: [
+        /\bAge\s*[:=]?\s*([0-9]{1,3})\b/i,
+        /\b([0-9]{1,3})\s*[- ]?\s*(?:year|yr)s?[- ]?old\b/i,
+        /\b([0-9]{1,3})\s*(?:y\/o|yo)\b/i
+      ],
+      normalize: (v) => { const x = round(toNum(v), 0); return (x!=null && x>0 && x<120) ? x : null; }
+    },
+    Sex: {
+      label: "Sex",
+      type: "text",
+      patterns: [
+        /\b(?:Sex|Gender)\s*[:=]?\s*(male|female|man|woman|m|f)\b/i,
+        /\b[0-9]{1,3}\s*[- ]?\s*(?:(?:year|yr)s?[- ]?old|y\/o|yo)\s+(male|female|man|woman|gentleman|lady)\b/i
+      ],
+      normalize: (v) => SEX_WORDS[String(v||"").trim().toLowerCase()] || null
+    },
+    MR_severity: {
+      label: "Mitral regurgitation severity",
+      type: "text",
+      patterns: [
+        /\b(?:mitral\s*regurgitation|MR)\s*[:=]?\s*(none|trace|trivial|mild(?:\s*(?:to|-)\s*moderate)?|moderate(?:\s*(?:to|-)\s*severe)?|severe)\b/i,
+        /\b(no|trace|trivial|mild(?:\s*(?:to|-)\s*moderate)?|moderate(?:\s*(?:to|-)\s*severe)?|severe)\s*(?:mitral\s*regurgitation|MR)\b/i
+      ],
+      normalize: (v) => {
+        const t = String(v||"").toLowerCase();
+        if (/moderate\s*(?:to|-)\s*severe/.test(t)) return "Moderate-severe";
+        if (/severe/.test(t)) return "Severe";
+        // Mild-to-moderate is below the moderate MR that selects the MR pathway
+        if (/mild|trace|trivial/.test(t)) return "Mild";
+        if (/moderate/.test(t)) return "Moderate";
+        if (/no|none/.test(t)) return "None";
         return null;
       }
     },
+    Mitral_stenosis: {
+      label: "Mitral stenosis",
+      type: "text",
+      patterns: [ conditionPattern('\\b(?:(?:significant|mild|moderate|severe|rheumatic)\\s*)*mitral\\s*stenosis\\b') ],
+      normalize: conditionOf
+    },
+    HCM: {
+      label: "Hypertrophic cardiomyopathy",
+      type: "text",
+      patterns: [ conditionPattern('\\b(?:hypertrophic\\s*(?:obstructive\\s*)?cardiomyopathy|HOCM|HCM)\\b') ],
+      normalize: conditionOf
+    },
+    Heart_transplant: {
+      label: "Heart transplant",
+      type: "text",
+      patterns: [ conditionPattern('\\b(?:(?:orthotopic\\s*)?(?:heart|cardiac)\\s*transplant(?:ation|ed)?|OHT)\\b') ],
+      normalize: conditionOf
+    },
+    MV_E_accel_cm_s2: {
+      label: "Mitral E peak acceleration rate (cm/s²)",
+      range: [100, 5000],
+      patterns: [ /\b(?:(?:MV|mitral)\s*)?(?:E\s*)?(?:peak\s*)?acceleration(?:\s*rate)?\s*[:=]?\s*([0-9.]+)\s*cm\/s(?:2|²|\^2)/i ],
+      normalize: (v) => round(toNum(v), 0)
+    },
+    PV_Ar_minus_A_ms: {
+      label: "PV Ar − mitral A duration (ms)",
+      range: [-120, 150],
+      patterns: [ /\b(?:PV\s*)?Ar\s*[-–−]\s*A\s*(?:duration)?\s*[:=]?\s*(-?[0-9.]+)\s*ms\b/i ],
+      normalize: (v) => round(toNum(v), 0)
+    },
 
     // 2025 extensions
     LA_reservoir_strain_pct: {
       label: "LA reservoir strain (%, LASr/LARS/PALS)",
+      range: [1, 80],
       patterns: [
         /\b(?:LA|Left\s*atrial)\s*(?:reservoir\s*strain|strain\s*\(reservoir\)|LASr|LARS|PALS)\s*[:=]?\s*(-?[0-9.]+)\s*%/i,
         /\bLA\s*strain\s*[:=]?\s*(-?[0-9.]+)\s*%\b/i
@@ -260,26 +430,34 @@
     },
     PV_SD_ratio: {
       label: "Pulmonary vein S/D ratio",
+      range: [0.1, 5],
       patterns: [
         /\b(?:pulmonary\s*vein(?:ous)?|PV)\s*S\s*\/\s*D\s*(?:ratio)?\s*[:=]?\s*([0-9.]+)/i,
-        /\bS\s*\/\s*D\s*[:=]?\s*([0-9.]+)\b(?=.*pulmonary\s*vein)/i
+        /\bpulmonary\s*vein(?:s|ous)?\b[^\n]{0,40}?\bS\s*\/\s*D\s*(?:ratio)?\s*[:=]?\s*([0-9.]+)/i,
+        /\bS\s*\/\s*D\s*(?:ratio)?\s*[:=]?\s*([0-9.]+)\b(?=[^\n]*pulmonary\s*vein)/i,
+        /^[ \t]*pulmonary\s*vein(?:s|ous)?(?:\s*(?:flow|doppler|inflow))*\s*:?[ \t]*\n(?:[^\n]*\n){0,3}?[^\n]*?\bS\s*\/\s*D\s*(?:ratio)?\s*[:=]?\s*([0-9.]+)/im
       ],
       normalize: (v) => round(toNum(v), 2)
     },
     IVRT_ms: {
       label: "Isovolumic relaxation time (ms)",
+      range: [20, 250],
       patterns: [
-        /\bIVRT\s*[:=]?\s*([0-9.]+)\s*ms\b/i,
-        /\bisovolumic\s*relaxation\s*time\s*[:=]?\s*([0-9.]+)\s*ms\b/i
+        /\bIVRT\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*ms)?)*\s*ms\b)/i,
+        /\bisovolumic\s*relaxation\s*time\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*ms)?)*\s*ms\b)/i
       ],
       normalize: (v) => round(toNum(v), 0)
     },
     PASP_mmHg: {
       label: "Pulmonary artery systolic pressure (mmHg)",
+      formula: "4·TRV² + RAP",
+      dependsOn: ["TR_Vmax_m_s", "RA_pressure_mmHg"],
+      tolerance: { abs: 5 },
+      range: [10, 150],
       patterns: [
-        /\bPASP\s*[:=]?\s*([0-9.]+)\s*mmHg\b/i,
-        /\bRVSP\s*[:=]?\s*([0-9.]+)\s*mmHg\b/i,
-        /\bSystolic\s*PAP\s*[:=]?\s*([0-9.]+)\s*mmHg\b/i
+        /\bPASP\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*mmHg)?)*\s*mmHg\b)/i,
+        /\bRVSP\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*mmHg)?)*\s*mmHg\b)/i,
+        /\bSystolic\s*PAP\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*mmHg)?)*\s*mmHg\b)/i
       ],
       normalize: (v) => round(toNum(v), 0),
       derive: (bag) => {
@@ -293,16 +471,21 @@
     },
     RA_pressure_mmHg: {
       label: "Right atrial pressure (mmHg)",
-      patterns: [ /\b(?:RA\s*pressure|RAP|Estimated\s*RA\s*pressure)\s*[:=]?\s*([0-9.]+)\s*mmHg\b/i ],
+      range: [0, 25],
+      patterns: [ /\b(?:RA\s*pressure|RAP|Estimated\s*RA\s*pressure)\s*[:=]?\s*([0-9.]+)(?=(?:\s*(?:[-–—,;]|to|and)\s*[0-9.]+(?:\s*mmHg)?)*\s*mmHg\b)/i ],
       normalize: (v) => round(toNum(v), 0)
     },
     LV_GLS_pct: {
       label: "LV global longitudinal strain (%)",
+      range: [-40, 40],
       patterns: [ /\b(?:LV\s*)?(?:global\s*longitudinal\s*strain|GLS)\s*[:=]?\s*(-?[0-9.]+)\s*%\b/i ],
       normalize: (v) => round(toNum(v), 1)
     },
     LA_stiffness_index: {
       label: "LA stiffness index (E/e′avg ÷ LARS%)",
+      formula: "E/e′ avg ÷ LARS",
+      dependsOn: ["E_over_eprime_avg", "LA_reservoir_strain_pct"],
+      range: [0.02, 5],
       patterns: [],
       normalize: (v) => round(toNum(v), 2),
       derive: (bag) => {
@@ -314,169 +497,4204 @@
     },
     E_over_eprime_avg_exercise: {
       label: "Exercise E/e′ (average)",
-      patterns: [ /\b(?:exercise|stress|peak)\s*E\s*\/\s*e['′` ]\s*(?:avg|average)?\s*[:=]?\s*([0-9.]+)/i ],
+      range: [2, 45],
+      patterns: [ /\b(?:exercise|stress|peak)\s*E\s*\/\s*e['’′`´ ]\s*(?:avg|average)?\s*[:=]?\s*([0-9.]+)/i ],
       normalize: (v) => round(toNum(v), 2)
     },
     TR_Vmax_exercise_m_s: {
       label: "Exercise TR Vmax (m/s)",
+      range: [0.8, 6],
       patterns: [ /\b(?:exercise|stress|peak)\s*TR\s*(?:Vmax|peak\s*velocity)\s*[:=]?\s*([0-9.]+)\s*m\/s\b/i ],
-      normalize: (v) => round(toNum(v), 2)
+      inferUnit: (x) => x > 10 ? 'cm/s' : null,
+      normalize: (v, unit) => {
+        const x = toNum(v);
+        if (!x && x !== 0) return null;
+        if (unit && /cm\/s/i.test(unit)) return round(x/100, 2);
+        return round(x, 2);
+      }
     }
   };
 
-  function parseReport(text){
-    const bag = {};
-    for (const [key, spec] of Object.entries(FIELD_SPECS)) {
-      for (const rx of (spec.patterns||[])) {
-        const m = rx.exec(text);
-        if (m) {
-          const val = (spec.normalize||((v)=>v))(m[1], m[2], bag, m);
-          if (val!=null) { bag[key]=val; break; }
-          if ((key==="BP_sys"||key==="BP_dia") && m[1] && m[2]) { bag.BP_sys=round(toNum(m[1]),0); bag.BP_dia=round(toNum(m[2]),0); break; }
-        }
+  function parseReport(text, options){
+    return parseReportDetailed(text, options).bag;
+  }
+
+  // -----------------------------
+  // Vendor report profiles
+  // -----------------------------
+  // A profile maps the measurement labels of one reporting system to canonical keys.
+  // Rows are matched at the start of a line: "<alias> <value> [unit]" with any mix of
+  // spaces, tabs, "|", ";" or ":" between cells, or by explicit `columns` indexes.
+  const PROFILES = [];
+  const DEFAULT_SEPARATOR = /\t|\s*[|;]\s*|\s{2,}/;
+  const escapeRx = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const aliasSource = (alias) => escapeRx(alias.trim()).replace(/\s+/g, '\\s+').replace(/'/g, "['’′`´]");
+  const UNIT_CELL = /^(?:cm\/s(?:ec)?(?:2|²|\^2)?|m\/s(?:ec)?|mmHg|ms(?:ec)?|m[lL](?:\s*\/\s*m(?:2|²|\^2))?|%|bpm|m(?:2|²|\^2)|ratio)$/i;
+
+  function compileProfile(profile){
+    const lookup = [];
+    for (const [key, list] of Object.entries(profile.aliases || {})) {
+      for (const alias of [].concat(list)) {
+        lookup.push({ key, alias, rx: new RegExp(`^[ \\t]*${aliasSource(alias)}(?=$|[\\s:=|;])`, 'i'), cell: new RegExp(`^\\s*${aliasSource(alias)}\\s*:?\\s*$`, 'i') });
       }
     }
-    for (const [key, spec] of Object.entries(FIELD_SPECS)) {
-      if (bag[key]==null && typeof spec.derive==="function") {
-        try { const dv = spec.derive(bag); if (dv!=null) bag[key]=dv; } catch {}
-      }
+    lookup.sort((a, b) => b.alias.length - a.alias.length); // "MV E/A Ratio" before "MV E"
+    return Object.assign({}, profile, { lookup });
+  }
+
+  /**
+   * Register (or replace, by id) a report-format profile.
+   * @param {Object} profile
+   *   - id: string (required), label: string
+   *   - detect: RegExp | function(text) => number; a positive score marks the format
+   *   - aliases: { canonicalKey: ['Label as printed', ...] }
+   *   - units: { 'Label as printed': 'cm/s' } default unit when a row has none
+   *   - columns: { separator: RegExp, label: 0, value: 1, unit: 2 } for fixed column layouts
+   * @returns {Object} the compiled profile
+   */
+  function registerProfile(profile){
+    if (!profile || typeof profile.id !== 'string' || !profile.id) throw new TypeError('DiastolicPaste.registerProfile: profile.id is required');
+    for (const key of Object.keys(profile.aliases || {})) {
+      if (!FIELD_SPECS[key]) throw new TypeError(`DiastolicPaste.registerProfile: unknown field "${key}" in profile "${profile.id}"`);
     }
-    return bag;
+    const compiled = compileProfile(profile);
+    const i = PROFILES.findIndex(p => p.id === profile.id);
+    if (i >= 0) PROFILES[i] = compiled; else PROFILES.push(compiled);
+    return compiled;
+  }
+
+  function splitLines(text){
+    const lines = [];
+    const rx = /[^\r\n]*(?:\r?\n|$)/g;
+    let m;
+    while ((m = rx.exec(text)) && m[0] !== '') { lines.push({ text: m[0].replace(/\r?\n$/, ''), start: m.index }); }
+    return lines;
+  }
+  function splitCells(line, separator){
+    const cells = [];
+    const rx = new RegExp(separator.source, separator.flags.replace(/[gy]/g, '') + 'g');
+    let pos = 0, m;
+    while ((m = rx.exec(line)) !== null) {
+      if (m[0] === '') { rx.lastIndex++; continue; }
+      cells.push({ text: line.slice(pos, m.index), start: pos });
+      pos = m.index + m[0].length;
+    }
+    cells.push({ text: line.slice(pos), start: pos });
+    return cells.map(c => { const lead = c.text.length - c.text.trimStart().length; return { text: c.text.trim(), start: c.start + lead }; });
+  }
+
+  // One row => { key, alias, raw, unit, line, valueStart, valueEnd } (offsets relative to the line)
+  function matchProfileRow(profile, line){
+    if (profile.columns) {
+      const cols = profile.columns;
+      const cells = splitCells(line, cols.separator || DEFAULT_SEPARATOR);
+      const labelCell = cells[cols.label || 0], valueCell = cells[cols.value == null ? 1 : cols.value];
+      if (!labelCell || !valueCell || !valueCell.text) return null;
+      const hit = profile.lookup.find(l => l.cell.test(labelCell.text));
+      if (!hit) return null;
+      const unitCell = cols.unit == null ? null : cells[cols.unit];
+      return { key: hit.key, alias: hit.alias, raw: valueCell.text, unit: unitCell && unitCell.text || null, valueStart: valueCell.start, valueEnd: valueCell.start + valueCell.text.length };
+    }
+    for (const l of profile.lookup) {
+      const m = l.rx.exec(line);
+      if (!m) continue;
+      const rest = line.slice(m[0].length);
+      const v = /^(?:\s*\(?(mean|avg|average|median|max|min)\)?)?(?:\s*[:=|;]\s*|\s+)([-+]?[0-9.]*[0-9][0-9.]*)(?:(?:\s*[|;]\s*|\s+)(\S+(?:\s*\/\s*m(?:2|²|\^2))?))?/id.exec(rest);
+      if (!v) continue;
+      const valueStart = m[0].length + v.indices[2][0];
+      const unit = v[3] && UNIT_CELL.test(v[3]) ? v[3] : null;
+      return { key: l.key, alias: l.alias, raw: v[2], unit, stat: v[1] ? STAT_WORDS[v[1].toLowerCase()] : null, valueStart, valueEnd: valueStart + v[2].length };
+    }
+    return null;
+  }
+
+  // Without a detect hit only vendor-specific rows count: a line the free-text patterns
+  // already read ("TR Vmax 2.9 m/s", "IVRT 58 ms") says nothing about the vendor.
+  const profileScore = (profile, text, lines) => {
+    const d = profile.detect;
+    let score = typeof d === 'function' ? (+d(text) || 0) : (d instanceof RegExp && d.test(text) ? 5 : 0);
+    let rows = 0, specific = 0;
+    for (const ln of lines) {
+      const row = matchProfileRow(profile, ln.text);
+      if (!row) continue;
+      rows++;
+      if (!(FIELD_SPECS[row.key].patterns || []).concat(languagePatterns(row.key).map(p => p.rx)).some(rx => rx.test(ln.text))) specific++;
+    }
+    return score > 0 ? score + rows : (specific >= 2 ? rows : 0);
+  };
+
+  /**
+   * Pick the registered profile that best fits the text.
+   * @param {string} text
+   * @returns {{id:string, label:string, score:number}|null}
+   */
+  function detectProfile(text){
+    const lines = splitLines(String(text||''));
+    let best = null;
+    for (const p of PROFILES) {
+      const score = profileScore(p, text, lines);
+      if (score > 0 && (!best || score > best.score)) best = { id: p.id, label: p.label || p.id, score };
+    }
+    return best;
   }
 
+  // Built-in profiles (labels as printed by each system's measurement export)
+  const PHILIPS_ALIASES = {
+    MV_E_m_s: ["MV E Vel", "MV Peak E Vel"],
+    MV_A_m_s: ["MV A Vel", "MV Peak A Vel"],
+    EA_ratio: ["MV E/A Ratio", "MV E/A"],
+    DT_ms: ["MV Decel Time", "MV DT"],
+    eprime_septal_cm_s: ["Med E' Vel", "Medial E' Vel", "Sept e' Vel"],
+    eprime_lateral_cm_s: ["Lat E' Vel", "Lateral E' Vel"],
+    E_over_eprime_septal: ["E/Med E'", "MV E/e' Med"],
+    E_over_eprime_lateral: ["E/Lat E'", "MV E/e' Lat"],
+    E_over_eprime_avg: ["E/Avg E'", "MV E/e' Avg"],
+    TR_Vmax_m_s: ["TR Peak Vel", "TR Vmax", "TR Max Vel"],
+    LAVI_ml_m2: ["LA Vol Index (BP)", "LAVI (BP)", "LA Vol Index A4C"],
+    LA_volume_ml: ["LA Vol (BP)", "LA Vol A4C"],
+    PASP_mmHg: ["RVSP", "PASP"],
+    RA_pressure_mmHg: ["RA Pressure", "RAP"],
+    IVRT_ms: ["IVRT"],
+    PV_SD_ratio: ["PV S/D Ratio", "Pulm Vein S/D"],
+    LV_GLS_pct: ["AutoStrain GLS", "GLS"],
+    LA_reservoir_strain_pct: ["AutoStrain LA Reservoir", "LASr"],
+    HR_bpm: ["HR"]
+  };
+  [
+    {
+      id: 'ge-echopac', label: 'GE EchoPAC',
+      detect: /\bEchoPAC\b|\bGE\s*(?:Vingmed|Healthcare)\b|\bMV\s*DecT\b|\bE['’′]\s*Sept\b/i,
+      aliases: {
+        MV_E_m_s: ["MV E Vel", "MV E Velocity"],
+        MV_A_m_s: ["MV A Vel", "MV A Velocity"],
+        EA_ratio: ["MV E/A Ratio", "MV E/A"],
+        DT_ms: ["MV DecT", "MV Dec Time"],
+        eprime_septal_cm_s: ["E' Sept", "MV e' Sept"],
+        eprime_lateral_cm_s: ["E' Lat", "MV e' Lat"],
+        eprime_avg_cm_s: ["E' Avg", "E' Mean"],
+        E_over_eprime_septal: ["E/E' Sept"],
+        E_over_eprime_lateral: ["E/E' Lat"],
+        E_over_eprime_avg: ["E/E' Avg", "E/E' Mean"],
+        TR_Vmax_m_s: ["TR Vmax", "TR Max Vel"],
+        LAVI_ml_m2: ["LAESV A-L/BSA", "LAESV MOD BP/BSA", "LAESV Index (A-L)", "LAESV Index (MOD BP)"],
+        LA_volume_ml: ["LAESV A-L", "LAESV MOD BP"],
+        PASP_mmHg: ["RVSP", "PASP"],
+        RA_pressure_mmHg: ["RAP"],
+        IVRT_ms: ["IVRT"],
+        PV_SD_ratio: ["PV S/D Ratio", "P Vein S/D Ratio"],
+        LV_GLS_pct: ["GLS Avg", "AFI GLS", "GLPS Avg"],
+        LA_reservoir_strain_pct: ["LA Strain Reservoir", "LASr"],
+        HR_bpm: ["HR"]
+      }
+    },
+    {
+      id: 'philips', label: 'Philips (IntelliSpace / Xcelera / QLAB)',
+      detect: /\bPhilips\b|\bIntelliSpace\b|\bXcelera\b|\bQLAB\b|\bMed\s*E['’′]\s*Vel\b/i,
+      aliases: PHILIPS_ALIASES
+    },
+    {
+      id: 'epiq-tabular', label: 'Philips Epiq tabular export',
+      detect: (text) => ((String(text).match(/^[^\t\r\n]+\t[-+]?[0-9.]+\t[^\t\r\n]*/gm) || []).length >= 3 ? 6 : 0),
+      columns: { separator: /\t/, label: 0, value: 1, unit: 2 },
+      aliases: PHILIPS_ALIASES
+    },
+    {
+      id: 'siemens', label: 'Siemens syngo Dynamics / ACUSON',
+      detect: /\bSiemens\b|\bsyngo\b|\bACUSON\b/i,
+      aliases: {
+        MV_E_m_s: ["MV Peak E Vel", "MV E Peak Vel"],
+        MV_A_m_s: ["MV Peak A Vel", "MV A Peak Vel"],
+        EA_ratio: ["MV E/A"],
+        DT_ms: ["MV Decel Time", "MV E Decel Time"],
+        eprime_septal_cm_s: ["MV e' Septal", "e' Septal"],
+        eprime_lateral_cm_s: ["MV e' Lateral", "e' Lateral"],
+        E_over_eprime_septal: ["MV E/e' Septal"],
+        E_over_eprime_lateral: ["MV E/e' Lateral"],
+        E_over_eprime_avg: ["MV E/e' Avg", "E/e' Average"],
+        TR_Vmax_m_s: ["TR Peak Vel", "TR Vmax"],
+        LAVI_ml_m2: ["LA Vol Index", "LAVI BP"],
+        LA_volume_ml: ["LA Vol BP", "LA Volume BP"],
+        PASP_mmHg: ["RVSP"],
+        IVRT_ms: ["IVRT"]
+      }
+    },
+    {
+      id: 'tomtec', label: 'TomTec Arena',
+      detect: /\bTOMTEC\b|\bTomTec\b|\bAutoLV\b|\bAutoLA\b/,
+      aliases: {
+        LA_reservoir_strain_pct: ["LASr", "LA Strain Reservoir", "LA Reservoir Strain", "Reservoir Strain"],
+        LV_GLS_pct: ["LV GLS", "GLS (Endo)", "GLS"],
+        LAVI_ml_m2: ["LAVI BP", "LAVi"],
+        LA_volume_ml: ["LAVmax BP", "LAV max BP", "LAVmax"],
+        E_over_eprime_avg: ["E/e' mean"]
+      }
+    }
+  ].forEach(registerProfile);
+
   // -----------------------------
-  // DOM integration (global paste)
+  // Report languages (label aliases, decimal comma, translated UI)
   // -----------------------------
-  const DEFAULT_SELECTOR_MAP = {
-    // Core
-    MV_E_m_s: "#mv_e, [name='mv_e']",
-    MV_A_m_s: "#mv_a, [name='mv_a']",
-    EA_ratio: "#ea_ratio, [name='ea_ratio']",
-    DT_ms: "#dt_ms, [name='dt_ms']",
-    eprime_septal_cm_s: "#eprime_septal, [name='eprime_septal']",
-    eprime_lateral_cm_s: "#eprime_lateral, [name='eprime_lateral']",
-    eprime_avg_cm_s: "#eprime_avg, [name='eprime_avg']",
-    E_over_eprime_septal: "#e_over_eprime_septal, [name='e_over_eprime_septal']",
-    E_over_eprime_lateral: "#e_over_eprime_lateral, [name='e_over_eprime_lateral']",
-    E_over_eprime_avg: "#e_over_eprime_avg, [name='e_over_eprime_avg']",
-    TR_Vmax_m_s: "#tr_vmax, [name='tr_vmax']",
-    LAVI_ml_m2: "#lavi, [name='lavi']",
-    LA_volume_ml: "#la_volume, [name='la_volume']",
-    BSA_m2: "#bsa, [name='bsa']",
-    HR_bpm: "#hr, [name='hr']",
-    BP_sys: "#bp_sys, [name='bp_sys']",
-    BP_dia: "#bp_dia, [name='bp_dia']",
-    Rhythm: "#rhythm, [name='rhythm']",
-    // 2025
-    LA_reservoir_strain_pct: "#la_strain, [name='la_strain'], [name='lars'], [name='lasr'], [name='pals']",
-    PV_SD_ratio: "#pv_sd, [name='pv_sd']",
-    IVRT_ms: "#ivrt, [name='ivrt']",
-    PASP_mmHg: "#pasp, [name='pasp'], #rvsp, [name='rvsp']",
-    RA_pressure_mmHg: "#rap, [name='rap']",
-    LV_GLS_pct: "#gls, [name='gls'], [name='lv_gls']",
-    LA_stiffness_index: "#la_stiffness, [name='la_stiffness']",
-    // Exercise
-    E_over_eprime_avg_exercise: "#e_over_eprime_avg_ex, [name='e_over_eprime_avg_ex']",
-    TR_Vmax_exercise_m_s: "#tr_vmax_ex, [name='tr_vmax_ex']"
+  // A pack teaches the parser how another language writes the canonical fields; the English
+  // FIELD_SPECS patterns always stay active. All fields of a pack are optional:
+  //   name:      shown in the language selector
+  //   labels:    { key: [alias, ...] } for numeric fields. Strings match case-insensitively,
+  //              spaces and hyphens are interchangeable and ' matches any prime; a RegExp is used as is.
+  //              The value may follow after a parenthesis, ":" or "=", and up to two fillers.
+  //   fillers:   words allowed between label and value ("beträgt", "est de", "pari a")
+  //   values:    Rhythm: { AF, Sinus, Paced: [words] }; MR_severity: { labels, None, Mild, Moderate,
+  //              'Moderate-severe', Severe: [words] } (level before or after the label)
+  //   terms:     { Mitral_stenosis|HCM|Heart_transplant: [words] }, read as No after one of `negations`
+  //              or before ":" and one of `negations` or `absent` ("Mitralstenose: keine")
+  //   absent:    words that say "not present" after a ":" ("nein", "absente")
+  //   patterns:  { key: [RegExp] } extra patterns, value in group 1
+  //   fields:    { key: label } translated field labels (tooltips, review dialog, comparison)
+  //   ui:        translated UI_STRINGS, plus any page strings for [data-i18n]
+  const LANGUAGES = {};
+  const LABEL_BEFORE = '(?<![\\p{L}\\p{N}\\/])';
+  // Units the generated patterns accept, by the canonical key's unit suffix
+  const LANGUAGE_UNITS = {
+    m_s: 'c?m\\/s(?:ec)?', cm_s: 'c?m\\/s(?:ec)?', cm_s2: 'cm\\/s(?:2|²|\\^2)', ms: 'ms(?:ec)?', mmHg: 'mm\\s*Hg',
+    pct: '%', ml_m2: 'ml\\s*\\/\\s*m(?:2|²|\\^2)', ml: 'ml', m2: 'm(?:2|²|\\^2)', bpm: 'bpm|lpm|\\/\\s*min|min-1'
+  };
+  const unitsOf = (key) => { const m = /_(cm_s2|cm_s|m_s|ml_m2|ml|m2|ms|mmHg|pct|bpm)$/.exec(key); return m ? LANGUAGE_UNITS[m[1]] : null; };
+  const looseSource = (alias) => alias instanceof RegExp ? alias.source
+    : escapeRx(String(alias).trim()).replace(/\s*\/\s*/g, '\\s*\\/\\s*').replace(/[\s-]+/g, '[-\\s]*').replace(/'/g, "['’′`´]");
+  // Longest first, so "moderada a severa" is not read as "moderada"
+  const alternation = (aliases) => (aliases || []).slice().sort((a, b) => String(b).length - String(a).length).map(looseSource).join('|');
+
+  // { key: [{ rx, normalize?, language }] } for every registered pack
+  function compileLanguage(code, pack){
+    const out = {};
+    const add = (key, rx, normalize) => (out[key] = out[key] || []).push({ rx, normalize, language: code });
+    const fillers = alternation(pack.fillers);
+    const gap = `\\s*(?:\\([^)\\n]{0,24}\\)\\s*)?[:=]?\\s*${fillers ? `(?:(?:${fillers})(?![\\p{L}])\\s*){0,2}[:=]?\\s*` : ''}`;
+    for (const [key, aliases] of Object.entries(pack.labels || {})) {
+      if (!FIELD_SPECS[key] || !aliases || !aliases.length) continue;
+      const label = `${LABEL_BEFORE}(?:${alternation(aliases)})(?![\\p{L}])${gap}`;
+      if (key === 'BP_sys' || key === 'BP_dia') { add(key, new RegExp(`${label}([0-9]{2,3})\\s*\\/\\s*([0-9]{2,3})(?![0-9])`, 'iu')); continue; }
+      const units = unitsOf(key);
+      add(key, new RegExp(`${label}(-?[0-9.]+)${units ? `\\s*(?:(${units})(?![\\p{L}]))?` : ''}`, 'iu'));
+    }
+    const whole = (aliases) => new RegExp(`^(?:${alternation(aliases)})$`, 'iu');
+    const rhythm = pack.values && pack.values.Rhythm;
+    if (rhythm) {
+      const kinds = ['AF', 'Paced', 'Sinus'].filter(k => rhythm[k] && rhythm[k].length).map(k => [k, whole(rhythm[k])]);
+      const all = [].concat(...kinds.map(([k]) => rhythm[k]));
+      if (all.length) add('Rhythm', new RegExp(`${LABEL_BEFORE}(?:${alternation(all)})(?![\\p{L}])`, 'iu'),
+        (v, unit, bag, m) => { const hit = kinds.find(([, rx]) => rx.test(m[0].trim())); return hit ? hit[0] : null; });
+    }
+    const mr = pack.values && pack.values.MR_severity;
+    if (mr && mr.labels && mr.labels.length) {
+      const levels = ['Moderate-severe', 'Severe', 'Moderate', 'Mild', 'None'].filter(k => mr[k] && mr[k].length).map(k => [k, whole(mr[k])]);
+      const lv = alternation([].concat(...levels.map(([k]) => mr[k]))), lb = alternation(mr.labels);
+      const normalize = (v) => { const hit = levels.find(([, rx]) => rx.test(String(v || '').trim())); return hit ? hit[0] : null; };
+      add('MR_severity', new RegExp(`${LABEL_BEFORE}(?:${lb})(?![\\p{L}])[ \\t]*[:=]?[ \\t]*(${lv})(?![\\p{L}])`, 'iu'), normalize);
+      add('MR_severity', new RegExp(`${LABEL_BEFORE}(${lv})[ \\t]+(?:${lb})(?![\\p{L}])`, 'iu'), normalize);
+    }
+    const neg = alternation(pack.negations);
+    const absent = alternation([].concat(pack.negations || [], pack.absent || []));
+    for (const [key, words] of Object.entries(pack.terms || {})) {
+      if (!FIELD_SPECS[key] || !words || !words.length) continue;
+      const negated = neg ? `(?:(${neg})[ \\t]+(?:[\\p{L}-]+[ \\t]+){0,3}?)?` : '';
+      const said = absent ? `(?:[ \\t]*[:=][ \\t]*(${absent})(?![\\p{L}]))?` : '';
+      add(key, new RegExp(`${LABEL_BEFORE}${negated}(?:${alternation(words)})(?![\\p{L}])${said}`, 'iu'), (v, unit) => v || unit ? 'No' : 'Yes');
+    }
+    for (const [key, list] of Object.entries(pack.patterns || {})) if (FIELD_SPECS[key]) for (const rx of list) add(key, rx);
+    return out;
+  }
+
+  let compiledLanguages = null;
+  const languagePatterns = (key, codes) => {
+    if (!compiledLanguages) {
+      compiledLanguages = {};
+      for (const [code, pack] of Object.entries(LANGUAGES)) compiledLanguages[code] = compileLanguage(code, pack);
+    }
+    const out = [];
+    for (const code of codes || Object.keys(compiledLanguages)) if (compiledLanguages[code] && compiledLanguages[code][key]) out.push(...compiledLanguages[code][key]);
+    return out;
+  };
+  // Any pack label (for the paste heuristics)
+  let languageSignalRx = null;
+  const languageSignal = (text) => {
+    if (!languageSignalRx) {
+      const all = [];
+      for (const pack of Object.values(LANGUAGES)) for (const aliases of Object.values(pack.labels || {})) all.push(...aliases);
+      languageSignalRx = all.length ? new RegExp(`${LABEL_BEFORE}(?:${alternation(all)})(?![\\p{L}])`, 'iu') : /(?!)/;
+    }
+    return languageSignalRx.test(text);
   };
 
-  function pickEl(sel){ if(!sel) return null; return document.querySelector(sel); }
-  function setField(el, val){ if(!el) return false; const tag=el.tagName&&el.tagName.toLowerCase(); if(tag==='input'||tag==='textarea'){ el.value=String(val); } else if (el.isContentEditable || el.getAttribute && el.getAttribute('contenteditable')==='true'){ el.textContent=String(val); } else { el.textContent=String(val); } dispatchInput(el); try{ el.classList.add('diasto-flash'); setTimeout(()=>el.classList.remove('diasto-flash'),800);}catch{} return true; }
-  function applyBagToSelectors(bag, map){ let updated=0; for (const [k,v] of Object.entries(bag)) { if(v==null) continue; const sel=map[k]; if(!sel) continue; const el=pickEl(sel); if(el && setField(el,v)) updated++; } return updated; }
+  // "0,92" against "0.92": the more frequent one wins; ',' mode reads every digit,digit as a decimal.
+  // "0,920" counts as a decimal comma: a zero integer part is never thousands-grouped.
+  const decimalOf = (text, want) => {
+    if (want === '.' || want === ',') return want;
+    const commas = (String(text).match(/\d,\d{1,2}(?!\d)|(?<![\d.,])0,\d+/g) || []).length;
+    const dots = (String(text).match(/\d\.\d/g) || []).length;
+    return commas > dots ? ',' : '.';
+  };
 
-  function createStyles(){
-    const css = `.diasto-flash{ outline:2px solid rgba(66,133,244,.8); transition:outline-color .8s ease; }`;
-    const style = document.createElement('style'); style.textContent = css; document.head.appendChild(style);
+  /**
+   * Add or extend a report language (packs merge key by key, so page strings can be added
+   * to a built-in pack with just { ui }).
+   * @param {string} code e.g. 'de', 'pt-BR'
+   * @param {Object} pack see LANGUAGES
+   * @returns {Object} the merged pack
+   */
+  function registerLanguage(code, pack){
+    if (!code || typeof code !== 'string') throw new TypeError('registerLanguage: code must be a non-empty string');
+    const base = LANGUAGES[code] || { name: code };
+    for (const [k, v] of Object.entries(pack || {})) {
+      base[k] = (v && typeof v === 'object' && !Array.isArray(v) && base[k] && typeof base[k] === 'object' && !Array.isArray(base[k])) ? Object.assign({}, base[k], v) : v;
+    }
+    LANGUAGES[code] = base;
+    compiledLanguages = null;
+    languageSignalRx = null;
+    return base;
   }
 
+  // Built-in packs. Abbreviations are only the ones local reports print (RR, HF, TI, OG, AI, AS).
+  registerLanguage('de', {
+    name: 'Deutsch',
+    fillers: ['beträgt', 'betrug', 'von', 'mit', 'ca.', 'etwa', 'bei'],
+    labels: {
+      MV_E_m_s: ['E-Welle', 'E-Welle Geschwindigkeit', 'E-Wellen-Geschwindigkeit', 'E-Geschwindigkeit', 'mitrale E-Welle', 'Mitralis E'],
+      MV_A_m_s: ['A-Welle', 'A-Welle Geschwindigkeit', 'A-Wellen-Geschwindigkeit', 'A-Geschwindigkeit', 'mitrale A-Welle', 'Mitralis A'],
+      EA_ratio: ['E/A-Verhältnis', 'E/A-Quotient', 'Verhältnis E/A'],
+      DT_ms: ['Dezelerationszeit', 'Decelerationszeit', 'E-Dezelerationszeit', 'Dezelerationszeit der E-Welle'],
+      eprime_septal_cm_s: ["septales e'", "septale e'", "e' sept.", "mediales e'"],
+      eprime_lateral_cm_s: ["laterales e'", "laterale e'", "e' lat."],
+      eprime_avg_cm_s: ["mittleres e'", "gemitteltes e'", "e' gemittelt", "e' Mittelwert"],
+      E_over_eprime_septal: ["E/e' sept."],
+      E_over_eprime_lateral: ["E/e' lat."],
+      E_over_eprime_avg: ["E/e' gemittelt", "E/e' Mittelwert", "mittleres E/e'"],
+      TR_Vmax_m_s: ['TI Vmax', 'Vmax TI', 'TI-Geschwindigkeit', 'maximale TI-Geschwindigkeit', 'TR-Geschwindigkeit', 'Trikuspidalinsuffizienz Vmax'],
+      LAVI_ml_m2: ['LA-Volumenindex', 'LA-Volumen-Index', 'LA-Volumen indexiert', 'linksatrialer Volumenindex'],
+      LA_volume_ml: ['LA-Volumen', 'linksatriales Volumen', 'Volumen des linken Vorhofs'],
+      BSA_m2: ['Körperoberfläche', 'KOF'],
+      HR_bpm: ['Herzfrequenz', 'HF', 'Puls'],
+      BP_sys: ['Blutdruck', 'RR'],
+      BP_dia: ['Blutdruck', 'RR'],
+      Age_years: ['Alter'],
+      MV_E_accel_cm_s2: ['E-Akzeleration', 'Akzelerationsrate der E-Welle', 'E-Beschleunigung'],
+      PV_Ar_minus_A_ms: ['Ar-A-Differenz', 'Ar-A-Dauer', 'Differenz Ar-A'],
+      LA_reservoir_strain_pct: ['LA-Reservoir-Strain', 'linksatrialer Reservoir-Strain', 'LA-Strain Reservoir'],
+      PV_SD_ratio: ['Pulmonalvenen S/D', 'Pulmonalvenen-S/D-Verhältnis', 'S/D-Verhältnis der Pulmonalvenen', 'PV-S/D-Verhältnis'],
+      IVRT_ms: ['isovolumetrische Relaxationszeit', 'IVRZ'],
+      PASP_mmHg: ['sPAP', 'PAPsys', 'systolischer PA-Druck', 'systolischer pulmonalarterieller Druck'],
+      RA_pressure_mmHg: ['RA-Druck', 'rechtsatrialer Druck', 'ZVD'],
+      LV_GLS_pct: ['globaler longitudinaler Strain', 'globaler Longitudinalstrain'],
+      LA_stiffness_index: ['LA-Steifigkeitsindex'],
+      E_over_eprime_avg_exercise: ["E/e' unter Belastung", "Belastungs-E/e'"],
+      TR_Vmax_exercise_m_s: ['TI Vmax unter Belastung', 'Belastungs-TI-Vmax', 'TR-Geschwindigkeit unter Belastung']
+    },
+    values: {
+      Rhythm: { AF: ['Vorhofflimmern', 'VHF', 'Tachyarrhythmia absoluta', 'absolute Arrhythmie'], Sinus: ['Sinusrhythmus'], Paced: ['Schrittmacherrhythmus', 'Schrittmacher-stimuliert', 'stimulierter Rhythmus'] },
+      MR_severity: {
+        labels: ['Mitralinsuffizienz', 'Mitralklappeninsuffizienz', 'MI'],
+        None: ['keine'], Mild: ['leicht', 'leichte', 'leichtgradig', 'leichtgradige', 'gering', 'geringe', 'geringgradige', 'minimale', 'I°'],
+        Moderate: ['mittelgradig', 'mittelgradige', 'mäßig', 'mäßige', 'mäßiggradige', 'II°'], 'Moderate-severe': ['mittel- bis hochgradig', 'mittel- bis hochgradige', 'II-III°'],
+        Severe: ['hochgradig', 'hochgradige', 'schwer', 'schwere', 'III°']
+      }
+    },
+    negations: ['kein', 'keine', 'keinen', 'ohne'],
+    absent: ['nein', 'nicht vorhanden', 'negativ'],
+    terms: {
+      Mitral_stenosis: ['Mitralstenose', 'Mitralklappenstenose'],
+      HCM: ['hypertrophe Kardiomyopathie', 'hypertrophe obstruktive Kardiomyopathie'],
+      Heart_transplant: ['Herztransplantation', 'herztransplantiert', 'HTx']
+    },
+    patterns: {
+      Age_years: [/(?<![\p{N}])([0-9]{1,3})\s*(?:-?jährige?[rn]?|Jahre\s*alt)(?![\p{L}])/iu],
+      Sex: [/Geschlecht\s*[:=]?\s*(männlich|weiblich|m|w)(?![\p{L}])/iu, /(?<![\p{N}])[0-9]{1,3}\s*-?jährige[rn]?\s+(Mann|Frau)(?![\p{L}])/iu]
+    },
+    fields: {
+      MV_E_m_s: 'Mitrale E-Geschwindigkeit (m/s)', MV_A_m_s: 'Mitrale A-Geschwindigkeit (m/s)', EA_ratio: 'E/A-Verhältnis', DT_ms: 'Dezelerationszeit der E-Welle (ms)',
+      eprime_septal_cm_s: 'e′ septal (cm/s)', eprime_lateral_cm_s: 'e′ lateral (cm/s)', eprime_avg_cm_s: 'e′ gemittelt (cm/s)',
+      E_over_eprime_septal: 'E/e′ septal', E_over_eprime_lateral: 'E/e′ lateral', E_over_eprime_avg: 'E/e′ gemittelt',
+      TR_Vmax_m_s: 'TI-Maximalgeschwindigkeit (m/s)', LAVI_ml_m2: 'LA-Volumenindex (mL/m²)', LA_volume_ml: 'LA-Volumen (mL)', BSA_m2: 'Körperoberfläche (m²)',
+      HR_bpm: 'Herzfrequenz (/min)', BP_sys: 'Systolischer Blutdruck (mmHg)', BP_dia: 'Diastolischer Blutdruck (mmHg)', Rhythm: 'Rhythmus', Age_years: 'Alter (Jahre)', Sex: 'Geschlecht',
+      MR_severity: 'Schweregrad der Mitralinsuffizienz', Mitral_stenosis: 'Mitralstenose', HCM: 'Hypertrophe Kardiomyopathie', Heart_transplant: 'Herztransplantation',
+      MV_E_accel_cm_s2: 'Akzelerationsrate der E-Welle (cm/s²)', PV_Ar_minus_A_ms: 'PV Ar − mitrale A-Dauer (ms)',
+      LA_reservoir_strain_pct: 'LA-Reservoir-Strain (%, LASr/LARS/PALS)', PV_SD_ratio: 'Pulmonalvenen S/D-Verhältnis', IVRT_ms: 'Isovolumetrische Relaxationszeit (ms)',
+      PASP_mmHg: 'Systolischer PA-Druck (mmHg)', RA_pressure_mmHg: 'Rechtsatrialer Druck (mmHg)', LV_GLS_pct: 'LV globaler longitudinaler Strain (%)',
+      LA_stiffness_index: 'LA-Steifigkeitsindex (E/e′ gemittelt ÷ LARS %)', E_over_eprime_avg_exercise: 'E/e′ unter Belastung (gemittelt)', TR_Vmax_exercise_m_s: 'TI Vmax unter Belastung (m/s)'
+    },
+    ui: {
+      filled: (v) => `Diastolic Paste: ${v.count} ${v.count === 1 ? 'Feld' : 'Felder'} ausgefüllt${v.profile ? ` (${v.profile})` : ''}${v.ignored ? `; ${v.ignored} ${v.ignored === 1 ? 'unplausibler Wert' : 'unplausible Werte'} ignoriert` : ''}.`,
+      restored: (v) => `Diastolic Paste: ${v.count} ${v.count === 1 ? 'Feld' : 'Felder'} wiederhergestellt.`,
+      nothingFilled: 'Diastolic Paste: nichts ausgefüllt.',
+      fileUnsupported: 'Diastolic Paste: {name} wurde nicht gelesen; bitte einen .txt-, .html- oder .pdf-Befund ablegen.',
+      fileEmpty: 'Diastolic Paste: {name} enthält keinen Text.',
+      pdfNoText: 'Diastolic Paste: {name} hat keine Textebene (gescanntes PDF?).',
+      fileFailed: 'Diastolic Paste: {name} konnte nicht gelesen werden ({message}).',
+      fileNothing: 'Diastolic Paste: keine Echo-Messwerte in der Datei gefunden.',
+      ocrRunning: 'Diastolic Paste: Text wird aus {name} gelesen …',
+      overridden: '{label}: von Hand eingegeben und daher nicht neu berechnet. Feld leeren, um wieder die Formel zu verwenden.',
+      exportFailed: 'Diastolic Paste: Export fehlgeschlagen.',
+      copied: 'Diastolic Paste: Befundtext kopiert.',
+      copyFailed: 'Diastolic Paste: Kopieren nicht möglich; bitte den Text markieren und manuell kopieren.',
+      loaded: 'Diastolic Paste: „{name}“ geladen.',
+      undo: 'Rückgängig',
+      notANumber: '{label}: „{raw}“ ist keine Zahl.',
+      reviewTitle: 'Erkannte Werte prüfen',
+      reviewHelp: 'Haken bei Werten entfernen, die nicht übernommen werden sollen. ↑/↓ wechseln, Leertaste umschalten, A alle, N keine, Enter übernehmen, Esc abbrechen.',
+      reviewUse: 'Übernehmen', reviewField: 'Feld', reviewCurrent: 'Aktuell', reviewNew: 'Neu',
+      reviewFill: '{label} ausfüllen', reviewConflicting: ' (widersprüchliche Treffer)',
+      selectNone: 'Keine auswählen', cancel: 'Abbrechen', apply: 'Übernehmen',
+      historyName: 'Bezeichnung (ohne Patientendaten)', historyNameLabel: 'Name der Beurteilung', historyDate: 'Untersuchungsdatum', historySave: 'Beurteilung speichern',
+      historySearch: 'Gespeicherte Beurteilungen durchsuchen', historyCompareCol: 'Vergleich', historyNameCol: 'Name', historyGradeCol: 'Grad',
+      historyCompare: 'Markierte vergleichen', historyPassphrase: 'Passphrase', historyPassphraseLabel: 'Passphrase für die verschlüsselte Datei',
+      historyExport: 'Verschlüsselt exportieren', historyImport: 'Verschlüsselt importieren', historyLoad: 'Laden', historyDelete: 'Löschen',
+      historyEmpty: 'Noch keine gespeicherten Beurteilungen.', historyNoMatches: 'Keine Treffer.',
+      historySaved: '„{name}“ gespeichert.', historyLoaded: '„{name}“ geladen.', historyFormEmpty: 'Nichts zu speichern: Das Formular ist leer.',
+      historyPickTwo: 'Zum Vergleichen zwei Beurteilungen markieren.', historyExported: 'Verschlüsselte Verlaufsdatei gespeichert. Passphrase aufbewahren: Sie kann nicht wiederhergestellt werden.',
+      historyImported: (v) => `${v.added} neue und ${v.updated} aktualisierte ${v.added + v.updated === 1 ? 'Beurteilung' : 'Beurteilungen'} importiert${v.skipped ? `; ${v.skipped} bereits aktuell` : ''}.`,
+      historyMemory: 'Dieser Browser hat kein IndexedDB; Beurteilungen bleiben nur bis zum Schließen der Seite erhalten.',
+      historyCompareOne: '{name} vergleichen', historyField: 'Feld', historyChange: 'Änderung',
+      changeAdded: 'neu', changeRemoved: 'nicht gemessen', changeChanged: 'geändert',
+      directionBetter: 'gebessert', directionWorse: 'verschlechtert', directionSame: 'unverändert', directionUnknown: 'nicht vergleichbar',
+      language: 'Sprache',
+      calcHint: 'Echobefund hier einfügen oder eine .txt-, .html- oder .pdf-Datei auf dem Rechner ablegen.',
+      calcGrade: 'Grad', calcConfidence: 'Sicherheit', calcCriteria: 'Erfüllte Kriterien', calcCopy: 'Befundtext kopieren',
+      privacyIdle: 'Identifizierende Angaben werden vor dem Einlesen aus eingefügten Befunden entfernt; nur die Messwerte bleiben erhalten.',
+      privacyRedacted: 'Vor dem Einlesen entfernt: {list}. Nur die Messwerte wurden übernommen; der eingefügte Text wurde verworfen.',
+      privacyClean: 'Keine identifizierenden Angaben gefunden. Nur die Messwerte wurden übernommen; der eingefügte Text wurde verworfen.',
+      privacyOff: 'Die Anonymisierung ist ausgeschaltet: eingefügte Befunde werden unverändert eingelesen.',
+      privacyHistory: 'Gespeicherte Beurteilungen sind davon ausgenommen: Bezeichnung und Messwerte bleiben wie eingegeben in diesem Browser.',
+      phiName: 'Name', phiDob: 'Geburtsdatum', phiDate: 'Untersuchungsdatum', phiMrn: 'Patientennummer', phiAccession: 'Auftragsnummer',
+      phiId: 'Ausweis- oder Versichertennummer', phiPhone: 'Telefonnummer', phiEmail: 'E-Mail-Adresse',
+      stressRest: 'Ruhe', stressLow: 'Niedrige Belastung', stressPeak: 'Maximalbelastung', stressRecovery: 'Erholung', stressMeasure: 'Messwert',
+      stressChart: 'E/e′ und TI Vmax je Stufe', stressEE: 'E/e′ (Mittelwert)', stressTR: 'TI Vmax (m/s)', stressLimits: 'gestrichelt: Grenzwerte für einen positiven Test',
+      stressPositive: 'Positive diastolische Stressechokardiographie: Der Füllungsdruck steigt unter Belastung.',
+      stressNegative: 'Negative diastolische Stressechokardiographie: Der Füllungsdruck bleibt unter Belastung normal.',
+      stressIndeterminate: 'Diastolische Stressechokardiographie nicht eindeutig.',
+      stressEmpty: 'Stressechobefund einfügen oder die Werte je Stufe eingeben, um den Belastungstest zu beurteilen.'
+    }
+  });
+  registerLanguage('fr', {
+    name: 'Français',
+    fillers: ['de', 'est de', 'mesuré à', 'mesurée à', 'estimé à', 'estimée à', 'environ', 'env.'],
+    labels: {
+      MV_E_m_s: ['onde E', "vitesse de l'onde E", 'vitesse onde E', 'vitesse E', 'E mitral', 'E mitrale', 'pic E'],
+      MV_A_m_s: ['onde A', "vitesse de l'onde A", 'vitesse onde A', 'vitesse A', 'A mitral', 'A mitrale', 'pic A'],
+      EA_ratio: ['rapport E/A'],
+      DT_ms: ['temps de décélération', "temps de décélération de l'onde E", 'TDE'],
+      eprime_septal_cm_s: ["e' septale", "onde e' septale"],
+      eprime_lateral_cm_s: ["e' latéral", "e' latérale", "onde e' latérale"],
+      eprime_avg_cm_s: ["e' moyen", "e' moyenne", "moyenne e'"],
+      E_over_eprime_septal: ["E/e' septale"],
+      E_over_eprime_lateral: ["E/e' latéral", "E/e' latérale"],
+      E_over_eprime_avg: ["E/e' moyen", "E/e' moyenne", "rapport E/e' moyen"],
+      TR_Vmax_m_s: ['Vmax IT', 'IT Vmax', 'vitesse IT', "vitesse de l'IT", "vitesse maximale de l'IT", 'vitesse maximale IT'],
+      LAVI_ml_m2: ['volume OG indexé', "volume de l'OG indexé", 'VOG indexé', 'VOGi', "volume de l'oreillette gauche indexé"],
+      LA_volume_ml: ['volume OG', "volume de l'OG", 'VOG', "volume de l'oreillette gauche"],
+      BSA_m2: ['surface corporelle', 'SC'],
+      HR_bpm: ['fréquence cardiaque', 'FC'],
+      BP_sys: ['pression artérielle', 'tension artérielle', 'PA', 'TA'],
+      BP_dia: ['pression artérielle', 'tension artérielle', 'PA', 'TA'],
+      Age_years: ['âge'],
+      MV_E_accel_cm_s2: ["accélération de l'onde E", "taux d'accélération E"],
+      PV_Ar_minus_A_ms: ['différence Ar-A', 'durée Ar-A'],
+      LA_reservoir_strain_pct: ["strain de réservoir de l'OG", 'strain réservoir OG', "strain de l'OG"],
+      PV_SD_ratio: ['rapport S/D des veines pulmonaires', 'S/D veines pulmonaires', 'rapport S/D VP'],
+      IVRT_ms: ['TRIV', 'temps de relaxation isovolumique', 'temps de relaxation isovolumétrique'],
+      PASP_mmHg: ['PAPs', 'PAP systolique', 'pression artérielle pulmonaire systolique'],
+      RA_pressure_mmHg: ['POD', "pression de l'OD", 'pression auriculaire droite'],
+      LV_GLS_pct: ['strain longitudinal global', 'SLG'],
+      LA_stiffness_index: ["indice de rigidité de l'OG"],
+      E_over_eprime_avg_exercise: ["E/e' à l'effort", "E/e' d'effort"],
+      TR_Vmax_exercise_m_s: ["Vmax IT à l'effort", "vitesse IT à l'effort"]
+    },
+    values: {
+      Rhythm: { AF: ['fibrillation auriculaire', 'fibrillation atriale', 'ACFA'], Sinus: ['rythme sinusal'], Paced: ['rythme électro-entraîné', 'rythme stimulé', 'rythme de pacemaker'] },
+      MR_severity: {
+        labels: ['insuffisance mitrale', 'fuite mitrale', 'IM'],
+        None: ['absente'], Mild: ['minime', 'légère', 'grade I', 'grade 1'],
+        Moderate: ['modérée', 'moyenne', 'grade II', 'grade 2'], 'Moderate-severe': ['modérée à sévère', 'modérée à importante', 'grade III', 'grade 3'], Severe: ['sévère', 'importante', 'massive', 'grade IV', 'grade 4']
+      }
+    },
+    negations: ['pas de', "pas d'", 'absence de', "absence d'", 'sans'],
+    absent: ['non', 'absent', 'absente', 'aucun', 'aucune', 'néant', 'négatif'],
+    terms: {
+      Mitral_stenosis: ['rétrécissement mitral', 'sténose mitrale'],
+      HCM: ['cardiomyopathie hypertrophique', 'cardiomyopathie hypertrophique obstructive', 'CMH', 'CMHO'],
+      Heart_transplant: ['transplantation cardiaque', 'greffe cardiaque', 'transplanté cardiaque', 'greffé cardiaque']
+    },
+    patterns: {
+      Age_years: [/(?<![\p{N}])([0-9]{1,3})\s*ans(?![\p{L}])/iu],
+      Sex: [/Sexe\s*[:=]?\s*(masculin|féminin|homme|femme|m|f)(?![\p{L}])/iu]
+    },
+    fields: {
+      MV_E_m_s: 'Vitesse E mitrale (m/s)', MV_A_m_s: 'Vitesse A mitrale (m/s)', EA_ratio: 'Rapport E/A', DT_ms: "Temps de décélération de l'onde E (ms)",
+      eprime_septal_cm_s: 'e′ septale (cm/s)', eprime_lateral_cm_s: 'e′ latérale (cm/s)', eprime_avg_cm_s: 'e′ moyenne (cm/s)',
+      E_over_eprime_septal: 'E/e′ septale', E_over_eprime_lateral: 'E/e′ latérale', E_over_eprime_avg: 'E/e′ moyen',
+      TR_Vmax_m_s: 'Vitesse maximale de l’IT (m/s)', LAVI_ml_m2: 'Volume OG indexé (mL/m²)', LA_volume_ml: 'Volume OG (mL)', BSA_m2: 'Surface corporelle (m²)',
+      HR_bpm: 'Fréquence cardiaque (bpm)', BP_sys: 'PA systolique (mmHg)', BP_dia: 'PA diastolique (mmHg)', Rhythm: 'Rythme', Age_years: 'Âge (ans)', Sex: 'Sexe',
+      MR_severity: "Sévérité de l'insuffisance mitrale", Mitral_stenosis: 'Rétrécissement mitral', HCM: 'Cardiomyopathie hypertrophique', Heart_transplant: 'Transplantation cardiaque',
+      MV_E_accel_cm_s2: "Taux d'accélération de l'onde E (cm/s²)", PV_Ar_minus_A_ms: 'Durée Ar VP − durée A mitrale (ms)',
+      LA_reservoir_strain_pct: "Strain de réservoir de l'OG (%, LASr/LARS/PALS)", PV_SD_ratio: 'Rapport S/D des veines pulmonaires', IVRT_ms: 'Temps de relaxation isovolumique (ms)',
+      PASP_mmHg: 'Pression artérielle pulmonaire systolique (mmHg)', RA_pressure_mmHg: "Pression de l'OD (mmHg)", LV_GLS_pct: 'Strain longitudinal global du VG (%)',
+      LA_stiffness_index: "Indice de rigidité de l'OG (E/e′ moyen ÷ LARS %)", E_over_eprime_avg_exercise: "E/e′ moyen à l'effort", TR_Vmax_exercise_m_s: "Vmax IT à l'effort (m/s)"
+    },
+    ui: {
+      filled: (v) => `Diastolic Paste : ${v.count} champ${v.count === 1 ? '' : 's'} rempli${v.count === 1 ? '' : 's'}${v.profile ? ` (${v.profile})` : ''}${v.ignored ? ` ; ${v.ignored} valeur${v.ignored === 1 ? '' : 's'} invraisemblable${v.ignored === 1 ? '' : 's'} ignorée${v.ignored === 1 ? '' : 's'}` : ''}.`,
+      restored: (v) => `Diastolic Paste : ${v.count} champ${v.count === 1 ? '' : 's'} restauré${v.count === 1 ? '' : 's'}.`,
+      nothingFilled: 'Diastolic Paste : aucun champ rempli.',
+      fileUnsupported: 'Diastolic Paste : {name} n’a pas été lu ; déposez un compte rendu .txt, .html ou .pdf.',
+      fileEmpty: 'Diastolic Paste : {name} ne contient pas de texte.',
+      pdfNoText: 'Diastolic Paste : {name} n’a pas de couche texte (PDF numérisé ?).',
+      fileFailed: 'Diastolic Paste : impossible de lire {name} ({message}).',
+      fileNothing: 'Diastolic Paste : aucune mesure échographique trouvée dans le fichier.',
+      ocrRunning: 'Diastolic Paste : lecture du texte de {name}…',
+      overridden: '{label} : saisi à la main, donc non recalculé. Videz le champ pour revenir à la formule.',
+      exportFailed: "Diastolic Paste : échec de l'export.",
+      copied: 'Diastolic Paste : texte du compte rendu copié.',
+      copyFailed: 'Diastolic Paste : copie impossible ; sélectionnez le texte et copiez-le manuellement.',
+      loaded: 'Diastolic Paste : « {name} » chargé.',
+      undo: 'Annuler',
+      notANumber: "{label} : « {raw} » n'est pas un nombre.",
+      reviewTitle: 'Vérifier les valeurs extraites',
+      reviewHelp: 'Décochez les valeurs à ne pas reporter. ↑/↓ déplacer, Espace cocher, A toutes, N aucune, Entrée appliquer, Échap annuler.',
+      reviewUse: 'Utiliser', reviewField: 'Champ', reviewCurrent: 'Actuel', reviewNew: 'Nouveau',
+      reviewFill: 'Remplir {label}', reviewConflicting: ' (valeurs contradictoires)',
+      selectNone: 'Tout décocher', cancel: 'Annuler', apply: 'Appliquer',
+      historyName: 'Libellé (sans données du patient)', historyNameLabel: "Nom de l'évaluation", historyDate: "Date de l'examen", historySave: "Enregistrer l'évaluation",
+      historySearch: 'Rechercher dans les évaluations', historyCompareCol: 'Comparer', historyNameCol: 'Nom', historyGradeCol: 'Grade',
+      historyCompare: 'Comparer la sélection', historyPassphrase: 'Phrase secrète', historyPassphraseLabel: 'Phrase secrète du fichier chiffré',
+      historyExport: 'Exporter (chiffré)', historyImport: 'Importer (chiffré)', historyLoad: 'Charger', historyDelete: 'Supprimer',
+      historyEmpty: 'Aucune évaluation enregistrée.', historyNoMatches: 'Aucun résultat.',
+      historySaved: '« {name} » enregistré.', historyLoaded: '« {name} » chargé.', historyFormEmpty: 'Rien à enregistrer : le formulaire est vide.',
+      historyPickTwo: 'Cochez deux évaluations à comparer.', historyExported: "Fichier d'historique chiffré enregistré. Conservez la phrase secrète : elle ne peut pas être récupérée.",
+      historyImported: (v) => `${v.added} nouvelle${v.added === 1 ? '' : 's'} et ${v.updated} mise${v.updated === 1 ? '' : 's'} à jour importée${v.added + v.updated === 1 ? '' : 's'}${v.skipped ? ` ; ${v.skipped} déjà à jour` : ''}.`,
+      historyMemory: "Ce navigateur n'a pas d'IndexedDB ; les évaluations sont conservées jusqu'à la fermeture de la page.",
+      historyCompareOne: 'Comparer {name}', historyField: 'Champ', historyChange: 'Évolution',
+      changeAdded: 'nouveau', changeRemoved: 'non mesuré', changeChanged: 'modifié',
+      directionBetter: 'amélioration', directionWorse: 'aggravation', directionSame: 'inchangé', directionUnknown: 'non comparable',
+      language: 'Langue',
+      calcHint: 'Collez un compte rendu d’échographie ici, ou déposez un fichier .txt, .html ou .pdf sur le calculateur.',
+      calcGrade: 'Grade', calcConfidence: 'Confiance', calcCriteria: 'Critères remplis', calcCopy: 'Copier le texte du compte rendu',
+      privacyIdle: "Les données d'identification sont retirées des comptes rendus collés avant leur lecture ; seules les mesures sont conservées.",
+      privacyRedacted: 'Retiré avant la lecture : {list}. Seules les mesures ont été conservées ; le texte collé a été supprimé.',
+      privacyClean: "Aucune donnée d'identification trouvée. Seules les mesures ont été conservées ; le texte collé a été supprimé.",
+      privacyOff: 'La désidentification est désactivée : les comptes rendus collés sont lus tels quels.',
+      privacyHistory: "Les évaluations enregistrées n'en font pas partie : leur libellé et leurs mesures restent dans ce navigateur tels que saisis.",
+      phiName: 'nom', phiDob: 'date de naissance', phiDate: "date de l'examen", phiMrn: 'numéro de dossier', phiAccession: "numéro d'examen",
+      phiId: "numéro d'identification", phiPhone: 'numéro de téléphone', phiEmail: 'adresse e-mail',
+      stressRest: 'Repos', stressLow: 'Faible charge', stressPeak: "Pic d'effort", stressRecovery: 'Récupération', stressMeasure: 'Mesure',
+      stressChart: 'E/e′ et Vmax IT par palier', stressEE: 'E/e′ moyen', stressTR: 'Vmax IT (m/s)', stressLimits: 'pointillés : seuils de positivité',
+      stressPositive: "Échographie d'effort diastolique positive : les pressions de remplissage s'élèvent à l'effort.",
+      stressNegative: "Échographie d'effort diastolique négative : les pressions de remplissage restent normales à l'effort.",
+      stressIndeterminate: "Échographie d'effort diastolique non concluante.",
+      stressEmpty: "Collez un compte rendu d'échographie d'effort ou saisissez les valeurs par palier pour interpréter le test."
+    }
+  });
+  registerLanguage('es', {
+    name: 'Español',
+    fillers: ['de', 'es de', 'aprox.', 'aproximadamente', 'alrededor de'],
+    labels: {
+      MV_E_m_s: ['onda E', 'velocidad E', 'velocidad de la onda E', 'velocidad de onda E', 'E mitral', 'pico E'],
+      MV_A_m_s: ['onda A', 'velocidad A', 'velocidad de la onda A', 'velocidad de onda A', 'A mitral', 'pico A'],
+      EA_ratio: ['relación E/A', 'cociente E/A', 'índice E/A'],
+      DT_ms: ['tiempo de desaceleración', 'tiempo de deceleración', 'TDE'],
+      eprime_septal_cm_s: ["onda e' septal"],
+      eprime_lateral_cm_s: ["onda e' lateral"],
+      eprime_avg_cm_s: ["e' promedio", "e' media", "e' medio"],
+      E_over_eprime_septal: ["relación E/e' septal"],
+      E_over_eprime_lateral: ["relación E/e' lateral"],
+      E_over_eprime_avg: ["E/e' promedio", "E/e' medio", "E/e' media", "relación E/e' promedio"],
+      TR_Vmax_m_s: ['Vmax IT', 'IT Vmax', 'velocidad de IT', 'velocidad máxima de IT', 'velocidad máxima de la IT', 'velocidad de regurgitación tricuspídea'],
+      LAVI_ml_m2: ['volumen AI indexado', 'volumen de AI indexado', 'volumen indexado de AI', 'volumen auricular izquierdo indexado', 'VAI indexado', 'VAIi'],
+      LA_volume_ml: ['volumen AI', 'volumen de AI', 'volumen de la AI', 'volumen auricular izquierdo', 'VAI'],
+      BSA_m2: ['superficie corporal', 'SC', 'ASC'],
+      HR_bpm: ['frecuencia cardíaca', 'frecuencia cardiaca', 'FC'],
+      BP_sys: ['presión arterial', 'tensión arterial', 'PA', 'TA'],
+      BP_dia: ['presión arterial', 'tensión arterial', 'PA', 'TA'],
+      Age_years: ['edad'],
+      MV_E_accel_cm_s2: ['aceleración de la onda E', 'tasa de aceleración E'],
+      PV_Ar_minus_A_ms: ['diferencia Ar-A', 'duración Ar-A'],
+      LA_reservoir_strain_pct: ['strain de reservorio de AI', 'strain reservorio AI', 'strain de AI'],
+      PV_SD_ratio: ['relación S/D de venas pulmonares', 'S/D venas pulmonares', 'cociente S/D pulmonar'],
+      IVRT_ms: ['TRIV', 'tiempo de relajación isovolumétrica', 'tiempo de relajación isovolumétrico'],
+      PASP_mmHg: ['PSAP', 'PAPs', 'presión sistólica de la arteria pulmonar', 'presión sistólica pulmonar'],
+      RA_pressure_mmHg: ['PAD', 'presión de AD', 'presión auricular derecha'],
+      LV_GLS_pct: ['strain longitudinal global', 'SLG'],
+      LA_stiffness_index: ['índice de rigidez de AI'],
+      E_over_eprime_avg_exercise: ["E/e' en esfuerzo", "E/e' de esfuerzo"],
+      TR_Vmax_exercise_m_s: ['Vmax IT en esfuerzo', 'velocidad de IT en esfuerzo']
+    },
+    values: {
+      Rhythm: { AF: ['fibrilación auricular', 'fibrilación atrial'], Sinus: ['ritmo sinusal'], Paced: ['ritmo de marcapasos', 'ritmo estimulado'] },
+      MR_severity: {
+        labels: ['insuficiencia mitral', 'regurgitación mitral', 'IM'],
+        None: ['ausente'], Mild: ['leve', 'ligera', 'mínima', 'trivial'],
+        Moderate: ['moderada'], 'Moderate-severe': ['moderada a severa', 'moderada-severa', 'moderada a grave'], Severe: ['severa', 'grave']
+      }
+    },
+    negations: ['sin', 'no hay', 'no se observa', 'no'],
+    absent: ['ausente', 'ninguna', 'ninguno', 'negativo'],
+    terms: {
+      Mitral_stenosis: ['estenosis mitral'],
+      HCM: ['miocardiopatía hipertrófica', 'miocardiopatía hipertrófica obstructiva', 'MCH'],
+      Heart_transplant: ['trasplante cardíaco', 'trasplante cardiaco', 'trasplante de corazón', 'trasplantado cardíaco']
+    },
+    patterns: {
+      Age_years: [/(?<![\p{N}])([0-9]{1,3})\s*años(?![\p{L}])/iu],
+      Sex: [/Sexo\s*[:=]?\s*(masculino|femenino|hombre|mujer|varón)(?![\p{L}])/iu]
+    },
+    fields: {
+      MV_E_m_s: 'Velocidad E mitral (m/s)', MV_A_m_s: 'Velocidad A mitral (m/s)', EA_ratio: 'Relación E/A', DT_ms: 'Tiempo de desaceleración de la onda E (ms)',
+      eprime_septal_cm_s: 'e′ septal (cm/s)', eprime_lateral_cm_s: 'e′ lateral (cm/s)', eprime_avg_cm_s: 'e′ promedio (cm/s)',
+      E_over_eprime_septal: 'E/e′ septal', E_over_eprime_lateral: 'E/e′ lateral', E_over_eprime_avg: 'E/e′ promedio',
+      TR_Vmax_m_s: 'Velocidad máxima de IT (m/s)', LAVI_ml_m2: 'Volumen AI indexado (mL/m²)', LA_volume_ml: 'Volumen AI (mL)', BSA_m2: 'Superficie corporal (m²)',
+      HR_bpm: 'Frecuencia cardíaca (lpm)', BP_sys: 'PA sistólica (mmHg)', BP_dia: 'PA diastólica (mmHg)', Rhythm: 'Ritmo', Age_years: 'Edad (años)', Sex: 'Sexo',
+      MR_severity: 'Gravedad de la insuficiencia mitral', Mitral_stenosis: 'Estenosis mitral', HCM: 'Miocardiopatía hipertrófica', Heart_transplant: 'Trasplante cardíaco',
+      MV_E_accel_cm_s2: 'Tasa de aceleración de la onda E (cm/s²)', PV_Ar_minus_A_ms: 'Duración Ar VP − A mitral (ms)',
+      LA_reservoir_strain_pct: 'Strain de reservorio de AI (%, LASr/LARS/PALS)', PV_SD_ratio: 'Relación S/D de venas pulmonares', IVRT_ms: 'Tiempo de relajación isovolumétrica (ms)',
+      PASP_mmHg: 'Presión sistólica de la arteria pulmonar (mmHg)', RA_pressure_mmHg: 'Presión de AD (mmHg)', LV_GLS_pct: 'Strain longitudinal global del VI (%)',
+      LA_stiffness_index: 'Índice de rigidez de AI (E/e′ promedio ÷ LARS %)', E_over_eprime_avg_exercise: 'E/e′ promedio en esfuerzo', TR_Vmax_exercise_m_s: 'Vmax IT en esfuerzo (m/s)'
+    },
+    ui: {
+      filled: (v) => `Diastolic Paste: ${v.count} campo${v.count === 1 ? '' : 's'} completado${v.count === 1 ? '' : 's'}${v.profile ? ` (${v.profile})` : ''}${v.ignored ? `; ${v.ignored} valor${v.ignored === 1 ? '' : 'es'} inverosímil${v.ignored === 1 ? '' : 'es'} ignorado${v.ignored === 1 ? '' : 's'}` : ''}.`,
+      restored: (v) => `Diastolic Paste: ${v.count} campo${v.count === 1 ? '' : 's'} restaurado${v.count === 1 ? '' : 's'}.`,
+      nothingFilled: 'Diastolic Paste: no se completó nada.',
+      fileUnsupported: 'Diastolic Paste: no se leyó {name}; arrastre un informe .txt, .html o .pdf.',
+      fileEmpty: 'Diastolic Paste: {name} no contiene texto.',
+      pdfNoText: 'Diastolic Paste: {name} no tiene capa de texto (¿PDF escaneado?).',
+      fileFailed: 'Diastolic Paste: no se pudo leer {name} ({message}).',
+      fileNothing: 'Diastolic Paste: no se encontraron medidas ecocardiográficas en el archivo.',
+      ocrRunning: 'Diastolic Paste: leyendo el texto de {name}…',
+      overridden: '{label}: introducido a mano, por lo que no se recalcula. Vacíe el campo para volver a usar la fórmula.',
+      exportFailed: 'Diastolic Paste: la exportación falló.',
+      copied: 'Diastolic Paste: texto del informe copiado.',
+      copyFailed: 'Diastolic Paste: no se pudo copiar; seleccione el texto y cópielo manualmente.',
+      loaded: 'Diastolic Paste: «{name}» cargado.',
+      undo: 'Deshacer',
+      notANumber: '{label}: «{raw}» no es un número.',
+      reviewTitle: 'Revisar los valores extraídos',
+      reviewHelp: 'Desmarque los valores que no desea usar. ↑/↓ mover, Espacio marcar, A todos, N ninguno, Intro aplicar, Esc cancelar.',
+      reviewUse: 'Usar', reviewField: 'Campo', reviewCurrent: 'Actual', reviewNew: 'Nuevo',
+      reviewFill: 'Completar {label}', reviewConflicting: ' (valores contradictorios)',
+      selectNone: 'Desmarcar todo', cancel: 'Cancelar', apply: 'Aplicar',
+      historyName: 'Etiqueta (sin datos del paciente)', historyNameLabel: 'Nombre de la evaluación', historyDate: 'Fecha del estudio', historySave: 'Guardar evaluación',
+      historySearch: 'Buscar evaluaciones guardadas', historyCompareCol: 'Comparar', historyNameCol: 'Nombre', historyGradeCol: 'Grado',
+      historyCompare: 'Comparar las marcadas', historyPassphrase: 'Frase de contraseña', historyPassphraseLabel: 'Frase de contraseña del archivo cifrado',
+      historyExport: 'Exportar cifrado', historyImport: 'Importar cifrado', historyLoad: 'Cargar', historyDelete: 'Eliminar',
+      historyEmpty: 'Todavía no hay evaluaciones guardadas.', historyNoMatches: 'Sin resultados.',
+      historySaved: '«{name}» guardado.', historyLoaded: '«{name}» cargado.', historyFormEmpty: 'Nada que guardar: el formulario está vacío.',
+      historyPickTwo: 'Marque dos evaluaciones para compararlas.', historyExported: 'Archivo de historial cifrado guardado. Conserve la frase de contraseña: no se puede recuperar.',
+      historyImported: (v) => `${v.added} nueva${v.added === 1 ? '' : 's'} y ${v.updated} actualizada${v.updated === 1 ? '' : 's'} importada${v.added + v.updated === 1 ? '' : 's'}${v.skipped ? `; ${v.skipped} ya al día` : ''}.`,
+      historyMemory: 'Este navegador no tiene IndexedDB; las evaluaciones se conservan hasta cerrar la página.',
+      historyCompareOne: 'Comparar {name}', historyField: 'Campo', historyChange: 'Cambio',
+      changeAdded: 'nuevo', changeRemoved: 'no medido', changeChanged: 'modificado',
+      directionBetter: 'mejoría', directionWorse: 'empeoramiento', directionSame: 'sin cambios', directionUnknown: 'no comparable',
+      language: 'Idioma',
+      calcHint: 'Pegue aquí un informe de ecocardiografía o suelte un archivo .txt, .html o .pdf sobre la calculadora.',
+      calcGrade: 'Grado', calcConfidence: 'Confianza', calcCriteria: 'Criterios cumplidos', calcCopy: 'Copiar el texto del informe',
+      privacyIdle: 'Los datos identificativos se eliminan de los informes pegados antes de leerlos; solo se conservan las mediciones.',
+      privacyRedacted: 'Eliminado antes de la lectura: {list}. Solo se conservaron las mediciones; el texto pegado se descartó.',
+      privacyClean: 'No se encontraron datos identificativos. Solo se conservaron las mediciones; el texto pegado se descartó.',
+      privacyOff: 'La anonimización está desactivada: los informes pegados se leen tal cual.',
+      privacyHistory: 'Las evaluaciones guardadas quedan fuera: su etiqueta y sus mediciones se conservan en este navegador tal como se introdujeron.',
+      phiName: 'nombre', phiDob: 'fecha de nacimiento', phiDate: 'fecha del estudio', phiMrn: 'número de historia', phiAccession: 'número de estudio',
+      phiId: 'número de identificación', phiPhone: 'número de teléfono', phiEmail: 'correo electrónico',
+      stressRest: 'Reposo', stressLow: 'Carga baja', stressPeak: 'Pico', stressRecovery: 'Recuperación', stressMeasure: 'Medida',
+      stressChart: 'E/e′ y Vmax IT por etapa', stressEE: 'E/e′ promedio', stressTR: 'Vmax IT (m/s)', stressLimits: 'discontinuas: umbrales de positividad',
+      stressPositive: 'Eco de esfuerzo diastólico positivo: las presiones de llenado aumentan con el esfuerzo.',
+      stressNegative: 'Eco de esfuerzo diastólico negativo: las presiones de llenado siguen normales con el esfuerzo.',
+      stressIndeterminate: 'Eco de esfuerzo diastólico indeterminado.',
+      stressEmpty: 'Pegue un informe de eco de esfuerzo o introduzca los valores por etapa para interpretar la prueba.'
+    }
+  });
+  registerLanguage('it', {
+    name: 'Italiano',
+    fillers: ['di', 'è di', 'pari a', 'circa', 'ca.'],
+    labels: {
+      MV_E_m_s: ['onda E', 'velocità E', "velocità dell'onda E", 'velocità onda E', 'E mitralica', 'picco E'],
+      MV_A_m_s: ['onda A', 'velocità A', "velocità dell'onda A", 'velocità onda A', 'A mitralica', 'picco A'],
+      EA_ratio: ['rapporto E/A'],
+      DT_ms: ['tempo di decelerazione', "tempo di decelerazione dell'onda E"],
+      eprime_septal_cm_s: ["e' settale", "onda e' settale"],
+      eprime_lateral_cm_s: ["e' laterale", "onda e' laterale"],
+      eprime_avg_cm_s: ["e' medio", "e' media"],
+      E_over_eprime_septal: ["E/e' settale"],
+      E_over_eprime_lateral: ["E/e' laterale"],
+      E_over_eprime_avg: ["E/e' medio", "E/e' media", "rapporto E/e' medio"],
+      TR_Vmax_m_s: ['Vmax IT', 'IT Vmax', 'velocità IT', 'velocità massima IT', 'velocità di rigurgito tricuspidale', 'velocità massima del rigurgito tricuspidale'],
+      LAVI_ml_m2: ['volume AS indicizzato', 'volume atriale sinistro indicizzato', 'volume indicizzato AS', 'VASi'],
+      LA_volume_ml: ['volume AS', 'volume atriale sinistro', "volume dell'atrio sinistro"],
+      BSA_m2: ['superficie corporea', 'SC'],
+      HR_bpm: ['frequenza cardiaca', 'FC'],
+      BP_sys: ['pressione arteriosa', 'PA'],
+      BP_dia: ['pressione arteriosa', 'PA'],
+      Age_years: ['età'],
+      MV_E_accel_cm_s2: ["accelerazione dell'onda E", 'tasso di accelerazione E'],
+      PV_Ar_minus_A_ms: ['differenza Ar-A', 'durata Ar-A'],
+      LA_reservoir_strain_pct: ["strain di reservoir dell'AS", 'strain reservoir AS', 'strain atriale sinistro'],
+      PV_SD_ratio: ['rapporto S/D delle vene polmonari', 'S/D vene polmonari'],
+      IVRT_ms: ['tempo di rilasciamento isovolumetrico', 'TRIV'],
+      PASP_mmHg: ['PAPs', 'pressione arteriosa polmonare sistolica', 'pressione sistolica polmonare'],
+      RA_pressure_mmHg: ['pressione atriale destra', 'pressione AD', 'PAD'],
+      LV_GLS_pct: ['strain longitudinale globale', 'SLG'],
+      LA_stiffness_index: ['indice di rigidità atriale sinistra'],
+      E_over_eprime_avg_exercise: ["E/e' da sforzo", "E/e' sotto sforzo"],
+      TR_Vmax_exercise_m_s: ['Vmax IT da sforzo', 'velocità IT sotto sforzo']
+    },
+    values: {
+      Rhythm: { AF: ['fibrillazione atriale'], Sinus: ['ritmo sinusale'], Paced: ['ritmo da pacemaker', 'ritmo stimolato', 'ritmo indotto da pacemaker'] },
+      MR_severity: {
+        labels: ['insufficienza mitralica', 'rigurgito mitralico', 'IM'],
+        None: ['assente'], Mild: ['lieve', 'minima', 'lieve-minima'],
+        Moderate: ['moderata', 'lieve-moderata'], 'Moderate-severe': ['moderata-severa', 'medio-severa', 'moderata-grave'], Severe: ['severa', 'grave']
+      }
+    },
+    negations: ['non', 'nessuna', 'assenza di', 'senza'],
+    absent: ['no', 'assente', 'nessuno', 'negativo'],
+    terms: {
+      Mitral_stenosis: ['stenosi mitralica'],
+      HCM: ['cardiomiopatia ipertrofica', 'cardiomiopatia ipertrofica ostruttiva', 'CMI', 'CMIO'],
+      Heart_transplant: ['trapianto cardiaco', 'trapianto di cuore', 'trapiantato cardiaco']
+    },
+    patterns: {
+      Age_years: [/(?<![\p{N}])([0-9]{1,3})\s*anni(?![\p{L}])/iu],
+      Sex: [/Sesso\s*[:=]?\s*(maschile|femminile|maschio|femmina|uomo|donna|m|f)(?![\p{L}])/iu]
+    },
+    fields: {
+      MV_E_m_s: 'Velocità E mitralica (m/s)', MV_A_m_s: 'Velocità A mitralica (m/s)', EA_ratio: 'Rapporto E/A', DT_ms: "Tempo di decelerazione dell'onda E (ms)",
+      eprime_septal_cm_s: 'e′ settale (cm/s)', eprime_lateral_cm_s: 'e′ laterale (cm/s)', eprime_avg_cm_s: 'e′ medio (cm/s)',
+      E_over_eprime_septal: 'E/e′ settale', E_over_eprime_lateral: 'E/e′ laterale', E_over_eprime_avg: 'E/e′ medio',
+      TR_Vmax_m_s: 'Velocità massima IT (m/s)', LAVI_ml_m2: 'Volume AS indicizzato (mL/m²)', LA_volume_ml: 'Volume AS (mL)', BSA_m2: 'Superficie corporea (m²)',
+      HR_bpm: 'Frequenza cardiaca (bpm)', BP_sys: 'PA sistolica (mmHg)', BP_dia: 'PA diastolica (mmHg)', Rhythm: 'Ritmo', Age_years: 'Età (anni)', Sex: 'Sesso',
+      MR_severity: "Gravità dell'insufficienza mitralica", Mitral_stenosis: 'Stenosi mitralica', HCM: 'Cardiomiopatia ipertrofica', Heart_transplant: 'Trapianto cardiaco',
+      MV_E_accel_cm_s2: "Tasso di accelerazione dell'onda E (cm/s²)", PV_Ar_minus_A_ms: 'Durata Ar VP − A mitralica (ms)',
+      LA_reservoir_strain_pct: 'Strain di reservoir AS (%, LASr/LARS/PALS)', PV_SD_ratio: 'Rapporto S/D delle vene polmonari', IVRT_ms: 'Tempo di rilasciamento isovolumetrico (ms)',
+      PASP_mmHg: 'Pressione arteriosa polmonare sistolica (mmHg)', RA_pressure_mmHg: 'Pressione atriale destra (mmHg)', LV_GLS_pct: 'Strain longitudinale globale VS (%)',
+      LA_stiffness_index: 'Indice di rigidità AS (E/e′ medio ÷ LARS %)', E_over_eprime_avg_exercise: 'E/e′ medio da sforzo', TR_Vmax_exercise_m_s: 'Vmax IT da sforzo (m/s)'
+    },
+    ui: {
+      filled: (v) => `Diastolic Paste: ${v.count} camp${v.count === 1 ? 'o compilato' : 'i compilati'}${v.profile ? ` (${v.profile})` : ''}${v.ignored ? `; ${v.ignored} valor${v.ignored === 1 ? 'e non plausibile ignorato' : 'i non plausibili ignorati'}` : ''}.`,
+      restored: (v) => `Diastolic Paste: ${v.count} camp${v.count === 1 ? 'o ripristinato' : 'i ripristinati'}.`,
+      nothingFilled: 'Diastolic Paste: nessun campo compilato.',
+      fileUnsupported: 'Diastolic Paste: {name} non è stato letto; trascinare un referto .txt, .html o .pdf.',
+      fileEmpty: 'Diastolic Paste: {name} non contiene testo.',
+      pdfNoText: 'Diastolic Paste: {name} non ha un livello di testo (PDF scansionato?).',
+      fileFailed: 'Diastolic Paste: impossibile leggere {name} ({message}).',
+      fileNothing: 'Diastolic Paste: nessuna misura ecocardiografica trovata nel file.',
+      ocrRunning: 'Diastolic Paste: lettura del testo da {name}…',
+      overridden: '{label}: inserito a mano, quindi non viene ricalcolato. Svuotate il campo per tornare alla formula.',
+      exportFailed: 'Diastolic Paste: esportazione non riuscita.',
+      copied: 'Diastolic Paste: testo del referto copiato.',
+      copyFailed: 'Diastolic Paste: impossibile copiare; selezionare il testo e copiarlo manualmente.',
+      loaded: 'Diastolic Paste: «{name}» caricato.',
+      undo: 'Annulla',
+      notANumber: '{label}: «{raw}» non è un numero.',
+      reviewTitle: 'Verifica dei valori estratti',
+      reviewHelp: 'Deselezionare i valori da non inserire. ↑/↓ spostarsi, Spazio selezionare, A tutti, N nessuno, Invio applicare, Esc annullare.',
+      reviewUse: 'Usa', reviewField: 'Campo', reviewCurrent: 'Attuale', reviewNew: 'Nuovo',
+      reviewFill: 'Compila {label}', reviewConflicting: ' (valori contrastanti)',
+      selectNone: 'Deseleziona tutto', cancel: 'Annulla', apply: 'Applica',
+      historyName: 'Etichetta (senza dati del paziente)', historyNameLabel: 'Nome della valutazione', historyDate: 'Data dello studio', historySave: 'Salva valutazione',
+      historySearch: 'Cerca nelle valutazioni salvate', historyCompareCol: 'Confronta', historyNameCol: 'Nome', historyGradeCol: 'Grado',
+      historyCompare: 'Confronta le selezionate', historyPassphrase: 'Passphrase', historyPassphraseLabel: 'Passphrase del file cifrato',
+      historyExport: 'Esporta cifrato', historyImport: 'Importa cifrato', historyLoad: 'Carica', historyDelete: 'Elimina',
+      historyEmpty: 'Nessuna valutazione salvata.', historyNoMatches: 'Nessun risultato.',
+      historySaved: '«{name}» salvato.', historyLoaded: '«{name}» caricato.', historyFormEmpty: 'Niente da salvare: il modulo è vuoto.',
+      historyPickTwo: 'Selezionare due valutazioni da confrontare.', historyExported: 'File cronologia cifrato salvato. Conservare la passphrase: non può essere recuperata.',
+      historyImported: (v) => `Importate ${v.added} nuove e ${v.updated} aggiornate${v.skipped ? `; ${v.skipped} già aggiornate` : ''}.`,
+      historyMemory: 'Questo browser non ha IndexedDB; le valutazioni restano disponibili fino alla chiusura della pagina.',
+      historyCompareOne: 'Confronta {name}', historyField: 'Campo', historyChange: 'Variazione',
+      changeAdded: 'nuovo', changeRemoved: 'non misurato', changeChanged: 'modificato',
+      directionBetter: 'migliorato', directionWorse: 'peggiorato', directionSame: 'invariato', directionUnknown: 'non confrontabile',
+      language: 'Lingua',
+      calcHint: 'Incollate qui un referto ecocardiografico, oppure trascinate un file .txt, .html o .pdf sul calcolatore.',
+      calcGrade: 'Grado', calcConfidence: 'Affidabilità', calcCriteria: 'Criteri soddisfatti', calcCopy: 'Copia il testo del referto',
+      privacyIdle: 'I dati identificativi vengono rimossi dai referti incollati prima della lettura; si conservano solo le misure.',
+      privacyRedacted: 'Rimosso prima della lettura: {list}. Sono state conservate solo le misure; il testo incollato è stato scartato.',
+      privacyClean: 'Nessun dato identificativo trovato. Sono state conservate solo le misure; il testo incollato è stato scartato.',
+      privacyOff: "La de-identificazione è disattivata: i referti incollati vengono letti così come sono.",
+      privacyHistory: 'Le valutazioni salvate ne sono escluse: etichetta e misure restano in questo browser così come inserite.',
+      phiName: 'nome', phiDob: 'data di nascita', phiDate: "data dell'esame", phiMrn: 'numero di cartella', phiAccession: "numero d'esame",
+      phiId: 'numero identificativo', phiPhone: 'numero di telefono', phiEmail: 'indirizzo e-mail',
+      stressRest: 'Riposo', stressLow: 'Basso carico', stressPeak: 'Picco', stressRecovery: 'Recupero', stressMeasure: 'Misura',
+      stressChart: 'E/e′ e Vmax IT per fase', stressEE: 'E/e′ medio', stressTR: 'Vmax IT (m/s)', stressLimits: 'tratteggio: soglie di positività',
+      stressPositive: 'Eco da sforzo diastolico positivo: le pressioni di riempimento aumentano con lo sforzo.',
+      stressNegative: 'Eco da sforzo diastolico negativo: le pressioni di riempimento restano normali sotto sforzo.',
+      stressIndeterminate: 'Eco da sforzo diastolico indeterminato.',
+      stressEmpty: 'Incollate un referto di eco da sforzo o inserite i valori per fase per interpretare il test.'
+    }
+  });
+
+  const groupCount = (rx) => new RegExp(rx.source + '|').exec('').length - 1;
+  const UNIT_AFTER = /^\s*(cm\/s(?:2|²|\^2)?|m\/s|mmHg|ms|m[lL]\s*\/\s*m(?:2|²|\^2)|m[lL]|%|bpm|m(?:2|²|\^2))/;
+  const unitAfter = (text, end) => { const m = UNIT_AFTER.exec(String(text).slice(end, end + 16)); return m ? m[1] : null; };
+
+  const inRange = (key, v) => {
+    const spec = FIELD_SPECS[key];
+    if (!spec || !spec.range || typeof v !== 'number') return true;
+    return v >= spec.range[0] && v <= spec.range[1];
+  };
+
+  // -----------------------------
+  // De-identification (runs before parsing)
+  // -----------------------------
+  // Identifiers are replaced by "[TYPE]" before any pattern reads the report, so field sources,
+  // the preview and every event only ever see the redacted text. A rule is either labelled,
+  //   { type, label: RegExp|string, value?: RegExp|string, lineStart?: true }
+  // where the label stays and the value after it (default: the rest of the line, up to the next
+  // label, a tab, "|" or ";") is replaced, or bare, { type, pattern: RegExp }, replaced anywhere.
+  // lineStart rules need a ":" or "=" and only match at the start of a line or column.
+  // Labels cover English and the built-in report languages.
+  const PHI_DATE = '(?:\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[./-]\\d{1,2}[./-](?:\\d{4}|\\d{2})(?!\\d)'
+    + '|\\d{1,2}\\.?[ \\t]*(?:de[ \\t]+)?\\p{L}{3,9}\\.?[ \\t]*(?:de[ \\t]+)?\\d{4}|\\p{L}{3,9}\\.?[ \\t]*\\d{1,2},?[ \\t]*\\d{4})';
+  const PHI_ID = '(?=[\\w./-]*\\d)[A-Za-z0-9][\\w./-]{2,}';
+  const PHI_RULES = [
+    { type: 'name', lineStart: true, value: "\\p{L}[\\p{L}'’.,^\\- ]*",
+      label: "(?:patient(?:in)?|pt\\.?)(?:[ \\t]*name)?|(?:full|first|last|given|family)[ \\t]*name|name|surname|patientenname|vorname|nachname|nom(?:[ \\t]*(?:du[ \\t]*patient|de[ \\t]*naissance|d['’]usage))?|pr[ée]nom|nombre(?:[ \\t]*del[ \\t]*paciente)?|apellidos?|paciente|nome(?:[ \\t]*(?:del[ \\t]*)?paziente)?|cognome|paziente" },
+    { type: 'dob', value: PHI_DATE,
+      label: "date[ \\t]*of[ \\t]*birth|d\\.?[ \\t]*o\\.?[ \\t]*b\\.?|birth[ \\t]*date|born|geburtsdatum|geb\\.?(?:[ \\t]*am)?|date[ \\t]*de[ \\t]*naissance|n[ée]\\(?e?\\)?[ \\t]*le|fecha[ \\t]*de[ \\t]*nacimiento|f\\.?[ \\t]*nac\\.?|data[ \\t]*di[ \\t]*nascita|nat[oa][ \\t]*il" },
+    { type: 'date', value: PHI_DATE,
+      label: "(?:study|exam(?:ination)?|visit|report|scan|procedure)[ \\t]*date|date[ \\t]*of[ \\t]*(?:study|exam(?:ination)?|service|visit)|date|untersuchungsdatum|datum|date[ \\t]*(?:de[ \\t]*l['’]|d['’])examen|fecha(?:[ \\t]*(?:del[ \\t]*)?(?:estudio|exploraci[óo]n))?|data(?:[ \\t]*(?:dell['’])?esame)?" },
+    { type: 'mrn', value: PHI_ID,
+      label: "m\\.?r\\.?n\\.?|medical[ \\t]*record(?:[ \\t]*(?:number|no\\.?|#))?|(?:patient|hospital|unit)[ \\t]*(?:id|number|no\\.?)|nhs[ \\t]*(?:number|no\\.?)|urn|pid|patienten-?(?:id|nummer)|pat\\.?-?nr\\.?|fallnummer|n°[ \\t]*(?:de[ \\t]*)?patient|ipp|n[úu]mero[ \\t]*de[ \\t]*historia|n\\.?h\\.?c\\.?|historia[ \\t]*cl[íi]nica|id[ \\t]*paziente|codice[ \\t]*paziente|n\\.?[ \\t]*cartella" },
+    { type: 'accession', value: PHI_ID,
+      label: "accession(?:[ \\t]*(?:number|no\\.?|#))?|acc\\.?[ \\t]*(?:number|no\\.?|#)|(?:study|exam(?:ination)?|order|visit)[ \\t]*(?:id|uid|number|no\\.?)|auftrags-?nummer|untersuchungs-?nummer|n°[ \\t]*(?:d['’]|de[ \\t]*l['’])?examen|n[úu]mero[ \\t]*de[ \\t]*(?:estudio|petici[óo]n)|numero[ \\t]*(?:esame|accettazione)" },
+    { type: 'id', value: PHI_ID,
+      label: "ssn|social[ \\t]*security(?:[ \\t]*(?:number|no\\.?))?|insurance[ \\t]*(?:id|number|no\\.?)|versicherten-?nummer|sozialversicherungsnummer|nir|dni|nie|codice[ \\t]*fiscale" },
+    { type: 'phone', value: '\\+?\\(?\\d[\\d ()/.-]{5,}\\d',
+      label: "phone|tel(?:ephone)?\\.?|t[ée]l[ée]phone|telefon|tel[ée]fono|mobile|cell(?:ular)?|fax|handy|cellulare" },
+    { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/ },
+    { type: 'id', pattern: /\b\d{3}-\d{2}-\d{4}\b/ }
+  ];
+
+  // Month names in the report languages, by their first letters (accents stripped)
+  const MONTH_PREFIXES = [['janv', 1], ['jan', 1], ['ene', 1], ['gen', 1], ['feb', 2], ['fev', 2], ['mar', 3], ['apr', 4], ['avr', 4], ['abr', 4],
+    ['may', 5], ['mai', 5], ['mag', 5], ['juin', 6], ['jun', 6], ['giu', 6], ['juil', 7], ['jul', 7], ['lug', 7], ['aug', 8], ['aou', 8], ['ago', 8],
+    ['sep', 9], ['set', 9], ['oct', 10], ['okt', 10], ['ott', 10], ['nov', 11], ['dec', 12], ['dez', 12], ['dic', 12]];
+  const monthOf = (word) => { const w = String(word).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase(); const hit = MONTH_PREFIXES.find(([p]) => w.startsWith(p)); return hit ? hit[1] : null; };
+  // 'dmy' | 'mdy' from the report's own numeric dates: a first part over 12 is a day, a second one a month
+  const dateOrderOf = (dates) => {
+    for (const s of dates) { const m = /^(\d{1,2})[./-](\d{1,2})[./-]/.exec(s); if (m && +m[1] > 12) return 'dmy'; if (m && +m[2] > 12) return 'mdy'; }
+    return 'dmy';
+  };
+  // { y, m, d } or null; two-digit years fall in the century that keeps the date on or before `ref`
+  const phiDate = (str, order, ref) => {
+    const s = String(str).trim();
+    let m, y, mo, d;
+    if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s))) [y, mo, d] = [+m[1], +m[2], +m[3]];
+    else if ((m = /^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/.exec(s))) {
+      const [a, b] = [+m[1], +m[2]];
+      const mdy = a > 12 ? false : b > 12 ? true : order === 'mdy';
+      [mo, d, y] = mdy ? [a, b, +m[3]] : [b, a, +m[3]];
+      if (m[3].length === 2) { const c = Math.floor(ref.y / 100) * 100; y = c + y > ref.y ? c - 100 + y : c + y; }
+    }
+    else if ((m = /^(\d{1,2})\.?\s*(?:de\s+)?(\p{L}{3,9})\.?\s*(?:de\s+)?(\d{4})$/u.exec(s))) [d, mo, y] = [+m[1], monthOf(m[2]), +m[3]];
+    else if ((m = /^(\p{L}{3,9})\.?\s*(\d{1,2}),?\s*(\d{4})$/u.exec(s))) [mo, d, y] = [monthOf(m[1]), +m[2], +m[3]];
+    return mo >= 1 && mo <= 12 && d >= 1 && d <= 31 ? { y, m: mo, d } : null;
+  };
+  const ageOn = (dob, ref) => {
+    const age = ref.y - dob.y - (ref.m < dob.m || (ref.m === dob.m && ref.d < dob.d) ? 1 : 0);
+    return age >= 0 && age < 130 ? age : null;
+  };
+  const SEX_WORDS = {
+    male: 'Male', man: 'Male', gentleman: 'Male', m: 'Male', 'männlich': 'Male', masculin: 'Male', homme: 'Male', masculino: 'Male', hombre: 'Male', 'varón': 'Male', maschile: 'Male', maschio: 'Male', uomo: 'Male', mann: 'Male',
+    female: 'Female', woman: 'Female', lady: 'Female', f: 'Female', w: 'Female', weiblich: 'Female', frau: 'Female', 'féminin': 'Female', femme: 'Female', femenino: 'Female', mujer: 'Female', femminile: 'Female', femmina: 'Female', donna: 'Female'
+  };
+
+  const rxSource = (x) => x instanceof RegExp ? x.source : String(x);
   /**
-   * Setup global paste handling
-   * @param {Object} selectorMap canonicalKey => CSS selector(s) mapping
-   * @param {Object} options
-   *   - scope: 'anywhere' | 'inputs-only'  (default 'anywhere')
-   *   - trigger: 'auto' | 'modifier'       (default 'auto'; 'modifier' requires Shift while pasting)
-   *   - onlyWhenMultiLine: boolean          (default true)
-   *   - signalsMin: number                  (default 2; minimum extracted fields to intercept)
-   *   - onAfterFill: function(bag, updated) called after population
+   * Replace identifiers in a report with "[TYPE]" (e.g. "DOB: [DOB]").
+   * parseDetailed() runs this first unless called with { deidentify: false }.
+   * @param {string} text report text
+   * @param {Object} [options]
+   *   - rules: extra rules, applied after PHI_RULES (see above)
+   *   - dateOrder: 'dmy' | 'mdy' for dates like 03/04/1950 (default: the report's other dates decide, else 'dmy')
+   *   - now: Date the age is counted to when the report has no study date (default: today)
+   * @returns {{text:string, found:Object, redacted:number, Age_years:number|null}} found = count per
+   *   type; the identifiers themselves are not returned. Age_years comes from the date of birth,
+   *   counted to the study date.
    */
-  function setup(selectorMap={}, options={}){
-    const map = Object.assign({}, DEFAULT_SELECTOR_MAP, selectorMap);
-    const opts = Object.assign({
-      scope: 'anywhere',
-      trigger: 'auto',          // 'modifier' => require Shift+Paste
-      onlyWhenMultiLine: true,
-      signalsMin: 2,
-      onAfterFill: null
-    }, options||{});
+  function deidentify(text, options){
+    const rules = PHI_RULES.concat((options && options.rules) || []);
+    // Names go last: by then "DOB 1958-03-14" reads "DOB [DOB]", and a name stops at that label
+    const runOrder = rules.filter(r => r.type !== 'name').concat(rules.filter(r => r.type === 'name'));
+    const labels = rules.filter(r => r.label).map(r => rxSource(r.label)).join('|');
+    // Where a value ends: the next label (with its ":", or already redacted), a column break or a field separator
+    const stop = new RegExp(`[ \\t]*(?:\\t|[|;]|[ ]{2})|[ \\t,]+${LABEL_BEFORE}(?:${labels})(?![\\p{L}])[ \\t]*(?:[:=#]|\\[[A-Z]+\\])`, 'iu');
+    const found = {};
+    const dates = { dob: [], date: [] };
+    let out = String(text == null ? '' : text);
+    for (const rule of runOrder) {
+      const token = `[${String(rule.type).toUpperCase()}]`;
+      const rx = rule.pattern
+        ? new RegExp(`()${rule.pattern.source}`, rule.pattern.flags.replace(/[gy]/g, '') + 'g')
+        : new RegExp(`(${rule.lineStart ? '(?:^|(?<=[\\t|;]|[ ]{2}))[ \\t]*' : LABEL_BEFORE}(?:${rxSource(rule.label)})(?![\\p{L}])`
+          + `${rule.lineStart ? '[ \\t]*[:=][ \\t]*' : '[ \\t]*[:=#]{0,2}[ \\t]*'})(${rule.value ? rxSource(rule.value) : '[^\\n]*\\S'})`, 'gimu');
+      out = out.replace(rx, (m, lead, ...args) => {
+        let value = m.slice(lead.length);
+        // The next label's ":" lies past the match, so look a little further
+        const named = typeof args[args.length - 1] === 'object';
+        const whole = args[args.length - (named ? 2 : 1)], at = args[args.length - (named ? 3 : 2)];
+        const cut = rule.pattern ? -1 : (value + whole.slice(at + m.length, at + m.length + 40)).search(stop);
+        if (cut === 0) return m;
+        const rest = cut > 0 && cut < value.length ? value.slice(cut) : '';
+        if (rest) value = value.slice(0, cut);
+        const trail = /[\s,;]*$/.exec(value)[0];
+        value = value.slice(0, value.length - trail.length);
+        // "Patient: female" is the sex, not a name
+        if (!value || (rule.type === 'name' && SEX_WORDS[value.toLowerCase()])) return m;
+        if (dates[rule.type]) dates[rule.type].push(value);
+        found[rule.type] = (found[rule.type] || 0) + 1;
+        return lead + token + trail + rest;
+      });
+    }
+    const order = (options && options.dateOrder) || dateOrderOf(dates.dob.concat(dates.date));
+    const now = (options && options.now) || new Date();
+    const today = { y: now.getFullYear(), m: now.getMonth() + 1, d: now.getDate() };
+    const study = dates.date.map(s => phiDate(s, order, today)).find(Boolean) || today;
+    const dob = dates.dob.map(s => phiDate(s, order, study)).find(Boolean);
+    const counts = {};
+    for (const r of rules) if (found[r.type]) counts[r.type] = found[r.type];
+    return { text: out, found: counts, redacted: Object.values(found).reduce((a, b) => a + b, 0), Age_years: dob ? ageOn(dob, study) : null };
+  }
 
-    createStyles();
+  // -----------------------------
+  // Multi-value readings (beat lists, ranges, statistics)
+  // -----------------------------
+  // How several readings of one measurement become the bag value, per rhythm
+  // (keys match the Rhythm field; `default` applies to everything else).
+  //   aggregate: 'mean' | 'median' | 'max' | 'min' | 'first' for beat lists and ranges
+  //   prefer:    which reported statistic wins when several are given ("mean 0.9, max 1.0")
+  //   minBeats:  fewer averaged beats lowers the grading confidence
+  const AVERAGING_POLICY = {
+    default: { aggregate: 'mean', prefer: ['mean', 'median', 'max', 'min'], minBeats: 1 },
+    AF: { aggregate: 'mean', prefer: ['mean', 'median', 'max', 'min'], minBeats: 5 }
+  };
+  const policyFor = (rhythm, overrides) => {
+    const o = overrides || {};
+    return Object.assign({}, AVERAGING_POLICY.default, AVERAGING_POLICY[rhythm], o.default, o[rhythm]);
+  };
+  const AGGREGATES = {
+    mean: (xs) => xs.reduce((a, b) => a + b, 0) / xs.length,
+    median: (xs) => { const t = xs.slice().sort((a, b) => a - b), h = t.length >> 1; return t.length % 2 ? t[h] : (t[h-1] + t[h]) / 2; },
+    max: (xs) => Math.max(...xs),
+    min: (xs) => Math.min(...xs),
+    first: (xs) => xs[0]
+  };
+  const STAT_WORDS = { mean: 'mean', average: 'mean', avg: 'mean', median: 'median', max: 'max', maximum: 'max', min: 'min', minimum: 'min' };
 
-    const handler = (e) => {
-      const tgt = e.target;
-      const inInputsOnly = (opts.scope === 'inputs-only');
-      if (inInputsOnly && !isTextEntry(tgt)) return; // ignore if inputs-only
+  // Readings right after a value: ", 0.88, 0.95" (beats, optionally each with a unit) or "–0.95" / " to 0.95" (range).
+  // A number with another unit or followed by a word ("34 mmHg", "38 ml/m2", "2 beats") is not a beat.
+  function readTail(text, end){
+    const rest = String(text).slice(end, end + 160);
+    const first = UNIT_AFTER.exec(rest);
+    const same = (u) => u[1].replace(/\s+/g, '').toLowerCase();
+    let unit = first ? same(first) : null;
+    let pos = first ? first[0].length : 0;
+    const range = /^\s*(?:–|—|-|to)\s*([0-9.]*[0-9][0-9.]*)/.exec(rest.slice(pos));
+    if (range) return { kind: 'range', raws: [range[1]], end: end + pos + range[0].length };
+    const raws = [];
+    const item = /^\s*(?:,|;|\band\b)\s*([-+]?[0-9.]*[0-9][0-9.]*)(?![0-9.]*\s*\/)/;
+    for (let m; (m = item.exec(rest.slice(pos))); ) {
+      const after = rest.slice(pos + m[0].length);
+      const u = UNIT_AFTER.exec(after);
+      if (u ? unit && same(u) !== unit : /^\s*\p{L}/u.test(after) && !/^\s*(?:and|to)\b/i.test(after)) break;
+      raws.push(m[1]);
+      pos += m[0].length;
+      if (u) { unit = unit || same(u); pos += u[0].length; }
+    }
+    return raws.length ? { kind: 'list', raws, end: end + pos } : null;
+  }
 
-      const txt = e.clipboardData && e.clipboardData.getData('text/plain') || '';
-      if (!txt) return;
+  function lineAround(text, at){
+    const s0 = text.lastIndexOf('\n', at - 1) + 1;
+    const e0 = text.indexOf('\n', at);
+    return { start: s0, text: text.slice(s0, e0 < 0 ? undefined : e0) };
+  }
+  // "mean", "(max)", "avg of 5 beats" near a value; plain avg/average only counts in
+  // parentheses because it is part of labels such as "average e′"
+  function statOf(text, src){
+    const label = text.slice(src.start, src.valueStart);
+    const line = lineAround(text, src.valueStart);
+    const after = line.text.slice(src.valueEnd - line.start, src.valueEnd - line.start + 40);
+    const m = /\((?:[^)]*?\b)?(mean|average|avg|median|max(?:imum)?|min(?:imum)?)\b[^)]*\)/i.exec(label)
+      || /^[^(]{0,16}\((?:[^)]*?\b)?(mean|average|avg|median|max(?:imum)?|min(?:imum)?)\b[^)]*\)/i.exec(after)
+      || /\b(mean|median|max(?:imum)?|min(?:imum)?)\b/i.exec(label);
+    return m ? STAT_WORDS[m[1].toLowerCase()] : null;
+  }
+  const beatCountOf = (text, at) => {
+    const m = /\b([0-9]{1,2})\s*(?:beats|cycles|cardiac\s*cycles)\b|\bn\s*=\s*([0-9]{1,2})\b/i.exec(lineAround(text, at).text);
+    return m ? +(m[1] || m[2]) : null;
+  };
 
-      // If require modifier: need shift key (or meta/ctrl+shift) with paste
-      if (opts.trigger === 'modifier') {
-        if (!(e.shiftKey)) return; // require Shift as a simple, reliable modifier
-      }
+  // Usable candidates ranked by the policy's preferred statistic; unqualified values rank just after the first.
+  function pickCandidate(usable, policy){
+    const rank = (c) => c.stat ? (policy.prefer.indexOf(c.stat) < 0 ? 99 : policy.prefer.indexOf(c.stat)) : 0.5;
+    return usable.map((c, i) => [c, i]).sort((a, b) => rank(a[0]) - rank(b[0]) || a[1] - b[1])[0][0];
+  }
 
-      // Check bulk signals
-      const hasSignals = opts.onlyWhenMultiLine ? hasMultiLineSignal(txt) : true;
+  // Shared by regex and profile matches: beat lists, unit inference, normalisation, range check.
+  function makeCandidate(key, spec, parts){
+    const { raw, args, base, text, policy } = parts;
+    let { unit, unitMissing } = parts;
+    const multi = spec.type !== 'text' && spec.unitGroup !== null && raw != null && text != null;
+    // "6,5" is a decimal comma, not a list of beats; refuse it rather than read 6 or 5.75
+    const comma = spec.type !== 'text' && raw != null && text != null && !/\./.test(raw) ? /^,[0-9]+/.exec(text.slice(base.source.valueEnd)) : null;
+    if (comma) return Object.assign({ value: null, unit: null, rejected: 'malformed' }, base, { raw: raw + comma[0] });
+    const tail = multi ? readTail(text, base.source.valueEnd) : null;
+    if (tail && !unit) { unit = unitAfter(text, tail.end); unitMissing = unitMissing && !unit; }
+    const inferred = unitMissing && typeof spec.inferUnit === 'function' ? spec.inferUnit(toNum(raw)) : null;
+    const norm = (v) => (spec.normalize||((x)=>x))(v, inferred || unit || args[1], args[2], args[3]);
+    let value, beats = null, aggregate = null;
+    if (tail) {
+      const nums = [raw].concat(tail.raws).map(toNum);
+      if (nums.some(n => n == null)) return Object.assign({ value: null, unit: null, rejected: 'malformed' }, base, { raw: [raw].concat(tail.raws).join(', ') });
+      aggregate = policy && AGGREGATES[policy.aggregate] ? policy.aggregate : 'mean';
+      beats = nums.map(n => norm(String(n)));
+      value = norm(String(AGGREGATES[aggregate](nums)));
+    } else {
+      value = (spec.normalize||((v)=>v))(args[0], inferred || args[1], args[2], args[3]);
+    }
+    if (value == null) {
+      if (raw != null && /[0-9]/.test(raw) && toNum(raw) == null) return Object.assign({ value: null, unit: null, rejected: 'malformed' }, base);
+      return null;
+    }
+    const c = Object.assign({
+      value,
+      unit: unit || inferred || null,
+      unitInferred: inferred || null,
+      unitMissing: unitMissing && !inferred,
+      rejected: inRange(key, value) ? null : 'out-of-range'
+    }, base);
+    if (multi) {
+      c.stat = base.stat || statOf(text, base.source);
+      c.beats = beats;
+      c.range = !!(tail && tail.kind === 'range');
+      c.aggregate = aggregate;
+      c.beatCount = tail && tail.kind === 'list' ? beats.length : beatCountOf(text, base.source.valueStart);
+      if (tail) c.source = Object.assign({}, c.source, { valueEnd: tail.end });
+    }
+    return c;
+  }
 
-      // Parse to confirm there's enough fields to justify intercept
-      const parsed = parseReport(txt);
-      const signalCount = Object.values(parsed).filter(v => v != null).length;
-      const enough = signalCount >= (opts.signalsMin || 1);
+  // Rows recognised by the profile, keyed by canonical key
+  function collectProfileCandidates(text, profile, bag, policy){
+    const byKey = {};
+    if (!profile) return byKey;
+    for (const ln of splitLines(String(text||''))) {
+      const row = matchProfileRow(profile, ln.text);
+      if (!row) continue;
+      const spec = FIELD_SPECS[row.key];
+      const unit = row.unit || (profile.units && profile.units[row.alias]) || null;
+      const vs = ln.start + row.valueStart, ve = ln.start + row.valueEnd;
+      const c = makeCandidate(row.key, spec, {
+        raw: row.raw, unit, unitMissing: !unit, text, policy,
+        args: [row.raw, unit, bag, [ln.text, row.raw, unit]],
+        base: { raw: row.raw, stat: row.stat || null, source: { text: ln.text, start: ln.start, end: ln.start + ln.text.length, valueStart: vs, valueEnd: ve }, pattern: `profile:${profile.id} "${row.alias}"`, patternIndex: -1, profile: profile.id }
+      });
+      if (c) (byKey[row.key] = byKey[row.key] || []).push(c);
+    }
+    return byKey;
+  }
 
-      if (hasSignals && enough) {
-        // Intercept and fill
-        e.preventDefault();
-        const updated = applyBagToSelectors(parsed, map);
-        if (updated > 0) {
-          showToast(`Diastolic paste: filled ${updated} field${updated===1?'':'s'}.`);
-          if (typeof opts.onAfterFill === 'function') { try { opts.onAfterFill(parsed, updated); } catch {} }
-        } else {
-          // No fields wired in mapping; don't block paste if inside a text entry
-          if (isTextEntry(tgt)) return; // let default happen
-        }
-      } else {
-        // Not an echo report or too few signals; allow normal paste
-        return;
+  // Every match of every pattern, in pattern order then text order.
+  // Candidates that cannot be used keep `rejected: 'malformed' | 'out-of-range'`.
+  // `claimed` maps value offsets already taken by a profile row to their key.
+  // Language-pack patterns (see LANGUAGES) follow the English ones; `languages` limits them to some codes.
+  function collectCandidates(text, spec, bag, key, claimed, policy, languages){
+    const out = [];
+    const seen = new Set();
+    const vg = spec.valueGroup || 1;
+    const ug = spec.unitGroup === null ? null : (spec.unitGroup || 2);
+    (spec.patterns||[]).map(rx => ({ rx })).concat(languagePatterns(key, languages)).forEach(({ rx, normalize, language }, patternIndex) => {
+      const use = normalize ? Object.assign({}, spec, { normalize }) : spec;
+      const all = new RegExp(rx.source, rx.flags.replace(/[gyd]/g, '') + 'gd');
+      for (const m of String(text||'').matchAll(all)) {
+        if (m[0] === '') { continue; }
+        const g = m[vg] != null ? vg : 0;
+        const [vs, ve] = m.indices[g];
+        if (seen.has(vs) || (claimed && claimed.has(vs))) continue;
+        seen.add(vs);
+        const unitMissing = ug!=null && groupCount(rx) >= ug && m[ug]==null;
+        const c = makeCandidate(key, use, {
+          raw: g === vg ? m[vg] : null,
+          unit: ug!=null && m[ug]!=null ? m[ug] : unitAfter(text, ve),
+          unitMissing, text, policy,
+          args: [m[1], m[2], bag, m],
+          base: Object.assign({ raw: m[g], source: { text: m[0], start: m.index, end: m.index + m[0].length, valueStart: vs, valueEnd: ve }, pattern: rx.source, patternIndex }, language ? { language } : null)
+        });
+        if (c) out.push(c);
       }
-    };
+    });
+    return out;
+  }
+
+  /**
+   * Parse with provenance.
+   * @param {string} text report text
+   * @param {Object} [options]
+   *   - profile: 'auto' | 'none' | profile id (default 'auto'); profile rows take precedence over the regexes
+   *   - rhythm: rhythm for the averaging policy (default: parsed from the text)
+   *   - averaging: overrides for AVERAGING_POLICY, e.g. { AF: { minBeats: 3 } }
+   *   - decimal: 'auto' | '.' | ',' (default 'auto': whichever of "0,92" and "0.92" the text uses more)
+   *   - languages: language-pack codes to read besides English (default: every registered pack)
+   *   - deidentify: deidentify() options, or false to read the text as given (default: on)
+   *   - stress: false to read stress echo stages like any other text (default: on, see parseStress)
+   * @returns {{bag:Object, fields:Object, warnings:Array, profile:string|null, decimal:string, text:string,
+   *   phi:{found:Object, redacted:number}|null, stress:Object|null}} text is the redacted report every source
+   *   offset points into; phi counts what was removed (see deidentify). stress is the parseStress() result:
+   *   the rest stage fills values the report states nowhere else, and exercise E/e′ and TR Vmax come from
+   *   peak (else recovery, else low workload); those fields carry `stage`. fields[key] = {
+   *   value, status: 'reported'|'derived'|'conflicting'|'rejected', confidence: 'high'|'medium'|'low',
+   *   source: {text,start,end,valueStart,valueEnd}|null, pattern, unit, candidates: [...] }
+   * The first usable candidate wins (same precedence as before); the field is 'conflicting'
+   * when other usable candidates normalise to a different value, and 'rejected' when every
+   * candidate was malformed or outside FIELD_SPECS[key].range. warnings = validate() plus
+   * parse-time notes (rejections, inferred units). Age_years is derived from a date of birth when
+   * the report gives no age.
+   */
+  function parseReportDetailed(text, options){
+    const bag = {};
+    const fields = {};
+    const notes = [];
+    const phi = options && options.deidentify === false ? null : deidentify(text, options && options.deidentify);
+    const original = phi ? phi.text : String(text == null ? '' : text);
+    const decimal = decimalOf(original, options && options.decimal);
+    // "0,92" -> "0.92" keeps every offset, so sources still point into the original text
+    text = decimal === ',' ? original.replace(/(\d),(?=\d)/g, '$1.') : original;
+    const languages = options && options.languages;
+    // Stress echo stages are read by parseStress(); blanking them keeps offsets and leaves the rest of the report
+    const stress = options && options.stress === false ? null : parseStress(text, { decimal: '.', languages });
+    if (stress) for (const [s, e] of stress.ranges) text = text.slice(0, s) + text.slice(s, e).replace(/[^\n]/g, ' ') + text.slice(e);
+    const want = (options && options.profile) || 'auto';
+    const profile = want === 'none' ? null
+      : want === 'auto' ? (() => { const d = detectProfile(text); return d ? PROFILES.find(p => p.id === d.id) : null; })()
+      : PROFILES.find(p => p.id === want) || null;
+    const rhythm = (options && options.rhythm) || ((collectCandidates(text, FIELD_SPECS.Rhythm, {}, 'Rhythm', null, null, languages)[0] || {}).value) || null;
+    const policy = policyFor(rhythm, options && options.averaging);
+    const fromProfile = collectProfileCandidates(text, profile, bag, policy);
+    const claimed = new Set();
+    for (const list of Object.values(fromProfile)) for (const c of list) claimed.add(c.source.valueStart);
+    for (const [key, spec] of Object.entries(FIELD_SPECS)) {
+      const candidates = (fromProfile[key] || []).concat(collectCandidates(text, spec, bag, key, claimed, policy, languages));
+      if (text !== original) for (const c of candidates) c.source = Object.assign({}, c.source, { text: original.slice(c.source.start, c.source.end) });
+      if (!candidates.length) continue;
+      const usable = candidates.filter(c => !c.rejected);
+      for (const c of candidates) if (c.rejected) notes.push(rejectionWarning(key, c));
+      if (!usable.length) {
+        fields[key] = { value: null, status: 'rejected', confidence: 'low', source: candidates[0].source, pattern: candidates[0].pattern, unit: candidates[0].unit, candidates };
+        continue;
+      }
+      const first = pickCandidate(usable, policy);
+      // "mean 0.9" and "max 1.0" are different statistics, not a conflict
+      const peers = usable.filter(c => !c.stat || !first.stat || c.stat === first.stat);
+      const conflicting = new Set(peers.map(c => String(c.value))).size > 1;
+      if (first !== usable[0]) { candidates.splice(candidates.indexOf(first), 1); candidates.unshift(first); }
+      if (first.unitInferred) notes.push({ key, level: 'info', code: 'unit-inferred', value: first.value, message: `${labelOf(key)}: no unit given; read "${first.raw}" as ${first.unitInferred}.` });
+      bag[key] = first.value;
+      fields[key] = {
+        value: first.value,
+        status: conflicting ? 'conflicting' : 'reported',
+        confidence: conflicting ? 'low' : (first.unitMissing || first.unitInferred ? 'medium' : 'high'),
+        source: first.source,
+        pattern: first.pattern,
+        unit: first.unit,
+        candidates
+      };
+      if (first.stat || first.beats || first.beatCount != null) {
+        Object.assign(fields[key], {
+          beats: first.beats || null,
+          aggregate: first.beats ? (first.range ? `${first.aggregate} of range` : `${first.aggregate} of ${first.beats.length} beats`) : (first.stat ? `reported ${first.stat}` : null),
+          beatCount: first.beatCount != null ? first.beatCount : null
+        });
+      }
+    }
+    if (stress) mergeStress(stress, bag, fields, original);
+    if (phi && phi.Age_years != null && bag.Age_years == null && inRange('Age_years', phi.Age_years)) bag.Age_years = phi.Age_years;
+    derive(bag);
+    for (const key of Object.keys(bag)) {
+      if (fields[key]) continue;
+      fields[key] = { value: bag[key], status: 'derived', confidence: 'medium', source: null, pattern: null, unit: null, candidates: [] };
+    }
+    return { bag, fields, warnings: notes.concat(validate(bag, fields)), profile: profile ? profile.id : null, rhythm, policy, decimal,
+      text: original, phi: phi ? { found: phi.found, redacted: phi.redacted } : null, stress };
+  }
 
-    document.addEventListener('paste', handler, true);
+  // -----------------------------
+  // Validation (plausible ranges + reported vs derived)
+  // -----------------------------
+  const labelOf = (key) => FIELD_SPECS[key] ? FIELD_SPECS[key].label : key;
+  const rangeText = (key) => { const r = FIELD_SPECS[key] && FIELD_SPECS[key].range; return r ? `${r[0]}–${r[1]}` : ''; };
 
-    // Optional: keybind fallback (Ctrl/Cmd+Shift+V to force clipboard parse anywhere)
-    const keyHandler = async (e) => {
-      try {
-        const isPasteCombo = ((e.ctrlKey || e.metaKey) && e.shiftKey && (e.key.toLowerCase() === 'v'));
-        if (!isPasteCombo) return;
-        e.preventDefault();
-        const txt = await navigator.clipboard.readText();
-        if (!txt) return;
-        const parsed = parseReport(txt);
-        const updated = applyBagToSelectors(parsed, map);
-        if (updated > 0) showToast(`Diastolic paste: filled ${updated} field${updated===1?'':'s'}.`);
-      } catch {}
+  // A reported value agrees with its derivation within spec.tolerance (default ±10 %)
+  const agrees = (key, v, dv) => {
+    const tol = FIELD_SPECS[key].tolerance || { rel: 0.1 };
+    const diff = Math.abs(v - dv);
+    return tol.abs != null ? diff <= tol.abs : diff <= Math.abs(dv) * tol.rel;
+  };
+
+  function rejectionWarning(key, c){
+    if (c.rejected === 'malformed') return { key, level: 'error', code: 'malformed', value: c.raw, message: `${labelOf(key)}: "${c.raw}" is not a number; ignored.` };
+    return { key, level: 'error', code: 'out-of-range', value: c.value, message: `${labelOf(key)}: ${c.value} is outside the plausible range ${rangeText(key)}; ignored.` };
+  }
+
+  /**
+   * Check a bag against FIELD_SPECS ranges and recompute every derivable field that
+   * was reported, flagging disagreements beyond spec.tolerance (default ±10 %).
+   * @param {Object} bag canonical key => value
+   * @param {Object} [fields] parseDetailed fields; derived entries are not re-checked
+   * @returns {Array<{key:string,level:'error'|'warning'|'info',code:string,value:*,message:string}>}
+   */
+  function validate(bag, fields){
+    const warnings = [];
+    bag = bag || {};
+    for (const [key, v] of Object.entries(bag)) {
+      if (v != null && !inRange(key, v)) warnings.push({ key, level: 'error', code: 'out-of-range', value: v, message: `${labelOf(key)}: ${v} is outside the plausible range ${rangeText(key)}.` });
+    }
+    for (const [key, spec] of Object.entries(FIELD_SPECS)) {
+      if (typeof spec.derive !== 'function' || bag[key] == null) continue;
+      if (fields && fields[key] && fields[key].status === 'derived') continue;
+      const others = Object.assign({}, bag); delete others[key];
+      let dv = null;
+      try { dv = spec.derive(others); } catch {}
+      if (dv == null || agrees(key, bag[key], dv)) continue;
+      warnings.push({ key, level: 'warning', code: 'inconsistent', value: bag[key], derived: dv, message: `${labelOf(key)}: reported ${bag[key]} but ${spec.formula || 'derivation'} gives ${dv}.` });
+    }
+    return warnings;
+  }
+
+  // Derivable keys with their `dependsOn` first (FIELD_SPECS order breaks ties); throws on a cycle
+  function derivationOrder(){
+    const order = [], state = {};
+    const visit = (key, path) => {
+      if (state[key] === 2) return;
+      if (state[key] === 1) throw new TypeError(`derivation cycle ${path.slice(path.indexOf(key)).concat(key).join(' → ')}`);
+      state[key] = 1;
+      for (const dep of FIELD_SPECS[key].dependsOn || []) if (FIELD_SPECS[dep]) visit(dep, path.concat(key));
+      state[key] = 2;
+      if (typeof FIELD_SPECS[key].derive === 'function') order.push(key);
     };
-    document.addEventListener('keydown', keyHandler, true);
+    for (const key of Object.keys(FIELD_SPECS)) visit(key, []);
+    return order;
+  }
+  let deriveOrder = null;
 
-    // expose programmatic API
-    return {
-      parse: parseReport,
-      fill: (textOrBag) => {
-        const bag = (typeof textOrBag === 'string') ? parseReport(textOrBag) : (textOrBag || {});
-        return applyBagToSelectors(bag, map);
+  // Fill missing keys from their `derive` functions (mutates and returns bag). Runs in dependency
+  // order and repeats until a pass adds nothing, so undeclared chains still resolve.
+  function derive(bag){
+    const order = deriveOrder || (deriveOrder = derivationOrder());
+    for (let pass = 0, changed = true; changed && pass <= order.length; pass++) {
+      changed = false;
+      for (const key of order) {
+        if (bag[key] != null) continue;
+        try { const dv = FIELD_SPECS[key].derive(bag); if (dv != null) { bag[key] = dv; changed = true; } } catch {}
       }
-    };
+    }
+    return bag;
+  }
+
+  // -----------------------------
+  // Field registry (custom measurements)
+  // -----------------------------
+  /**
+   * Register (or replace, by key) a measurement. It is parsed, derived, validated, exported
+   * and filled like the built-in fields; call before setup() so the default selectors apply.
+   * @param {Object} spec
+   *   - key: string (required), canonical name, e.g. 'LVEF_pct'
+   *   - label: string (required), shown in tooltips, the review dialog and exports
+   *   - unit: UCUM unit for exports, e.g. '%', 'g/m2' (default none)
+   *   - patterns: [RegExp] value in group 1, optional unit in group 2
+   *   - normalize: function(value, unit, bag, match) => number|null (default: number, 2 decimals)
+   *   - derive: function(bag) => number|null, used when the report does not state the value
+   *   - dependsOn: [key] fields derive reads; they are derived first
+   *   - range: [min, max] plausible values; formula, tolerance, type: 'text', loinc: [code, display]
+   *   - selector: CSS selector for setup() (default "#key, [name='key'], [data-field='Key']", key lower-cased)
+   * @returns {Object} the stored spec
+   */
+  function registerField(spec){
+    const key = spec && spec.key;
+    if (typeof key !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) throw new TypeError('DiastolicPaste.registerField: key must be an identifier');
+    if (RESULT_KEYS.includes(key)) throw new TypeError(`DiastolicPaste.registerField: "${key}" is reserved`);
+    if (typeof spec.label !== 'string' || !spec.label) throw new TypeError(`DiastolicPaste.registerField: label is required for "${key}"`);
+    const patterns = [].concat(spec.patterns || []);
+    if (patterns.some(rx => !(rx instanceof RegExp))) throw new TypeError(`DiastolicPaste.registerField: patterns of "${key}" must be RegExps`);
+    if (spec.derive != null && typeof spec.derive !== 'function') throw new TypeError(`DiastolicPaste.registerField: derive of "${key}" must be a function`);
+    const dependsOn = [].concat(spec.dependsOn || []);
+    const unknown = dependsOn.filter(d => !FIELD_SPECS[d] && d !== key);
+    if (unknown.length) throw new TypeError(`DiastolicPaste.registerField: "${key}" depends on unknown field(s) ${unknown.join(', ')}`);
+    const { selector, loinc } = spec;
+    const stored = Object.assign({}, spec, {
+      patterns, dependsOn,
+      normalize: spec.normalize || (spec.type === 'text' ? (v) => String(v).trim() : (v) => round(toNum(v), 2))
+    });
+    delete stored.key; delete stored.selector; delete stored.loinc;
+    const previous = FIELD_SPECS[key];
+    FIELD_SPECS[key] = stored;
+    try { deriveOrder = derivationOrder(); }
+    catch (e) {
+      if (previous) FIELD_SPECS[key] = previous; else delete FIELD_SPECS[key];
+      throw new TypeError(`DiastolicPaste.registerField: ${e.message}`);
+    }
+    const lower = key.toLowerCase();
+    if (selector || !DEFAULT_SELECTOR_MAP[key]) DEFAULT_SELECTOR_MAP[key] = selector || `#${lower}, [name='${lower}'], [data-field='${key}']`;
+    if (spec.unit || loinc) EXPORT_CODES[key] = Object.assign({}, EXPORT_CODES[key], spec.unit ? { ucum: [spec.unit, spec.unit] } : null, loinc ? { loinc } : null);
+    EXPORT_SCHEMAS.json.properties[key] = { type: stored.type === 'text' ? 'string' : 'number' };
+    EXPORT_SCHEMAS.csv.items.minItems = EXPORT_SCHEMAS.csv.items.maxItems = Object.keys(FIELD_SPECS).length + 3;
+    compiledLanguages = null;
+    return stored;
+  }
+
+  // -----------------------------
+  // Grading (2016 primary variables + 2025 supplementary)
+  // -----------------------------
+  // Cut-offs are "abnormal" limits; edit here rather than inside grade().
+  const GRADE_LIMITS = {
+    eprime_septal_cm_s: 7,        // abnormal < 7 cm/s
+    eprime_lateral_cm_s: 10,      // abnormal < 10 cm/s
+    E_over_eprime_avg: 14,        // abnormal > 14
+    E_over_eprime_septal: 15,     // fallback when average is unavailable
+    E_over_eprime_lateral: 13,
+    TR_Vmax_m_s: 2.8,             // abnormal > 2.8 m/s
+    PASP_mmHg: 35,                // fallback when TR Vmax is unavailable
+    LAVI_ml_m2: 34,               // abnormal > 34 mL/m²
+    LA_reservoir_strain_pct: 18,  // abnormal <= 18 %
+    PV_SD_ratio: 1,               // abnormal < 1
+    IVRT_ms: 70,                  // abnormal <= 70 ms (short IVRT => raised LAP)
+    LV_GLS_pct: 16,               // abnormal |GLS| < 16 %
+    LA_stiffness_index: 0.5,      // abnormal > 0.5
+    EA_restrictive: 2,            // E/A >= 2 => grade 3
+    EA_low: 0.8,                  // E/A <= 0.8 with E <= 0.5 m/s => grade 1
+    E_low_m_s: 0.5,
+    // Special populations
+    AF_E_over_eprime_septal: 11,  // AF: abnormal >= 11
+    AF_E_accel_cm_s2: 1900,       // AF: abnormal >= 1900 cm/s²
+    AF_IVRT_ms: 65,               // AF: abnormal <= 65 ms
+    AF_DT_ms: 160,                // AF: abnormal <= 160 ms
+    Ar_minus_A_ms: 30,            // MR/HCM: abnormal >= 30 ms
+    MR_IVRT_ms: 60,               // MR/MS: abnormal < 60 ms
+    MS_A_m_s: 1.5                 // MS: abnormal A > 1.5 m/s
+  };
+
+  // Age-adjusted e′ limits, applied over GRADE_LIMITS when Age_years is known. LAVI stays at
+  // GRADE_LIMITS.LAVI_ml_m2 at every age: the normal LAVI does not change with age in adults.
+  const AGE_LIMITS = [
+    { maxAge: 39, eprime_septal_cm_s: 8, eprime_lateral_cm_s: 11 },
+    { maxAge: 64, eprime_septal_cm_s: 7, eprime_lateral_cm_s: 10 },
+    { maxAge: Infinity, eprime_septal_cm_s: 6, eprime_lateral_cm_s: 7 }
+  ];
+  function ageLimits(age){
+    if (age==null || !Number.isFinite(+age)) return null;
+    const band = AGE_LIMITS.find(b => age <= b.maxAge);
+    if (!band) return null;
+    const { maxAge, ...limits } = band;
+    return limits;
+  }
+
+  const GRADE_LABELS = {
+    normal: "Normal diastolic function",
+    grade1: "Grade I diastolic dysfunction (normal LAP)",
+    grade2: "Grade II diastolic dysfunction (elevated LAP)",
+    grade3: "Grade III diastolic dysfunction (elevated LAP, restrictive filling)",
+    indeterminate: "Indeterminate diastolic function",
+    normal_lap: "Normal LAP",
+    elevated_lap: "Elevated LAP"
+  };
+
+  const criterion = (id, label, key, value, met) => ({ id, label, key, value: value==null ? null : value, met: value==null ? null : !!met });
+  const tally = (list) => {
+    const avail = list.filter(c => c.met!=null);
+    const pos = avail.filter(c => c.met).length;
+    return { avail: avail.length, pos, neg: avail.length - pos };
+  };
+  // true => majority abnormal, false => majority normal, null => tie / nothing available
+  const majority = (t) => t.pos*2 > t.avail ? true : (t.neg*2 > t.avail ? false : null);
+
+  function eprimeCriterion(b, L){
+    const s = b.eprime_septal_cm_s, l = b.eprime_lateral_cm_s;
+    const value = (s==null && l==null) ? null : { septal: s==null ? null : s, lateral: l==null ? null : l };
+    const met = (s!=null && s < L.eprime_septal_cm_s) || (l!=null && l < L.eprime_lateral_cm_s);
+    return criterion('eprime_reduced', `Septal e′ < ${L.eprime_septal_cm_s} or lateral e′ < ${L.eprime_lateral_cm_s} cm/s`, 'eprime_septal_cm_s', value, met);
+  }
+  function eOverEprimeCriterion(b, L){
+    if (b.E_over_eprime_avg!=null) return criterion('E_eprime_high', `Average E/e′ > ${L.E_over_eprime_avg}`, 'E_over_eprime_avg', b.E_over_eprime_avg, b.E_over_eprime_avg > L.E_over_eprime_avg);
+    if (b.E_over_eprime_septal!=null) return criterion('E_eprime_high', `Septal E/e′ > ${L.E_over_eprime_septal}`, 'E_over_eprime_septal', b.E_over_eprime_septal, b.E_over_eprime_septal > L.E_over_eprime_septal);
+    if (b.E_over_eprime_lateral!=null) return criterion('E_eprime_high', `Lateral E/e′ > ${L.E_over_eprime_lateral}`, 'E_over_eprime_lateral', b.E_over_eprime_lateral, b.E_over_eprime_lateral > L.E_over_eprime_lateral);
+    return criterion('E_eprime_high', `Average E/e′ > ${L.E_over_eprime_avg}`, 'E_over_eprime_avg', null);
+  }
+  function trCriterion(b, L){
+    if (b.TR_Vmax_m_s==null && b.PASP_mmHg!=null) return criterion('TR_high', `PASP > ${L.PASP_mmHg} mmHg`, 'PASP_mmHg', b.PASP_mmHg, b.PASP_mmHg > L.PASP_mmHg);
+    return criterion('TR_high', `TR Vmax > ${L.TR_Vmax_m_s} m/s`, 'TR_Vmax_m_s', b.TR_Vmax_m_s, b.TR_Vmax_m_s > L.TR_Vmax_m_s);
+  }
+  const laviCriterion = (b, L) => criterion('LAVI_high', `LAVI > ${L.LAVI_ml_m2} mL/m²`, 'LAVI_ml_m2', b.LAVI_ml_m2, b.LAVI_ml_m2 > L.LAVI_ml_m2);
+
+  const larsCriterion = (b, L) => criterion('LARS_low', `LA reservoir strain ≤ ${L.LA_reservoir_strain_pct} %`, 'LA_reservoir_strain_pct', b.LA_reservoir_strain_pct, b.LA_reservoir_strain_pct!=null && Math.abs(b.LA_reservoir_strain_pct) <= L.LA_reservoir_strain_pct);
+  const pvCriterion = (b, L) => criterion('PV_SD_low', `Pulmonary vein S/D < ${L.PV_SD_ratio}`, 'PV_SD_ratio', b.PV_SD_ratio, b.PV_SD_ratio < L.PV_SD_ratio);
+  const ivrtCriterion = (b, L) => criterion('IVRT_short', `IVRT ≤ ${L.IVRT_ms} ms`, 'IVRT_ms', b.IVRT_ms, b.IVRT_ms <= L.IVRT_ms);
+  const glsCriterion = (b, L) => criterion('GLS_reduced', `|LV GLS| < ${L.LV_GLS_pct} %`, 'LV_GLS_pct', b.LV_GLS_pct, b.LV_GLS_pct!=null && Math.abs(b.LV_GLS_pct) < L.LV_GLS_pct);
+  const stiffnessCriterion = (b, L) => criterion('LA_stiffness_high', `LA stiffness index > ${L.LA_stiffness_index}`, 'LA_stiffness_index', b.LA_stiffness_index, b.LA_stiffness_index > L.LA_stiffness_index);
+  const arACriterion = (b, L) => criterion('Ar_A_long', `PV Ar − A ≥ ${L.Ar_minus_A_ms} ms`, 'PV_Ar_minus_A_ms', b.PV_Ar_minus_A_ms, b.PV_Ar_minus_A_ms >= L.Ar_minus_A_ms);
+
+  const isYes = (v) => /^(?:yes|true|1)$/i.test(String(v==null ? '' : v).trim());
+  const isSignificantMR = (v) => /moderate|severe/i.test(String(v||''));
+
+  // Special-population pathways, checked in order; the first match replaces the standard algorithm.
+  //   rule 'majority'   => >50% abnormal = elevated LAP, >50% normal = normal LAP
+  //   rule 'concordant' => all available criteria must agree
+  //   grades: true      => dysfunction is assumed, so the result is grade I/II/III instead of LAP only
+  const PATHWAYS = [
+    {
+      id: 'transplant', label: 'Heart transplant',
+      when: (b) => isYes(b.Heart_transplant),
+      rule: 'concordant',
+      criteria: (b, L) => [ eOverEprimeCriterion(b, L), trCriterion(b, L) ],
+      caveat: 'Doppler criteria are not validated after heart transplant (denervation, atrial anastomosis); LAVI is not used.'
+    },
+    {
+      id: 'hcm', label: 'Hypertrophic cardiomyopathy',
+      when: (b) => isYes(b.HCM),
+      rule: 'majority', grades: true,
+      criteria: (b, L) => [ eOverEprimeCriterion(b, L), arACriterion(b, L), trCriterion(b, L), laviCriterion(b, L) ],
+      caveat: 'HCM implies diastolic dysfunction; the criteria estimate LAP only.'
+    },
+    {
+      id: 'ms', label: 'Mitral stenosis',
+      when: (b) => isYes(b.Mitral_stenosis),
+      rule: 'majority',
+      criteria: (b, L) => [
+        criterion('IVRT_short', `IVRT < ${L.MR_IVRT_ms} ms`, 'IVRT_ms', b.IVRT_ms, b.IVRT_ms < L.MR_IVRT_ms),
+        criterion('A_high', `Mitral A > ${L.MS_A_m_s} m/s`, 'MV_A_m_s', b.MV_A_m_s, b.MV_A_m_s > L.MS_A_m_s),
+        trCriterion(b, L)
+      ],
+      caveat: 'E/e′, E/A and LAVI are not valid with mitral stenosis.'
+    },
+    {
+      id: 'mr', label: 'Significant mitral regurgitation',
+      when: (b) => isSignificantMR(b.MR_severity),
+      rule: 'majority',
+      criteria: (b, L) => [
+        arACriterion(b, L),
+        criterion('IVRT_short', `IVRT < ${L.MR_IVRT_ms} ms`, 'IVRT_ms', b.IVRT_ms, b.IVRT_ms < L.MR_IVRT_ms),
+        trCriterion(b, L)
+      ],
+      caveat: 'E/e′, PV S/D and LAVI are confounded by moderate or severe MR.'
+    },
+    {
+      id: 'af', label: 'Atrial fibrillation',
+      when: (b) => /^af$/i.test(String(b.Rhythm||'').trim()),
+      rule: 'majority',
+      criteria: (b, L) => [
+        criterion('AF_E_eprime_septal_high', `Septal E/e′ ≥ ${L.AF_E_over_eprime_septal}`, 'E_over_eprime_septal', b.E_over_eprime_septal, b.E_over_eprime_septal >= L.AF_E_over_eprime_septal),
+        criterion('AF_E_accel_high', `E acceleration ≥ ${L.AF_E_accel_cm_s2} cm/s²`, 'MV_E_accel_cm_s2', b.MV_E_accel_cm_s2, b.MV_E_accel_cm_s2 >= L.AF_E_accel_cm_s2),
+        criterion('AF_IVRT_short', `IVRT ≤ ${L.AF_IVRT_ms} ms`, 'IVRT_ms', b.IVRT_ms, b.IVRT_ms <= L.AF_IVRT_ms),
+        criterion('AF_DT_short', `DT ≤ ${L.AF_DT_ms} ms`, 'DT_ms', b.DT_ms, b.DT_ms <= L.AF_DT_ms),
+        trCriterion(b, L)
+      ],
+      caveat: 'AF: measurements should be averaged over several cycles; E/A and LAVI are not used.'
+    },
+    {
+      id: 'paced', label: 'Paced rhythm',
+      when: (b) => /^paced$/i.test(String(b.Rhythm||'').trim()),
+      rule: 'majority',
+      criteria: (b, L) => [
+        b.E_over_eprime_lateral!=null
+          ? criterion('E_eprime_high', `Lateral E/e′ > ${L.E_over_eprime_lateral}`, 'E_over_eprime_lateral', b.E_over_eprime_lateral, b.E_over_eprime_lateral > L.E_over_eprime_lateral)
+          : eOverEprimeCriterion(b, L),
+        trCriterion(b, L), laviCriterion(b, L), larsCriterion(b, L)
+      ],
+      caveat: 'Paced rhythm: septal e′ and mitral inflow are unreliable; lateral E/e′ is preferred.'
+    }
+  ];
+
+  function gradePathway(pw, b, L){
+    const criteria = pw.criteria(b, L);
+    const t = tally(criteria);
+    const notes = [pw.caveat];
+    let elevated = null;
+    if (t.avail >= 2) {
+      if (pw.rule === 'concordant') elevated = t.pos === t.avail ? true : (t.neg === t.avail ? false : null);
+      else elevated = majority(t);
+    }
+    if (elevated == null) notes.push(t.avail < 2 ? 'Fewer than two pathway criteria available.' : 'Pathway criteria discordant.');
+
+    let g = 'indeterminate';
+    if (pw.grades) {
+      const EA = b.EA_ratio;
+      if (elevated === true && EA!=null && EA >= L.EA_restrictive) { criteria.push(criterion('EA_restrictive', `E/A ≥ ${L.EA_restrictive}`, 'EA_ratio', EA, true)); g = 'grade3'; }
+      else if (elevated === true) g = 'grade2';
+      else if (elevated === false) g = 'grade1';
+    } else if (elevated != null) g = elevated ? 'elevated_lap' : 'normal_lap';
+
+    const confidence = g === 'indeterminate' ? 'low' : (t.avail === criteria.length && (t.pos === 0 || t.neg === 0) ? 'high' : 'moderate');
+    return {
+      grade: g,
+      label: g === 'indeterminate' ? `${GRADE_LABELS[g]} (${pw.label})` : `${GRADE_LABELS[g]} (${pw.label} criteria)`,
+      lap: elevated == null ? 'unknown' : (elevated ? 'elevated' : 'normal'),
+      confidence, criteria,
+      fired: criteria.filter(c => c.met === true).map(c => c.id),
+      missing: [...new Set(criteria.filter(c => c.met == null).map(c => c.key))],
+      notes, available: t.avail, total: criteria.length, pathway: pw.id
+    };
+  }
+
+  // Too few averaged beats for the rhythm costs one confidence step; none reported caps it at moderate.
+  const CONFIDENCE_STEPS = ['low', 'moderate', 'high'];
+  function beatConfidence(result, b, detail){
+    const fields = detail && detail.fields || {};
+    const policy = detail && detail.policy && detail.rhythm === b.Rhythm ? detail.policy : policyFor(b.Rhythm);
+    const counts = Object.values(fields).map(f => f && f.beatCount).filter(n => n != null);
+    result.beats = counts.length ? Math.min(...counts) : null;
+    if (result.grade === 'indeterminate' || !(policy.minBeats > 1)) return result;
+    const i = CONFIDENCE_STEPS.indexOf(result.confidence);
+    if (result.beats == null) {
+      if (i > 1) result.confidence = 'moderate';
+      result.notes.push(`Number of averaged beats not reported; ${b.Rhythm || 'this rhythm'} needs ≥ ${policy.minBeats}.`);
+    } else if (result.beats < policy.minBeats) {
+      result.confidence = CONFIDENCE_STEPS[Math.max(0, i - 1)];
+      result.notes.push(`Only ${result.beats} beat(s) averaged; ≥ ${policy.minBeats} recommended in ${b.Rhythm || 'this rhythm'}.`);
+    }
+    return result;
+  }
+
+  /**
+   * Grade diastolic function from a canonical bag (as returned by parseReport).
+   * Step 1 uses the four 2016 variables (e′, average E/e′, TR Vmax, LAVI) to decide
+   * whether dysfunction is present; a 50/50 split falls back to LARS, LV GLS and
+   * LA stiffness. Step 2 grades from mitral inflow and the LAP criteria (E/e′, TR,
+   * LAVI), breaking ties with LARS, PV S/D, IVRT and LA stiffness.
+   * Transplant, HCM, mitral stenosis, significant MR, AF and paced rhythm switch to
+   * their own pathway (see PATHWAYS); e′ limits follow AGE_LIMITS when
+   * Age_years is known. Given the parseDetailed result, confidence drops when fewer
+   * beats were averaged than AVERAGING_POLICY asks for the rhythm.
+   * @param {Object} bag canonical key => value
+   * @param {Object} [limits] overrides for GRADE_LIMITS
+   * @param {Object} [detail] parseDetailed result for the same report (beat counts)
+   * @returns {{grade:string,label:string,lap:string,confidence:string,criteria:Array,fired:string[],missing:string[],notes:string[],warnings:Array,beats:(number|null)}}
+   */
+  function grade(bag, limits, detail){
+    // Implausible values are reported in `warnings` and left out of the grading
+    const warnings = validate(bag);
+    const clean = {}, excluded = [];
+    for (const [k, v] of Object.entries(bag||{})) { if (inRange(k, v)) clean[k] = v; else excluded.push(labelOf(k)); }
+    const b = derive(clean);
+    const L = Object.assign({}, GRADE_LIMITS, ageLimits(b.Age_years), limits||{});
+    const pw = PATHWAYS.find(p => p.when(b));
+    if (pw) {
+      const result = gradePathway(pw, b, L);
+      const others = PATHWAYS.filter(p => p !== pw && p.when(b)).map(p => p.label);
+      if (others.length) result.notes.push(`Also present: ${others.join(', ')}; criteria for those were not applied.`);
+      if (excluded.length) result.notes.push(`Ignored out-of-range: ${excluded.join(', ')}.`);
+      result.warnings = warnings;
+      return withStress(beatConfidence(result, b, detail), b);
+    }
+    const criteria = [];
+    const notes = [];
+    if (excluded.length) notes.push(`Ignored out-of-range: ${excluded.join(', ')}.`);
+    if (b.Age_years!=null) notes.push(`e′ limits adjusted for age ${b.Age_years} y.`);
+    let usedSupplementary = false;
+
+    const primary = [ eOverEprimeCriterion(b, L), eprimeCriterion(b, L), trCriterion(b, L), laviCriterion(b, L) ];
+    criteria.push(...primary);
+    const p = tally(primary);
+
+    let dysfunction = p.avail >= 2 ? majority(p) : null;
+    if (dysfunction == null) {
+      const supp = [ larsCriterion(b, L), glsCriterion(b, L), stiffnessCriterion(b, L) ];
+      criteria.push(...supp);
+      const s = tally(supp);
+      if (s.avail > 0 && p.avail + s.avail >= 3) {
+        dysfunction = majority(s);
+        usedSupplementary = dysfunction != null;
+      }
+      if (dysfunction == null) notes.push(p.avail < 2 ? 'Fewer than two primary variables available.' : 'Primary variables split evenly and supplementary variables did not resolve it.');
+    }
+
+    let g = 'indeterminate', lap = 'unknown';
+    if (dysfunction === false) { g = 'normal'; lap = 'normal'; }
+    else if (dysfunction === true) {
+      const E = b.MV_E_m_s, EA = b.EA_ratio;
+      const inflow = criterion('EA_restrictive', `E/A ≥ ${L.EA_restrictive}`, 'EA_ratio', EA, EA >= L.EA_restrictive);
+      criteria.push(inflow);
+      if (EA!=null && EA >= L.EA_restrictive) { g = 'grade3'; lap = 'elevated'; }
+      else if (EA!=null && E!=null && EA <= L.EA_low && E <= L.E_low_m_s) {
+        criteria.push(criterion('EA_impaired_relaxation', `E/A ≤ ${L.EA_low} and E ≤ ${L.E_low_m_s} m/s`, 'EA_ratio', EA, true));
+        g = 'grade1'; lap = 'normal';
+      } else {
+        const lapList = [ eOverEprimeCriterion(b, L), trCriterion(b, L), laviCriterion(b, L) ];
+        const t = tally(lapList);
+        let elevated = t.avail >= 2 ? majority(t) : null;
+        if (elevated == null) {
+          const supp = [ larsCriterion(b, L), pvCriterion(b, L), ivrtCriterion(b, L), stiffnessCriterion(b, L) ];
+          for (const c of supp) if (!criteria.some(x => x.id === c.id)) criteria.push(c);
+          const s = tally(supp);
+          if (s.avail > 0) { elevated = majority(s); usedSupplementary = usedSupplementary || elevated != null; }
+        }
+        if (elevated === true) { g = 'grade2'; lap = 'elevated'; }
+        else if (elevated === false) { g = 'grade1'; lap = 'normal'; }
+        else notes.push('LAP criteria insufficient or discordant.');
+        if (g === 'grade2' && EA == null) notes.push('E/A unavailable; grade III (restrictive filling) cannot be excluded.');
+      }
+    }
+
+    const missing = [...new Set(criteria.filter(c => c.met == null).map(c => c.key))];
+    let confidence = 'low';
+    if (g !== 'indeterminate') {
+      if (p.avail === 4 && !usedSupplementary) confidence = 'high';
+      else if (p.avail >= 3 || usedSupplementary) confidence = 'moderate';
+    }
+    const fired = criteria.filter(c => c.met === true).map(c => c.id);
+    return withStress(beatConfidence({ grade: g, label: GRADE_LABELS[g], lap, confidence, criteria, fired, missing, notes, available: p.avail, total: primary.length, pathway: 'standard', warnings }, b, detail), b);
+  }
+
+  // -----------------------------
+  // Diastolic stress test (stage sections, stage tables, rest-vs-exercise interpretation)
+  // -----------------------------
+  // Stages in test order. `words` open a stage section ("Peak exercise (100 W):") or head a stage
+  // column ("| Rest | Peak |"), in English and the built-in report languages.
+  const STRESS_STAGES = [
+    { id: 'rest', label: 'Rest', words: ['rest', 'resting', 'at rest', 'baseline', 'pre-exercise', 'Ruhe', 'in Ruhe', 'repos', 'au repos', 'reposo', 'en reposo', 'basal', 'riposo', 'a riposo', 'basale'] },
+    { id: 'low', label: 'Low workload', words: ['low workload', 'low-level exercise', 'low level', 'low', 'submaximal', 'niedrige Belastung', 'geringe Belastung', 'faible charge', 'charge faible', 'carga baja', 'baja carga', 'basso carico', 'carico basso'] },
+    { id: 'peak', label: 'Peak', words: ['peak exercise', 'peak stress', 'peak', 'maximal exercise', 'max exercise', 'maximal', 'Spitzenbelastung', 'maximale Belastung', 'Maximalbelastung', "pic d'effort", 'effort maximal', 'pic', 'pico de esfuerzo', 'esfuerzo máximo', 'pico', 'picco', 'sforzo massimo'] },
+    { id: 'recovery', label: 'Recovery', words: ['early recovery', 'recovery', 'post-exercise', 'Erholung', 'Erholungsphase', 'récupération', 'recuperación', 'recupero'] }
+  ];
+  const STAGE_QUALIFIERS = ['exercise', 'stress', 'workload', 'stage', 'phase', 'values', 'Belastung', 'effort', 'ejercicio', 'esfuerzo', 'esercizio', 'sforzo'];
+  // What the interpretation and the stage table use; average e′ and E/e′ are derived when not stated
+  const STRESS_KEYS = ['MV_E_m_s', 'eprime_septal_cm_s', 'eprime_lateral_cm_s', 'eprime_avg_cm_s', 'E_over_eprime_avg', 'E_over_eprime_septal', 'TR_Vmax_m_s', 'HR_bpm'];
+  // Short labels that only appear inside a stage ("E 1.1 m/s", "TR: 3.1", "E/e' 16", "HR 128");
+  // tried when the report-wide patterns found nothing. A plain E/e′ is taken as the average.
+  const STRESS_PATTERNS = {
+    MV_E_m_s: [ /(?<![\p{L}\p{N}\/'’′`´])E(?:[ \t]*(?:[Vv]elocity|[Vv]el\.?|[Pp]eak|[Ww]ave))?(?:[ \t]*[:=][ \t]*|[ \t]+)([0-9]+(?:\.[0-9]+)?)[ \t]*(m\/s|cm\/s)?/u ],
+    E_over_eprime_avg: [ /(?<!(?:septal|medial|lateral|sept|lat)\.?[ \t]*)(?:\b(?:avg|average|mean)[ \t]*)?\bE[ \t]*\/[ \t]*e['’′`´]?(?:[ \t]*\(?(?:avg|average|mean)\)?)?[ \t]*[:=]?[ \t]*([0-9]+(?:\.[0-9]+)?)(?![0-9])/iu ],
+    TR_Vmax_m_s: [ /\bTR(?:[ \t]*(?:V[ \t]?max|peak[ \t]*velocity|velocity|vel\.?|jet|peak))?(?:[ \t]*[:=][ \t]*|[ \t]+)([0-9]+(?:\.[0-9]+)?)(?![0-9]|[ \t]*(?:cm\/s|mm[ \t]*Hg))[ \t]*(m\/s)?/i ],
+    HR_bpm: [ /\b(?:HR|heart[ \t]*rate)(?:[ \t]*[:=][ \t]*|[ \t]+)([0-9]{2,3})(?![0-9.])/i, /\b([0-9]{2,3})[ \t]*(?:bpm|\/[ \t]*min)\b/i ]
+  };
+
+  // 2016 ASE/EACVI diastolic stress test. Positive: during exercise average E/e′ > 14 (or septal
+  // E/e′ > 15) and TR Vmax > 2.8 m/s, with septal e′ < 7 cm/s at rest. Negative: average E/e′ < 10
+  // at rest and with exercise, and exercise TR Vmax ≤ 2.8 m/s. Anything else is indeterminate.
+  const STRESS_LIMITS = {
+    E_over_eprime_avg: 14,        // positive > 14 during exercise
+    E_over_eprime_septal: 15,     // when the average is unavailable
+    TR_Vmax_m_s: 2.8,             // positive > 2.8 m/s during exercise
+    eprime_septal_cm_s: 7,        // positive < 7 cm/s at rest
+    eprime_lateral_cm_s: 10,      // at rest, when septal e′ is unavailable
+    E_over_eprime_normal: 10      // negative < 10 at rest and during exercise
+  };
+  const STRESS_LABELS = {
+    positive: 'Positive diastolic stress test (LAP rises with exercise)',
+    negative: 'Negative diastolic stress test (normal LAP with exercise)',
+    indeterminate: 'Indeterminate diastolic stress test'
+  };
+  // Where exercise values are read: peak, else early recovery (E and A fused at peak), else low workload
+  const EXERCISE_STAGES = ['peak', 'recovery', 'low'];
+  // Form fields that carry the exercise values, and the stage key each one comes from
+  const EXERCISE_FIELDS = [['E_over_eprime_avg_exercise', 'E_over_eprime_avg'], ['TR_Vmax_exercise_m_s', 'TR_Vmax_m_s']];
+  const stageLabel = (id) => { const s = STRESS_STAGES.find(x => x.id === id); return s ? s.label : id; };
+  const exerciseValue = (stages, key) => {
+    for (const id of EXERCISE_STAGES) {
+      const s = stages[id], v = s && (s.values || s)[key];
+      if (v != null) return { value: v, stage: id };
+    }
+    return null;
+  };
+
+  // { header: a line that opens a stage section, cell: a table cell that names a stage }
+  const stressPatterns = () => {
+    const stage = `(?:${STRESS_STAGES.map((s, i) => `(?<s${i}>${alternation(s.words)})`).join('|')})(?![\\p{L}])`
+      + `(?:[ \\t]+(?:${alternation(STAGE_QUALIFIERS)})(?![\\p{L}]))?[ \\t]*(?:\\((?<note>[^)\\n]*)\\))?`;
+    return {
+      header: new RegExp(`^[ \\t]*(?:[-*•#>]+[ \\t]*)?${stage}[ \\t]*(?:$|[:–—-])`, 'iu'),
+      cell: new RegExp(`^${stage}$`, 'iu')
+    };
+  };
+  const stageOfMatch = (m) => STRESS_STAGES[STRESS_STAGES.findIndex((s, i) => m.groups[`s${i}`] != null)].id;
+  const workloadOf = (s) => { const m = /\b([0-9]{1,3})[ \t]*(?:W|watts?)\b/i.exec(s || ''); return m ? +m[1] : null; };
+  // Headings that close a stage section: "CONCLUSION", "Impression: …"
+  const CAPS_HEADING = /^[ \t]*[A-Z][A-Z /&-]{3,}:?[ \t]*$/u;
+  const CLOSING_HEADING = /^[ \t]*(?:conclusions?|impression|summary|interpretation|comments?|Beurteilung|Zusammenfassung|synthèse|conclusión|conclusione)[ \t]*:/iu;
+
+  // [{ stage, start, end, line }] from the first stage header up to the next header or heading
+  function stressSections(text, header){
+    const out = [];
+    let open = null;
+    const close = (at) => { if (!open) return; let end = at; while (end > open.start && /\s/.test(text[end - 1])) end--; out.push(Object.assign(open, { end })); open = null; };
+    for (const ln of splitLines(text)) {
+      const m = header.exec(ln.text);
+      if (m || CAPS_HEADING.test(ln.text) || CLOSING_HEADING.test(ln.text)) close(ln.start);
+      if (m) open = { stage: stageOfMatch(m), start: ln.start, line: ln.text };
+    }
+    close(text.length);
+    return out;
+  }
+
+  // Cells split on tabs, "|" or two or more spaces, with their offsets in the line
+  const STAGE_CELL = /[^\s|](?:[^\t|\n]*?[^\s|])?(?= *(?:\t|\||$)| {2,})/g;
+  const cellsOf = (line) => [...line.matchAll(STAGE_CELL)].map(m => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+  // A header row naming two or more stages, then "label  value  value …" rows (values right-aligned to the stages)
+  function stressTable(text, cell){
+    const lines = splitLines(text);
+    for (let i = 0; i < lines.length; i++) {
+      const head = cellsOf(lines[i].text);
+      const named = head.map(c => cell.exec(c.text));
+      const first = named.findIndex(Boolean);
+      if (first < 0 || head.length - first < 2 || named.slice(first).some(m => !m)) continue;
+      const columns = named.slice(first).map(m => ({ stage: stageOfMatch(m), note: m.groups.note || '' }));
+      const rows = [];
+      for (let j = i + 1; j < lines.length; j++) {
+        const cs = cellsOf(lines[j].text);
+        if (cs.length && cs.every(c => /^[-=:+ ]+$/.test(c.text))) continue;   // |---|---|
+        if (cs.length <= columns.length) break;
+        const at = lines[j].start;
+        rows.push({ start: at, end: at + lines[j].text.length, label: cs.slice(0, cs.length - columns.length).map(c => c.text).join(' '),
+          cells: cs.slice(-columns.length).map(c => ({ text: c.text, start: at + c.start, end: at + c.end })) });
+      }
+      if (rows.length) return { start: lines[i].start, end: rows[rows.length - 1].end, columns, rows };
+    }
+    return null;
+  }
+
+  // One stage read like a report of its own. Every stated value is kept; derived values only for
+  // STRESS_KEYS. `place(source)` maps a source back into the pasted text.
+  function stageValues(text, place, options){
+    const d = parseReportDetailed(text, Object.assign({}, options, { deidentify: false, stress: false, profile: 'none' }));
+    const reported = {}, fields = {};
+    for (const [key, f] of Object.entries(d.fields)) if (f.status !== 'derived' && f.value != null) { reported[key] = f.value; fields[key] = f; }
+    for (const [key, patterns] of Object.entries(STRESS_PATTERNS)) {
+      if (reported[key] != null) continue;
+      const c = collectCandidates(text, Object.assign({}, FIELD_SPECS[key], { patterns }), reported, key, null, null, []).find(x => !x.rejected);
+      if (c) { reported[key] = c.value; fields[key] = { value: c.value, status: 'reported', confidence: c.unitMissing ? 'medium' : 'high', source: c.source, pattern: c.pattern, unit: c.unit }; }
+    }
+    const all = derive(Object.assign({}, reported));
+    const values = {}, out = {};
+    for (const [key, v] of Object.entries(all)) {
+      const f = fields[key];
+      if (!f && !STRESS_KEYS.includes(key)) continue;
+      values[key] = v;
+      out[key] = f ? Object.assign({}, f, { source: f.source && place(f.source), candidates: [] })
+        : { value: v, status: 'derived', confidence: 'medium', source: null, pattern: null, unit: null, candidates: [] };
+    }
+    return { values, fields: out };
+  }
+
+  /**
+   * Stage values from a pasted stress echo: stage sections ("Rest:", "Peak exercise (100 W, HR 128):"
+   * up to the next stage or heading) or a table with one column per stage.
+   * @param {string} text report text
+   * @param {Object} [options] decimal, languages (as for parseDetailed)
+   * @returns {{layout:'sections'|'table', ranges:Array<number[]>, stages:Object}|null} stages[id] =
+   *   { values, fields, workload, start, end } per stage found, in test order; fields are parseDetailed()
+   *   fields whose sources point into `text`, and ranges are the offsets the stages cover. A stage named
+   *   twice keeps its first section. null unless at least two stages have values.
+   */
+  function parseStress(text, options){
+    const raw = String(text == null ? '' : text);
+    const decimal = decimalOf(raw, options && options.decimal);
+    const src = decimal === ',' ? raw.replace(/(\d),(?=\d)/g, '$1.') : raw;
+    const opts = { languages: options && options.languages, decimal: '.' };
+    const { header, cell } = stressPatterns();
+    const found = {}, ranges = [];
+    const table = stressTable(src, cell);
+    if (table) {
+      ranges.push([table.start, table.end]);
+      table.columns.forEach((col, k) => {
+        if (found[col.stage]) return;
+        // "E (m/s)  0.7  1.1" becomes "E: 0.7 m/s" for the column's stage
+        let at = 0;
+        const lines = table.rows.map(row => {
+          const c = row.cells[k], unit = /\(([^)]*)\)\s*$/.exec(row.label);
+          const line = `${row.label.replace(/\s*\([^)]*\)\s*$/, '')}: ${c.text}${unit && !/[a-z%]/i.test(c.text) ? ` ${unit[1]}` : ''}`;
+          const l = { line, from: at, to: at + line.length, row, cell: c };
+          at += line.length + 1;
+          return l;
+        });
+        const place = (s) => { const l = lines.find(x => s.valueStart >= x.from && s.valueStart <= x.to); return l ? { text: raw.slice(l.row.start, l.row.end), start: l.row.start, end: l.row.end, valueStart: l.cell.start, valueEnd: l.cell.end } : null; };
+        found[col.stage] = Object.assign(stageValues(lines.map(l => l.line).join('\n'), place, opts), { workload: workloadOf(col.note), start: table.start, end: table.end });
+      });
+    } else {
+      for (const s of stressSections(src, header)) {
+        ranges.push([s.start, s.end]);
+        if (found[s.stage]) continue;
+        const place = (x) => ({ text: raw.slice(s.start + x.start, s.start + x.end), start: s.start + x.start, end: s.start + x.end, valueStart: s.start + x.valueStart, valueEnd: s.start + x.valueEnd });
+        found[s.stage] = Object.assign(stageValues(src.slice(s.start, s.end), place, opts), { workload: workloadOf(s.line), start: s.start, end: s.end });
+      }
+    }
+    // A lone "Baseline:" heading is not a stress test
+    const stages = {};
+    for (const s of STRESS_STAGES) if (found[s.id]) stages[s.id] = found[s.id];
+    if (Object.values(stages).filter(s => Object.keys(s.values).length).length < 2) return null;
+    return { layout: table ? 'table' : 'sections', ranges, stages };
+  }
+
+  // Rest values fill what the report states nowhere else; exercise E/e′ and TR Vmax come from the stages
+  function mergeStress(stress, bag, fields, original){
+    const own = (f, stage) => Object.assign({}, f, { stage }, f.source ? { source: Object.assign({}, f.source, { text: original.slice(f.source.start, f.source.end) }) } : null);
+    const rest = stress.stages.rest;
+    if (rest) for (const [key, f] of Object.entries(rest.fields)) {
+      if (f.status === 'derived' || bag[key] != null || fields[key]) continue;
+      bag[key] = f.value;
+      fields[key] = own(f, 'rest');
+    }
+    for (const [key, from] of EXERCISE_FIELDS) {
+      const hit = exerciseValue(stress.stages, from);
+      if (!hit || bag[key] != null || fields[key] || !inRange(key, hit.value)) continue;
+      bag[key] = hit.value;
+      fields[key] = own(stress.stages[hit.stage].fields[from], hit.stage);
+    }
+  }
+
+  /**
+   * Rest-vs-exercise interpretation of a diastolic stress test (see STRESS_LIMITS).
+   * @param {Object} stress parseStress() result, or value bags { rest, low, peak, recovery }
+   * @param {Object} [limits] overrides for STRESS_LIMITS
+   * @returns {{result:'positive'|'negative'|'indeterminate', label:string, confidence:'low'|'high',
+   *   criteria:Array, fired:string[], missing:string[], notes:string[], trend:Array}} criteria name the
+   *   stage each value came from; trend lists E/e′, TR Vmax and heart rate for every stage with values.
+   */
+  function interpretStress(stress, limits){
+    const L = Object.assign({}, STRESS_LIMITS, limits || {});
+    const given = (stress && stress.stages) || stress || {};
+    const stages = {};
+    for (const s of STRESS_STAGES) {
+      const x = given[s.id], bag = {};
+      for (const [k, v] of Object.entries((x && x.values) || x || {})) if (v != null && v !== '' && inRange(k, v)) bag[k] = v;
+      stages[s.id] = derive(bag);
+    }
+    const rest = stages.rest;
+    const at = (key) => exerciseValue(stages, key) || { value: null, stage: null };
+    const avg = at('E_over_eprime_avg'), septal = at('E_over_eprime_septal'), tr = at('TR_Vmax_m_s');
+    const ee = avg.value == null && septal.value != null
+      ? Object.assign(criterion('stress_E_eprime_high', `Exercise septal E/e′ > ${L.E_over_eprime_septal}`, 'E_over_eprime_septal', septal.value, septal.value > L.E_over_eprime_septal), { stage: septal.stage })
+      : Object.assign(criterion('stress_E_eprime_high', `Exercise average E/e′ > ${L.E_over_eprime_avg}`, 'E_over_eprime_avg', avg.value, avg.value > L.E_over_eprime_avg), { stage: avg.stage });
+    const trc = Object.assign(criterion('stress_TR_high', `Exercise TR Vmax > ${L.TR_Vmax_m_s} m/s`, 'TR_Vmax_m_s', tr.value, tr.value > L.TR_Vmax_m_s), { stage: tr.stage });
+    const eprime = Object.assign(rest.eprime_septal_cm_s == null && rest.eprime_lateral_cm_s != null
+      ? criterion('stress_rest_eprime_reduced', `Lateral e′ at rest < ${L.eprime_lateral_cm_s} cm/s`, 'eprime_lateral_cm_s', rest.eprime_lateral_cm_s, rest.eprime_lateral_cm_s < L.eprime_lateral_cm_s)
+      : criterion('stress_rest_eprime_reduced', `Septal e′ at rest < ${L.eprime_septal_cm_s} cm/s`, 'eprime_septal_cm_s', rest.eprime_septal_cm_s, rest.eprime_septal_cm_s < L.eprime_septal_cm_s), { stage: 'rest' });
+    const criteria = [ee, trc, eprime];
+
+    const notes = [];
+    for (const c of [ee, trc]) if (c.stage && c.stage !== 'peak') notes.push(`${c.key === 'TR_Vmax_m_s' ? 'TR Vmax' : 'E/e′'} taken at ${stageLabel(c.stage).toLowerCase()}; none recorded at peak.`);
+    const restHigh = rest.E_over_eprime_avg != null && rest.E_over_eprime_avg >= L.E_over_eprime_normal;
+    let result = 'indeterminate', confidence = 'low';
+    if (ee.met && trc.met && eprime.met) { result = 'positive'; confidence = 'high'; }
+    else if (ee.value != null && ee.value < L.E_over_eprime_normal && trc.met === false && !restHigh) { result = 'negative'; confidence = 'high'; }
+    else if (ee.value == null) notes.push('No exercise E/e′ recorded.');
+    else if (ee.met) {
+      if (trc.met == null) notes.push('Exercise E/e′ rose but no TR Vmax was recorded.');
+      else if (!trc.met) notes.push(`Exercise E/e′ rose but TR Vmax stayed ≤ ${L.TR_Vmax_m_s} m/s.`);
+      if (eprime.met == null) notes.push('e′ at rest not available.');
+      else if (!eprime.met) notes.push('e′ at rest is normal.');
+    }
+    else if (ee.value < L.E_over_eprime_normal) notes.push(trc.met ? 'TR Vmax rose with exercise but E/e′ did not.'
+      : trc.met == null ? 'No exercise TR Vmax; E/e′ alone cannot make the test negative.' : `Average E/e′ at rest is ${L.E_over_eprime_normal} or more.`);
+    else notes.push(`Exercise E/e′ between ${L.E_over_eprime_normal} and ${ee.key === 'E_over_eprime_septal' ? L.E_over_eprime_septal : L.E_over_eprime_avg}: neither normal nor diagnostic.`);
+
+    const trend = STRESS_STAGES.filter(s => Object.keys(stages[s.id]).length).map(s => {
+      const b = stages[s.id];
+      return { stage: s.id, E_over_eprime_avg: b.E_over_eprime_avg ?? null, E_over_eprime_septal: b.E_over_eprime_septal ?? null, TR_Vmax_m_s: b.TR_Vmax_m_s ?? null, HR_bpm: b.HR_bpm ?? null };
+    });
+    const missing = [...new Set(criteria.filter(c => c.met == null).map(c => c.key))];
+    return { result, label: STRESS_LABELS[result], confidence, criteria, fired: criteria.filter(c => c.met === true).map(c => c.id), missing, notes, trend };
+  }
+
+  // grade() adds the stress interpretation when the bag has exercise values
+  function withStress(result, b){
+    if (b.E_over_eprime_avg_exercise == null && b.TR_Vmax_exercise_m_s == null) return result;
+    result.stress = interpretStress({ rest: b, peak: { E_over_eprime_avg: b.E_over_eprime_avg_exercise, TR_Vmax_m_s: b.TR_Vmax_exercise_m_s } });
+    return result;
+  }
+
+  // -----------------------------
+  // Export (FHIR R4 Bundle, flat JSON, CSV)
+  // -----------------------------
+  const LOINC = 'http://loinc.org', SNOMED = 'http://snomed.info/sct', UCUM = 'http://unitsofmeasure.org';
+  const LOCAL_SYSTEM = 'urn:diastolic-paste:field';   // every Observation also carries its canonical key
+  const OBS_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+  // Standard codes only where one exists for the measurement; ucum is [code, display]
+  const EXPORT_CODES = {
+    MV_E_m_s: { loinc: ['18037-8', 'Mitral valve E-wave peak velocity'], ucum: ['m/s', 'm/s'] },
+    MV_A_m_s: { loinc: ['17978-4', 'Mitral valve A-wave peak velocity'], ucum: ['m/s', 'm/s'] },
+    EA_ratio: { loinc: ['18038-6', 'Mitral valve E to A ratio'], ucum: ['1', ''] },
+    DT_ms: { loinc: ['20217-2', 'Deceleration time'], ucum: ['ms', 'ms'] },
+    IVRT_ms: { loinc: ['18071-7', 'Left ventricular isovolumic relaxation time'], ucum: ['ms', 'ms'] },
+    eprime_septal_cm_s: { ucum: ['cm/s', 'cm/s'] },
+    eprime_lateral_cm_s: { ucum: ['cm/s', 'cm/s'] },
+    eprime_avg_cm_s: { ucum: ['cm/s', 'cm/s'] },
+    E_over_eprime_septal: { ucum: ['1', ''] },
+    E_over_eprime_lateral: { ucum: ['1', ''] },
+    E_over_eprime_avg: { ucum: ['1', ''] },
+    TR_Vmax_m_s: { ucum: ['m/s', 'm/s'] },
+    LAVI_ml_m2: { ucum: ['mL/m2', 'mL/m²'] },
+    LA_volume_ml: { ucum: ['mL', 'mL'] },
+    BSA_m2: { loinc: ['8277-6', 'Body surface area'], ucum: ['m2', 'm²'] },
+    HR_bpm: { loinc: ['8867-4', 'Heart rate'], ucum: ['/min', 'beats/minute'], vital: true },
+    BP_sys: { loinc: ['8480-6', 'Systolic blood pressure'], ucum: ['mm[Hg]', 'mmHg'], vital: true },
+    BP_dia: { loinc: ['8462-4', 'Diastolic blood pressure'], ucum: ['mm[Hg]', 'mmHg'], vital: true },
+    Rhythm: { loinc: ['8884-9', 'Heart rate rhythm'],
+      values: { Sinus: ['64730000', 'Normal sinus rhythm'], AF: ['49436004', 'Atrial fibrillation'], Paced: ['10370003', 'Rhythm from artificial pacing'] } },
+    Age_years: { loinc: ['30525-0', 'Age'], ucum: ['a', 'years'] },
+    Sex: { loinc: ['46098-0', 'Sex'], values: { Male: ['248153007', 'Male'], Female: ['248152002', 'Female'] } },
+    MR_severity: { snomed: ['48724000', 'Mitral valve regurgitation'] },
+    Mitral_stenosis: { snomed: ['79619009', 'Mitral valve stenosis'], boolean: true },
+    HCM: { snomed: ['233873004', 'Hypertrophic cardiomyopathy'], boolean: true },
+    Heart_transplant: { snomed: ['32413006', 'Transplantation of heart'], boolean: true },
+    MV_E_accel_cm_s2: { ucum: ['cm/s2', 'cm/s²'] },
+    PV_Ar_minus_A_ms: { ucum: ['ms', 'ms'] },
+    LA_reservoir_strain_pct: { ucum: ['%', '%'] },
+    PV_SD_ratio: { ucum: ['1', ''] },
+    PASP_mmHg: { ucum: ['mm[Hg]', 'mmHg'] },
+    RA_pressure_mmHg: { ucum: ['mm[Hg]', 'mmHg'] },
+    LV_GLS_pct: { ucum: ['%', '%'] },
+    LA_stiffness_index: { ucum: ['1', ''] },
+    E_over_eprime_avg_exercise: { ucum: ['1', ''] },
+    TR_Vmax_exercise_m_s: { ucum: ['m/s', 'm/s'] }
+  };
+  const EXPORT_FORMATS = ['fhir', 'json', 'csv'];
+
+  const uuid = () => {
+    try { if (global.crypto && global.crypto.randomUUID) return global.crypto.randomUUID(); } catch {}
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => { const r = Math.random() * 16 | 0; return (c === 'x' ? r : (r & 3 | 8)).toString(16); });
+  };
+  const exportKeys = (bag) => Object.keys(FIELD_SPECS).filter(k => bag[k] != null && bag[k] !== '');
+  const csvCell = (v) => { const s = v == null ? '' : String(v); return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+
+  function observationFor(key, value, ref){
+    const spec = FIELD_SPECS[key], c = EXPORT_CODES[key] || {};
+    const coding = [];
+    if (c.loinc) coding.push({ system: LOINC, code: c.loinc[0], display: c.loinc[1] });
+    if (c.snomed) coding.push({ system: SNOMED, code: c.snomed[0], display: c.snomed[1] });
+    coding.push({ system: LOCAL_SYSTEM, code: key, display: spec.label });
+    const obs = {
+      resourceType: 'Observation',
+      status: 'final',
+      category: [{ coding: [{ system: OBS_CATEGORY, code: c.vital ? 'vital-signs' : 'imaging' }] }],
+      code: { coding, text: spec.label }
+    };
+    Object.assign(obs, ref);
+    if (c.boolean) obs.valueBoolean = isYes(value);
+    else if (spec.type === 'text') {
+      const v = c.values && Object.entries(c.values).find(([k]) => k.toLowerCase() === String(value).trim().toLowerCase());
+      obs.valueCodeableConcept = v ? { coding: [{ system: SNOMED, code: v[1][0], display: v[1][1] }], text: String(value) } : { text: String(value) };
+    } else {
+      // FHIR forbids empty strings: a dimensionless value ('1') has no unit text
+      const u = c.ucum || ['1', ''];
+      obs.valueQuantity = Object.assign({ value: +value }, u[1] ? { unit: u[1] } : null, { system: UCUM, code: u[0] });
+    }
+    return obs;
+  }
+
+  function fhirBundle(bag, result, options){
+    const now = options.now;
+    const ref = { effectiveDateTime: now };
+    if (options.subject) ref.subject = options.subject;
+    const entries = exportKeys(bag).map(k => ({ fullUrl: `urn:uuid:${uuid()}`, resource: observationFor(k, bag[k], ref) }));
+    const report = {
+      resourceType: 'DiagnosticReport',
+      status: 'final',
+      category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'CUS', display: 'Cardiac Ultrasound' }] }],
+      code: { coding: [{ system: LOCAL_SYSTEM, code: 'diastolic-function', display: 'Diastolic function assessment' }], text: 'Diastolic function assessment' },
+      issued: now,
+      result: entries.map(e => ({ reference: e.fullUrl })),
+      conclusion: `${result.label}${result.lap && result.lap !== 'unknown' && !/\bLAP\b/.test(result.label) ? `; LAP ${result.lap}` : ''} (confidence ${result.confidence}).${result.notes && result.notes.length ? ' ' + result.notes.join(' ') : ''}`
+    };
+    Object.assign(report, ref);
+    return { resourceType: 'Bundle', type: 'collection', timestamp: now, entry: entries.concat({ fullUrl: `urn:uuid:${uuid()}`, resource: report }) };
+  }
+
+  /**
+   * Export a bag with its grade.
+   * @param {Object} bag canonical key => value
+   * @param {'fhir'|'json'|'csv'} [format] default 'fhir'
+   * @param {Object} [options]
+   *   - result: grade() result to export (default: grade(bag))
+   *   - now: ISO timestamp or Date for effectiveDateTime / exported_at (default: now)
+   *   - subject: FHIR Reference put on every resource, e.g. { reference: 'Patient/123' }
+   * @returns {Object|string} FHIR Bundle or flat object; CSV text (header + one row)
+   */
+  function exportAssessment(bag, format='fhir', options={}){
+    if (!EXPORT_FORMATS.includes(format)) throw new TypeError(`export: unknown format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+    const b = Object.assign({}, bag || {});
+    const opts = Object.assign({}, options);
+    const result = opts.result || grade(b);
+    opts.now = opts.now instanceof Date ? opts.now.toISOString() : (opts.now || new Date().toISOString());
+    if (format === 'fhir') return fhirBundle(b, result, opts);
+    if (format === 'json') {
+      const flat = {};
+      for (const k of exportKeys(b)) flat[k] = b[k];
+      return Object.assign(flat, { Result_grade: result.grade, Result_label: result.label, Result_confidence: result.confidence, exported_at: opts.now });
+    }
+    const keys = Object.keys(FIELD_SPECS);
+    const header = keys.map(k => FIELD_SPECS[k].label).concat('Grade', 'Confidence', 'Exported at');
+    const row = keys.map(k => b[k]).concat(result.label, result.confidence, opts.now);
+    return header.map(csvCell).join(',') + '\r\n' + row.map(csvCell).join(',') + '\r\n';
+  }
+
+  // Bundled JSON Schemas (draft-07 subset) for the export formats
+  const QUANTITY_SCHEMA = { type: 'object', required: ['value', 'system', 'code'], properties: { value: { type: 'number' }, unit: { type: 'string', minLength: 1 }, system: { const: UCUM }, code: { type: 'string', minLength: 1 } } };
+  const CODING_SCHEMA = { type: 'object', required: ['system', 'code'], properties: { system: { type: 'string', pattern: '^(https?|urn):' }, code: { type: 'string', minLength: 1 }, display: { type: 'string' } } };
+  const CONCEPT_SCHEMA = { type: 'object', properties: { coding: { type: 'array', items: CODING_SCHEMA }, text: { type: 'string' } } };
+  const DATETIME = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})$' };
+  const EXPORT_SCHEMAS = {
+    fhir: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: 'Diastolic assessment FHIR R4 Bundle',
+      type: 'object',
+      required: ['resourceType', 'type', 'entry'],
+      properties: {
+        resourceType: { const: 'Bundle' },
+        type: { enum: ['collection', 'transaction', 'document'] },
+        timestamp: DATETIME,
+        entry: { type: 'array', minItems: 1, items: {
+          type: 'object',
+          required: ['fullUrl', 'resource'],
+          properties: {
+            fullUrl: { type: 'string', pattern: '^urn:uuid:[0-9a-f-]{36}$' },
+            resource: { oneOf: [
+              { type: 'object', required: ['resourceType', 'status', 'code'],
+                properties: { resourceType: { const: 'Observation' }, status: { const: 'final' }, category: { type: 'array', items: CONCEPT_SCHEMA }, code: CONCEPT_SCHEMA, effectiveDateTime: DATETIME,
+                  valueQuantity: QUANTITY_SCHEMA, valueCodeableConcept: CONCEPT_SCHEMA, valueBoolean: { type: 'boolean' } } },
+              { type: 'object', required: ['resourceType', 'status', 'code', 'conclusion'],
+                properties: { resourceType: { const: 'DiagnosticReport' }, status: { const: 'final' }, code: CONCEPT_SCHEMA, issued: DATETIME, conclusion: { type: 'string', minLength: 1 },
+                  result: { type: 'array', items: { type: 'object', required: ['reference'], properties: { reference: { type: 'string' } } } } } }
+            ] }
+          }
+        } }
+      }
+    },
+    json: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: 'Diastolic assessment (flat)',
+      type: 'object',
+      required: ['Result_grade', 'Result_label', 'Result_confidence', 'exported_at'],
+      properties: Object.assign(
+        Object.fromEntries(Object.entries(FIELD_SPECS).map(([k, s]) => [k, { type: s.type === 'text' ? 'string' : 'number' }])),
+        { Result_grade: { type: 'string' }, Result_label: { type: 'string' }, Result_confidence: { enum: ['low', 'moderate', 'high'] }, exported_at: DATETIME }),
+      additionalProperties: false
+    },
+    csv: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: 'Diastolic assessment CSV (header and one row, parsed into arrays)',
+      type: 'array', minItems: 2, maxItems: 2,
+      items: { type: 'array', minItems: Object.keys(FIELD_SPECS).length + 3, maxItems: Object.keys(FIELD_SPECS).length + 3, items: { type: 'string' } }
+    }
+  };
+
+  // Just enough JSON Schema for EXPORT_SCHEMAS; returns ["path: message", ...]
+  function checkSchema(value, schema, path='$'){
+    const errors = [];
+    const typeOf = (v) => Array.isArray(v) ? 'array' : (v === null ? 'null' : typeof v);
+    if (schema.oneOf) {
+      const results = schema.oneOf.map(s => checkSchema(value, s, path));
+      const hits = results.filter(r => !r.length).length;
+      // Report the closest shape's problems rather than a bare "no match"; a const mismatch means the wrong shape
+      const distance = (r) => r.length + 10 * r.filter(e => / expected "/.test(e)).length;
+      if (!hits) errors.push(...results.reduce((a, b) => distance(b) < distance(a) ? b : a));
+      else if (hits > 1) errors.push(`${path}: matches ${hits} of the allowed shapes (expected 1)`);
+      return errors;
+    }
+    if ('const' in schema && value !== schema.const) errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+    if (schema.type && typeOf(value) !== schema.type) { errors.push(`${path}: expected ${schema.type}`); return errors; }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    if (schema.minLength != null && typeof value === 'string' && value.length < schema.minLength) errors.push(`${path}: too short`);
+    if (Array.isArray(value)) {
+      if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+      if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+      if (schema.items) value.forEach((v, i) => errors.push(...checkSchema(v, schema.items, `${path}[${i}]`)));
+    } else if (value && typeof value === 'object') {
+      for (const k of schema.required || []) if (!(k in value)) errors.push(`${path}: missing ${k}`);
+      for (const [k, v] of Object.entries(value)) {
+        if (schema.properties && schema.properties[k]) errors.push(...checkSchema(v, schema.properties[k], `${path}.${k}`));
+        else if (schema.additionalProperties === false) errors.push(`${path}: unexpected ${k}`);
+      }
+    }
+    return errors;
+  }
+  const parseCsv = (text) => {
+    const rows = [[]]; let cell = '', q = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (q) { if (ch === '"' && text[i+1] === '"') { cell += '"'; i++; } else if (ch === '"') q = false; else cell += ch; }
+      else if (ch === '"') q = true;
+      else if (ch === ',') { rows[rows.length-1].push(cell); cell = ''; }
+      else if (ch === '\n') { rows[rows.length-1].push(cell.replace(/\r$/, '')); cell = ''; rows.push([]); }
+      else cell += ch;
+    }
+    if (cell || rows[rows.length-1].length) rows[rows.length-1].push(cell); else rows.pop();
+    return rows;
+  };
+  /**
+   * Validate an export against the bundled schema (offline).
+   * @param {Object|string} data output of export()
+   * @param {'fhir'|'json'|'csv'} [format] default 'fhir'
+   * @returns {{valid:boolean, errors:string[]}}
+   */
+  function validateExport(data, format='fhir'){
+    if (!EXPORT_FORMATS.includes(format)) throw new TypeError(`validateExport: unknown format "${format}"`);
+    const errors = checkSchema(format === 'csv' ? parseCsv(String(data)) : data, EXPORT_SCHEMAS[format]);
+    return { valid: !errors.length, errors };
+  }
+
+  // -----------------------------
+  // Narrative report (template-driven interpretation text)
+  // -----------------------------
+  // One entry per locale; registerTemplates() merges institution wording over these.
+  // Placeholders: {name}. A template may also be a function(vars) returning the text.
+  const NARRATIVE_TEMPLATES = {
+    en: {
+      grade: {
+        normal: 'Normal diastolic function',
+        grade1: 'Grade I diastolic dysfunction with normal LAP',
+        grade2: 'Grade II diastolic dysfunction with elevated LAP',
+        grade3: 'Grade III diastolic dysfunction with elevated LAP (restrictive filling)',
+        indeterminate: 'Indeterminate diastolic function',
+        normal_lap: 'Normal LAP',
+        elevated_lap: 'Elevated LAP'
+      },
+      pathwayGrade: '{grade} by {pathway} criteria',
+      pathways: { transplant: 'heart transplant', hcm: 'HCM', ms: 'mitral stenosis', mr: 'significant MR', af: 'atrial fibrillation', paced: 'paced rhythm' },
+      summary: '{grade}{evidence}.',
+      evidence: ' ({values})',
+      value: '{term} {value}{unit}',
+      met: 'Criteria met: {list}.',
+      notMet: 'Criteria not met: {list}.',
+      missing: 'Not available: {list}.',
+      confidence: { low: 'Low confidence.', moderate: '', high: '' },
+      caveats: {
+        transplant: 'Doppler criteria are of limited validity after heart transplant.',
+        hcm: 'In HCM diastolic dysfunction is assumed; the criteria estimate LAP.',
+        ms: 'E/e′, E/A and LAVI are not valid with mitral stenosis.',
+        mr: 'E/e′, PV S/D and LAVI are confounded by moderate or severe MR.',
+        af: 'In atrial fibrillation, values should be averaged over several cycles; E/A and LAVI were not used.',
+        paced: 'In paced rhythm, septal e′ and mitral inflow are unreliable; lateral E/e′ was used.'
+      },
+      stress: {
+        positive: 'Diastolic stress test positive: E/e′ and TR velocity rise with exercise.',
+        negative: 'Diastolic stress test negative.',
+        indeterminate: 'Diastolic stress test indeterminate.'
+      },
+      terms: {
+        MV_E_m_s: 'E', MV_A_m_s: 'A', EA_ratio: 'E/A', DT_ms: 'DT', IVRT_ms: 'IVRT',
+        eprime_septal_cm_s: 'septal e′', eprime_lateral_cm_s: 'lateral e′', eprime_avg_cm_s: 'average e′',
+        E_over_eprime_septal: 'E/e′ septal', E_over_eprime_lateral: 'E/e′ lateral', E_over_eprime_avg: 'E/e′ avg',
+        TR_Vmax_m_s: 'TR Vmax', PASP_mmHg: 'PASP', LAVI_ml_m2: 'LAVI', LA_reservoir_strain_pct: 'LARS',
+        PV_SD_ratio: 'PV S/D', LV_GLS_pct: 'LV GLS', LA_stiffness_index: 'LA stiffness index',
+        PV_Ar_minus_A_ms: 'PV Ar − A', MV_E_accel_cm_s2: 'E acceleration rate'
+      },
+      separator: ', '
+    }
+  };
+
+  const fillTemplate = (tpl, vars) => typeof tpl === 'function' ? String(tpl(vars)) : String(tpl == null ? '' : tpl).replace(/\{(\w+)\}/g, (m, k) => k in vars ? vars[k] : m);
+
+  /**
+   * Add or override narrative wording for a locale (unknown locales start from 'en').
+   * Nested groups (grade, pathways, confidence, caveats, terms) merge key by key.
+   * @param {string} locale e.g. 'en', 'de'
+   * @param {Object} templates same shape as NARRATIVE_TEMPLATES.en (any subset)
+   */
+  function registerTemplates(locale, templates){
+    if (!locale || typeof locale !== 'string') throw new TypeError('registerTemplates: locale must be a non-empty string');
+    const base = NARRATIVE_TEMPLATES[locale] || JSON.parse(JSON.stringify(NARRATIVE_TEMPLATES.en));
+    for (const [k, v] of Object.entries(templates || {})) {
+      base[k] = (v && typeof v === 'object' && base[k] && typeof base[k] === 'object') ? Object.assign({}, base[k], v) : v;
+    }
+    NARRATIVE_TEMPLATES[locale] = base;
+    return base;
+  }
+
+  /**
+   * Build the interpretation paragraph for a bag and its grade.
+   * @param {Object} bag canonical key => value
+   * @param {Object} [result] grade() result (default: grade(bag))
+   * @param {Object} [options]
+   *   - locale: key of NARRATIVE_TEMPLATES (default 'en'; falls back to the language, then 'en')
+   *   - templates: one-off overrides, same shape as NARRATIVE_TEMPLATES.en
+   * @returns {string}
+   */
+  function narrative(bag, result, options={}){
+    const b = derive(Object.assign({}, bag || {}));
+    const r = result || grade(b);
+    const locale = options.locale || 'en';
+    const T = Object.assign({}, NARRATIVE_TEMPLATES.en, NARRATIVE_TEMPLATES[locale.split('-')[0]], NARRATIVE_TEMPLATES[locale]);
+    for (const [k, v] of Object.entries(options.templates || {})) T[k] = (v && typeof v === 'object' && T[k] && typeof T[k] === 'object') ? Object.assign({}, T[k], v) : v;
+    // Velocities in m/s keep one decimal ("TR Vmax 3.0 m/s")
+    let fmt = (k, x) => String(x);
+    try {
+      const nf = [0, 1].map(min => new Intl.NumberFormat(locale, { minimumFractionDigits: min, maximumFractionDigits: 2 }));
+      fmt = (k, x) => nf[/_m_s$/.test(k) ? 1 : 0].format(x);
+    } catch {}
+
+    const term = (k) => (T.terms && T.terms[k]) || NARRATIVE_TEMPLATES.en.terms[k] || (FIELD_SPECS[k] ? FIELD_SPECS[k].label.replace(/\s*\([^)]*\)\s*$/, '') : k);
+    const unitOf = (k) => { const u = EXPORT_CODES[k] && EXPORT_CODES[k].ucum; return u && u[1] ? ` ${u[1]}` : ''; };
+    const shown = (k, v) => fillTemplate(T.value, { term: term(k), value: typeof v === 'number' ? fmt(k, v) : String(v), unit: unitOf(k) });
+    // e′ criteria carry { septal, lateral }
+    const valuesOf = (c) => c.value && typeof c.value === 'object'
+      ? [['eprime_septal_cm_s', c.value.septal], ['eprime_lateral_cm_s', c.value.lateral]].filter(([, v]) => v != null)
+      : [[c.key, c.value]];
+    // Values once in the summary; the met / not-met lists name the variables only
+    const list = (cs, withValues) => {
+      const seen = new Set(), out = [];
+      for (const c of cs) for (const [k, v] of valuesOf(c)) { if (!seen.has(k)) { seen.add(k); out.push(withValues ? shown(k, v) : term(k)); } }
+      return out.join(T.separator);
+    };
+
+    const available = r.criteria.filter(c => c.met != null);
+    const met = available.filter(c => c.met), notMet = available.filter(c => !c.met);
+    let gradeText = (T.grade && T.grade[r.grade]) || r.label;
+    if (r.pathway && r.pathway !== 'standard') gradeText = fillTemplate(T.pathwayGrade, { grade: gradeText, pathway: (T.pathways && T.pathways[r.pathway]) || r.pathway });
+    const evidenceFrom = r.grade === 'normal' || r.grade === 'normal_lap' ? notMet : met;
+    const evidence = evidenceFrom.length && r.grade !== 'indeterminate' ? fillTemplate(T.evidence, { values: list(evidenceFrom, true) }) : '';
+
+    const parts = [ fillTemplate(T.summary, { grade: gradeText, evidence }) ];
+    if (met.length) parts.push(fillTemplate(T.met, { list: list(met) }));
+    if (notMet.length) parts.push(fillTemplate(T.notMet, { list: list(notMet) }));
+    if (r.missing && r.missing.length) parts.push(fillTemplate(T.missing, { list: r.missing.map(term).join(T.separator) }));
+    if (r.pathway && r.pathway !== 'standard' && T.caveats && T.caveats[r.pathway]) parts.push(T.caveats[r.pathway]);
+    if (T.confidence && T.confidence[r.confidence]) parts.push(T.confidence[r.confidence]);
+    if (r.stress && T.stress && T.stress[r.stress.result]) parts.push(T.stress[r.stress.result]);
+    return parts.filter(Boolean).join(' ');
+  }
+
+  // -----------------------------
+  // Session history (IndexedDB) and serial comparison
+  // -----------------------------
+  // Records: { id, name, studyDate, savedAt, bag, grade: { grade, label, confidence, pathway }, notes }
+  const HISTORY_DB = 'diastolic-paste';
+  const HISTORY_STORE = 'assessments';
+  const HISTORY_FILE = 'diastolic-paste-history';
+  // Higher is worse; indeterminate has no place on the scale
+  const GRADE_SEVERITY = { normal: 0, normal_lap: 0, grade1: 1, grade2: 2, elevated_lap: 2, grade3: 3 };
+
+  const idbRequest = (req) => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+  function idbBackend(name, idb){
+    let db = null;
+    const open = () => db || (db = new Promise((resolve, reject) => {
+      const req = idb.open(name, 1);
+      req.onupgradeneeded = () => {
+        const s = req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        s.createIndex('name', 'name');
+        s.createIndex('savedAt', 'savedAt');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+    const tx = async (mode, fn) => {
+      const t = (await open()).transaction(HISTORY_STORE, mode);
+      const out = await idbRequest(fn(t.objectStore(HISTORY_STORE)));
+      if (mode === 'readwrite') await new Promise((resolve, reject) => { t.oncomplete = resolve; t.onerror = t.onabort = () => reject(t.error); });
+      return out;
+    };
+    return {
+      all: () => tx('readonly', s => s.getAll()),
+      get: (id) => tx('readonly', s => s.get(id)),
+      put: (rec) => tx('readwrite', s => s.put(rec)),
+      delete: (id) => tx('readwrite', s => s.delete(id)),
+      clear: () => tx('readwrite', s => s.clear())
+    };
+  }
+  // Same interface without persistence (Node, private browsing without IndexedDB)
+  function memoryBackend(){
+    const m = new Map();
+    const copy = (r) => r && JSON.parse(JSON.stringify(r));
+    return {
+      all: async () => [...m.values()].map(copy),
+      get: async (id) => copy(m.get(id)),
+      put: async (rec) => { m.set(rec.id, copy(rec)); return rec.id; },
+      delete: async (id) => { m.delete(id); },
+      clear: async () => { m.clear(); }
+    };
+  }
+
+  const studyTime = (r) => Date.parse(r.studyDate || r.savedAt) || 0;
+
+  /**
+   * Field-by-field change between two assessments, earlier study first.
+   * @param {Object} a record ({ bag, grade?, name?, studyDate? }) or plain bag
+   * @param {Object} b same
+   * @returns {{before:Object, after:Object, fields:Array, grade:Object}} fields[i] =
+   *   { key, label, before, after, delta, pct, change: 'up'|'down'|'same'|'added'|'removed'|'changed' };
+   *   grade = { before, after, changed, direction: 'better'|'worse'|'same'|'unknown' }
+   */
+  function compareAssessments(a, b){
+    const rec = (x) => x && x.bag ? x : { bag: x || {} };
+    let [before, after] = [rec(a), rec(b)];
+    if ((before.studyDate || before.savedAt) && (after.studyDate || after.savedAt) && studyTime(after) < studyTime(before)) [before, after] = [after, before];
+    const bagA = derive(Object.assign({}, before.bag)), bagB = derive(Object.assign({}, after.bag));
+    const fields = [];
+    for (const key of Object.keys(FIELD_SPECS)) {
+      const x = bagA[key], y = bagB[key];
+      if (x == null && y == null) continue;
+      const row = { key, label: labelOf(key), before: x == null ? null : x, after: y == null ? null : y, delta: null, pct: null };
+      if (x == null) row.change = 'added';
+      else if (y == null) row.change = 'removed';
+      else if (typeof x === 'number' && typeof y === 'number') {
+        row.delta = round(y - x, 3);
+        row.pct = x !== 0 ? round((y - x) / Math.abs(x) * 100, 1) : null;
+        row.change = row.delta > 0 ? 'up' : row.delta < 0 ? 'down' : 'same';
+      } else row.change = String(x).toLowerCase() === String(y).toLowerCase() ? 'same' : 'changed';
+      fields.push(row);
+    }
+    const gradeOf = (r, bag) => r.grade && r.grade.grade ? r.grade : (({ grade: g, label, confidence, pathway }) => ({ grade: g, label, confidence, pathway }))(grade(bag));
+    const ga = gradeOf(before, bagA), gb = gradeOf(after, bagB);
+    const sa = GRADE_SEVERITY[ga.grade], sb = GRADE_SEVERITY[gb.grade];
+    const direction = ga.grade === gb.grade ? 'same' : (sa == null || sb == null) ? 'unknown' : sb > sa ? 'worse' : sb < sa ? 'better' : 'same';
+    const meta = (r) => ({ id: r.id || null, name: r.name || null, studyDate: r.studyDate || null });
+    return { before: meta(before), after: meta(after), fields, grade: { before: ga, after: gb, changed: ga.grade !== gb.grade, direction } };
+  }
+
+  // Passphrase-encrypted history file: PBKDF2-SHA-256 -> AES-GCM-256, all in the browser
+  const toB64 = (bytes) => { let s = ''; for (const x of new Uint8Array(bytes)) s += String.fromCharCode(x); return btoa(s); };
+  const fromB64 = (s) => Uint8Array.from(atob(s), ch => ch.charCodeAt(0));
+  const subtle = () => {
+    const c = global.crypto;
+    if (!c || !c.subtle) throw new Error('history: encrypted files need Web Crypto (a secure context: https or localhost)');
+    return c;
+  };
+  // Files are written with KDF_ITERATIONS; a file asking for fewer is weakened, for far more it would hang the tab
+  const KDF_ITERATIONS = 250000, KDF_MAX_ITERATIONS = 10 * KDF_ITERATIONS;
+  async function passKey(passphrase, salt, iterations, usage){
+    const c = subtle();
+    const base = await c.subtle.importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+    return c.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, { name: 'AES-GCM', length: 256 }, false, [usage]);
+  }
+  async function encryptRecords(records, passphrase, iterations=KDF_ITERATIONS){
+    if (!passphrase) throw new Error('history: a passphrase is required');
+    const c = subtle();
+    const salt = c.getRandomValues(new Uint8Array(16)), iv = c.getRandomValues(new Uint8Array(12));
+    const key = await passKey(passphrase, salt, iterations, 'encrypt');
+    const plain = new TextEncoder().encode(JSON.stringify({ records }));
+    const data = await c.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+    return JSON.stringify({
+      format: HISTORY_FILE, version: 1, exported_at: new Date().toISOString(),
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toB64(salt) },
+      cipher: { name: 'AES-GCM', iv: toB64(iv) },
+      data: toB64(data)
+    });
+  }
+  async function decryptRecords(text, passphrase){
+    let env;
+    try { env = JSON.parse(typeof text === 'string' ? text : new TextDecoder().decode(text)); } catch { env = null; }
+    if (!env || env.format !== HISTORY_FILE || !env.kdf || !env.cipher) throw new Error('history: not a diastolic-paste history file');
+    if (env.version !== 1) throw new Error(`history: unsupported file version ${env.version}`);
+    const n = env.kdf.iterations;
+    if (!Number.isInteger(n) || n < KDF_ITERATIONS || n > KDF_MAX_ITERATIONS) throw new Error(`history: unsupported key derivation (${n} iterations; expected ${KDF_ITERATIONS} to ${KDF_MAX_ITERATIONS})`);
+    const key = await passKey(passphrase, fromB64(env.kdf.salt), n, 'decrypt');
+    let plain;
+    try { plain = await subtle().subtle.decrypt({ name: 'AES-GCM', iv: fromB64(env.cipher.iv) }, key, fromB64(env.data)); }
+    catch { throw new Error('history: wrong passphrase or damaged file'); }
+    const body = JSON.parse(new TextDecoder().decode(plain));
+    return Array.isArray(body.records) ? body.records : [];
+  }
+
+  /**
+   * Saved assessments, stored in IndexedDB on this device only.
+   * @param {Object} [options]
+   *   - name: database name (default 'diastolic-paste')
+   *   - storage: 'indexeddb' | 'memory' (default: IndexedDB when available, otherwise memory)
+   * @returns {Object} { persistent, save, get, list, remove, clear, compare, exportEncrypted, importEncrypted }; all methods are async
+   */
+  function openHistory(options={}){
+    const idb = global.indexedDB;
+    const persistent = options.storage !== 'memory' && !!idb;
+    if (options.storage === 'indexeddb' && !idb) throw new Error('history: IndexedDB is not available here');
+    const store = persistent ? idbBackend(options.name || HISTORY_DB, idb) : memoryBackend();
+    const newId = () => `a-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const summaryOf = (r) => r ? { grade: r.grade, label: r.label, confidence: r.confidence, pathway: r.pathway } : null;
+    const sorted = (rs) => rs.sort((x, y) => studyTime(y) - studyTime(x) || String(y.savedAt).localeCompare(String(x.savedAt)));
+    const knownFields = (b) => { const bag = {}; for (const [k, v] of Object.entries(b || {})) if (FIELD_SPECS[k] && v != null && v !== '') bag[k] = v; return bag; };
+    // What the panel and list() rely on: string id and name, a bag, an ISO savedAt and a string or null studyDate
+    const isRecord = (r) => r && typeof r.id === 'string' && r.id && typeof r.name === 'string' && r.name && r.bag && typeof r.bag === 'object'
+      && typeof r.savedAt === 'string' && !Number.isNaN(Date.parse(r.savedAt)) && (r.studyDate == null || typeof r.studyDate === 'string');
+
+    const api = {
+      persistent,
+      // entry: { name, bag, studyDate?, notes?, result?, id? (overwrites) }; identifiers in name and notes are redacted
+      save: async (entry) => {
+        const e = entry || {};
+        const name = deidentify(String(e.name || '')).text.trim();
+        if (!name) throw new Error('history: an assessment needs a name');
+        const bag = knownFields(e.bag);
+        const rec = {
+          id: e.id || newId(), name,
+          studyDate: e.studyDate || null,
+          savedAt: new Date().toISOString(),
+          bag,
+          grade: summaryOf(e.result || grade(Object.assign({}, bag))),
+          notes: e.notes ? deidentify(String(e.notes)).text : ''
+        };
+        await store.put(rec);
+        return rec;
+      },
+      get: (id) => store.get(id),
+      // query matches name, study date or notes (case-insensitive); newest study first
+      list: async ({ query, limit } = {}) => {
+        const q = String(query || '').trim().toLowerCase();
+        const rs = sorted((await store.all()).filter(r => !q || [r.name, r.studyDate, r.notes, r.grade && r.grade.label].some(s => s && String(s).toLowerCase().includes(q))));
+        return limit ? rs.slice(0, limit) : rs;
+      },
+      remove: (id) => store.delete(id),
+      clear: () => store.clear(),
+      compare: async (idA, idB) => {
+        const [a, b] = await Promise.all([store.get(idA), store.get(idB)]);
+        if (!a || !b) throw new Error(`history: no saved assessment "${!a ? idA : idB}"`);
+        return compareAssessments(a, b);
+      },
+      exportEncrypted: async (passphrase) => encryptRecords(sorted(await store.all()), passphrase),
+      // mode 'merge' keeps the newer copy of records present on both sides; 'replace' empties the store first
+      importEncrypted: async (file, passphrase, { mode = 'merge' } = {}) => {
+        const records = await decryptRecords(file, passphrase);
+        const valid = records.filter(isRecord).map(r => Object.assign({}, r, { bag: knownFields(r.bag) }));
+        if (mode === 'replace') await store.clear();
+        let added = 0, updated = 0, skipped = records.length - valid.length;
+        for (const r of valid) {
+          const cur = mode === 'replace' ? null : await store.get(r.id);
+          if (cur && String(cur.savedAt) >= String(r.savedAt)) { skipped++; continue; }
+          await store.put(r);
+          if (cur) updated++; else added++;
+        }
+        return { added, updated, skipped };
+      }
+    };
+    return api;
+  }
+
+  // -----------------------------
+  // Rich input (HTML tables, PDF text layer, images via OCR)
+  // -----------------------------
+  // Everything becomes plain report text before the regex stage, so provenance and the
+  // preview quote what the parser actually read.
+  const ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", prime: '′', Prime: '″', rsquo: '’', lsquo: '‘',
+    ldquo: '“', rdquo: '”', ndash: '–', mdash: '—', hellip: '…', middot: '·', deg: '°', micro: 'µ', sup2: '²', sup3: '³',
+    times: '×', divide: '÷', plusmn: '±', le: '≤', ge: '≥', auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü',
+    szlig: 'ß', aacute: 'á', agrave: 'à', acirc: 'â', eacute: 'é', egrave: 'è', ecirc: 'ê', iacute: 'í', igrave: 'ì',
+    oacute: 'ó', ograve: 'ò', ocirc: 'ô', uacute: 'ú', ugrave: 'ù', ntilde: 'ñ', ccedil: 'ç', Eacute: 'É'
+  };
+  const decodeEntities = (s) => String(s).replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (m, dec, hex, name) => {
+    if (dec || hex) { try { return String.fromCodePoint(parseInt(dec || hex, dec ? 10 : 16)); } catch { return m; } }
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : m;
+  });
+  const cellText = (s) => decodeEntities(s).replace(/[\s ]+/g, ' ').trim();
+  // "0.92", "0,92 m/s", "92 (mean)" => [value, rest]; "2D" or "4C" is a label, not a number
+  const numberCell = (c) => {
+    const m = /^([<>≤≥]?\s*-?\d+(?:[.,]\d+)?)(.*)$/.exec(c);
+    return m && (!m[2] || /^[\s(]/.test(m[2]) || UNIT_CELL.test(m[2])) ? [m[1], m[2].trim()] : null;
+  };
+  // "E velocity (m/s)" => ["E velocity", "m/s"]
+  const splitUnitLabel = (label) => {
+    const m = /^(.*?)\s*[([]\s*([^()[\]]+?)\s*[)\]]\s*:?$/.exec(label);
+    return m && UNIT_CELL.test(m[2]) ? [m[1], m[2]] : [label.replace(/\s*:$/, ''), null];
+  };
+
+  // One table row => { cells, label, value, unit, line }: the label is every cell before the
+  // first numeric one, the unit the next cell, a unit inside the value cell or one in
+  // brackets after the label. Extra cells (reference ranges, z-scores) are dropped.
+  function tableTriple(cells, header){
+    // A layout cell holding a nested table: its rows were already emitted as lines
+    if (cells.some(c => c.includes('\n'))) return { cells, label: null, value: null, unit: null, line: cells.join('\n') };
+    const i = cells.findIndex(c => numberCell(c));
+    if (i < 0) return { cells, label: cells.join(' '), value: null, unit: null, line: cells.join('\t') };
+    // A row of numbers under a header row: one measurement per column
+    if (i === 0 && header && header.length === cells.length) {
+      const lines = cells.map((c, k) => tableTriple([header[k], c]).line).filter(Boolean);
+      return { cells, label: null, value: null, unit: null, line: lines.join('\n') };
+    }
+    if (i === 0) return { cells, label: null, value: null, unit: null, line: cells.join('\t') };
+    const [label, labelUnit] = splitUnitLabel(cells.slice(0, i).join(' '));
+    const [value, inline] = numberCell(cells[i]);
+    const next = cells[i + 1] && UNIT_CELL.test(cells[i + 1]) ? cells[i + 1] : null;
+    const unit = (UNIT_CELL.test(inline) ? inline : null) || next || labelUnit;
+    return { cells, label, value, unit, line: [label, value, unit].filter(Boolean).join('\t') };
+  }
+
+  /**
+   * Table rows of an HTML fragment as label/value/unit triples (nested tables are walked too).
+   * @param {string} html
+   * @returns {Array<{cells:string[], label:string|null, value:string|null, unit:string|null, line:string}>}
+   */
+  function tableRows(html){
+    const rows = [];
+    walkHtml(html, (row) => rows.push(row));
+    return rows;
+  }
+
+  /**
+   * HTML (clipboard, saved viewer page) to report text. Each table row becomes one
+   * "label<TAB>value<TAB>unit" line; block elements and <br> become line breaks.
+   * @param {string} html
+   * @returns {string}
+   */
+  function htmlToText(html){
+    return walkHtml(html).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  const BLOCK_TAGS = /^(?:p|div|br|li|ul|ol|dl|dt|dd|h[1-6]|section|article|header|footer|pre|blockquote|hr|caption|figure|form|fieldset|legend)$/;
+  function walkHtml(html, onRow){
+    const src = String(html || '').replace(/<!--[\s\S]*?-->/g, '').replace(/<(script|style|head|template|title)\b[\s\S]*?<\/\1\s*>/gi, '');
+    const out = [''];                         // innermost open cell or the document
+    const tables = [];                        // { depth, lines, cells, header, rowIsHead }
+    let pre = 0;
+    const write = (s) => { out[out.length - 1] += s; };
+    const openCell = () => { out.push(''); };
+    const closeCell = () => {
+      if (out.length < 2 || !tables.length) return;
+      const tb = tables[tables.length - 1];
+      if (out.length - 1 !== tb.depth + 1) return;
+      const text = out.pop();
+      tb.cells.push(text.includes('\n') ? text.trim() : cellText(text));
+    };
+    const closeRow = () => {
+      closeCell();
+      const tb = tables[tables.length - 1];
+      if (!tb || !tb.cells.length) return;
+      const cells = tb.cells.filter(c => c !== '');
+      const allHead = tb.rowIsHead;
+      tb.cells = []; tb.rowIsHead = true;
+      if (!cells.length) return;
+      if (allHead || (!tb.lines.length && !cells.some(c => numberCell(c)))) tb.header = cells;
+      const row = tableTriple(cells, tb.header);
+      if (onRow) onRow(row);
+      tb.lines.push(row.line);
+    };
+    const rx = /<(\/?)([a-zA-Z][\w:-]*)[^>]*>|[^<]+|</g;
+    let m;
+    while ((m = rx.exec(src))) {
+      if (!m[2]) { write(pre ? decodeEntities(m[0]) : decodeEntities(m[0]).replace(/[\s ]+/g, ' ')); continue; }
+      const close = !!m[1], tag = m[2].toLowerCase();
+      if (tag === 'table') {
+        if (!close) { tables.push({ depth: out.length - 1, lines: [], cells: [], header: null, rowIsHead: true }); write('\n'); continue; }
+        if (!tables.length) continue;
+        closeRow();
+        while (out.length - 1 > tables[tables.length - 1].depth) out.pop();
+        write('\n' + tables.pop().lines.join('\n') + '\n');
+      } else if (tag === 'tr') {
+        if (tables.length) closeRow();
+      } else if (tag === 'td' || tag === 'th') {
+        if (!tables.length) continue;
+        closeCell();
+        if (!close) { openCell(); if (tag === 'td') tables[tables.length - 1].rowIsHead = false; }
+      } else if (tag === 'pre') {
+        pre = Math.max(0, pre + (close ? -1 : 1)); write('\n');
+      } else if (BLOCK_TAGS.test(tag)) write('\n');
+    }
+    while (tables.length) { closeRow(); while (out.length - 1 > tables[tables.length - 1].depth) out.pop(); write('\n' + tables.pop().lines.join('\n') + '\n'); }
+    return out[0].split('\n').map(l => l.replace(/^ +| +$/g, '')).join('\n');
+  }
+
+  // PDF text layer: the page content streams (uncompressed or Flate) in page order, text
+  // operators in stream order, fonts decoded through their ToUnicode CMap when they have one.
+  // A scanned PDF has no text layer and yields ''.
+  const latin1 = (bytes) => { let s = ''; for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)); return s; };
+  const WIN_ANSI = { 0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™' };
+  async function inflateBytes(bytes){
+    if (typeof DecompressionStream === 'undefined') throw new Error('this environment cannot read compressed PDF streams');
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+    const parts = [];
+    // Keep what was inflated before a truncated or padded stream ends in an error
+    try { for (;;) { const { done, value } = await reader.read(); if (done) break; parts.push(value); } } catch {}
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let at = 0;
+    for (const p of parts) { out.set(p, at); at += p.length; }
+    return out;
+  }
+
+  // Value of /Name in a dictionary body: a reference, a balanced << >> or [ ], or one token
+  function pdfValue(body, name){
+    const m = new RegExp(`\\/${name}(?![A-Za-z0-9#])\\s*`).exec(body || '');
+    if (!m) return null;
+    let i = m.index + m[0].length;
+    const ref = /^(\d+)\s+(\d+)\s+R\b/.exec(body.slice(i));
+    if (ref) return ref[0];
+    const open = body.startsWith('<<', i) ? ['<<', '>>'] : body[i] === '[' ? ['[', ']'] : null;
+    if (!open) { const tok = /^(?:\/[^\s/<>[\]()]+|[^\s/<>[\]()]+)/.exec(body.slice(i)); return tok ? tok[0] : null; }
+    let depth = 0;
+    for (let j = i; j < body.length; j++) {
+      if (body.startsWith(open[0], j)) { depth++; j += open[0].length - 1; }
+      else if (body.startsWith(open[1], j)) { depth--; j += open[1].length - 1; if (!depth) return body.slice(i, j + 1); }
+    }
+    return null;
+  }
+  const pdfRefs = (v) => [...String(v || '').matchAll(/(\d+)\s+\d+\s+R\b/g)].map(m => +m[1]);
+
+  function parseCMap(text, width){
+    const map = new Map();
+    const hex = (h) => h.replace(/\s+/g, '');
+    const utf16 = (h) => { h = hex(h); let s = ''; for (let i = 0; i + 4 <= h.length; i += 4) s += String.fromCharCode(parseInt(h.slice(i, i + 4), 16)); return s; };
+    width = width || 1;
+    const space = /begincodespacerange\s*<([0-9a-fA-F\s]+)>/.exec(text);
+    if (space) width = Math.max(1, hex(space[1]).length / 2);
+    for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const m of block[1].matchAll(/<([0-9a-fA-F\s]+)>\s*<([0-9a-fA-F\s]*)>/g)) map.set(parseInt(hex(m[1]), 16), utf16(m[2]));
+    }
+    for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const m of block[1].matchAll(/<([0-9a-fA-F\s]+)>\s*<([0-9a-fA-F\s]+)>\s*(?:<([0-9a-fA-F\s]*)>|\[([^\]]*)\])/g)) {
+        const lo = parseInt(hex(m[1]), 16), hi = parseInt(hex(m[2]), 16);
+        if (hi - lo > 0xffff) continue;
+        if (m[4] != null) { [...m[4].matchAll(/<([0-9a-fA-F\s]*)>/g)].forEach((d, k) => map.set(lo + k, utf16(d[1]))); continue; }
+        const base = hex(m[3]), last = parseInt(base.slice(-4), 16) || 0;
+        for (let c = lo; c <= hi; c++) map.set(c, utf16(base.slice(0, -4)) + String.fromCharCode(last + c - lo));
+      }
+    }
+    return { map, width };
+  }
+
+  /**
+   * Text layer of a PDF file, one line per text line.
+   * @param {ArrayBuffer|Uint8Array} data
+   * @param {{inflate?:function(Uint8Array):(Uint8Array|Promise<Uint8Array>)}} [options] Flate decoder
+   *   (default: DecompressionStream, available in current browsers and Node 18+)
+   * @returns {Promise<string>}
+   */
+  async function pdfToText(data, options){
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const src = latin1(bytes);
+    if (src.slice(0, 1024).indexOf('%PDF-') < 0) throw new Error('not a PDF file');
+    const inflate = (options && options.inflate) || inflateBytes;
+
+    // Objects by number; a later definition (incremental update) replaces an earlier one
+    const objects = new Map();
+    const rx = /(\d+)\s+\d+\s+obj\b/g;
+    let m;
+    while ((m = rx.exec(src))) {
+      const kw = /\bstream(?:\r\n|\n|\r)|\bendobj\b/g;
+      kw.lastIndex = rx.lastIndex;
+      const k = kw.exec(src);
+      if (!k) break;
+      const body = src.slice(rx.lastIndex, k.index).trim();
+      if (k[0] === 'endobj') { objects.set(+m[1], { body }); rx.lastIndex = k.index + 6; continue; }
+      const start = k.index + k[0].length;
+      const len = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(body);
+      let end = len && /^\s*endstream/.test(src.slice(start + +len[1], start + +len[1] + 20)) ? start + +len[1] : src.indexOf('endstream', start);
+      if (end < 0) end = src.length;
+      objects.set(+m[1], { body, raw: bytes.subarray(start, end) });
+      rx.lastIndex = end;
+    }
+    const decoded = new Map();
+    const streamOf = async (num) => {
+      if (decoded.has(num)) return decoded.get(num);
+      const o = objects.get(num);
+      let out = null;
+      if (o && o.raw) {
+        const filter = pdfValue(o.body, 'Filter') || '';
+        try {
+          if (!filter) out = o.raw;
+          else if (/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) out = await inflate(o.raw);
+        } catch {}
+      }
+      const text = out ? latin1(out) : null;
+      decoded.set(num, text);
+      return text;
+    };
+    // Objects packed into object streams
+    for (const [num, o] of [...objects]) {
+      if (!o.raw || !/\/Type\s*\/ObjStm\b/.test(o.body)) continue;
+      const text = await streamOf(num);
+      const first = +(pdfValue(o.body, 'First') || 0), n = +(pdfValue(o.body, 'N') || 0);
+      if (!text || !first) continue;
+      const nums = text.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < n; i++) {
+        const id = nums[2 * i], from = first + nums[2 * i + 1], to = i + 1 < n ? first + nums[2 * i + 3] : text.length;
+        if (!objects.has(id)) objects.set(id, { body: text.slice(from, to).trim() });
+      }
+    }
+    const bodyOf = (v) => { const r = pdfRefs(v); return r.length && /^\d+\s+\d+\s+R$/.test(String(v).trim()) ? (objects.get(r[0]) || {}).body || '' : v || ''; };
+
+    // Pages in document order (the page tree), else every /Type /Page object in file order
+    const pages = [];
+    const visit = (num, seen) => {
+      const o = objects.get(num);
+      if (!o || seen.has(num)) return;
+      seen.add(num);
+      if (/\/Type\s*\/Pages\b/.test(o.body)) for (const kid of pdfRefs(pdfValue(o.body, 'Kids'))) visit(kid, seen);
+      else if (/\/Type\s*\/Page\b/.test(o.body)) pages.push(num);
+    };
+    for (const [, o] of objects) if (/\/Type\s*\/Catalog\b/.test(o.body)) visit(pdfRefs(pdfValue(o.body, 'Pages'))[0], new Set());
+    if (!pages.length) for (const [num, o] of objects) if (/\/Type\s*\/Page\b/.test(o.body)) pages.push(num);
+
+    const fontsOf = async (pageNum) => {
+      let resources = null;
+      for (let num = pageNum, hops = 0; num != null && hops < 32 && !resources; hops++) {
+        const body = (objects.get(num) || {}).body || '';
+        resources = pdfValue(body, 'Resources');
+        num = pdfRefs(pdfValue(body, 'Parent'))[0];
+      }
+      const fonts = {};
+      const dict = bodyOf(pdfValue(bodyOf(resources), 'Font'));
+      for (const f of String(dict).matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R\b/g)) {
+        const font = (objects.get(+f[2]) || {}).body || '';
+        const tu = pdfRefs(pdfValue(font, 'ToUnicode'))[0];
+        const cmap = tu != null ? await streamOf(tu) : null;
+        const width = /\/Subtype\s*\/Type0\b/.test(font) ? 2 : 1;
+        fonts[f[1]] = cmap ? parseCMap(cmap, width) : { map: null, width };
+      }
+      return fonts;
+    };
+
+    const lines = [];
+    for (const pageNum of pages) {
+      const page = objects.get(pageNum).body;
+      const fonts = await fontsOf(pageNum);
+      let content = '';
+      for (const c of pdfRefs(pdfValue(page, 'Contents'))) {
+        const o = objects.get(c);
+        // /Contents may point at an array object listing the streams
+        if (o && !o.raw) { for (const cc of pdfRefs(o.body)) content += ((await streamOf(cc)) || '') + '\n'; }
+        else content += ((await streamOf(c)) || '') + '\n';
+      }
+      lines.push(...contentText(content, fonts).split('\n'));
+    }
+    return lines.map(l => l.replace(/[ \t]+/g, ' ').trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  // Text operators of one content stream; a vertical move starts a new line
+  function contentText(src, fonts){
+    let out = '', font = null, y = null, line = '';
+    const flush = () => { if (line.trim()) out += line + '\n'; line = ''; };
+    const show = (bytes) => {
+      const f = font || { map: null, width: 1 };
+      let s = '';
+      for (let i = 0; i + f.width <= bytes.length; i += f.width) {
+        let code = 0;
+        for (let k = 0; k < f.width; k++) code = code * 256 + bytes.charCodeAt(i + k);
+        s += f.map ? (f.map.get(code) || '') : (f.width === 1 ? (WIN_ANSI[code] || String.fromCharCode(code)) : '');
+      }
+      line += s;
+    };
+    const space = () => { if (line && !/\s$/.test(line)) line += ' '; };
+    const moveTo = (ny) => { if (y != null && Math.abs(ny - y) > 0.5) flush(); else space(); y = ny; };
+    const stack = [];
+    let i = 0, array = null;
+    const n = src.length;
+    while (i < n) {
+      const c = src[i];
+      if (/\s/.test(c)) { i++; continue; }
+      if (c === '%') { while (i < n && src[i] !== '\n' && src[i] !== '\r') i++; continue; }
+      let tok;
+      if (c === '(') {
+        let depth = 1, s = '';
+        for (i++; i < n && depth; i++) {
+          const ch = src[i];
+          if (ch === '\\') {
+            const nx = src[++i];
+            if (/[0-7]/.test(nx)) { const o = /^[0-7]{1,3}/.exec(src.slice(i, i + 3))[0]; s += String.fromCharCode(parseInt(o, 8) & 255); i += o.length - 1; }
+            else if (nx === '\r') { if (src[i + 1] === '\n') i++; }
+            else if (nx !== '\n') s += { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[nx] || nx;
+          } else if (ch === '(') { depth++; s += ch; }
+          else if (ch === ')') { if (--depth) s += ch; }
+          else s += ch;
+        }
+        tok = { str: s };
+      } else if (c === '<' && src[i + 1] !== '<') {
+        const end = src.indexOf('>', i);
+        const h = src.slice(i + 1, end < 0 ? n : end).replace(/\s+/g, '');
+        let s = '';
+        for (let k = 0; k < h.length; k += 2) s += String.fromCharCode(parseInt((h.slice(k, k + 2) + '0').slice(0, 2), 16));
+        tok = { str: s };
+        i = end < 0 ? n : end + 1;
+      } else if (c === '[') { array = []; i++; continue; }
+      else if (c === ']') { stack.push({ arr: array || [] }); array = null; i++; continue; }
+      else if (c === '<' || c === '>') { i += 2; continue; }
+      else {
+        const w = /^(?:\/[^\s/<>[\]()%{}]*|[^\s/<>[\]()%{}]+)/.exec(src.slice(i, i + 256));
+        if (!w) { i++; continue; }
+        i += w[0].length;
+        if (w[0][0] === '/') tok = { name: w[0].slice(1) };
+        else if (/^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(w[0])) tok = { num: +w[0] };
+        else tok = { op: w[0] };
+      }
+      if (array && !tok.op) { array.push(tok); continue; }
+      if (!tok.op) { stack.push(tok); continue; }
+      const args = stack.splice(0);
+      const num = (k) => { const a = args[args.length - k]; return a && a.num != null ? a.num : 0; };
+      switch (tok.op) {
+        case 'BT': break;
+        case 'Tf': { const f = args.find(a => a.name); font = f ? fonts[f.name] || null : null; break; }
+        case 'Td': case 'TD': moveTo((y || 0) + num(1)); break;
+        case 'Tm': moveTo(num(1)); break;
+        case 'T*': flush(); break;
+        case 'Tj': { const s = args.find(a => a.str != null); if (s) show(s.str); break; }
+        case "'": case '"': { flush(); const s = args.find(a => a.str != null); if (s) show(s.str); break; }
+        case 'TJ': {
+          const arr = (args.find(a => a.arr) || { arr: [] }).arr;
+          for (const a of arr) { if (a.str != null) show(a.str); else if (a.num != null && a.num < -200) space(); }
+          break;
+        }
+        case 'ET': space(); break;
+        case 'BI': { const end = src.indexOf('EI', src.indexOf('ID', i)); i = end < 0 ? n : end + 2; break; }
+        default: break;
+      }
+    }
+    if (line) flush();
+    return out;
+  }
+
+  // Plain-text and HTML files by extension or MIME type
+  const FILE_KINDS = [
+    ['pdf', /\.pdf$/i, /^application\/pdf$/],
+    ['html', /\.x?html?$/i, /^(?:text\/html|application\/xhtml\+xml)$/],
+    ['image', /\.(?:png|jpe?g|gif|bmp|webp|tiff?)$/i, /^image\//],
+    ['text', /\.(?:txt|text|csv|tsv|log|md)$/i, /^text\//]
+  ];
+  const fileKind = (file) => {
+    const hit = FILE_KINDS.find(([, ext, mime]) => ext.test(file && file.name || '') || mime.test(file && file.type || ''));
+    return hit ? hit[0] : null;
+  };
+
+  // OCR engines are loaded by the page; nothing is fetched from a server. `ocr` is a
+  // function(image) => text | { text } | Promise of either, or { engine: 'tesseract', lang,
+  // ...createWorker options } for a self-hosted Tesseract.js (workerPath, corePath, langPath).
+  const ocrWorkers = new WeakMap();
+  async function ocrImage(image, ocr){
+    if (typeof ocr === 'function') { const r = await ocr(image); return typeof r === 'string' ? r : (r && r.text) || ''; }
+    if (ocr && ocr.engine === 'tesseract') {
+      const T = global.Tesseract;
+      if (!T || typeof T.createWorker !== 'function') throw new Error('OCR needs Tesseract.js loaded on the page');
+      if (!ocrWorkers.has(ocr)) {
+        const workerOptions = Object.assign({}, ocr);
+        delete workerOptions.engine; delete workerOptions.lang;
+        ocrWorkers.set(ocr, T.createWorker(ocr.lang || 'eng', 1, workerOptions));
+      }
+      const { data } = await (await ocrWorkers.get(ocr)).recognize(image);
+      return (data && data.text) || '';
+    }
+    throw new Error('OCR is not configured');
+  }
+
+  /**
+   * Report text from a dropped or pasted file: .txt, .html, .pdf (text layer) or, when
+   * `ocr` is given, an image.
+   * @param {Blob & {name?:string}} file
+   * @param {{ocr?:Function|Object, inflate?:Function}} [options]
+   * @returns {Promise<string>}
+   */
+  async function fileToText(file, options){
+    const o = options || {};
+    const kind = fileKind(file);
+    if (kind === 'pdf') return pdfToText(await file.arrayBuffer(), o);
+    if (kind === 'html') return htmlToText(await file.text());
+    if (kind === 'text') return file.text();
+    if (kind === 'image' && o.ocr) return ocrImage(file, o.ocr);
+    throw new Error(kind === 'image' ? 'reading images needs the ocr option' : `unsupported file type${file && file.name ? ` "${file.name}"` : ''}`);
+  }
+
+  // -----------------------------
+  // DOM integration (global paste)
+  // -----------------------------
+  const DEFAULT_SELECTOR_MAP = {
+    // Core
+    MV_E_m_s: "#mv_e, [name='mv_e']",
+    MV_A_m_s: "#mv_a, [name='mv_a']",
+    EA_ratio: "#ea_ratio, [name='ea_ratio']",
+    DT_ms: "#dt_ms, [name='dt_ms']",
+    eprime_septal_cm_s: "#eprime_septal, [name='eprime_septal']",
+    eprime_lateral_cm_s: "#eprime_lateral, [name='eprime_lateral']",
+    eprime_avg_cm_s: "#eprime_avg, [name='eprime_avg']",
+    E_over_eprime_septal: "#e_over_eprime_septal, [name='e_over_eprime_septal']",
+    E_over_eprime_lateral: "#e_over_eprime_lateral, [name='e_over_eprime_lateral']",
+    E_over_eprime_avg: "#e_over_eprime_avg, [name='e_over_eprime_avg']",
+    TR_Vmax_m_s: "#tr_vmax, [name='tr_vmax']",
+    LAVI_ml_m2: "#lavi, [name='lavi']",
+    LA_volume_ml: "#la_volume, [name='la_volume']",
+    BSA_m2: "#bsa, [name='bsa']",
+    HR_bpm: "#hr, [name='hr']",
+    BP_sys: "#bp_sys, [name='bp_sys']",
+    BP_dia: "#bp_dia, [name='bp_dia']",
+    Rhythm: "#rhythm, [name='rhythm']",
+    Age_years: "#age, [name='age']",
+    Sex: "#sex, [name='sex']",
+    MR_severity: "#mr_severity, [name='mr_severity']",
+    Mitral_stenosis: "#mitral_stenosis, [name='mitral_stenosis']",
+    HCM: "#hcm, [name='hcm']",
+    Heart_transplant: "#heart_transplant, [name='heart_transplant']",
+    MV_E_accel_cm_s2: "#mv_e_accel, [name='mv_e_accel']",
+    PV_Ar_minus_A_ms: "#pv_ar_a, [name='pv_ar_a']",
+    // 2025
+    LA_reservoir_strain_pct: "#la_strain, [name='la_strain'], [name='lars'], [name='lasr'], [name='pals']",
+    PV_SD_ratio: "#pv_sd, [name='pv_sd']",
+    IVRT_ms: "#ivrt, [name='ivrt']",
+    PASP_mmHg: "#pasp, [name='pasp'], #rvsp, [name='rvsp']",
+    RA_pressure_mmHg: "#rap, [name='rap']",
+    LV_GLS_pct: "#gls, [name='gls'], [name='lv_gls']",
+    LA_stiffness_index: "#la_stiffness, [name='la_stiffness']",
+    // Exercise
+    E_over_eprime_avg_exercise: "#e_over_eprime_avg_ex, [name='e_over_eprime_avg_ex']",
+    TR_Vmax_exercise_m_s: "#tr_vmax_ex, [name='tr_vmax_ex']",
+    // Result (written by grade(), never read back)
+    Result_grade: "#result_grade, [name='result_grade']",
+    Result_confidence: "#result_confidence, [name='result_confidence']",
+    Result_criteria: "#result_criteria, [name='result_criteria']"
+  };
+  const RESULT_KEYS = ['Result_grade','Result_confidence','Result_criteria'];
+
+  // root: the document or the element setup() was scoped to
+  function pickEl(sel, root){ if(!sel) return null; return (root || document).querySelector(sel); }
+  function setField(el, val){ if(!el) return false; const tag=el.tagName&&el.tagName.toLowerCase(); if(tag==='input'||tag==='textarea'||tag==='select'){ el.value=String(val); } else if (el.isContentEditable || el.getAttribute && el.getAttribute('contenteditable')==='true'){ el.textContent=String(val); } else { el.textContent=String(val); } dispatchInput(el); try{ el.classList.add('diasto-flash'); setTimeout(()=>el.classList.remove('diasto-flash'),800);}catch{} return true; }
+  // invalid (optional array) collects { key, raw } for entries that are not numbers; decimal as for toNum
+  function readBagFromSelectors(map, invalid, root, decimal){
+    const bag = {};
+    for (const [k, sel] of Object.entries(map)) {
+      if (RESULT_KEYS.includes(k)) continue;
+      const el = pickEl(sel, root); if (!el) continue;
+      const raw = ('value' in el) ? el.value : el.textContent;
+      if (raw==null || String(raw).trim()==='') continue;
+      if (FIELD_SPECS[k] && FIELD_SPECS[k].type === 'text') { bag[k] = String(raw).trim(); continue; }
+      const x = toNum(raw, decimal);
+      if (Number.isFinite(x)) bag[k] = x;
+      else if (invalid) invalid.push({ key: k, raw: String(raw).trim() });
+    }
+    return bag;
+  }
+  // Show warnings as a note right after each field (aria-describedby), errors also set aria-invalid.
+  // idPrefix keeps the note ids unique when several calculators share a page.
+  function writeWarnings(warnings, map, root, idPrefix='diasto-warning'){
+    const byKey = {};
+    for (const w of warnings) (byKey[w.key] = byKey[w.key] || []).push(w);
+    for (const [k, sel] of Object.entries(map)) {
+      if (RESULT_KEYS.includes(k)) continue;
+      const el = pickEl(sel, root); if (!el) continue;
+      const list = byKey[k];
+      let note = el._diastoWarning;
+      if (!list) {
+        if (note) { note.remove(); el._diastoWarning = null; if (el.getAttribute('aria-describedby') === note.id) el.removeAttribute('aria-describedby'); el.removeAttribute('aria-invalid'); }
+        continue;
+      }
+      if (!note) {
+        note = document.createElement('small');
+        note.className = 'diasto-warning';
+        note.id = `${idPrefix}-${k}`;
+        el.insertAdjacentElement('afterend', note);
+        el._diastoWarning = note;
+        if (!el.hasAttribute('aria-describedby')) el.setAttribute('aria-describedby', note.id);
+      }
+      const level = list.some(w => w.level === 'error') ? 'error' : (list.some(w => w.level === 'warning') ? 'warning' : 'info');
+      note.setAttribute('data-level', level);
+      note.textContent = list.map(w => w.message).join(' ');
+      if (level === 'error') el.setAttribute('aria-invalid', 'true'); else el.removeAttribute('aria-invalid');
+    }
+  }
+  function writeResult(result, map, root){
+    const text = {
+      Result_grade: result.label,
+      Result_confidence: `${result.confidence} (${result.available}/${result.total} ${result.pathway==='standard' ? 'primary variables' : 'pathway criteria'})`,
+      Result_criteria: result.fired.length ? result.criteria.filter(c => c.met).map(c => c.label).join('; ') : '—'
+    };
+    for (const k of RESULT_KEYS) {
+      const el = pickEl(map[k], root); if (!el) continue;
+      if ('value' in el) el.value = text[k]; else el.textContent = text[k];
+    }
+  }
+  function applyBagToSelectors(bag, map, fields, lang, root){ let updated=0; for (const [k,v] of Object.entries(bag)) { if(v==null) continue; const sel=map[k]; if(!sel) continue; const el=pickEl(sel, root); if(el && setField(el,v)) { updated++; if (fields) markProvenance(el, k, fields[k], lang); } } return updated; }
+
+  // A copied table arrives as text/html too; its cells beat the flattened text/plain
+  const htmlClipboardText = (html) => /<t[dh]\b/i.test(html || '') ? htmlToText(html) : '';
+  function clipboardText(data){
+    if (!data) return '';
+    let html = '';
+    try { html = data.getData('text/html') || ''; } catch {}
+    return htmlClipboardText(html) || data.getData('text/plain') || (html ? htmlToText(html) : '');
+  }
+
+  // -----------------------------
+  // UI language (toasts, review dialog, history panel, page text)
+  // -----------------------------
+  // English wording; a language pack's `ui` overrides any of these. Placeholders: {name};
+  // a string may also be a function(vars) for plurals.
+  const UI_STRINGS = {
+    filled: (v) => `Diastolic paste: filled ${v.count} field${v.count===1?'':'s'}${v.profile ? ` (${v.profile})` : ''}${v.ignored ? `; ${v.ignored} implausible value${v.ignored===1?'':'s'} ignored` : ''}.`,
+    restored: (v) => `Diastolic paste: restored ${v.count} field${v.count===1?'':'s'}.`,
+    nothingFilled: 'Diastolic paste: nothing filled.',
+    fileUnsupported: 'Diastolic paste: {name} was not read; drop a .txt, .html or .pdf report.',
+    fileEmpty: 'Diastolic paste: {name} has no text.',
+    pdfNoText: 'Diastolic paste: {name} has no text layer (a scanned PDF?).',
+    fileFailed: 'Diastolic paste: could not read {name} ({message}).',
+    fileNothing: 'Diastolic paste: no echo measurements found in the file.',
+    ocrRunning: 'Diastolic paste: reading text from {name}…',
+    overridden: '{label}: entered by hand, so it is not recalculated. Clear the field to use the formula again.',
+    exportFailed: 'Diastolic paste: export failed.',
+    copied: 'Diastolic paste: report text copied.',
+    copyFailed: 'Diastolic paste: could not copy; select the text and copy it manually.',
+    loaded: 'Diastolic paste: loaded "{name}".',
+    undo: 'Undo',
+    notANumber: '{label}: "{raw}" is not a number.',
+    reviewTitle: 'Review extracted values',
+    reviewHelp: 'Untick values you do not want to fill. ↑/↓ move, Space toggles, A all, N none, Enter applies, Esc cancels.',
+    reviewUse: 'Use', reviewField: 'Field', reviewCurrent: 'Current', reviewNew: 'New',
+    reviewFill: 'Fill {label}', reviewConflicting: ' (conflicting matches)',
+    selectNone: 'Select none', cancel: 'Cancel', apply: 'Apply',
+    historyName: 'Label (no patient identifiers)', historyNameLabel: 'Assessment name', historyDate: 'Study date', historySave: 'Save assessment',
+    historySearch: 'Search saved assessments', historyCompareCol: 'Compare', historyNameCol: 'Name', historyGradeCol: 'Grade',
+    historyCompare: 'Compare ticked', historyPassphrase: 'Passphrase', historyPassphraseLabel: 'Passphrase for the encrypted file',
+    historyExport: 'Export encrypted', historyImport: 'Import encrypted', historyLoad: 'Load', historyDelete: 'Delete',
+    historyEmpty: 'No saved assessments yet.', historyNoMatches: 'No matches.',
+    historySaved: 'Saved "{name}".', historyLoaded: 'Loaded "{name}".', historyFormEmpty: 'Nothing to save: the form is empty.',
+    historyPickTwo: 'Tick two assessments to compare.', historyExported: 'Encrypted history file saved. Keep the passphrase: it cannot be recovered.',
+    historyImported: (v) => `Imported ${v.added} new and ${v.updated} updated assessment${v.added + v.updated === 1 ? '' : 's'}${v.skipped ? `; ${v.skipped} already up to date` : ''}.`,
+    historyMemory: 'This browser has no IndexedDB; assessments are kept until the page is closed.',
+    historyCompareOne: 'Compare {name}', historyField: 'Field', historyChange: 'Change',
+    changeAdded: 'new', changeRemoved: 'not measured', changeChanged: 'changed',
+    directionBetter: 'improved', directionWorse: 'worse', directionSame: 'unchanged', directionUnknown: 'not comparable',
+    language: 'Language',
+    calcHint: 'Paste an echo report here, or drop a .txt, .html or .pdf report on the calculator.',
+    calcGrade: 'Grade', calcConfidence: 'Confidence', calcCriteria: 'Criteria met', calcCopy: 'Copy report text',
+    privacyIdle: 'Identifiers are removed from pasted reports before they are read; only the measurements are kept.',
+    privacyRedacted: 'Removed before reading: {list}. Only the measurements were kept; the pasted text was discarded.',
+    privacyClean: 'No identifiers found. Only the measurements were kept; the pasted text was discarded.',
+    privacyOff: 'De-identification is off: pasted reports are read as given.',
+    privacyHistory: 'Saved assessments are outside this: their label and measurements stay in this browser as entered.',
+    phiName: 'name', phiDob: 'date of birth', phiDate: 'study date', phiMrn: 'record number', phiAccession: 'accession number',
+    phiId: 'ID number', phiPhone: 'phone number', phiEmail: 'e-mail address',
+    stressRest: 'Rest', stressLow: 'Low workload', stressPeak: 'Peak', stressRecovery: 'Recovery', stressMeasure: 'Measurement',
+    stressChart: 'E/e′ and TR Vmax by stage', stressEE: 'E/e′ (average)', stressTR: 'TR Vmax (m/s)', stressLimits: 'dashed: positive limits',
+    stressPositive: 'Positive diastolic stress test: filling pressure rises with exercise.',
+    stressNegative: 'Negative diastolic stress test: filling pressure stays normal with exercise.',
+    stressIndeterminate: 'Indeterminate diastolic stress test.',
+    stressEmpty: 'Paste a stress echo report or enter the stage values to interpret the stress test.'
+  };
+  const LANGUAGE_STORAGE_KEY = 'diasto-language';
+  const uiText = (lang, key, vars) => {
+    const own = LANGUAGES[lang] && LANGUAGES[lang].ui && LANGUAGES[lang].ui[key];
+    return fillTemplate(own != null ? own : (UI_STRINGS[key] != null ? UI_STRINGS[key] : key), vars || {});
+  };
+  const fieldLabel = (key, lang) => (LANGUAGES[lang] && LANGUAGES[lang].fields && LANGUAGES[lang].fields[key]) || labelOf(key);
+
+  // 'auto' => the last choice on this device, else the browser language if a pack exists, else English
+  function resolveLanguage(want){
+    const known = (c) => c === 'en' || !!LANGUAGES[c];
+    if (want && want !== 'auto') return known(want) ? want : (known(want.split('-')[0]) ? want.split('-')[0] : 'en');
+    let stored = null;
+    try { stored = localStorage.getItem(LANGUAGE_STORAGE_KEY); } catch {}
+    const nav = (typeof navigator !== 'undefined' && navigator.language) || '';
+    return [stored, nav, nav.split('-')[0]].find(c => c && known(c)) || 'en';
+  }
+
+  // [data-i18n="key"] takes the pack's ui[key], [data-i18n-field="KEY"] the field label and
+  // [data-i18n-placeholder="key"] a placeholder; the page's own English text is kept for 'en'.
+  // root (default the document) limits the translation to one calculator.
+  function translatePage(lang, root){
+    const scope = root || document;
+    const pack = LANGUAGES[lang] || {};
+    const swap = (el, attr, read, write, lookup) => {
+      const keep = `${attr}-en`;
+      if (!el.hasAttribute(keep)) el.setAttribute(keep, read(el));
+      const own = lang === 'en' ? null : lookup(el.getAttribute(attr));
+      write(el, own != null ? own : el.getAttribute(keep));
+    };
+    const text = [(el) => el.textContent, (el, v) => { el.textContent = v; }];
+    const ui = (k) => pack.ui && pack.ui[k] != null ? fillTemplate(pack.ui[k], {}) : null;
+    scope.querySelectorAll('[data-i18n]').forEach(el => swap(el, 'data-i18n', ...text, ui));
+    scope.querySelectorAll('[data-i18n-field]').forEach(el => swap(el, 'data-i18n-field', ...text, (k) => pack.fields && pack.fields[k]));
+    scope.querySelectorAll('[data-i18n-placeholder]').forEach(el => swap(el, 'data-i18n-placeholder', (e) => e.getAttribute('placeholder') || '', (e, v) => e.setAttribute('placeholder', v), ui));
+    try { (scope === document ? document.documentElement : scope).setAttribute('lang', lang); } catch {}
+  }
+
+  // <select data-diasto-language>: English plus every registered pack
+  function fillLanguageSelect(select, lang){
+    select.textContent = '';
+    for (const [code, name] of [['en', 'English']].concat(Object.entries(LANGUAGES).map(([c, p]) => [c, p.name || c]))) {
+      const o = document.createElement('option');
+      o.value = code; o.textContent = name;
+      select.appendChild(o);
+    }
+    select.value = lang;
+  }
+
+  // -----------------------------
+  // Provenance display (tooltip + paste preview)
+  // -----------------------------
+  function describeField(key, f, lang){
+    const label = fieldLabel(key, lang);
+    if (!f) return label;
+    if (f.status === 'derived') return `${label}: derived from other fields`;
+    const src = f.source;
+    const lines = [ `${label}: ${f.status} (${f.confidence} confidence)`, `Source: "${src.text.trim()}" (chars ${src.start}–${src.end})` ];
+    if (f.unit) lines.push(`Unit: ${f.unit}`);
+    lines.push(`Pattern: /${f.pattern}/`);
+    const others = f.candidates.slice(1);
+    if (others.length) lines.push(`Other candidates: ${others.map(c => `${c.value} ("${c.source.text.trim()}")`).join(', ')}`);
+    return lines.join('\n');
+  }
+  function markProvenance(el, key, f, lang){
+    try {
+      if (!f) { el.removeAttribute('data-diasto-status'); return; }
+      el.title = describeField(key, f, lang);
+      el.setAttribute('data-diasto-status', f.status);
+    } catch {}
+  }
+  function renderPreview(el, text, fields, lang){
+    if (!el) return;
+    const spans = [];
+    for (const [key, f] of Object.entries(fields||{})) {
+      f.candidates.forEach((c, i) => spans.push({ key, start: c.source.valueStart, end: c.source.valueEnd, chosen: i===0, conflict: f.status==='conflicting' }));
+    }
+    spans.sort((a, b) => a.start - b.start || (b.chosen - a.chosen));
+    el.textContent = '';
+    let pos = 0;
+    for (const sp of spans) {
+      if (sp.start < pos) continue; // overlapping candidate for another key
+      el.appendChild(document.createTextNode(text.slice(pos, sp.start)));
+      const mark = document.createElement('mark');
+      mark.className = 'diasto-source' + (sp.chosen ? '' : ' diasto-alt') + (sp.conflict ? ' diasto-conflict' : '');
+      mark.setAttribute('data-diasto-key', sp.key);
+      mark.title = fieldLabel(sp.key, lang);
+      mark.textContent = text.slice(sp.start, sp.end);
+      el.appendChild(mark);
+      pos = sp.end;
+    }
+    el.appendChild(document.createTextNode(text.slice(pos)));
+  }
+
+  // -----------------------------
+  // Review dialog (confirm mode)
+  // -----------------------------
+  const readElValue = (el) => String(('value' in el) ? el.value : (el.textContent || ''));
+
+  // One row per extracted value that has a mapped element
+  function reviewRows(detail, map, root){
+    const rows = [];
+    for (const [key, value] of Object.entries(detail.bag)) {
+      if (value==null || !map[key]) continue;
+      const el = pickEl(map[key], root); if (!el) continue;
+      const oldValue = readElValue(el);
+      const f = detail.fields[key];
+      rows.push({
+        key, el, oldValue, newValue: value,
+        status: f ? f.status : 'reported',
+        overwrite: oldValue.trim() !== '' && oldValue.trim() !== String(value)
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Accessible modal listing old -> new values with a checkbox per row.
+   * Keys: ↑/↓ move between rows, Space toggles, A selects all, N selects none,
+   * Enter applies, Escape rejects everything.
+   * @param {Array} rows from reviewRows()
+   * @param {function(Array)} done called once with the accepted rows ([] when cancelled)
+   * @param {string} [lang] UI language (default English)
+   */
+  function openReviewDialog(rows, done, lang){
+    const t = (key, vars) => uiText(lang, key, vars);
+    const prevFocus = document.activeElement;
+    const backdrop = document.createElement('div');
+    backdrop.className = 'diasto-modal-backdrop';
+    const dlg = document.createElement('div');
+    dlg.className = 'diasto-modal';
+    dlg.setAttribute('role', 'dialog');
+    dlg.setAttribute('aria-modal', 'true');
+    dlg.setAttribute('aria-labelledby', 'diasto-review-title');
+    dlg.setAttribute('aria-describedby', 'diasto-review-help');
+    const h = document.createElement('h2'); h.id = 'diasto-review-title'; h.textContent = t('reviewTitle');
+    const help = document.createElement('p'); help.id = 'diasto-review-help';
+    help.textContent = t('reviewHelp');
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    for (const txt of [t('reviewUse'), t('reviewField'), t('reviewCurrent'), t('reviewNew')]) { const th = document.createElement('th'); th.scope = 'col'; th.textContent = txt; head.appendChild(th); }
+    const body = table.createTBody();
+    const boxes = rows.map((r, i) => {
+      const tr = body.insertRow();
+      if (r.overwrite) tr.className = 'diasto-overwrite';
+      if (r.status === 'conflicting') tr.className += ' diasto-conflict';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox'; cb.checked = true; cb.id = `diasto-review-${i}`;
+      const label = fieldLabel(r.key, lang);
+      cb.setAttribute('aria-label', t('reviewFill', { label }));
+      tr.insertCell().appendChild(cb);
+      const lab = document.createElement('label'); lab.htmlFor = cb.id; lab.textContent = label + (r.status === 'conflicting' ? t('reviewConflicting') : '');
+      tr.insertCell().appendChild(lab);
+      tr.insertCell().textContent = r.oldValue.trim() === '' ? '—' : r.oldValue;
+      tr.insertCell().textContent = String(r.newValue);
+      return cb;
+    });
+    const actions = document.createElement('div'); actions.className = 'diasto-modal-actions';
+    const mkBtn = (txt, fn) => { const b = document.createElement('button'); b.type = 'button'; b.textContent = txt; b.addEventListener('click', fn); actions.appendChild(b); return b; };
+    let closed = false;
+    const close = (accepted) => {
+      if (closed) return; closed = true;
+      backdrop.remove();
+      try { if (prevFocus && prevFocus.focus) prevFocus.focus(); } catch {}
+      done(accepted);
+    };
+    const apply = () => close(rows.filter((r, i) => boxes[i].checked));
+    mkBtn(t('selectNone'), () => boxes.forEach(b => { b.checked = false; }));
+    mkBtn(t('cancel'), () => close([]));
+    const applyBtn = mkBtn(t('apply'), apply);
+    applyBtn.className = 'diasto-primary';
+    dlg.append(h, help, table, actions);
+    backdrop.appendChild(dlg);
+
+    dlg.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      const idx = boxes.indexOf(document.activeElement);
+      if (e.key === 'Escape') { e.preventDefault(); close([]); }
+      // Enter on a button is that button's click (Cancel, Select none), not Apply
+      else if (e.key === 'Enter' && !(e.target instanceof Element && e.target.closest('button'))) { e.preventDefault(); apply(); }
+      else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const next = idx < 0 ? 0 : (idx + (e.key === 'ArrowDown' ? 1 : -1) + boxes.length) % boxes.length;
+        if (boxes[next]) boxes[next].focus();
+      }
+      else if (/^[an]$/i.test(e.key) && !e.ctrlKey && !e.metaKey) { e.preventDefault(); const on = e.key.toLowerCase() === 'a'; boxes.forEach(b => { b.checked = on; }); }
+      else if (e.key === 'Tab') {
+        // keep focus inside the dialog
+        const focusables = [...dlg.querySelectorAll('input,button')];
+        const first = focusables[0], last = focusables[focusables.length - 1];
+        if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+        else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+      }
+    });
+    backdrop.addEventListener('mousedown', (e) => { if (e.target === backdrop) close([]); });
+    document.body.appendChild(backdrop);
+    (boxes[0] || applyBtn).focus();
+    return { close: () => close([]) };
+  }
+
+  // -----------------------------
+  // History panel (save, search, compare, encrypted file)
+  // -----------------------------
+  const fmtDelta = (r, t) => {
+    if (r.change === 'added') return t('changeAdded');
+    if (r.change === 'removed') return t('changeRemoved');
+    if (r.change === 'changed') return t('changeChanged');
+    if (r.delta == null) return '';
+    return `${r.delta > 0 ? '+' : r.delta < 0 ? '−' : '±'}${Math.abs(r.delta)}${r.pct != null ? ` (${r.pct > 0 ? '+' : r.pct < 0 ? '−' : ''}${Math.abs(r.pct)}%)` : ''}`;
+  };
+  const GRADE_DIRECTION = { better: 'directionBetter', worse: 'directionWorse', same: 'directionSame', unknown: 'directionUnknown' };
+
+  /**
+   * Build the history panel inside root.
+   * @param {Element} root container, emptied first
+   * @param {Object} store from openHistory()
+   * @param {{current:function():{bag:Object,result:Object}, load:function(Object), language:string}} hooks
+   * @returns {{refresh:function():Promise}}
+   */
+  function renderHistoryPanel(root, store, hooks){
+    const t = (key, vars) => uiText(hooks.language, key, vars);
+    const el = (tag, props, ...kids) => { const e = document.createElement(tag); for (const [k, v] of Object.entries(props || {})) { if (k === 'class') e.className = v; else if (k in e && typeof v !== 'string') e[k] = v; else e.setAttribute(k, v); } e.append(...kids); return e; };
+    const btn = (text, onClick) => { const b = el('button', { type: 'button' }, text); b.addEventListener('click', onClick); return b; };
+    const status = el('p', { class: 'diasto-history-status', role: 'status', 'aria-live': 'polite' });
+    const say = (msg) => { status.textContent = msg; };
+    const fail = (e) => say(e && e.message ? e.message.replace(/^history: /, '') : String(e));
+
+    const name = el('input', { type: 'text', placeholder: t('historyName'), 'aria-label': t('historyNameLabel') });
+    const date = el('input', { type: 'date', 'aria-label': t('historyDate') });
+    const search = el('input', { type: 'search', placeholder: t('historySearch'), 'aria-label': t('historySearch') });
+    const list = el('tbody');
+    const table = el('table', { class: 'diasto-history-list' },
+      el('thead', null, el('tr', null, ...[t('historyCompareCol'), t('historyDate'), t('historyNameCol'), t('historyGradeCol'), ''].map(h => el('th', { scope: 'col' }, h)))), list);
+    const comparison = el('div', { class: 'diasto-history-compare' });
+    const pass = el('input', { type: 'password', autocomplete: 'new-password', placeholder: t('historyPassphrase'), 'aria-label': t('historyPassphraseLabel') });
+    const file = el('input', { type: 'file', accept: '.json,application/json', hidden: true });
+    let picked = [];
+
+    const save = async () => {
+      try {
+        const cur = hooks.current();
+        if (!Object.keys(cur.bag).length) return say(t('historyFormEmpty'));
+        const rec = await store.save({ name: name.value, studyDate: date.value || null, bag: cur.bag, result: cur.result });
+        say(t('historySaved', { name: rec.name }));
+        name.value = '';
+        await refresh();
+      } catch (e) { fail(e); }
+    };
+    const compare = async () => {
+      try {
+        if (picked.length !== 2) return say(t('historyPickTwo'));
+        showComparison(await store.compare(picked[0], picked[1]));
+      } catch (e) { fail(e); }
+    };
+    const showComparison = (c) => {
+      const title = (m) => `${m.name || '—'}${m.studyDate ? ` (${m.studyDate})` : ''}`;
+      const g = c.grade;
+      const rows = c.fields.map(r => el('tr', { class: `diasto-change-${r.change}` },
+        el('th', { scope: 'row' }, fieldLabel(r.key, hooks.language)), el('td', null, r.before == null ? '—' : String(r.before)), el('td', null, r.after == null ? '—' : String(r.after)), el('td', null, fmtDelta(r, t))));
+      comparison.textContent = '';
+      comparison.append(
+        el('p', { class: `diasto-grade-${g.direction}` }, `${g.before.label} → ${g.after.label}: ${t(GRADE_DIRECTION[g.direction])}.`),
+        el('table', null, el('thead', null, el('tr', null, ...[t('historyField'), title(c.before), title(c.after), t('historyChange')].map(h => el('th', { scope: 'col' }, h)))), el('tbody', null, ...rows)));
+    };
+    const exportFile = async () => {
+      try {
+        const text = await store.exportEncrypted(pass.value);
+        const a = el('a', { download: `diastolic-history-${new Date().toISOString().slice(0, 10)}.json` });
+        a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+        say(t('historyExported'));
+      } catch (e) { fail(e); }
+    };
+    const importFile = async () => {
+      const f = file.files && file.files[0];
+      file.value = '';
+      if (!f) return;
+      try {
+        const n = await store.importEncrypted(await f.text(), pass.value);
+        say(t('historyImported', n));
+        await refresh();
+      } catch (e) { fail(e); }
+    };
+    file.addEventListener('change', importFile);
+
+    const row = (r) => {
+      const cb = el('input', { type: 'checkbox', 'aria-label': t('historyCompareOne', { name: r.name }) });
+      cb.checked = picked.includes(r.id);
+      cb.addEventListener('change', () => {
+        picked = cb.checked ? picked.concat(r.id).slice(-2) : picked.filter(id => id !== r.id);
+        list.querySelectorAll('input[type="checkbox"]').forEach(b => { b.checked = picked.includes(b.getAttribute('data-id')); });
+      });
+      cb.setAttribute('data-id', r.id);
+      return el('tr', null,
+        el('td', null, cb),
+        el('td', null, r.studyDate || r.savedAt.slice(0, 10)),
+        el('td', null, r.name),
+        el('td', null, r.grade ? r.grade.label : '—'),
+        el('td', null,
+          btn(t('historyLoad'), () => { hooks.load(r); say(t('historyLoaded', { name: r.name })); }),
+          btn(t('historyDelete'), async () => { await store.remove(r.id); picked = picked.filter(id => id !== r.id); await refresh(); })));
+    };
+    const refresh = async () => {
+      try {
+        const rs = await store.list({ query: search.value });
+        list.textContent = '';
+        if (!rs.length) list.append(el('tr', null, el('td', { colspan: '5' }, search.value ? t('historyNoMatches') : t('historyEmpty'))));
+        else list.append(...rs.map(row));
+      } catch (e) { fail(e); }
+    };
+    search.addEventListener('input', refresh);
+
+    root.textContent = '';
+    root.classList.add('diasto-history');
+    root.append(
+      el('div', { class: 'diasto-history-row' }, name, date, btn(t('historySave'), save)),
+      search, table,
+      el('div', { class: 'diasto-history-row' }, btn(t('historyCompare'), compare)),
+      comparison,
+      el('div', { class: 'diasto-history-row' }, pass, btn(t('historyExport'), exportFile), btn(t('historyImport'), () => file.click()), file),
+      status);
+    if (!store.persistent) say(t('historyMemory'));
+    refresh();
+    return { refresh };
+  }
+
+  // Stress test panel: a column of inputs per stage, the E/e′ and TR Vmax trend, and the interpretation.
+  // hooks: { language, change(stages) } where stages = { rest: {key: number}, low, peak, recovery }
+  const STRESS_ROWS = ['MV_E_m_s', 'eprime_septal_cm_s', 'eprime_lateral_cm_s', 'E_over_eprime_avg', 'TR_Vmax_m_s', 'HR_bpm'];
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  function renderStressPanel(root, hooks){
+    const t = (key, vars) => uiText(hooks.language, key, vars);
+    const el = (tag, props, ...kids) => { const e = document.createElement(tag); for (const [k, v] of Object.entries(props || {})) { if (k === 'class') e.className = v; else e.setAttribute(k, v); } e.append(...kids); return e; };
+    const stageName = (id) => t('stress' + id[0].toUpperCase() + id.slice(1));
+    const heads = {}, inputs = [];
+    const cell = (stage, key) => {
+      const i = el('input', { inputmode: 'decimal', 'data-stress-stage': stage, 'data-stress-key': key, 'aria-label': `${stageName(stage)}: ${fieldLabel(key, hooks.language)}` });
+      i.addEventListener('input', () => hooks.change(read()));
+      inputs.push(i);
+      return el('td', null, i);
+    };
+    const table = el('table', { class: 'diasto-stress-table' },
+      el('thead', null, el('tr', null, el('th', { scope: 'col' }, t('stressMeasure')), ...STRESS_STAGES.map(s => (heads[s.id] = el('th', { scope: 'col' }, stageName(s.id)))))),
+      el('tbody', null, ...STRESS_ROWS.map(key => el('tr', null, el('th', { scope: 'row' }, fieldLabel(key, hooks.language)), ...STRESS_STAGES.map(s => cell(s.id, key))))));
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', t('stressChart'));
+    const chart = el('figure', { class: 'diasto-stress-chart' }, svg,
+      el('figcaption', null, el('span', { class: 'diasto-stress-ee' }, t('stressEE')), ' · ', el('span', { class: 'diasto-stress-tr' }, t('stressTR')), ' · ', t('stressLimits')));
+    const result = el('p', { class: 'diasto-stress-result', role: 'status', 'aria-live': 'polite' });
+    const read = () => {
+      const stages = {};
+      for (const s of STRESS_STAGES) stages[s.id] = {};
+      for (const i of inputs) { const v = toNum(i.value); if (v != null) stages[i.getAttribute('data-stress-stage')][i.getAttribute('data-stress-key')] = v; }
+      return stages;
+    };
+
+    root.textContent = '';
+    root.classList.add('diasto-stress');
+    root.append(table, chart, result);
+    return {
+      // Values as entered or parsed; workloads (W) go into the column headings
+      set: (stages, workloads) => {
+        for (const s of STRESS_STAGES) { const w = workloads && workloads[s.id]; heads[s.id].textContent = w ? `${stageName(s.id)} (${w} W)` : stageName(s.id); }
+        for (const i of inputs) { const v = stages && stages[i.getAttribute('data-stress-stage')] && stages[i.getAttribute('data-stress-stage')][i.getAttribute('data-stress-key')]; i.value = v == null ? '' : String(v); }
+      },
+      // stages with everything known (derived values and the resting form) show as placeholders
+      update: (stages, interpretation) => {
+        const full = {};
+        for (const s of STRESS_STAGES) full[s.id] = derive(Object.assign({}, stages[s.id]));
+        for (const i of inputs) { const v = full[i.getAttribute('data-stress-stage')][i.getAttribute('data-stress-key')]; i.setAttribute('placeholder', v == null ? '' : String(v)); }
+        drawStressChart(svg, interpretation.trend, stageName);
+        const empty = interpretation.criteria.slice(0, 2).every(c => c.met == null);   // no exercise E/e′ or TR Vmax
+        const state = empty ? 'empty' : interpretation.result;
+        result.setAttribute('data-state', state);
+        result.textContent = t('stress' + state[0].toUpperCase() + state.slice(1));
+        if (empty || !interpretation.notes.length) result.removeAttribute('title');
+        else result.title = interpretation.notes.join(' ');
+      }
+    };
+  }
+  // Average E/e′ (left scale) and TR Vmax (right scale) by stage; the dashed lines are the positive limits
+  function drawStressChart(svg, trend, stageName){
+    const W = 320, H = 170, x0 = 44, x1 = 276, top = 12, base = 134;
+    const node = (tag, attrs, parent, text) => { const e = document.createElementNS(SVG_NS, tag); for (const [k, v] of Object.entries(attrs)) e.setAttribute(k, String(v)); if (text != null) e.textContent = text; (parent || svg).appendChild(e); return e; };
+    svg.textContent = '';
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+    const xOf = (i) => round(x0 + i * (x1 - x0) / (STRESS_STAGES.length - 1), 1);
+    const eeOf = (p) => p.E_over_eprime_avg;
+    const top5 = (vs, min) => Math.max(min, ...vs.filter(v => v != null).map(v => Math.ceil(v / 5) * 5));
+    const series = [
+      { id: 'ee', of: eeOf, max: top5(trend.map(eeOf), 20), limit: STRESS_LIMITS.E_over_eprime_avg, side: 'left' },
+      { id: 'tr', of: (p) => p.TR_Vmax_m_s, max: Math.max(4, ...trend.map(p => p.TR_Vmax_m_s).filter(v => v != null).map(Math.ceil)), limit: STRESS_LIMITS.TR_Vmax_m_s, side: 'right' }
+    ];
+    node('line', { class: 'diasto-stress-axis', x1: x0, x2: x1, y1: base, y2: base });
+    STRESS_STAGES.forEach((s, i) => node('text', { class: 'diasto-stress-tick', x: xOf(i), y: base + 18, 'text-anchor': 'middle' }, null, stageName(s.id)));
+    for (const s of series) {
+      const y = (v) => round(base - (base - top) * v / s.max, 1);
+      const edge = s.side === 'left' ? { x: x0 - 6, anchor: 'end' } : { x: x1 + 6, anchor: 'start' };
+      node('line', { class: `diasto-stress-limit diasto-stress-${s.id}`, x1: x0, x2: x1, y1: y(s.limit), y2: y(s.limit) });
+      node('text', { class: `diasto-stress-tick diasto-stress-${s.id}`, x: edge.x, y: y(s.limit) + 4, 'text-anchor': edge.anchor }, null, String(s.limit));
+      node('text', { class: `diasto-stress-tick diasto-stress-${s.id}`, x: edge.x, y: top + 4, 'text-anchor': edge.anchor }, null, String(s.max));
+      const points = [];
+      STRESS_STAGES.forEach((st, i) => { const p = trend.find(q => q.stage === st.id); const v = p ? s.of(p) : null; if (v != null) points.push({ x: xOf(i), y: y(Math.min(v, s.max)), v, stage: st.id }); });
+      if (points.length > 1) node('polyline', { class: `diasto-stress-line diasto-stress-${s.id}`, fill: 'none', points: points.map(p => `${p.x},${p.y}`).join(' ') });
+      for (const p of points) node('title', {}, node('circle', { class: `diasto-stress-point diasto-stress-${s.id}`, cx: p.x, cy: p.y, r: 3.5, 'data-stage': p.stage, 'data-value': p.v }), `${stageName(p.stage)}: ${p.v}`);
+    }
+  }
+
+  // One <style id="diasto-styles"> per document, shared by every live setup(); the last destroy() removes it
+  let calculatorCount = 0;
+  function createStyles(){
+    const existing = document.getElementById('diasto-styles');
+    if (existing) { existing._diastoUsers = (existing._diastoUsers || 0) + 1; return; }
+    const css = `.diasto-flash{ outline:2px solid rgba(66,133,244,.8); transition:outline-color .8s ease; }
+      .diasto-source{ background:rgba(110,160,255,.25); color:inherit; border-radius:3px; }
+      .diasto-source.diasto-alt{ background:transparent; outline:1px dashed rgba(110,160,255,.6); }
+      .diasto-source.diasto-conflict{ text-decoration:underline wavy #e0605e; }
+      .diasto-source.diasto-active{ background:rgba(255,205,80,.7); color:#102a43; }
+      [data-diasto-status="conflicting"]{ border-color:#e0605e !important; }
+      [data-diasto-status="derived"]{ font-style:italic; }
+      [data-diasto-override]{ border-style:dashed !important; }
+      .diasto-warning{ font-size:12px; line-height:1.3; color:#d69e2e; }
+      .diasto-warning[data-level="error"]{ color:#e0605e; }
+      .diasto-warning[data-level="info"]{ color:#8aa4d6; }
+      .diasto-modal-backdrop{ position:fixed; inset:0; background:rgba(5,8,20,.6); z-index:2147483646; display:flex; align-items:center; justify-content:center; }
+      .diasto-modal{ background:#fff; color:#102a43; border-radius:12px; padding:16px 18px; max-width:min(640px,94vw); max-height:86vh; overflow:auto; font:14px/1.4 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial; box-shadow:0 12px 40px rgba(0,0,0,.3); }
+      .diasto-modal h2{ margin:0 0 6px; font-size:17px; }
+      .diasto-modal p{ margin:0 0 10px; color:#52606d; font-size:13px; }
+      .diasto-modal table{ border-collapse:collapse; width:100%; }
+      .diasto-modal th, .diasto-modal td{ text-align:left; padding:4px 8px; border-bottom:1px solid #e4e7eb; }
+      .diasto-modal tr.diasto-overwrite td:nth-child(3){ color:#b44d12; text-decoration:line-through; }
+      .diasto-modal tr.diasto-conflict td:nth-child(2){ color:#b42318; }
+      .diasto-modal-actions{ display:flex; gap:8px; justify-content:flex-end; margin-top:12px; }
+      .diasto-modal-actions button{ font:inherit; padding:6px 12px; border-radius:8px; border:1px solid #cbd2d9; background:#f5f7fa; cursor:pointer; }
+      .diasto-modal-actions .diasto-primary{ background:#1d4ed8; border-color:#1d4ed8; color:#fff; }
+      .diasto-history-row{ display:flex; flex-wrap:wrap; gap:8px; margin:8px 0; }
+      .diasto-history table{ border-collapse:collapse; width:100%; margin:8px 0; font-size:14px; }
+      .diasto-history th, .diasto-history td{ text-align:left; padding:4px 8px; border-bottom:1px solid rgba(127,139,176,.3); }
+      .diasto-history td button{ margin-right:6px; }
+      .diasto-history .diasto-grade-worse{ color:#e0605e; }
+      .diasto-history .diasto-grade-better{ color:#48bb78; }
+      .diasto-history-status{ font-size:13px; opacity:.85; min-height:1.4em; }
+      html.diasto-dropping body, .diasto-dropping:not(html){ outline:3px dashed rgba(66,133,244,.8); outline-offset:-6px; }
+      .diasto-calc{ display:block; font:14px/1.4 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial; }
+      .diasto-calc-grid{ display:grid; grid-template-columns:repeat(auto-fill,minmax(190px,1fr)); gap:8px 12px; }
+      .diasto-calc-grid label, .diasto-calc-result label{ display:flex; flex-direction:column; gap:2px; font-size:13px; }
+      .diasto-calc-result{ display:grid; gap:8px; margin-top:12px; }
+      .diasto-calc-actions{ display:flex; flex-wrap:wrap; gap:8px; }
+      .diasto-calc-preview{ white-space:pre-wrap; font:12px/1.4 ui-monospace,Menlo,Consolas,monospace; max-height:12em; overflow:auto; }
+      .diasto-calc-privacy{ font-size:12px; color:#475569; }
+      .diasto-calc-stress{ margin-top:12px; }
+      .diasto-stress-table{ border-collapse:collapse; width:100%; font-size:13px; }
+      .diasto-stress-table th, .diasto-stress-table td{ text-align:left; padding:3px 6px; border-bottom:1px solid rgba(127,139,176,.3); }
+      .diasto-stress-table input{ width:100%; min-width:4em; box-sizing:border-box; font:inherit; }
+      .diasto-stress-chart{ margin:10px 0 0; }
+      .diasto-stress-chart svg{ width:100%; max-width:480px; height:auto; display:block; }
+      .diasto-stress-chart figcaption{ font-size:12px; opacity:.85; }
+      .diasto-stress-axis{ stroke:currentColor; opacity:.4; }
+      .diasto-stress-tick{ font-size:11px; fill:currentColor; }
+      .diasto-stress-limit{ stroke-dasharray:4 3; opacity:.6; }
+      .diasto-stress-line{ stroke-width:2; }
+      line.diasto-stress-ee, polyline.diasto-stress-ee{ stroke:#3b82f6; }
+      line.diasto-stress-tr, polyline.diasto-stress-tr{ stroke:#e0605e; }
+      circle.diasto-stress-ee, text.diasto-stress-ee{ fill:#3b82f6; }
+      circle.diasto-stress-tr, text.diasto-stress-tr{ fill:#e0605e; }
+      span.diasto-stress-ee{ color:#3b82f6; } span.diasto-stress-tr{ color:#e0605e; }
+      .diasto-stress-result{ font-weight:600; }
+      .diasto-stress-result[data-state="positive"]{ color:#e0605e; }
+      .diasto-stress-result[data-state="negative"]{ color:#48bb78; }
+      .diasto-stress-result[data-state="empty"]{ font-weight:400; opacity:.85; }`;
+    const style = document.createElement('style'); style.id = 'diasto-styles'; style.textContent = css; style._diastoUsers = 1; document.head.appendChild(style);
+  }
+  function releaseStyles(){
+    const style = document.getElementById('diasto-styles');
+    if (style && --style._diastoUsers <= 0) style.remove();
+  }
+
+  const EXPORT_FILES = { fhir: ['fhir.json', 'application/fhir+json'], json: ['json', 'application/json'], csv: ['csv', 'text/csv'] };
+  function downloadExport(data, format){
+    const [ext, type] = EXPORT_FILES[format];
+    const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = `diastolic-assessment-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
+  /**
+   * Setup global paste handling
+   * @param {Object} selectorMap canonicalKey => CSS selector(s) mapping
+   * @param {Object} options
+   *   - scope: 'anywhere' | 'inputs-only'  (default 'anywhere')
+   *   - trigger: 'auto' | 'modifier'       (default 'auto'; 'modifier' requires Shift while pasting)
+   *   - onlyWhenMultiLine: boolean          (default true)
+   *   - signalsMin: number                  (default 2; minimum extracted fields to intercept)
+   *   - onAfterFill: function(bag, updated, detail) called after population (detail = parseDetailed result)
+   *   - preview: selector of an element that shows the pasted text with extracted values highlighted
+   *   - autoGrade: boolean                  (default true; re-grade whenever a mapped field changes)
+   *   - liveDerive: boolean                 (default true; derived fields such as E/A and E/e′ follow their
+   *     inputs as they are typed. A derived field holding its own value, typed by hand or reported in a paste
+   *     and disagreeing with its formula, is marked data-diasto-override and never recalculated; clearing it,
+   *     or handle.recalculate(key), hands it back.)
+   *   - onGrade: function(result, bag) called after each re-grade
+   *   - averaging: overrides for AVERAGING_POLICY (beat lists, preferred statistic, minimum beats)
+   *   - exportOptions: options for export() used by [data-diasto-export="fhir|json|csv"] buttons (e.g. subject)
+   *   - narrative: selector of an element that shows the generated report text (default [data-diasto-narrative]);
+   *     [data-diasto-copy="narrative"] buttons copy it to the clipboard
+   *   - locale, templates: narrative() options
+   *   - history: selector of an element that gets the saved-assessment panel (default [data-diasto-history]);
+   *     historyOptions are passed to openHistory()
+   *   - language: UI language, 'auto' | 'en' | a registered pack code (default 'auto': the last choice
+   *     on this device, else the browser language). Toasts, the review dialog, the history panel,
+   *     tooltips and [data-i18n] / [data-i18n-field] page text follow it.
+   *   - languageSelect: selector of a <select> that switches the UI language (default [data-diasto-language])
+   *   - decimal, languages: parseDetailed() options for pasted text
+   *   - drop: boolean                       (default true; .txt, .html and .pdf files dropped on the page are parsed)
+   *   - ocr: null | function(image) => text | { engine: 'tesseract', lang, workerPath, corePath, langPath }
+   *     reads pasted or dropped images (default null: images are ignored). Values read by OCR always go
+   *     through the review dialog.
+   *   - root: Element | selector (default the document). Selectors, listeners, [data-i18n] text and the
+   *     drop outline stay inside it, so several calculators can share a page; 'anywhere' then means
+   *     anywhere inside the root.
+   *   - deidentify: true | false | deidentify() options (default true: names, dates of birth, record and
+   *     accession numbers are replaced before parsing, and the pasted text itself is not kept)
+   *   - privacy: selector of an element that says so after each fill from text (default [data-diasto-privacy];
+   *     data-state is idle, clean, redacted or off)
+   *   - stress: selector of an element that gets the stress test panel (default [data-diasto-stress]): a table
+   *     of stage values, filled from pasted stress reports and editable, a trend chart and the interpretation
+   *     (data-state positive, negative, indeterminate or empty). Exercise E/e′ and TR Vmax follow the table.
+   * @returns {Object} handle: fill, undo, recalculate, grade, export, narrative, load, setLanguage, fillFiles, stress, setStress,
+   *   on(type, fn) / off(type, fn) for 'parsed' { text, source, detail }, 'filled' { bag, updated, detail } and
+   *   'rejected' { reason: 'implausible'|'below-threshold'|'declined'|'empty', keys, detail },
+   *   pause() / resume() and destroy()
+   */
+  function setup(selectorMap={}, options={}){
+    if (typeof document === 'undefined') throw new Error('DiastolicPaste.setup() needs a DOM; use parse(), parseDetailed(), derive() and grade() headless.');
+    const map = Object.assign({}, DEFAULT_SELECTOR_MAP, selectorMap);
+    const opts = Object.assign({
+      scope: 'anywhere',
+      trigger: 'auto',          // 'modifier' => require Shift+Paste
+      onlyWhenMultiLine: true,
+      signalsMin: 2,
+      onAfterFill: null,
+      autoGrade: true,
+      liveDerive: true,
+      onGrade: null,
+      preview: '#diasto-preview, [data-diasto-preview]',
+      confirm: 'never',
+      profile: 'auto',
+      averaging: null,
+      exportOptions: null,
+      narrative: '#diasto-narrative, [data-diasto-narrative]',
+      locale: 'en',
+      templates: null,
+      history: '#diasto-history, [data-diasto-history]',
+      historyOptions: null,
+      language: 'auto',
+      languageSelect: '[data-diasto-language]',
+      decimal: 'auto',
+      languages: null,
+      drop: true,
+      ocr: null,
+      root: null,
+      deidentify: true,
+      privacy: '#diasto-privacy, [data-diasto-privacy]',
+      stress: '#diasto-stress, [data-diasto-stress]'
+    }, options||{});
+    const root = typeof opts.root === 'string' ? document.querySelector(opts.root) : (opts.root || document);
+    if (!root) throw new Error(`DiastolicPaste.setup(): root "${opts.root}" not found`);
+    const $ = (sel) => pickEl(sel, root);
+    const readBag = (invalid) => readBagFromSelectors(map, invalid, root, opts.decimal);
+    const warningPrefix = root === document ? 'diasto-warning' : `diasto-warning-${++calculatorCount}`;
+    // Every listener goes through listen() so destroy() can take it off again
+    const cleanups = [];
+    const listen = (type, fn) => { root.addEventListener(type, fn, true); cleanups.push(() => root.removeEventListener(type, fn, true)); };
+    let paused = false, destroyed = false;
+    // handle.on('parsed' | 'filled' | 'rejected', fn)
+    const subscribers = {};
+    const emit = (type, payload) => { for (const fn of (subscribers[type] || []).slice()) { try { fn(payload); } catch {} } };
+    const off = (type, fn) => { subscribers[type] = (subscribers[type] || []).filter(f => f !== fn); };
+    const on = (type, fn) => { (subscribers[type] = subscribers[type] || []).push(fn); return () => off(type, fn); };
+    // Parse pasted, dropped or keyed-in text; values the parser threw out are reported as 'rejected'.
+    // Only the de-identified text (detail.text) goes on: preview, events and the review dialog.
+    const parseText = (txt, source) => {
+      const detail = parseReportDetailed(txt, parseOpts());
+      emit('parsed', { text: detail.text, source, detail });
+      const implausible = detail.warnings.filter(w => w.code === 'malformed' || w.code === 'out-of-range');
+      if (implausible.length) emit('rejected', { reason: 'implausible', source, detail, keys: [...new Set(implausible.map(w => w.key))], warnings: implausible });
+      return detail;
+    };
+    const parseOpts = () => ({ profile: opts.profile, averaging: opts.averaging, decimal: opts.decimal, languages: opts.languages || undefined, deidentify: opts.deidentify });
+    let lang = resolveLanguage(opts.language);
+    const t = (key, vars) => uiText(lang, key, vars);
+    // The privacy note: what the last fill from text removed (counts only), or that nothing was pasted yet
+    let lastPhi = null;
+    const showPrivacy = (phi) => {
+      const el = $(opts.privacy);
+      if (!el) return;
+      const state = opts.deidentify === false ? 'off' : !phi ? 'idle' : phi.redacted ? 'redacted' : 'clean';
+      const list = phi ? Object.keys(phi.found).map(type => { const k = 'phi' + type[0].toUpperCase() + type.slice(1); const s = t(k); return s === k ? type : s; }) : [];
+      el.setAttribute('data-state', state);
+      el.setAttribute('role', 'status');
+      el.textContent = t('privacy' + state[0].toUpperCase() + state.slice(1), { list: list.join(', ') }) + ($(opts.history) ? ' ' + t('privacyHistory') : '');
+    };
+
+    createStyles();
+
+    // Stress test panel: stage values live in the panel; the form's exercise E/e′ and TR Vmax follow it.
+    // The rest column falls back to the form, and the form's exercise values stand in for an empty table.
+    const stressEl = $(opts.stress);
+    let stressPanel = null, stressStages = {}, stressWorkloads = {}, stressUndo = null;
+    const stressNow = () => {
+      const bag = readBag(), stages = {};
+      for (const s of STRESS_STAGES) stages[s.id] = Object.assign({}, stressStages[s.id]);
+      stages.rest = Object.assign(bag, stages.rest);
+      for (const [field, key] of EXERCISE_FIELDS) if (bag[field] != null && !exerciseValue(stressStages, key)) stages.peak[key] = bag[field];
+      return stages;
+    };
+    const showStress = () => { if (stressPanel) { const stages = stressNow(); stressPanel.update(stages, interpretStress(stages)); } };
+    const setStress = (stages, workloads) => {
+      stressStages = stages || {}; stressWorkloads = workloads || {};
+      if (stressPanel) { stressPanel.set(stressStages, stressWorkloads); showStress(); }
+    };
+    // Only stated values go into the inputs; derived ones show as placeholders
+    const stagesOf = (stress) => {
+      const stages = {}, workloads = {};
+      for (const [id, s] of Object.entries(stress.stages)) {
+        stages[id] = {};
+        for (const k of STRESS_ROWS) if (s.fields[k] && s.fields[k].status !== 'derived') stages[id][k] = s.values[k];
+        workloads[id] = s.workload;
+      }
+      return [stages, workloads];
+    };
+    const stressChanged = (stages) => {
+      stressStages = stages;
+      const full = {};
+      for (const [id, b] of Object.entries(stages)) full[id] = derive(Object.assign({}, b));
+      for (const [field, key] of EXERCISE_FIELDS) {
+        const el = map[field] && $(map[field]), hit = exerciseValue(full, key);
+        if (el && hit && readElValue(el) !== String(hit.value)) write(() => setField(el, String(hit.value)));
+      }
+      showStress();
+    };
+    const showStressPanel = () => {
+      if (!stressEl) return;
+      stressPanel = renderStressPanel(stressEl, { language: lang, change: stressChanged });
+      stressPanel.set(stressStages, stressWorkloads);
+      showStress();
+    };
+
+    // Re-grade on any mapped field change (batched: a bulk fill fires many input events)
+    const inputSelector = Object.entries(map).filter(([k]) => !RESULT_KEYS.includes(k)).map(([,sel]) => sel).join(', ');
+    let gradeQueued = false;
+    let parseWarnings = [];   // from the last fill; kept while the field still holds what was pasted
+    let lastDetail = null;    // beat counts from the last fill, same rule
+    let lastNarrative = '';
+    let writing = 0;          // > 0 while the library itself fills fields (paste, undo, derivation)
+    const write = (fn) => { writing++; try { return fn(); } finally { writing--; } };
+
+    // Derived fields: recomputed from the form unless they hold a value of their own
+    const derivedEls = () => Object.keys(map).filter(k => FIELD_SPECS[k] && typeof FIELD_SPECS[k].derive === 'function')
+      .map(k => [k, $(map[k])]).filter(([, el]) => el);
+    const isOverride = (el) => el.hasAttribute('data-diasto-override');
+    // how: 'manual' (typed), 'report' (filled with a value that disagrees with its formula) or null
+    const setOverride = (key, el, how) => {
+      if (how) {
+        el.setAttribute('data-diasto-override', how);
+        if (how === 'manual') el.title = t('overridden', { label: fieldLabel(key, lang) });
+      } else if (isOverride(el)) {
+        if (el.getAttribute('data-diasto-override') === 'manual') el.removeAttribute('title');
+        el.removeAttribute('data-diasto-override');
+      }
+    };
+    const rederive = () => {
+      const live = derivedEls().filter(([, el]) => !isOverride(el));
+      const bag = readBag();
+      for (const [k] of live) delete bag[k];
+      derive(bag);
+      for (const [k, el] of live) {
+        const v = bag[k] == null ? '' : String(bag[k]);
+        if (readElValue(el) === v) continue;
+        // A reported value whose inputs are not in the form stands in until they are
+        if (!v && el.getAttribute('data-diasto-status') !== 'derived') continue;
+        write(() => setField(el, v));
+        if (v) markProvenance(el, k, { status: 'derived' }, lang);
+        else { markProvenance(el, k, null); el.removeAttribute('title'); }
+      }
+    };
+    // After a fill: a derived field keeps its value only where that disagrees with the formula; without
+    // its inputs there is nothing to disagree with, and rederive() replaces it once they are typed
+    const markFilledOverrides = (keys) => {
+      const bag = readBag();
+      for (const [k, el] of derivedEls()) {
+        if (!keys.includes(k)) continue;
+        const others = Object.assign({}, bag); delete others[k];
+        const dv = derive(others)[k];
+        setOverride(k, el, bag[k] != null && dv != null && !agrees(k, bag[k], dv) ? 'report' : null);
+      }
+    };
+
+    const regrade = () => {
+      if (opts.liveDerive) rederive();
+      const invalid = [];
+      const bag = readBag(invalid);
+      const fields = {};
+      if (lastDetail) for (const [k, f] of Object.entries(lastDetail.fields)) if (bag[k] === f.value) fields[k] = f;
+      const result = grade(bag, null, lastDetail && Object.assign({}, lastDetail, { fields }));
+      // The stage table knows more than the two exercise fields grade() sees
+      const stress = interpretStress(stressNow());
+      if (stress.criteria.slice(0, 2).some(c => c.met != null)) result.stress = stress;
+      writeResult(result, map, root);
+      const fromParse = parseWarnings.filter(w => w.code === 'unit-inferred' ? bag[w.key] === w.value : bag[w.key] == null && !invalid.some(i => i.key === w.key));
+      const malformed = invalid.map(i => ({ key: i.key, level: 'error', code: 'malformed', value: i.raw, message: t('notANumber', { label: fieldLabel(i.key, lang), raw: i.raw }) }));
+      writeWarnings(result.warnings.concat(fromParse, malformed), map, root, warningPrefix);
+      lastNarrative = narrative(bag, result, { locale: opts.locale, templates: opts.templates || undefined });
+      const nEl = $(opts.narrative);
+      if (nEl) nEl.textContent = lastNarrative;
+      showStress();
+      if (typeof opts.onGrade === 'function') { try { opts.onGrade(result, bag); } catch {} }
+      return result;
+    };
+    const queueGrade = () => {
+      if (gradeQueued) return;
+      gradeQueued = true;
+      // cleared afterwards, so the fields rederive() writes do not queue another pass
+      setTimeout(() => { try { if (destroyed) return; if (opts.autoGrade) regrade(); else rederive(); } finally { gradeQueued = false; } }, 0);
+    };
+    const inputHandler = (e) => {
+      const el = e.target;
+      if (!(el instanceof Element) || !inputSelector || !el.matches(inputSelector)) return;
+      if (opts.liveDerive && !writing) {
+        // Typing into a derived field overrides it; emptying it hands it back to the formula
+        const hit = derivedEls().find(([, d]) => d === el);
+        if (hit) setOverride(hit[0], el, readElValue(el).trim() ? 'manual' : null);
+      }
+      queueGrade();
+    };
+    if (opts.autoGrade || opts.liveDerive) {
+      listen('input', inputHandler);
+      listen('change', inputHandler);
+      queueGrade();
+    }
+
+    // Shared fill path for paste, keybind and fill(): optional review, then apply + undo snapshot
+    let lastFill = null;
+    let dialog = null;
+    const undo = () => {
+      if (!lastFill) return 0;
+      const snapshot = lastFill; lastFill = null;
+      write(() => { for (const r of snapshot) { setField(r.el, r.oldValue); markProvenance(r.el, r.key, null); r.el.removeAttribute('title'); } });
+      for (const r of snapshot) { if (r.override) r.el.setAttribute('data-diasto-override', r.override); else r.el.removeAttribute('data-diasto-override'); }
+      parseWarnings = [];
+      lastDetail = null;
+      if (stressUndo) { setStress(...stressUndo); stressUndo = null; }
+      showToast(t('restored', { count: snapshot.length }));
+      return snapshot.length;
+    };
+    const applyRows = (rows, detail, txt, quiet) => {
+      const bag = {};
+      for (const r of rows) bag[r.key] = r.newValue;
+      const overrides = rows.map(r => r.el.getAttribute('data-diasto-override'));
+      const updated = write(() => applyBagToSelectors(bag, map, detail.fields, lang, root));
+      if (opts.liveDerive) markFilledOverrides(rows.map(r => r.key));
+      // validate() re-derives range/consistency warnings from the form; keep only what it cannot see
+      parseWarnings = (detail.warnings || []).filter(w => w.code === 'unit-inferred' || ((w.code === 'malformed' || w.code === 'out-of-range') && !(w.key in detail.bag)));
+      lastDetail = detail;
+      if (updated > 0) {
+        lastFill = rows.map((r, i) => ({ key: r.key, el: r.el, oldValue: r.oldValue, override: overrides[i] }));
+        stressUndo = detail.stress ? [stressStages, stressWorkloads] : null;
+        if (detail.stress) setStress(...stagesOf(detail.stress));
+        if (txt) { renderPreview($(opts.preview), txt, detail.fields, lang); showPrivacy(lastPhi = detail.phi); }
+        if (quiet) return updated;
+        const rejected = new Set(parseWarnings.filter(w => w.code !== 'unit-inferred').map(w => w.key)).size;
+        const prof = detail.profile ? PROFILES.find(p => p.id === detail.profile) : null;
+        showToast(t('filled', { count: updated, profile: prof ? prof.label || prof.id : '', ignored: rejected }), { label: t('undo'), onClick: undo });
+        if (typeof opts.onAfterFill === 'function') { try { opts.onAfterFill(bag, updated, detail); } catch {} }
+      }
+      if (updated > 0) emit('filled', { bag, updated, detail });
+      return updated;
+    };
+    const needsReview = (rows) => opts.confirm === 'always' || (opts.confirm === 'on-conflict' && rows.some(r => r.overwrite || r.status === 'conflicting'));
+    const runFill = (detail, txt, rows, review) => {
+      rows = rows || reviewRows(detail, map, root);
+      if (!rows.length) return 0;
+      if (!review && !needsReview(rows)) return applyRows(rows, detail, txt);
+      if (dialog) dialog.close();
+      dialog = openReviewDialog(rows, (accepted) => {
+        dialog = null;
+        if (destroyed) return;
+        const declined = rows.filter(r => !accepted.includes(r)).map(r => r.key);
+        if (declined.length) emit('rejected', { reason: 'declined', detail, keys: declined });
+        if (accepted.length) applyRows(accepted, detail, txt);
+        else showToast(t('nothingFilled'));
+      }, lang);
+      return 0;
+    };
+
+    const handler = (e) => {
+      const tgt = e.target;
+      if (dialog || paused) return; // let the review dialog handle its own keyboard/paste
+      const inInputsOnly = (opts.scope === 'inputs-only');
+      if (inInputsOnly && !isTextEntry(tgt)) return; // ignore if inputs-only
+
+      // If require modifier: need shift key (or meta/ctrl+shift) with paste
+      if (opts.trigger === 'modifier') {
+        if (!(e.shiftKey)) return; // require Shift as a simple, reliable modifier
+      }
+
+      const txt = clipboardText(e.clipboardData);
+      if (!txt) {
+        // A copied file or a screenshot: read it like a dropped file
+        const files = readableFiles(e.clipboardData);
+        if (!files.length) return;
+        e.preventDefault();
+        fillFiles(files);
+        return;
+      }
+
+      // Check bulk signals
+      const hasSignals = opts.onlyWhenMultiLine ? hasMultiLineSignal(txt) : true;
+
+      // Parse to confirm there's enough fields to justify intercept
+      const detail = parseText(txt, 'paste');
+      const parsed = detail.bag;
+      const signalCount = Object.values(parsed).filter(v => v != null).length;
+      const enough = signalCount >= (opts.signalsMin || 1);
+
+      if (hasSignals && enough) {
+        const rows = reviewRows(detail, map, root);
+        // No fields wired in mapping; don't block paste if inside a text entry
+        if (!rows.length && isTextEntry(tgt)) return; // let default happen
+        // Intercept and fill (possibly via the review dialog)
+        e.preventDefault();
+        runFill(detail, detail.text, rows);
+      } else {
+        // Not an echo report or too few signals; allow normal paste
+        if (signalCount) emit('rejected', { reason: 'below-threshold', source: 'paste', detail, keys: Object.keys(parsed) });
+        return;
+      }
+    };
+
+    listen('paste', handler);
+
+    // Files (drop or paste): text from each readable file, then the same fill path as a paste
+    const readableFiles = (data) => Array.from((data && data.files) || []).filter(f => { const k = fileKind(f); return k && (k !== 'image' || opts.ocr); });
+    const fillFiles = async (files) => {
+      const texts = [];
+      let ocrUsed = false;
+      for (const f of Array.from(files || [])) {
+        const kind = fileKind(f), name = f.name || kind || 'file';
+        if (!kind || (kind === 'image' && !opts.ocr)) { showToast(t('fileUnsupported', { name })); continue; }
+        if (kind === 'image') { ocrUsed = true; showToast(t('ocrRunning', { name })); }
+        try {
+          const text = await fileToText(f, { ocr: opts.ocr });
+          if (text.trim()) texts.push(text);
+          else showToast(t(kind === 'pdf' ? 'pdfNoText' : 'fileEmpty', { name }));
+        } catch (err) { showToast(t('fileFailed', { name, message: err && err.message || String(err) })); }
+      }
+      if (!texts.length) return 0;
+      const txt = texts.join('\n\n');
+      const detail = parseText(txt, 'file');
+      const filled = runFill(detail, detail.text, null, ocrUsed);
+      if (!filled && !dialog) { showToast(t('fileNothing')); emit('rejected', { reason: 'empty', source: 'file', detail, keys: [] }); }
+      return filled;
+    };
+    const hasFiles = (e) => !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'));
+    const dropTarget = root === document ? document.documentElement : root;
+    const dragHandler = (e) => {
+      if (!hasFiles(e) || dialog || paused) return;
+      e.preventDefault();   // without this the browser opens the file instead of dropping it
+      const over = e.type === 'dragover' || (e.type === 'dragleave' && e.relatedTarget && root.contains(e.relatedTarget));
+      dropTarget.classList.toggle('diasto-dropping', !!over);
+    };
+    const dropHandler = (e) => {
+      dropTarget.classList.remove('diasto-dropping');
+      if (!hasFiles(e) || dialog || paused) return;
+      e.preventDefault();
+      fillFiles(e.dataTransfer.files);
+    };
+    if (opts.drop) {
+      listen('dragover', dragHandler);
+      listen('dragleave', dragHandler);
+      listen('drop', dropHandler);
+    }
+
+    // Optional: keybind fallback (Ctrl/Cmd+Shift+V to force clipboard parse anywhere)
+    const keyHandler = async (e) => {
+      try {
+        const isPasteCombo = ((e.ctrlKey || e.metaKey) && e.shiftKey && (e.key.toLowerCase() === 'v'));
+        if (!isPasteCombo || dialog || paused) return;
+        e.preventDefault();
+        let txt = '';
+        // clipboard.read() carries text/html (tables); readText() is the fallback
+        if (navigator.clipboard.read) {
+          try {
+            const items = await navigator.clipboard.read();
+            const item = items.find(i => i.types.includes('text/html'));
+            if (item) txt = htmlClipboardText(await (await item.getType('text/html')).text());
+          } catch {}
+        }
+        if (!txt) txt = await navigator.clipboard.readText();
+        if (!txt || destroyed) return;
+        const detail = parseText(txt, 'keybind');
+        runFill(detail, detail.text);
+      } catch {}
+    };
+    listen('keydown', keyHandler);
+
+    // Hovering or focusing a mapped field highlights its source in the preview
+    const keyOfEl = (el) => { for (const [k, sel] of Object.entries(map)) { if (sel && el.matches(sel)) return k; } return null; };
+    const hoverHandler = (e) => {
+      const pv = $(opts.preview); if (!pv) return;
+      const t = e.target;
+      const key = (t instanceof Element && inputSelector && t.matches(inputSelector)) ? keyOfEl(t) : null;
+      pv.querySelectorAll('mark.diasto-active').forEach(m => m.classList.remove('diasto-active'));
+      if (key) pv.querySelectorAll(`mark[data-diasto-key="${key}"]`).forEach(m => m.classList.add('diasto-active'));
+    };
+    listen('mouseover', hoverHandler);
+    listen('focusin', hoverHandler);
+
+    // Export buttons: <button data-diasto-export="fhir|json|csv">
+    const exportCurrent = (format) => {
+      const bag = readBag();
+      return exportAssessment(bag, format, Object.assign({ result: regrade() }, opts.exportOptions));
+    };
+    const exportHandler = (e) => {
+      const btn = e.target instanceof Element && e.target.closest('[data-diasto-export]');
+      if (!btn) return;
+      const format = btn.getAttribute('data-diasto-export');
+      if (!EXPORT_FORMATS.includes(format)) return;
+      e.preventDefault();
+      try { downloadExport(exportCurrent(format), format); } catch { showToast(t('exportFailed')); }
+    };
+    listen('click', exportHandler);
+
+    // Copy buttons: <button data-diasto-copy="narrative">
+    const copyNarrative = async () => {
+      const text = lastNarrative || regrade() && lastNarrative;
+      try { await navigator.clipboard.writeText(text); showToast(t('copied')); return true; }
+      catch { showToast(t('copyFailed')); return false; }
+    };
+    const copyHandler = (e) => {
+      const btn = e.target instanceof Element && e.target.closest('[data-diasto-copy="narrative"]');
+      if (!btn) return;
+      e.preventDefault();
+      copyNarrative();
+    };
+    listen('click', copyHandler);
+
+    // Saved assessments: the panel saves the form, and Load puts a record back (undoable)
+    const history = openHistory(opts.historyOptions || {});
+    const loadRecord = (rec) => {
+      const rows = [];
+      for (const [key, sel] of Object.entries(map)) {
+        if (RESULT_KEYS.includes(key) || !sel) continue;
+        const el = $(sel); if (!el) continue;
+        const oldValue = readElValue(el), newValue = rec.bag[key] == null ? '' : rec.bag[key];
+        if (oldValue !== String(newValue)) rows.push({ key, el, oldValue, newValue });
+      }
+      applyRows(rows, { bag: rec.bag, fields: {}, warnings: [] }, null, true);
+      showToast(t('loaded', { name: rec.name }), { label: t('undo'), onClick: undo });
+    };
+    const historyEl = $(opts.history);
+    // The panel's own buttons are not listen()ed; destroy() empties it, and a click already under way finds this closed
+    const showHistory = () => renderHistoryPanel(historyEl, history, {
+      current: () => { if (destroyed) throw new Error('history: this calculator was closed'); const bag = readBag(); return { bag, result: regrade() }; },
+      load: (rec) => { if (!destroyed) loadRecord(rec); },
+      language: lang
+    });
+    if (historyEl) showHistory();
+
+    // UI language: <select data-diasto-language> lists English and every pack; the choice is remembered
+    const setLanguage = (code) => {
+      lang = resolveLanguage(code || 'en');
+      try { localStorage.setItem(LANGUAGE_STORAGE_KEY, lang); } catch {}
+      translatePage(lang, root);
+      showPrivacy(lastPhi);
+      showStressPanel();
+      const sel = $(opts.languageSelect);
+      if (sel) sel.value = lang;
+      if (historyEl) showHistory();
+      if (opts.autoGrade) queueGrade();
+      return lang;
+    };
+    const languageSelect = $(opts.languageSelect);
+    if (languageSelect) fillLanguageSelect(languageSelect, lang);
+    const languageHandler = (e) => {
+      const sel = e.target;
+      if (sel instanceof Element && opts.languageSelect && sel.matches(opts.languageSelect)) setLanguage(sel.value);
+    };
+    listen('change', languageHandler);
+    translatePage(lang, root);
+    showPrivacy(null);
+    showStressPanel();
+
+    // expose programmatic API
+    return {
+      parse: parseReport,
+      parseDetailed: parseReportDetailed,
+      // Programmatic fills skip the review dialog but can still be undone
+      fill: (textOrBag) => {
+        const txt = (typeof textOrBag === 'string') ? textOrBag : null;
+        const detail = txt!=null ? parseText(txt, 'fill') : { bag: textOrBag || {}, fields: {}, warnings: [] };
+        return applyRows(reviewRows(detail, map, root), detail, txt != null ? detail.text : null, true);
+      },
+      undo,
+      // The stress test as the panel shows it: interpretStress() of the stage table, rest and exercise fields
+      stress: () => interpretStress(stressNow()),
+      // Put stage values into the panel: a parseStress() result or { rest, low, peak, recovery } value bags
+      setStress: (stress) => {
+        if (stress && stress.stages) setStress(...stagesOf(stress));
+        else setStress(stress);
+        stressChanged(stressStages);
+      },
+      // Hand a derived field (or all of them) back to its formula, dropping a typed or reported value
+      recalculate: (key) => {
+        for (const [k, el] of derivedEls()) if (!key || k === key) setOverride(k, el, null);
+        rederive();
+        if (opts.autoGrade) queueGrade();
+      },
+      grade: regrade,
+      export: exportCurrent,
+      narrative: () => { regrade(); return lastNarrative; },
+      copyNarrative,
+      history,
+      load: loadRecord,
+      language: () => lang,
+      setLanguage,
+      // Parse files as if dropped on the page; resolves to the number of fields filled
+      fillFiles,
+      root,
+      on, off,
+      // Stop reading pastes, drops and Ctrl/Cmd+Shift+V until resume(); editing and grading go on
+      pause: () => { paused = true; dropTarget.classList.remove('diasto-dropping'); },
+      resume: () => { paused = false; },
+      paused: () => paused,
+      // Take every listener off, close the review dialog, empty the history panel and drop the shared
+      // style with the last instance
+      destroy: () => {
+        if (destroyed) return;
+        destroyed = true;
+        for (const fn of cleanups.splice(0)) fn();
+        if (dialog) { dialog.close(); dialog = null; }
+        if (historyEl) { historyEl.textContent = ''; historyEl.classList.remove('diasto-history'); }
+        dropTarget.classList.remove('diasto-dropping');
+        for (const k of Object.keys(subscribers)) delete subscribers[k];
+        releaseStyles();
+      }
+    };
+  }
+
+  // -----------------------------
+  // Web component (<diastolic-calculator>)
+  // -----------------------------
+  // Values offered for the text fields; any other text field gets a plain input
+  const FIELD_CHOICES = {
+    Rhythm: ['Sinus', 'AF', 'Paced'],
+    Sex: ['Male', 'Female'],
+    MR_severity: ['None', 'Mild', 'Moderate', 'Moderate-severe', 'Severe'],
+    Mitral_stenosis: ['No', 'Yes'], HCM: ['No', 'Yes'], Heart_transplant: ['No', 'Yes']
+  };
+  const CALCULATOR_EVENTS = ['parsed', 'filled', 'rejected'];
+
+  // The whole calculator inside `host`: one [data-field] control per field, the result, report text,
+  // copy and export buttons, a language picker and the paste preview. Text is English; setup()
+  // translates it through [data-i18n] and [data-i18n-field].
+  function renderCalculator(host, withHistory){
+    const el = (tag, attrs, ...kids) => { const e = document.createElement(tag); for (const [k, v] of Object.entries(attrs || {})) e.setAttribute(k, v); e.append(...kids); return e; };
+    const text = (key) => uiText('en', key);
+    const control = (key, spec) => FIELD_CHOICES[key]
+      ? el('select', { 'data-field': key }, el('option', { value: '' }, '—'), ...FIELD_CHOICES[key].map(v => el('option', { value: v }, v)))
+      : el('input', Object.assign({ 'data-field': key }, spec.type === 'text' ? {} : { inputmode: 'decimal' }, typeof spec.derive === 'function' ? { placeholder: 'auto' } : {}));
+    const result = (key, i18n) => el('label', null, el('span', { 'data-i18n': i18n }, text(i18n)), el('output', { 'data-field': key }));
+    host.classList.add('diasto-calc');
+    host.append(
+      el('p', { 'data-i18n': 'calcHint' }, text('calcHint')),
+      el('div', { class: 'diasto-calc-grid' }, ...Object.entries(FIELD_SPECS).map(([key, spec]) =>
+        el('label', null, el('span', { 'data-i18n-field': key }, spec.label), control(key, spec)))),
+      el('div', { class: 'diasto-calc-result' },
+        result('Result_grade', 'calcGrade'), result('Result_confidence', 'calcConfidence'), result('Result_criteria', 'calcCriteria'),
+        el('p', { 'data-diasto-narrative': '' }),
+        el('div', { class: 'diasto-calc-actions' },
+          el('button', { type: 'button', 'data-diasto-copy': 'narrative', 'data-i18n': 'calcCopy' }, text('calcCopy')),
+          ...EXPORT_FORMATS.map(f => el('button', { type: 'button', 'data-diasto-export': f }, f.toUpperCase())),
+          el('label', null, el('span', { 'data-i18n': 'language' }, text('language')), el('select', { 'data-diasto-language': '' }))),
+        el('pre', { class: 'diasto-calc-preview', 'data-diasto-preview': '' })),
+      el('div', { class: 'diasto-calc-stress', 'data-diasto-stress': '' }),
+      ...(withHistory ? [el('div', { 'data-diasto-history': '' })] : []),
+      el('p', { class: 'diasto-calc-privacy', 'data-diasto-privacy': '' }));
+  }
+
+  /**
+   * Define <diastolic-calculator> (done on load wherever customElements exists). The element renders
+   * the calculator unless it already has children, which are then wired through [data-field]
+   * attributes, and runs setup() scoped to itself, so several can share a page.
+   *   Attributes: language (live), confirm (default 'on-conflict'), profile, scope, history (adds the
+   *   saved-assessments panel). The `options` property is merged into the setup() options.
+   *   `handle` is the setup() handle while connected; removing the element destroys it.
+   *   parsed, filled and rejected are re-dispatched as bubbling CustomEvents, payload in `detail`.
+   * @param {string} [name='diastolic-calculator']
+   * @returns {Function|null} the element class, or null without custom elements
+   */
+  function defineCalculatorElement(name='diastolic-calculator'){
+    const registry = global.customElements;
+    if (!registry || typeof global.HTMLElement !== 'function') return null;
+    if (registry.get(name)) return registry.get(name);
+    class DiastolicCalculator extends global.HTMLElement {
+      static get observedAttributes(){ return ['language']; }
+      connectedCallback(){
+        if (this.handle) return;
+        if (!this.children.length) renderCalculator(this, this.hasAttribute('history'));
+        if (!this.hasAttribute('tabindex')) this.setAttribute('tabindex', '-1');   // a click inside makes it the paste target
+        const attr = (n, fallback) => this.getAttribute(n) || fallback;
+        const mapping = Object.fromEntries(Object.keys(FIELD_SPECS).concat(RESULT_KEYS).map(k => [k, `[data-field="${k}"]`]));
+        this.handle = setup(mapping, Object.assign({
+          language: attr('language', 'auto'), confirm: attr('confirm', 'on-conflict'), profile: attr('profile', 'auto'), scope: attr('scope', 'anywhere')
+        }, this.options, { root: this }));
+        for (const type of CALCULATOR_EVENTS) this.handle.on(type, (detail) => this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true })));
+      }
+      disconnectedCallback(){
+        if (this.handle) { this.handle.destroy(); this.handle = null; }
+      }
+      attributeChangedCallback(name, old, value){
+        if (name === 'language' && this.handle && value) this.handle.setLanguage(value);
+      }
+    }
+    registry.define(name, DiastolicCalculator);
+    return DiastolicCalculator;
   }
 
-  const DiastolicPaste = { setup, parse: (t)=>parseReport(t) };
-  global.DiastolicPaste = DiastolicPaste;
+  const DiastolicPaste = { setup, parse: (t, o)=>parseReport(t, o), parseDetailed: (t, o)=>parseReportDetailed(t, o), derive, grade, validate,
+    fields: () => Object.entries(FIELD_SPECS).map(([key, s]) => ({ key, label: s.label, type: s.type || 'number', range: s.range || null,
+      unit: s.unit || (EXPORT_CODES[key] && EXPORT_CODES[key].ucum ? EXPORT_CODES[key].ucum[1] || null : null), derived: typeof s.derive === 'function', dependsOn: s.dependsOn || [] })),
+    registerField, deidentify, PHI_RULES, parseStress, interpretStress, STRESS_STAGES, STRESS_LIMITS, registerProfile, detectProfile, profiles: () => PROFILES.map(p => ({ id: p.id, label: p.label || p.id })), GRADE_LIMITS, AGE_LIMITS, PATHWAYS, AVERAGING_POLICY,
+    export: exportAssessment, validateExport, EXPORT_SCHEMAS,
+    narrative: (bag, result, o) => narrative(bag, result, o), registerTemplates, NARRATIVE_TEMPLATES,
+    openHistory, compare: compareAssessments,
+    registerLanguage, languages: () => [{ code: 'en', name: 'English' }].concat(Object.entries(LANGUAGES).map(([code, p]) => ({ code, name: p.name || code }))), LANGUAGES, UI_STRINGS,
+    htmlToText, tableRows, pdfToText, fileToText, defineElement: defineCalculatorElement };
+  // Registering <diastolic-calculator> is the one thing done on load: it only tells customElements about
+  // the class, and no element is rendered or wired until one is connected (which runs setup()).
+  try { defineCalculatorElement(); } catch {}
+  // UMD: CommonJS (Node, bundlers), AMD, else a browser global. Apart from the registration above,
+  // nothing touches the DOM until setup().
+  if (typeof module === 'object' && module && module.exports) module.exports = DiastolicPaste;
+  else if (typeof define === 'function' && define.amd) define([], () => DiastolicPaste);
+  else global.DiastolicPaste = DiastolicPaste;
 
 })(typeof window!=='undefined'?window:globalThis);
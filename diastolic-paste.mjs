@@ -0,0 +1,17 @@
+// ES module entry for diastolic-bulk-paste-2025-anywhere.js.
+// Node loads the script as CommonJS (default export); browsers run it as a classic script that sets the global.
+import * as script from './diastolic-bulk-paste-2025-anywhere.js';
+
+const DiastolicPaste = script.default || globalThis.DiastolicPaste;
+
+export default DiastolicPaste;
+export const {
+  setup, parse, parseDetailed, derive, grade, validate, fields, registerField, deidentify, parseStress, interpretStress,
+  registerProfile, detectProfile, profiles,
+  narrative, registerTemplates, validateExport, openHistory, compare, registerLanguage, languages,
+  htmlToText, tableRows, pdfToText, fileToText, defineElement,
+  GRADE_LIMITS, AGE_LIMITS, PATHWAYS, AVERAGING_POLICY, EXPORT_SCHEMAS, NARRATIVE_TEMPLATES, LANGUAGES, UI_STRINGS, PHI_RULES,
+  STRESS_STAGES, STRESS_LIMITS
+} = DiastolicPaste;
+// `export` is a reserved word, so it cannot be a named binding
+export const exportAssessment = DiastolicPaste.export;
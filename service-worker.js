@@ -1,19 +1,87 @@
-const CACHE = 'df2025-v3';
-const ASSETS = [
-  './',
-  './index.html',
-  './manifest.webmanifest',
-  './style.css',
-  './diastolic-bulk-paste-2025-anywhere.js'
-];
-self.addEventListener('install', e => e.waitUntil(caches.open(CACHE).then(c => c.addAll(ASSETS))));
-self.addEventListener('activate', e => e.waitUntil(self.clients.claim()));
+// Offline cache for the calculator.
+// Precached files are served from the cache of their build, so a page never mixes two versions.
+// A new build installs alongside and waits; the page offers "reload", which posts SKIP_WAITING.
+// Other same-origin GETs are stale-while-revalidate; other origins (PDF.js, Tesseract) are not touched.
+
+// precache:start — generated by `node bin/stamp-precache`; do not edit by hand
+const PRECACHE = {
+  "build": "5fd730765623",
+  "assets": {
+    "./": "10b84f124501",
+    "./index.html": "10b84f124501",
+    "./style.css": "36733b8f88a6",
+    "./diastolic-bulk-paste-2025-anywhere.js": "cf523267cc43",
+    "./manifest.webmanifest": "17bb22ee7903",
+    "./icons/icon.svg": "44ba8a5fb53d",
+    "./icons/icon-192.png": "84dc0276e3df",
+    "./icons/icon-512.png": "bff5f90beb30",
+    "./icons/maskable-192.png": "1e7d3d97fb27",
+    "./icons/maskable-512.png": "5bba664cebd4",
+    "./icons/apple-touch-icon.png": "f9285dda9680"
+  }
+};
+// precache:end
+
+const PREFIX = 'df2025-';
+const CACHE = PREFIX + PRECACHE.build;
+const SCOPE = self.registration ? self.registration.scope : self.location.href;
+const PRECACHED = new Set(Object.keys(PRECACHE.assets).map(u => new URL(u, SCOPE).href));
+
+// Only complete same-origin answers are kept: no opaque, redirected or error responses
+const cacheable = (res) => res && res.ok && res.type === 'basic' && !res.redirected;
+
+self.addEventListener('install', e => e.waitUntil(caches.open(CACHE).then(c =>
+  // cache: 'reload' skips the HTTP cache, so a new build never precaches an old file
+  c.addAll(Object.keys(PRECACHE.assets).map(u => new Request(u, { cache: 'reload' }))))));
+
+self.addEventListener('activate', e => e.waitUntil(caches.keys()
+  .then(keys => Promise.all(keys.filter(k => k.startsWith(PREFIX) && k !== CACHE).map(k => caches.delete(k))))
+  .then(() => self.clients.claim())));
+
+self.addEventListener('message', e => {
+  if (e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+const fromPrecache = async (req) => {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(req, { ignoreSearch: true });
+  if (hit) return hit;
+  const net = await fetch(req);
+  if (cacheable(net)) await cache.put(req, net.clone());
+  return net;
+};
+
+const staleWhileRevalidate = async (e) => {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(e.request);
+  const net = fetch(e.request).then(res => {
+    if (cacheable(res)) return cache.put(e.request, res.clone()).then(() => res);
+    return res;
+  });
+  if (!hit) return net;
+  e.waitUntil(net.catch(() => {}));
+  return hit;
+};
+
+// Page requests: the precached page, else the network, else (offline) the app shell
+const navigate = async (req) => {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(req, { ignoreSearch: true });
+  if (hit) return hit;
+  try { return await fetch(req); }
+  catch (err) {
+    const shell = await cache.match(new URL('./index.html', SCOPE).href);
+    if (shell) return shell;
+    throw err;
+  }
+};
+
 self.addEventListener('fetch', e => {
-  e.respondWith(
-    caches.match(e.request).then(res => res || fetch(e.request).then(net => {
-      const copy = net.clone();
-      caches.open(CACHE).then(c => c.put(e.request, copy));
-      return net;
-    }).catch(() => caches.match('./index.html')))
-  );
-});
\ No newline at end of file
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  if (req.mode === 'navigate') e.respondWith(navigate(req));
+  else if (PRECACHED.has(url.origin + url.pathname)) e.respondWith(fromPrecache(req));
+  else e.respondWith(staleWhileRevalidate(e));
+});
@@ -0,0 +1,87 @@
+'use strict';
+// bin/diastolic-parse run as a child process over the annotated fixtures: output formats,
+// stdin, the coverage summary and exit codes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'diastolic-parse');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = (name) => path.join(FIXTURES, `${name}.txt`);
+const expected = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+const run = (args, input) => spawnSync(process.execPath, [BIN, ...args], { input, encoding: 'utf8', timeout: 30000 });
+const rows = (stdout) => stdout.trim().split('\n').map(line => JSON.parse(line));
+const stated = (rec) => Object.fromEntries(Object.entries(rec.bag).filter(([k]) => !['derived', 'rejected'].includes(rec.fields[k].status)));
+
+test('jsonl: one row per fixture with its profile and values', () => {
+  const names = ['ge-echopac', 'german-befund', 'narrative-sinus'];
+  const r = run(['-q', ...names.map(fixture)]);
+  assert.equal(r.status, 0, r.stderr);
+  assert.equal(r.stderr, '');
+  const recs = rows(r.stdout);
+  assert.deepEqual(recs.map(rec => rec.id), names.map(fixture));
+  for (const [i, name] of names.entries()) {
+    assert.equal(recs[i].profile, expected(name).profile, name);
+    assert.deepEqual(stated(recs[i]), expected(name).bag, name);
+  }
+});
+
+test('csv: a header and one row per report, values only with --no-provenance', () => {
+  const r = run(['-q', '-f', 'csv', '--no-provenance', '--grade', fixture('ge-echopac')]);
+  assert.equal(r.status, 0, r.stderr);
+  const [header, row, ...rest] = r.stdout.trim().split('\n').map(line => line.split(','));
+  assert.equal(rest.length, 0);
+  assert.deepEqual(header.slice(0, 3), ['id', 'profile', 'fields_found']);
+  assert.deepEqual(header.slice(-3), ['grade', 'confidence', 'pathway']);
+  assert.equal(row.length, header.length);
+  const cell = (col) => row[header.indexOf(col)];
+  assert.equal(cell('profile'), 'ge-echopac');
+  assert.equal(+cell('MV_E_m_s'), expected('ge-echopac').bag.MV_E_m_s);
+  assert.equal(cell('pathway'), 'standard');
+});
+
+test('stdin is read when no file is given or for "-"', () => {
+  const text = fs.readFileSync(fixture('narrative-af'), 'utf8');
+  for (const args of [['-q'], ['-q', '-']]) {
+    const r = run(args, text);
+    assert.equal(r.status, 0, r.stderr);
+    const [rec] = rows(r.stdout);
+    assert.equal(rec.id, 'stdin');
+    assert.deepEqual(stated(rec), expected('narrative-af').bag);
+  }
+});
+
+test('--summary writes the coverage as JSON; otherwise a table goes to stderr', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diastolic-parse-'));
+  try {
+    const file = path.join(dir, 'coverage.json');
+    const r = run(['-s', file, '-o', path.join(dir, 'rows.jsonl'), fixture('ge-echopac'), fixture('narrative-af')]);
+    assert.equal(r.status, 0, r.stderr);
+    assert.equal(r.stdout, '');
+    assert.equal(rows(fs.readFileSync(path.join(dir, 'rows.jsonl'), 'utf8')).length, 2);
+    const summary = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(summary.reports, 2);
+    assert.deepEqual(summary.errors, []);
+    assert.equal(summary.fields.MV_E_m_s.coverage, 1);
+  } finally { fs.rmSync(dir, { recursive: true, force: true }); }
+  const r = run([fixture('ge-echopac')]);
+  assert.match(r.stderr, /^1 report\(s\), 0 with no fields/);
+});
+
+test('exit 2 for usage errors, 1 for an unreadable input', () => {
+  for (const args of [['--format', 'xml'], ['--bogus'], ['-o'], ['-p', 'no-such-vendor', fixture('ge-echopac')]]) {
+    const r = run(args, '');
+    assert.equal(r.status, 2, args.join(' '));
+    assert.equal(r.stdout, '', args.join(' '));
+    assert.match(r.stderr, /^diastolic-parse: /, args.join(' '));
+  }
+  const r = run(['-q', fixture('ge-echopac'), path.join(FIXTURES, 'missing.txt')]);
+  assert.equal(r.status, 1);
+  assert.equal(rows(r.stdout).length, 1);
+  assert.match(r.stderr, /missing\.txt/);
+  assert.equal(run(['--help']).status, 0);
+});
@@ -0,0 +1,212 @@
+'use strict';
+// setup() against the DOM shim: paste interception, signalsMin gating, trigger and scope
+// options, the review dialog, auto-grade and undo. Every test gets a fresh document.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const REPORT = [
+  'Mitral E 0.92 m/s',
+  'Mitral A 0.71 m/s',
+  "Septal e' 6.1 cm/s",
+  "Lateral e' 8.3 cm/s",
+  'TR Vmax 2.9 m/s',
+  'LAVI 38 ml/m2'
+].join('\n');
+
+// Fresh document with the fields the tests read; timers are mocked so toasts and the
+// batched re-grade run only on tick()
+function page(t){
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const form = dom.el('form');
+  const fields = {};
+  for (const id of ['mv_e', 'mv_a', 'eprime_septal', 'eprime_lateral', 'tr_vmax', 'lavi', 'ea_ratio', 'notes'])
+    fields[id] = dom.el('input', { id }, form);
+  fields.result_grade = dom.el('output', { id: 'result_grade' }, form);
+  const tick = () => t.mock.timers.tick(1);
+  return Object.assign(dom, { fields, tick });
+}
+
+test('setup() throws without a DOM', () => {
+  assert.equal(typeof document, 'undefined');
+  assert.throws(() => DiastolicPaste.setup(), /needs a DOM/);
+});
+
+test('a report pasted anywhere fills the mapped inputs', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup();
+  const ev = p.paste(REPORT);
+  assert.equal(ev.defaultPrevented, true);
+  assert.equal(p.fields.mv_e.value, '0.92');
+  assert.equal(p.fields.eprime_lateral.value, '8.3');
+  assert.equal(p.fields.lavi.value, '38');
+  assert.equal(p.fields.ea_ratio.value, '1.3', 'derived E/A is filled too');
+});
+
+test('ordinary text pasted into an input is left alone', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup();
+  const ev = p.paste('Call the lab on 555 1234', p.fields.notes);
+  assert.equal(ev.defaultPrevented, false);
+  assert.equal(p.fields.mv_e.value, '');
+});
+
+test('signalsMin gates interception', (t) => {
+  const p = page(t);
+  const two = 'Mitral E 0.92 m/s\nTR Vmax 2.9 m/s';
+  DiastolicPaste.setup({}, { signalsMin: 4 });
+  assert.equal(p.paste(two, p.fields.notes).defaultPrevented, false);
+  assert.equal(p.fields.mv_e.value, '');
+  assert.equal(p.paste(REPORT, p.fields.notes).defaultPrevented, true);
+  assert.equal(p.fields.mv_e.value, '0.92');
+});
+
+test('signalsMin counts derived fields', (t) => {
+  const p = page(t);
+  // E and A alone yield a third field, E/A
+  DiastolicPaste.setup({}, { signalsMin: 3 });
+  assert.equal(p.paste('Mitral E 0.92 m/s\nMitral A 0.71 m/s').defaultPrevented, true);
+  assert.equal(p.fields.ea_ratio.value, '1.3');
+});
+
+test("trigger 'modifier' needs Shift", (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { trigger: 'modifier' });
+  assert.equal(p.paste(REPORT).defaultPrevented, false);
+  assert.equal(p.fields.mv_e.value, '');
+  assert.equal(p.paste(REPORT, p.document.body, { shiftKey: true }).defaultPrevented, true);
+  assert.equal(p.fields.mv_e.value, '0.92');
+});
+
+test("scope 'inputs-only' ignores pastes outside text entry", (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { scope: 'inputs-only' });
+  assert.equal(p.paste(REPORT).defaultPrevented, false);
+  assert.equal(p.paste(REPORT, p.fields.notes).defaultPrevented, true);
+  assert.equal(p.fields.mv_a.value, '0.71');
+});
+
+test('custom selector maps', (t) => {
+  const p = page(t);
+  const e = p.el('input', { 'data-field': 'E' }), tr = p.el('span', { 'data-field': 'TR' });
+  DiastolicPaste.setup({ MV_E_m_s: '[data-field="E"]', TR_Vmax_m_s: '[data-field="TR"]' });
+  p.paste(REPORT);
+  assert.equal(e.value, '0.92');
+  assert.equal(tr.textContent, '2.9');
+  assert.equal(p.fields.mv_e.value, '', 'the default selector is replaced');
+});
+
+test('fields are re-graded after a fill', (t) => {
+  const p = page(t);
+  const grades = [];
+  DiastolicPaste.setup({}, { onGrade: (r) => grades.push(r.grade) });
+  p.tick();
+  p.paste(REPORT);
+  p.tick();
+  assert.equal(grades.at(-1), DiastolicPaste.grade(DiastolicPaste.parse(REPORT)).grade);
+  assert.notEqual(p.fields.result_grade.textContent, '');
+});
+
+test('undo() restores what the fields held before the paste', (t) => {
+  const p = page(t);
+  p.fields.mv_e.value = '1.1';
+  const handle = DiastolicPaste.setup();
+  p.paste(REPORT);
+  assert.equal(p.fields.mv_e.value, '0.92');
+  assert.ok(handle.undo() >= 6);
+  assert.equal(p.fields.mv_e.value, '1.1');
+  assert.equal(p.fields.lavi.value, '');
+  assert.equal(handle.undo(), 0);
+});
+
+test('review dialog: Enter applies, Esc and Enter on Cancel or Select none do not', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { confirm: 'always' });
+  const key = (target, k) => target.dispatchEvent(new Event('keydown', { bubbles: true, cancelable: true, key: k }));
+  const dialog = () => p.document.querySelector('.diasto-modal');
+  const button = (text) => dialog().querySelectorAll('button').find(b => b.textContent === text);
+
+  p.paste(REPORT);
+  key(p.document.activeElement, 'Escape');
+  assert.equal(dialog(), null);
+  assert.equal(p.fields.mv_e.value, '');
+
+  p.paste(REPORT);
+  for (const text of ['Cancel', 'Select none']) {
+    button(text).focus();
+    key(button(text), 'Enter');
+    assert.ok(dialog(), `Enter on ${text} leaves the click to the button`);
+    assert.equal(p.fields.mv_e.value, '');
+  }
+  button('Cancel').click();
+  assert.equal(dialog(), null);
+  assert.equal(p.fields.mv_e.value, '');
+
+  p.paste(REPORT);
+  key(p.document.activeElement, 'Enter');
+  assert.equal(dialog(), null);
+  assert.equal(p.fields.mv_e.value, '0.92');
+});
+
+test("confirm 'always': arrows move between rows, A/N select, Esc declines everything", (t) => {
+  const p = page(t);
+  const declined = [];
+  const handle = DiastolicPaste.setup({}, { confirm: 'always' });
+  handle.on('rejected', (e) => declined.push([e.reason, e.keys.length]));
+  const key = (k) => p.document.activeElement.dispatchEvent(new Event('keydown', { bubbles: true, cancelable: true, key: k }));
+  const boxes = () => p.document.querySelectorAll('input[type="checkbox"]');
+
+  p.paste(REPORT);
+  const rows = boxes();
+  assert.equal(rows.length, 7, 'six values and the derived E/A');
+  assert.equal(p.document.activeElement, rows[0]);
+  key('ArrowDown');
+  assert.equal(p.document.activeElement, rows[1]);
+  key('ArrowUp'); key('ArrowUp');
+  assert.equal(p.document.activeElement, rows[rows.length - 1], 'wraps around');
+  key('n');
+  assert.ok(rows.every(b => !b.checked));
+  key('a');
+  assert.ok(rows.every(b => b.checked));
+  key('Escape');
+  assert.equal(p.document.querySelector('.diasto-modal'), null);
+  assert.equal(p.fields.mv_e.value, '');
+  assert.equal(p.fields.lavi.value, '', 'nothing was filled');
+  assert.deepEqual(declined, [['declined', 7]]);
+});
+
+test('the review dialog fills only the ticked rows; undo takes them back', (t) => {
+  const p = page(t);
+  const declined = [];
+  const handle = DiastolicPaste.setup({}, { confirm: 'always' });
+  handle.on('rejected', (e) => declined.push(e.keys));
+  p.paste(REPORT);
+  const first = p.document.querySelectorAll('input[type="checkbox"]')[0];
+  first.checked = false;   // Space on the focused row
+  first.dispatchEvent(new Event('keydown', { bubbles: true, cancelable: true, key: 'Enter' }));
+  assert.equal(p.fields.mv_e.value, '');
+  assert.equal(p.fields.mv_a.value, '0.71');
+  assert.deepEqual(declined, [['MV_E_m_s']]);
+  handle.undo();
+  assert.equal(p.fields.mv_a.value, '');
+});
+
+test("confirm 'on-conflict' asks only before replacing a typed value", (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { confirm: 'on-conflict' });
+  p.paste(REPORT);
+  assert.equal(p.document.querySelector('.diasto-modal'), null);
+  assert.equal(p.fields.mv_e.value, '0.92');
+  p.fields.mv_e.value = '1.1';
+  p.paste(REPORT);
+  const dialog = p.document.querySelector('.diasto-modal');
+  assert.ok(dialog);
+  assert.equal(p.document.querySelectorAll('tr.diasto-overwrite').length, 1);
+  assert.equal(p.fields.mv_e.value, '1.1', 'nothing changes until the dialog is answered');
+  p.document.querySelector('.diasto-modal-backdrop').dispatchEvent(new Event('mousedown', { bubbles: true }));
+  assert.equal(p.document.querySelector('.diasto-modal'), null, 'a click outside cancels');
+  assert.equal(p.fields.mv_e.value, '1.1');
+});
@@ -0,0 +1,16 @@
+'use strict';
+// export(): FHIR quantities and the bundled schemas that validateExport() checks them against.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const quantityOf = (bundle, text) => bundle.entry.map(e => e.resource).find(r => r.code && r.code.text === text).valueQuantity;
+
+test('a dimensionless value has no unit text; the schema rejects empty strings', () => {
+  const fhir = DiastolicPaste.export({ MV_E_m_s: 0.9, EA_ratio: 1.3 }, 'fhir');
+  assert.deepEqual(quantityOf(fhir, 'E/A ratio'), { value: 1.3, system: 'http://unitsofmeasure.org', code: '1' });
+  assert.equal(quantityOf(fhir, 'Mitral E velocity (m/s)').unit, 'm/s');
+  assert.deepEqual(DiastolicPaste.validateExport(fhir, 'fhir').errors, []);
+  quantityOf(fhir, 'E/A ratio').unit = '';
+  assert.match(DiastolicPaste.validateExport(fhir, 'fhir').errors.join('\n'), /unit: too short/);
+});
@@ -0,0 +1,80 @@
+'use strict';
+// The field registry: registerField(), dependency-ordered derivation that repeats until nothing
+// changes, cycle detection, and registered fields in exports and setup().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+// Registered in reverse dependency order on purpose: BSA_m2 (a built-in, replaced here so it
+// derives) ends up after LAVI_ml_m2 in FIELD_SPECS, which reads it.
+DiastolicPaste.registerField({ key: 'Height_cm', label: 'Height (cm)', unit: 'cm', range: [100, 230], patterns: [/\bHeight\s*[:=]?\s*([0-9.]+)\s*cm\b/i] });
+DiastolicPaste.registerField({ key: 'Weight_kg', label: 'Weight (kg)', unit: 'kg', range: [25, 250], patterns: [/\bWeight\s*[:=]?\s*([0-9.]+)\s*kg\b/i] });
+DiastolicPaste.registerField({
+  key: 'BSA_m2', label: 'Body surface area (m²)', unit: 'm2', range: [0.5, 3.5],
+  patterns: [/\bBSA\s*[:=]?\s*([0-9.]+)\s*m(?:2|²|\^2)(?!\w)/i],
+  dependsOn: ['Height_cm', 'Weight_kg'],
+  derive: (bag) => bag.Height_cm != null && bag.Weight_kg != null ? Math.round(Math.sqrt(bag.Height_cm * bag.Weight_kg / 3600) * 100) / 100 : null
+});
+
+test('a chain of derivations resolves whatever the registration order', () => {
+  const d = DiastolicPaste.parseDetailed("Height 180 cm\nWeight 80 kg\nLA volume 70 ml\nMitral E 1.0 m/s\nSeptal e' 5 cm/s\nLateral e' 7 cm/s\nLA reservoir strain 16 %");
+  assert.equal(d.bag.BSA_m2, 2);
+  assert.equal(d.bag.LAVI_ml_m2, 35);
+  assert.equal(d.fields.LAVI_ml_m2.status, 'derived');
+  assert.equal(d.bag.LA_stiffness_index, 1.04, 'E/e′ avg from the e′ average, then ÷ LARS');
+  const r = DiastolicPaste.grade(d.bag);
+  assert.ok(!r.missing.some(m => /LAVI|LA volume index/.test(m)), 'LAVI reaches the grading');
+});
+
+test('derive() fills a bag that was not parsed', () => {
+  assert.deepEqual(DiastolicPaste.derive({ Height_cm: 160, Weight_kg: 90, LA_volume_ml: 60 }),
+    { Height_cm: 160, Weight_kg: 90, LA_volume_ml: 60, BSA_m2: 2, LAVI_ml_m2: 30 });
+});
+
+test('a custom field is parsed, normalized by default and range-checked', () => {
+  DiastolicPaste.registerField({ key: 'LVEF_pct', label: 'LV ejection fraction (%)', unit: '%', range: [5, 90], patterns: [/\bLVEF\s*[:=]?\s*([0-9.]+)\s*%/i] });
+  assert.equal(DiastolicPaste.parse('LVEF: 57.456 %').LVEF_pct, 57.46);
+  const d = DiastolicPaste.parseDetailed('LVEF 120 %');
+  assert.equal(d.fields.LVEF_pct.status, 'rejected');
+  const f = DiastolicPaste.fields().find(x => x.key === 'LVEF_pct');
+  assert.deepEqual(f, { key: 'LVEF_pct', label: 'LV ejection fraction (%)', type: 'number', range: [5, 90], unit: '%', derived: false, dependsOn: [] });
+  assert.deepEqual(DiastolicPaste.fields().find(x => x.key === 'EA_ratio').dependsOn, ['MV_E_m_s', 'MV_A_m_s']);
+});
+
+test('a reported value is checked against a custom derivation', () => {
+  const w = DiastolicPaste.validate({ Height_cm: 180, Weight_kg: 80, BSA_m2: 2.5 });
+  assert.ok(w.some(x => x.key === 'BSA_m2' && x.code === 'inconsistent' && x.derived === 2));
+});
+
+test('registerField() rejects bad specs and cycles, and keeps the previous field', () => {
+  assert.throws(() => DiastolicPaste.registerField({ key: 'bad key', label: 'x' }), /identifier/);
+  assert.throws(() => DiastolicPaste.registerField({ key: 'X_ms', label: '' }), /label is required/);
+  assert.throws(() => DiastolicPaste.registerField({ key: 'Result_grade', label: 'x' }), /reserved/);
+  assert.throws(() => DiastolicPaste.registerField({ key: 'X_ms', label: 'x', patterns: ['X (\\d+)'] }), /RegExps/);
+  assert.throws(() => DiastolicPaste.registerField({ key: 'X_ms', label: 'x', dependsOn: ['Nope'] }), /unknown field/);
+  DiastolicPaste.registerField({ key: 'Loop_a', label: 'a', dependsOn: ['LAVI_ml_m2'], derive: (b) => b.LAVI_ml_m2 });
+  assert.throws(() => DiastolicPaste.registerField({ key: 'LA_volume_ml', label: 'LA volume (mL)', dependsOn: ['Loop_a'], derive: (b) => b.Loop_a }),
+    { name: 'TypeError', message: /derivation cycle (?=.*LA_volume_ml)(?=.*Loop_a).*LAVI_ml_m2/ });
+  assert.equal(DiastolicPaste.parse('LA volume 70 ml').LA_volume_ml, 70, 'the built-in field is unchanged');
+});
+
+test('custom fields are exported and pass the export schemas', () => {
+  const bag = DiastolicPaste.parse('Height 180 cm\nWeight 80 kg\nLA volume 70 ml');
+  const fhir = DiastolicPaste.export(bag, 'fhir');
+  const obs = fhir.entry.map(e => e.resource).find(r => r.code.text === 'Height (cm)');
+  assert.deepEqual(obs.valueQuantity, { value: 180, unit: 'cm', system: 'http://unitsofmeasure.org', code: 'cm' });
+  for (const format of ['fhir', 'json', 'csv']) assert.deepEqual(DiastolicPaste.validateExport(DiastolicPaste.export(bag, format), format).errors, [], format);
+});
+
+test('setup() fills a registered field through its default selector', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const height = dom.el('input', { 'data-field': 'Height_cm' }), bsa = dom.el('input', { id: 'bsa' }), lavi = dom.el('input', { id: 'lavi' });
+  DiastolicPaste.setup({});
+  dom.paste('Height 170 cm\nWeight 68 kg\nLA volume 50 ml');
+  assert.equal(height.value, '170');
+  assert.equal(bsa.value, '1.79');
+  assert.equal(lavi.value, '27.9');
+});
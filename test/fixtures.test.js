@@ -0,0 +1,52 @@
+'use strict';
+// Annotated sample reports: test/fixtures/<name>.txt with <name>.json = { profile, bag }.
+// The bag lists what the report states (reported or conflicting values); derived and
+// rejected fields are left out so a fixture does not change when a derivation does.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const DIR = path.join(__dirname, 'fixtures');
+const MIN_SCORE = 0.95;
+
+const fixtures = fs.readdirSync(DIR).filter(f => f.endsWith('.txt')).sort().map(f => {
+  const name = f.replace(/\.txt$/, '');
+  return { name, text: fs.readFileSync(path.join(DIR, f), 'utf8'), expected: JSON.parse(fs.readFileSync(path.join(DIR, `${name}.json`), 'utf8')) };
+});
+
+const stated = (detail) => Object.fromEntries(Object.entries(detail.fields)
+  .filter(([, f]) => f.status !== 'derived' && f.status !== 'rejected')
+  .map(([k, f]) => [k, f.value]));
+
+for (const fx of fixtures) {
+  test(`fixture ${fx.name}`, () => {
+    const detail = DiastolicPaste.parseDetailed(fx.text);
+    assert.equal(detail.profile, fx.expected.profile, 'detected profile');
+    assert.deepEqual(stated(detail), fx.expected.bag);
+  });
+}
+
+test('precision and recall per field over the corpus', (t) => {
+  const score = {};
+  const of = (k) => score[k] || (score[k] = { tp: 0, fp: 0, fn: 0 });
+  for (const fx of fixtures) {
+    const got = stated(DiastolicPaste.parseDetailed(fx.text)), want = fx.expected.bag;
+    for (const k of new Set([...Object.keys(got), ...Object.keys(want)])) {
+      if (k in got && got[k] === want[k]) of(k).tp++;
+      else {
+        if (k in got) of(k).fp++;
+        if (k in want) of(k).fn++;
+      }
+    }
+  }
+  const low = [];
+  t.diagnostic('field                          precision  recall   tp  fp  fn');
+  for (const [k, s] of Object.entries(score).sort(([a], [b]) => a.localeCompare(b))) {
+    const precision = s.tp + s.fp ? s.tp / (s.tp + s.fp) : 1, recall = s.tp + s.fn ? s.tp / (s.tp + s.fn) : 1;
+    t.diagnostic(`${k.padEnd(30)} ${precision.toFixed(3).padStart(9)}  ${recall.toFixed(3).padStart(6)}  ${String(s.tp).padStart(3)} ${String(s.fp).padStart(3)} ${String(s.fn).padStart(3)}`);
+    if (precision < MIN_SCORE || recall < MIN_SCORE) low.push(`${k} (precision ${precision.toFixed(2)}, recall ${recall.toFixed(2)})`);
+  }
+  assert.deepEqual(low, [], `fields below ${MIN_SCORE}`);
+});
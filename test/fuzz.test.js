@@ -0,0 +1,87 @@
+'use strict';
+// Property tests: randomly rendered report lines must parse back to the value that was
+// written, or to nothing, never to a different number. Seeded so failures reproduce;
+// set FUZZ_SEED / FUZZ_RUNS to explore further.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const SEED = +(process.env.FUZZ_SEED || 20250917);
+const RUNS = +(process.env.FUZZ_RUNS || 300);
+
+// mulberry32
+const rng = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const pick = (r, xs) => xs[Math.floor(r() * xs.length)];
+const between = (r, lo, hi, d) => +(lo + r() * (hi - lo)).toFixed(d);
+const PRIMES = ["'", '′', '’', '`', '´'];
+const SEPARATORS = [' ', ': ', ' = ', '  ', ':\t', '\t'];
+const jumble = (r, s) => r() < 0.3 ? s.toUpperCase() : r() < 0.3 ? s.toLowerCase() : s;
+
+// key => render(r) returning { text, value } where value is what the bag should hold
+const VELOCITY_M_S = (labels, lo, hi) => (r) => {
+  const v = between(r, lo, hi, 2), u = pick(r, ['m/s', 'cm/s', '', 'cm/s-bare']);
+  const shown = u === 'm/s' ? `${v} m/s` : u === 'cm/s' ? `${Math.round(v * 100)} cm/s` : u === '' ? `${v}` : `${Math.round(v * 100)}`;
+  return { text: `${jumble(r, pick(r, labels))}${pick(r, SEPARATORS)}${shown}`, value: v };
+};
+const EPRIME = (site) => (r) => {
+  const v = between(r, 3, 15, 1), p = pick(r, PRIMES), u = pick(r, ['cm/s', 'm/s', '']);
+  const label = pick(r, [`${site} e${p}`, `e${p} ${site}`, `e${p}${site === 'septal' ? ' septal' : ' lateral'}`, `${site} e-prime`]);
+  const shown = u === 'cm/s' ? `${v} cm/s` : u === 'm/s' ? `${+(v / 100).toFixed(3)} m/s` : `${v}`;
+  return { text: `${jumble(r, label)}${pick(r, SEPARATORS)}${shown}`, value: v };
+};
+const PLAIN = (labels, lo, hi, d, unit) => (r) => {
+  const v = between(r, lo, hi, d);
+  return { text: `${jumble(r, pick(r, labels))}${pick(r, SEPARATORS)}${v}${pick(r, [' ', ''])}${unit}`, value: v };
+};
+const RENDER = {
+  MV_E_m_s: VELOCITY_M_S(['MV E', 'Mitral E', 'Mitral E velocity', 'MV E peak', 'E wave', 'E wave velocity', 'MV E velocity'], 0.3, 1.8),
+  MV_A_m_s: VELOCITY_M_S(['MV A', 'Mitral A', 'Mitral A velocity', 'A wave', 'MV A peak'], 0.3, 1.4),
+  eprime_septal_cm_s: EPRIME('septal'),
+  eprime_lateral_cm_s: EPRIME('lateral'),
+  TR_Vmax_m_s: PLAIN(['TR Vmax', 'TR peak velocity', 'TR V max'], 1.5, 3.8, 2, 'm/s'),
+  LAVI_ml_m2: PLAIN(['LAVI', 'LA volume index'], 16, 60, 1, 'ml/m2'),
+  DT_ms: PLAIN(['DT', 'Deceleration time', 'MV DT'], 120, 300, 0, 'ms'),
+  IVRT_ms: PLAIN(['IVRT'], 50, 120, 0, 'ms')
+};
+
+const runs = (name, fn) => test(name, () => {
+  const r = rng(SEED ^ name.length);
+  for (let i = 0; i < RUNS; i++) fn(r, i);
+});
+
+runs('single lines parse back in any unit, case and separator', (r) => {
+  const key = pick(r, Object.keys(RENDER));
+  const { text, value } = RENDER[key](r);
+  assert.equal(DiastolicPaste.parse(text)[key], value, JSON.stringify(text));
+});
+
+runs('unicode and ASCII primes are equivalent', (r) => {
+  const key = pick(r, ['eprime_septal_cm_s', 'eprime_lateral_cm_s']);
+  const { text, value } = RENDER[key](r);
+  for (const p of PRIMES) {
+    const variant = text.replace(/e['′’`´]/gi, (m) => m[0] + p);
+    assert.equal(DiastolicPaste.parse(variant)[key], value, JSON.stringify(variant));
+  }
+});
+
+runs('a decimal comma never yields a wrong value', (r) => {
+  const key = pick(r, Object.keys(RENDER));
+  const { text, value } = RENDER[key](r);
+  const comma = text.replace(/(\d)\.(\d)/, '$1,$2');
+  const got = DiastolicPaste.parse(comma)[key];
+  assert.ok(got === undefined || got === value, `${JSON.stringify(comma)} gave ${got}, wrote ${value}`);
+});
+
+runs('a random report round-trips', (r) => {
+  const keys = Object.keys(RENDER).filter(() => r() < 0.6);
+  const lines = keys.map(k => [k, RENDER[k](r)]).sort(() => r() - 0.5);
+  const eol = pick(r, ['\n', '\r\n', '\n\n']);
+  const text = lines.map(([, l]) => pick(r, ['', '  ', '\t']) + l.text).join(eol);
+  const bag = DiastolicPaste.parse(text);
+  for (const [k, l] of lines) assert.equal(bag[k], l.value, `${k} in ${JSON.stringify(text)}`);
+});
@@ -0,0 +1,77 @@
+'use strict';
+// grade() on known inputs: the grade and criteria the standard algorithm reaches, and the
+// special-population pathway a report selects, including conditions it rules out or leaves open.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const NORMAL = "Mitral E 0.8 m/s\nMitral A 0.7 m/s\nSeptal e' 9 cm/s\nLateral e' 12 cm/s\nTR Vmax 2.4 m/s\nLAVI 28 ml/m2\n";
+const gradeOf = (text) => DiastolicPaste.grade(DiastolicPaste.parse(text));
+
+test('conditions the report states select their pathway', () => {
+  const cases = [
+    ['s/p OHT', 'transplant', 'normal_lap'],
+    ['Known HOCM', 'hcm', 'grade1'],
+    ['Rheumatic mitral stenosis', 'ms', 'normal_lap'],
+    ['Moderate MR', 'mr', 'indeterminate'],
+    ['Atrial fibrillation', 'af', 'normal_lap'],
+    ['Atrial fibrillation rhythm noted', 'af', 'normal_lap'],
+    ['V-paced rhythm', 'paced', 'normal_lap']
+  ];
+  for (const [line, pathway, grade] of cases) {
+    const r = gradeOf(NORMAL + line);
+    assert.deepEqual([r.pathway, r.grade], [pathway, grade], line);
+  }
+});
+
+test('ruled-out, negated and pending conditions keep the standard algorithm', () => {
+  const cases = {
+    'Mitral stenosis: none': { Mitral_stenosis: 'No' },
+    'HCM: no': { HCM: 'No' },
+    'No history of heart transplant.': { Heart_transplant: 'No' },
+    'No evidence of hypertrophic cardiomyopathy': { HCM: 'No' },
+    'Rule out HCM': {},
+    'Referred for heart transplant evaluation': {},
+    'Heart transplant candidate': {},
+    'HCM: not assessed': {}
+  };
+  for (const [line, expected] of Object.entries(cases)) {
+    const bag = DiastolicPaste.parse(NORMAL + line);
+    const got = Object.fromEntries(['Mitral_stenosis', 'HCM', 'Heart_transplant'].filter(k => bag[k] != null).map(k => [k, bag[k]]));
+    assert.deepEqual(got, expected, line);
+    const r = DiastolicPaste.grade(bag);
+    assert.deepEqual([r.pathway, r.grade], ['standard', 'normal'], line);
+  }
+  assert.equal(DiastolicPaste.parse('Mitral stenosis: mild').Mitral_stenosis, 'Yes');
+});
+
+test('the standard algorithm grades known inputs and names the criteria that fired', () => {
+  const base = { MV_E_m_s: 0.8, MV_A_m_s: 0.7, eprime_septal_cm_s: 9, eprime_lateral_cm_s: 12, TR_Vmax_m_s: 2.4, LAVI_ml_m2: 28 };
+  const low = { eprime_septal_cm_s: 5, eprime_lateral_cm_s: 7 };
+  const cases = [
+    ['normal', base, 'normal', 'normal', []],
+    ['grade 1, impaired relaxation', { ...base, ...low, MV_E_m_s: 0.45, TR_Vmax_m_s: 2.9, LAVI_ml_m2: 36 },
+      'grade1', 'normal', ['eprime_reduced', 'TR_high', 'LAVI_high', 'EA_impaired_relaxation']],
+    ['grade 1, LAP criteria normal', { ...base, ...low, MV_A_m_s: 0.8, LAVI_ml_m2: 36, LA_reservoir_strain_pct: 15, LV_GLS_pct: -14 },
+      'grade1', 'normal', ['eprime_reduced', 'LAVI_high', 'LARS_low', 'GLS_reduced', 'LA_stiffness_high']],
+    ['grade 2', { ...base, ...low, MV_E_m_s: 0.9, TR_Vmax_m_s: 3.0, LAVI_ml_m2: 40 },
+      'grade2', 'elevated', ['E_eprime_high', 'eprime_reduced', 'TR_high', 'LAVI_high']],
+    ['grade 3', { ...base, eprime_septal_cm_s: 5, eprime_lateral_cm_s: 6, MV_E_m_s: 1.2, MV_A_m_s: 0.5, TR_Vmax_m_s: 3.2, LAVI_ml_m2: 45 },
+      'grade3', 'elevated', ['E_eprime_high', 'eprime_reduced', 'TR_high', 'LAVI_high', 'EA_restrictive']],
+    ['primary variables split', { ...base, ...low, MV_E_m_s: 0.5, MV_A_m_s: 0.8, TR_Vmax_m_s: 2.5, LAVI_ml_m2: 36 },
+      'indeterminate', 'unknown', ['eprime_reduced', 'LAVI_high']],
+    ['one primary variable', { MV_E_m_s: 0.8 }, 'indeterminate', 'unknown', []]
+  ];
+  for (const [name, bag, grade, lap, fired] of cases) {
+    const r = DiastolicPaste.grade(bag);
+    assert.deepEqual({ pathway: r.pathway, grade: r.grade, lap: r.lap, fired: r.fired }, { pathway: 'standard', grade, lap, fired }, name);
+  }
+});
+
+test('age bands move the e′ limits; the LAVI limit stays at every age', () => {
+  assert.ok(DiastolicPaste.AGE_LIMITS.every(band => !('LAVI_ml_m2' in band)));
+  const bag = { MV_E_m_s: 0.7, MV_A_m_s: 0.8, eprime_septal_cm_s: 6.5, eprime_lateral_cm_s: 8, TR_Vmax_m_s: 2.4, LAVI_ml_m2: 36 };
+  const fired = (age) => DiastolicPaste.grade(Object.assign({ Age_years: age }, bag)).fired;
+  assert.deepEqual(fired(30), ['eprime_reduced', 'LAVI_high']);
+  assert.deepEqual(fired(75), ['LAVI_high']);
+});
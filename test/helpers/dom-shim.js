@@ -0,0 +1,286 @@
+'use strict';
+// Just enough DOM to run setup() headless: an element tree with attributes, form values,
+// compound selectors (tag, #id, .class, [attr], [attr=value]; comma lists, no combinators
+// or pseudo-classes), event dispatch with capture and bubble phases, and custom elements
+// (constructed by createElement(), connected/disconnected callbacks as they enter or leave the page).
+
+class ShimEvent {
+  constructor(type, init={}){
+    this.type = type;
+    this.bubbles = !!init.bubbles;
+    this.cancelable = !!init.cancelable;
+    this.defaultPrevented = false;
+    this.target = null;
+    this.currentTarget = null;
+    this._stop = false;
+    Object.assign(this, init);
+  }
+  preventDefault(){ if (this.cancelable) this.defaultPrevented = true; }
+  stopPropagation(){ this._stop = true; }
+  stopImmediatePropagation(){ this._stop = true; }
+}
+class ShimCustomEvent extends ShimEvent {
+  constructor(type, init={}){ super(type, init); this.detail = init.detail == null ? null : init.detail; }
+}
+
+// -----------------------------
+// Selectors
+// -----------------------------
+const splitList = (sel) => {
+  const out = []; let depth = 0, quote = null, cur = '';
+  for (const ch of sel) {
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '[') depth++;
+    else if (ch === ']') depth--;
+    else if (ch === ',' && !depth) { out.push(cur.trim()); cur = ''; continue; }
+    cur += ch;
+  }
+  out.push(cur.trim());
+  return out.filter(Boolean);
+};
+const compileCompound = (sel) => {
+  const tests = [];
+  let rest = sel;
+  const tag = /^([a-zA-Z][\w-]*|\*)/.exec(rest);
+  if (tag) { if (tag[1] !== '*') { const t = tag[1].toUpperCase(); tests.push(el => el.tagName === t); } rest = rest.slice(tag[0].length); }
+  while (rest) {
+    let m;
+    if ((m = /^#([\w-]+)/.exec(rest))) { const id = m[1]; tests.push(el => el.getAttribute('id') === id); }
+    else if ((m = /^\.([\w-]+)/.exec(rest))) { const c = m[1]; tests.push(el => el.classList.contains(c)); }
+    else if ((m = /^\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([\w-]+)))?\s*\]/.exec(rest))) {
+      const name = m[1], val = m[2] != null ? m[2] : (m[3] != null ? m[3] : m[4]);
+      tests.push(val == null ? (el => el.hasAttribute(name)) : (el => el.getAttribute(name) === val));
+    }
+    else throw new SyntaxError(`dom-shim: unsupported selector "${sel}"`);
+    rest = rest.slice(m[0].length);
+  }
+  return (el) => tests.every(t => t(el));
+};
+const selectorCache = new Map();
+const compile = (sel) => {
+  if (!selectorCache.has(sel)) { const parts = splitList(String(sel)).map(compileCompound); selectorCache.set(sel, (el) => parts.some(p => p(el))); }
+  return selectorCache.get(sel);
+};
+
+// -----------------------------
+// Nodes
+// -----------------------------
+class ShimNode {
+  constructor(doc){ this.ownerDocument = doc; this.parentNode = null; this.childNodes = []; this._listeners = []; }
+  get children(){ return this.childNodes.filter(n => n.nodeType === 1); }
+  get firstChild(){ return this.childNodes[0] || null; }
+  get parentElement(){ return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null; }
+  get nextSibling(){ const p = this.parentNode; return p ? p.childNodes[p.childNodes.indexOf(this) + 1] || null : null; }
+  get isConnected(){ let x = this; while (x.parentNode) x = x.parentNode; return x.nodeType === 9; }
+  appendChild(n){ return this.insertBefore(n, null); }
+  insertBefore(n, ref){
+    if (n.parentNode) n.remove();
+    n.parentNode = this;
+    const i = ref ? this.childNodes.indexOf(ref) : -1;
+    if (i < 0) this.childNodes.push(n); else this.childNodes.splice(i, 0, n);
+    if (this.isConnected) lifecycle(n, 'connectedCallback');
+    return n;
+  }
+  append(...nodes){ for (const n of nodes) this.appendChild(typeof n === 'string' ? this.ownerDocument.createTextNode(n) : n); }
+  removeChild(n){ n.remove(); return n; }
+  remove(){
+    const p = this.parentNode; if (!p) return;
+    const connected = this.isConnected;
+    p.childNodes.splice(p.childNodes.indexOf(this), 1); this.parentNode = null;
+    if (connected) lifecycle(this, 'disconnectedCallback');
+  }
+  contains(n){ for (let x = n; x; x = x.parentNode) if (x === this) return true; return false; }
+  get textContent(){ return this.childNodes.map(c => c.textContent).join(''); }
+  set textContent(v){
+    for (const c of this.childNodes) c.parentNode = null;
+    this.childNodes = [];
+    if (v != null && v !== '') this.appendChild(this.ownerDocument.createTextNode(String(v)));
+  }
+  addEventListener(type, fn, opts){ this._listeners.push({ type, fn, capture: opts === true || !!(opts && opts.capture) }); }
+  removeEventListener(type, fn, opts){
+    const capture = opts === true || !!(opts && opts.capture);
+    this._listeners = this._listeners.filter(l => !(l.type === type && l.fn === fn && l.capture === capture));
+  }
+  dispatchEvent(ev){
+    ev.target = this;
+    const path = [];
+    for (let x = this.parentNode; x; x = x.parentNode) path.push(x);
+    const fire = (node, phase) => {
+      ev.currentTarget = node;
+      for (const l of node._listeners.slice()) {
+        if (l.type !== ev.type || (phase === 'capture' && !l.capture) || (phase === 'bubble' && l.capture)) continue;
+        l.fn.call(node, ev);
+      }
+    };
+    for (const node of path.slice().reverse()) { if (ev._stop) break; fire(node, 'capture'); }
+    if (!ev._stop) fire(this, 'target');
+    if (ev.bubbles) for (const node of path) { if (ev._stop) break; fire(node, 'bubble'); }
+    ev.currentTarget = null;
+    return !ev.defaultPrevented;
+  }
+  querySelectorAll(sel){
+    const test = compile(sel), out = [];
+    const walk = (n) => { for (const c of n.children) { if (test(c)) out.push(c); walk(c); } };
+    walk(this);
+    return out;
+  }
+  querySelector(sel){ return this.querySelectorAll(sel)[0] || null; }
+}
+
+// Run a custom element callback on a subtree, parents first
+const lifecycle = (node, name) => {
+  if (typeof node[name] === 'function') node[name]();
+  for (const c of node.childNodes.slice()) lifecycle(c, name);
+};
+
+class ShimText extends ShimNode {
+  constructor(doc, data){ super(doc); this.nodeType = 3; this.data = String(data); }
+  get textContent(){ return this.data; }
+  set textContent(v){ this.data = String(v); }
+}
+
+class ShimElement extends ShimNode {
+  constructor(doc, tag){
+    super(doc);
+    this.nodeType = 1;
+    this.tagName = tag.toUpperCase();
+    this._attrs = new Map();
+    this.style = {};
+    const el = this;
+    this.classList = {
+      contains: (c) => el.className.split(/\s+/).includes(c),
+      add: (...cs) => { const s = new Set(el.className.split(/\s+/).filter(Boolean)); cs.forEach(c => s.add(c)); el.className = [...s].join(' '); },
+      remove: (...cs) => { el.className = el.className.split(/\s+/).filter(c => c && !cs.includes(c)).join(' '); },
+      toggle: (c, force) => { const on = force == null ? !el.classList.contains(c) : force; if (on) el.classList.add(c); else el.classList.remove(c); return on; }
+    };
+  }
+  getAttribute(n){ return this._attrs.has(n) ? this._attrs.get(n) : null; }
+  setAttribute(n, v){
+    const old = this.getAttribute(n);
+    this._attrs.set(n, String(v));
+    const observed = this.constructor.observedAttributes;
+    if (typeof this.attributeChangedCallback === 'function' && observed && observed.includes(n)) this.attributeChangedCallback(n, old, String(v));
+  }
+  removeAttribute(n){ this._attrs.delete(n); }
+  hasAttribute(n){ return this._attrs.has(n); }
+  get id(){ return this.getAttribute('id') || ''; }
+  set id(v){ this.setAttribute('id', v); }
+  get className(){ return this.getAttribute('class') || ''; }
+  set className(v){ this.setAttribute('class', v); }
+  get title(){ return this.getAttribute('title') || ''; }
+  set title(v){ this.setAttribute('title', v); }
+  get type(){ return this.getAttribute('type') || (this.tagName === 'INPUT' ? 'text' : ''); }
+  set type(v){ this.setAttribute('type', v); }
+  get isContentEditable(){ return this.getAttribute('contenteditable') === 'true'; }
+  // Table builders used by the review dialog
+  createTHead(){ return this.appendChild(this.ownerDocument.createElement('thead')); }
+  createTBody(){ return this.appendChild(this.ownerDocument.createElement('tbody')); }
+  insertRow(){ return this.appendChild(this.ownerDocument.createElement('tr')); }
+  insertCell(){ return this.appendChild(this.ownerDocument.createElement('td')); }
+  matches(sel){ return compile(sel)(this); }
+  closest(sel){ for (let x = this; x && x.nodeType === 1; x = x.parentNode) if (x.matches(sel)) return x; return null; }
+  insertAdjacentElement(pos, el){
+    if (pos === 'afterend') this.parentNode.insertBefore(el, this.nextSibling);
+    else if (pos === 'beforebegin') this.parentNode.insertBefore(el, this);
+    else if (pos === 'afterbegin') this.insertBefore(el, this.firstChild);
+    else this.appendChild(el);
+    return el;
+  }
+  focus(){ this.ownerDocument.activeElement = this; }
+  blur(){ if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = this.ownerDocument.body; }
+  click(){ this.dispatchEvent(new ShimEvent('click', { bubbles: true, cancelable: true })); }
+}
+
+// input / textarea / select / option carry a live value, as in the DOM ('value' in el)
+class ShimControl extends ShimElement {
+  constructor(doc, tag){ super(doc, tag); this._value = null; this.checked = false; }
+  get value(){
+    if (this.tagName === 'SELECT') { const o = this._selected || this.querySelectorAll('option')[0]; return o ? o.value : ''; }
+    if (this.tagName === 'OPTION') return this.getAttribute('value') != null ? this.getAttribute('value') : this.textContent;
+    return this._value != null ? this._value : (this.getAttribute('value') || '');
+  }
+  set value(v){
+    if (this.tagName === 'SELECT') { this._selected = this.querySelectorAll('option').find(o => o.value === String(v)) || null; return; }
+    if (this.tagName === 'OPTION') { this.setAttribute('value', v); return; }
+    this._value = String(v);
+  }
+}
+
+// Base class for custom elements; createElement() sets the document and tag it is built for
+let constructing = null;
+class ShimHTMLElement extends ShimElement {
+  constructor(){ const c = constructing || { doc: globalThis.document, tag: 'div' }; constructing = null; super(c.doc, c.tag); }
+}
+
+class ShimDocument extends ShimNode {
+  constructor(){
+    super(null);
+    this.ownerDocument = this;
+    this.nodeType = 9;
+    this.customElements = new Map();
+    this.documentElement = this.createElement('html');
+    this.head = this.createElement('head');
+    this.body = this.createElement('body');
+    this.documentElement.append(this.head, this.body);
+    this.appendChild(this.documentElement);
+    this.activeElement = this.body;
+  }
+  createElement(tag){
+    const Custom = this.customElements.get(String(tag).toLowerCase());
+    if (Custom) { constructing = { doc: this, tag }; return new Custom(); }
+    return /^(input|textarea|select|option)$/i.test(tag) ? new ShimControl(this, tag) : new ShimElement(this, tag);
+  }
+  // SVG elements are plain elements that remember their namespace
+  createElementNS(ns, tag){ const e = new ShimElement(this, tag); e.namespaceURI = ns; return e; }
+  createTextNode(t){ return new ShimText(this, t); }
+  getElementById(id){ return this.querySelector(`[id="${id}"]`); }
+}
+
+/**
+ * Install document, Element, HTMLElement, customElements, Event, CustomEvent and navigator on globalThis.
+ * @returns {{document:ShimDocument, el:Function, paste:Function, drop:Function, restore:Function}}
+ */
+function installDom(){
+  const names = ['document', 'Element', 'HTMLElement', 'customElements', 'Event', 'CustomEvent', 'navigator'];
+  const saved = names.map(n => [n, Object.getOwnPropertyDescriptor(globalThis, n)]);
+  const document = new ShimDocument();
+  const clipboard = { text: '', readText: async () => clipboard.text, writeText: async (t) => { clipboard.text = String(t); } };
+  const customElements = {
+    define: (name, cls) => { if (document.customElements.has(name)) throw new Error(`"${name}" is already defined`); document.customElements.set(name, cls); },
+    get: (name) => document.customElements.get(name)
+  };
+  const values = { document, Element: ShimElement, HTMLElement: ShimHTMLElement, customElements, Event: ShimEvent, CustomEvent: ShimCustomEvent, navigator: { clipboard } };
+  for (const n of names) Object.defineProperty(globalThis, n, { value: values[n], configurable: true, writable: true });
+
+  // el('input', { 'data-field': 'MV_E_m_s' }, parent?) creates and appends an element
+  const el = (tag, attrs={}, parent=document.body) => {
+    const e = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs)) { if (k === 'text') e.textContent = v; else e.setAttribute(k, v); }
+    parent.appendChild(e);
+    return e;
+  };
+  // Dispatch a paste carrying text/plain, or { 'text/html': ..., files: [...] } for several
+  // types; returns the event (check defaultPrevented)
+  const paste = (data, target=document.body, init={}) => {
+    const types = typeof data === 'string' ? { 'text/plain': data } : data;
+    const clipboardData = { getData: (t) => types[t] || '', files: types.files || [] };
+    const ev = new ShimEvent('paste', Object.assign({ bubbles: true, cancelable: true, clipboardData }, init));
+    target.dispatchEvent(ev);
+    return ev;
+  };
+  // Dispatch dragover then drop with File objects
+  const drop = (files, target=document.body) => {
+    const dataTransfer = { types: ['Files'], files };
+    target.dispatchEvent(new ShimEvent('dragover', { bubbles: true, cancelable: true, dataTransfer }));
+    const ev = new ShimEvent('drop', { bubbles: true, cancelable: true, dataTransfer });
+    target.dispatchEvent(ev);
+    return ev;
+  };
+  const restore = () => {
+    for (const [n, d] of saved) { if (d) Object.defineProperty(globalThis, n, d); else delete globalThis[n]; }
+  };
+  return { document, clipboard, el, paste, drop, restore };
+}
+
+module.exports = { installDom, ShimEvent, ShimElement, ShimDocument };
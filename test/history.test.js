@@ -0,0 +1,132 @@
+'use strict';
+// Saved assessments with the in-memory backend (Node has no IndexedDB), serial comparison
+// and the encrypted history file.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const EARLIER = DiastolicPaste.parse("Mitral E 0.7 m/s\nMitral A 0.9 m/s\nSeptal e' 8 cm/s\nLateral e' 11 cm/s\nTR Vmax 2.3 m/s\nLAVI 28 ml/m2");
+const LATER = DiastolicPaste.parse("Mitral E 1.1 m/s\nMitral A 0.6 m/s\nSeptal e' 5 cm/s\nLateral e' 6 cm/s\nTR Vmax 3.1 m/s\nLAVI 41 ml/m2\nRhythm: sinus");
+
+async function twoStudies(){
+  const h = DiastolicPaste.openHistory({ storage: 'memory' });
+  const a = await h.save({ name: 'J. Doe', studyDate: '2024-05-02', bag: EARLIER });
+  const b = await h.save({ name: 'J. Doe', studyDate: '2025-05-20', bag: LATER, notes: 'dyspnoea' });
+  return { h, a, b };
+}
+
+test('save() keeps canonical fields and the grade', async () => {
+  const h = DiastolicPaste.openHistory({ storage: 'memory' });
+  assert.equal(h.persistent, false);
+  const rec = await h.save({ name: ' Bed 4 ', bag: Object.assign({ not_a_field: 1, HR_bpm: '' }, EARLIER) });
+  assert.equal(rec.name, 'Bed 4');
+  assert.deepEqual(rec.bag, EARLIER);
+  assert.equal(rec.grade.grade, DiastolicPaste.grade(Object.assign({}, EARLIER)).grade);
+  assert.deepEqual(await h.get(rec.id), rec);
+  await assert.rejects(h.save({ bag: EARLIER }), /needs a name/);
+});
+
+test('list() searches and puts the newest study first', async () => {
+  const { h, a, b } = await twoStudies();
+  await h.save({ name: 'R. Roe', studyDate: '2023-01-01', bag: EARLIER });
+  assert.deepEqual((await h.list({ query: 'doe' })).map(r => r.id), [b.id, a.id]);
+  assert.deepEqual((await h.list({ query: 'DYSPNOEA' })).map(r => r.id), [b.id]);
+  assert.equal((await h.list()).length, 3);
+  await h.remove(a.id);
+  assert.equal((await h.list({ query: 'doe' })).length, 1);
+});
+
+test('compare() orders by study date and reports deltas and the grade change', async () => {
+  const { h, a, b } = await twoStudies();
+  const c = await h.compare(b.id, a.id);
+  assert.equal(c.before.id, a.id);
+  assert.equal(c.after.id, b.id);
+  const row = (k) => c.fields.find(r => r.key === k);
+  assert.deepEqual(row('MV_E_m_s'), { key: 'MV_E_m_s', label: 'Mitral E velocity (m/s)', before: 0.7, after: 1.1, delta: 0.4, pct: 57.1, change: 'up' });
+  assert.equal(row('LAVI_ml_m2').delta, 13);
+  assert.equal(row('EA_ratio').change, 'up', 'derived fields are compared too');
+  assert.equal(row('Rhythm').change, 'added');
+  assert.equal(c.grade.before.grade, 'normal');
+  assert.equal(c.grade.changed, true);
+  assert.equal(c.grade.direction, 'worse');
+  await assert.rejects(h.compare(a.id, 'nope'), /no saved assessment "nope"/);
+});
+
+test('compare() works on plain bags', () => {
+  const c = DiastolicPaste.compare(LATER, LATER);
+  assert.ok(c.fields.every(r => r.change === 'same'));
+  assert.equal(c.grade.direction, 'same');
+});
+
+test('the encrypted file round-trips and hides its content', async () => {
+  const { h } = await twoStudies();
+  const file = await h.exportEncrypted('correct horse');
+  assert.doesNotMatch(file, /Doe|MV_E|dyspnoea/);
+  const env = JSON.parse(file);
+  assert.equal(env.format, 'diastolic-paste-history');
+  assert.equal(env.cipher.name, 'AES-GCM');
+
+  const other = DiastolicPaste.openHistory({ storage: 'memory' });
+  assert.deepEqual(await other.importEncrypted(file, 'correct horse'), { added: 2, updated: 0, skipped: 0 });
+  assert.deepEqual(await other.list(), await h.list());
+  assert.deepEqual(await other.importEncrypted(file, 'correct horse'), { added: 0, updated: 0, skipped: 2 });
+  assert.deepEqual(await other.importEncrypted(file, 'correct horse', { mode: 'replace' }), { added: 2, updated: 0, skipped: 0 });
+
+  await assert.rejects(other.importEncrypted(file, 'wrong'), /wrong passphrase/);
+  await assert.rejects(other.importEncrypted('{"format":"x"}', 'x'), /not a diastolic-paste history file/);
+  await assert.rejects(h.exportEncrypted(''), /passphrase is required/);
+});
+
+test('an encrypted file with an out-of-range iteration count is refused before deriving a key', async () => {
+  const { h } = await twoStudies();
+  const env = JSON.parse(await h.exportEncrypted('correct horse'));
+  assert.equal(env.kdf.iterations, 250000);
+  const other = DiastolicPaste.openHistory({ storage: 'memory' });
+  for (const iterations of [1, 249999, 2500001, 1e12, 250000.5, '250000', null]) {
+    const file = JSON.stringify({ ...env, kdf: { ...env.kdf, iterations } });
+    await assert.rejects(other.importEncrypted(file, 'correct horse'), /unsupported key derivation/, String(iterations));
+  }
+  assert.deepEqual(await other.list(), []);
+});
+
+// An encrypted history file around hand-made records, as another copy of the tool would write it
+async function seal(records, passphrase){
+  const { subtle } = globalThis.crypto;
+  const salt = crypto.getRandomValues(new Uint8Array(16)), iv = crypto.getRandomValues(new Uint8Array(12));
+  const base = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: 250000 }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt']);
+  const data = await subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify({ records })));
+  const b64 = (bytes) => Buffer.from(bytes).toString('base64');
+  return JSON.stringify({ format: 'diastolic-paste-history', version: 1, kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 250000, salt: b64(salt) }, cipher: { name: 'AES-GCM', iv: b64(iv) }, data: b64(data) });
+}
+
+test('import skips records the list cannot show and drops unknown fields', async () => {
+  const ok = { id: 'a-1', name: 'Bed 4', studyDate: null, savedAt: '2025-05-20T10:00:00.000Z', bag: Object.assign({ not_a_field: 1, HR_bpm: '' }, EARLIER) };
+  const file = await seal([ok, { ...ok, id: 'a-2', savedAt: undefined }, { ...ok, id: 'a-3', savedAt: 'yesterday' }, { ...ok, id: 'a-4', studyDate: 20250520 }, { ...ok, id: 5 }], 'pw');
+  const h = DiastolicPaste.openHistory({ storage: 'memory' });
+  assert.deepEqual(await h.importEncrypted(file, 'pw'), { added: 1, updated: 0, skipped: 4 });
+  const [rec] = await h.list();
+  assert.equal(rec.id, 'a-1');
+  assert.deepEqual(rec.bag, EARLIER);
+});
+
+test('setup() renders the panel and load() puts a study back in the form', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const mv_e = dom.el('input', { id: 'mv_e' }), lavi = dom.el('input', { id: 'lavi' }), hr = dom.el('input', { id: 'hr' });
+  const panel = dom.el('div', { 'data-diasto-history': '' });
+  hr.value = '70';
+  const handle = DiastolicPaste.setup({}, { historyOptions: { storage: 'memory' } });
+  assert.ok(panel.classList.contains('diasto-history'));
+  assert.ok(panel.querySelector('input[type="search"]'));
+
+  const rec = await handle.history.save({ name: 'J. Doe', bag: EARLIER });
+  handle.load(rec);
+  assert.equal(mv_e.value, '0.7');
+  assert.equal(lavi.value, '28');
+  assert.equal(hr.value, '', 'fields the study did not measure are cleared');
+  handle.undo();
+  assert.equal(hr.value, '70');
+});
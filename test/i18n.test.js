@@ -0,0 +1,119 @@
+'use strict';
+// Report languages and the translated UI: decimal commas, the built-in de/fr/es/it packs,
+// registerLanguage() and setup()'s language options against the DOM shim.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+test('a decimal comma is read when the report uses it', () => {
+  const d = DiastolicPaste.parseDetailed('Mitral E 0,92 m/s\nSeptal e\' 6,5 cm/s\nLAVI 34 ml/m2');
+  assert.equal(d.decimal, ',');
+  assert.equal(d.bag.MV_E_m_s, 0.92);
+  assert.equal(d.bag.eprime_septal_cm_s, 6.5);
+  assert.equal(d.fields.MV_E_m_s.source.text, 'Mitral E 0,92 m/s', 'provenance quotes the report as pasted');
+});
+
+test("decimal '.' keeps a comma value malformed", () => {
+  const d = DiastolicPaste.parseDetailed('E wave 0,92 m/s', { decimal: '.' });
+  assert.equal(d.decimal, '.');
+  assert.equal(d.fields.MV_E_m_s.status, 'rejected');
+  assert.equal(d.fields.MV_E_m_s.candidates[0].rejected, 'malformed');
+});
+
+test('a thousands comma is not a decimal', () => {
+  assert.equal(DiastolicPaste.parse('E wave 0,9 m/s\nLAVI 1,250 ml/m2').MV_E_m_s, 0.9);
+  assert.equal(DiastolicPaste.parse('LAVI 1,250 ml/m2').LAVI_ml_m2, undefined);
+});
+
+test('a zero integer part is never thousands-grouped', (t) => {
+  assert.equal(DiastolicPaste.parse('Mitral E 0,920 m/s').MV_E_m_s, 0.92);
+  assert.equal(DiastolicPaste.parseDetailed('Mitral E 0,920 m/s').decimal, ',');
+  const dom = installDom();
+  t.after(dom.restore);
+  const mv_e = dom.el('input', { id: 'mv_e' }), volume = dom.el('input', { id: 'la_volume' });
+  mv_e.value = '0,920';
+  volume.value = '1,250';
+  const bags = [];
+  let handle = DiastolicPaste.setup({}, { autoGrade: false, onGrade: (r, bag) => bags.push(bag) });
+  handle.grade();
+  handle.destroy();
+  handle = DiastolicPaste.setup({}, { autoGrade: false, decimal: ',', onGrade: (r, bag) => bags.push(bag) });
+  handle.grade();
+  handle.destroy();
+  assert.deepEqual(bags.map(b => [b.MV_E_m_s, b.LA_volume_ml]), [[0.92, 1250], [0.92, 1.25]], 'typed values follow the decimal option');
+});
+
+const LINES = {
+  de: ['E-Welle 0,78 m/s, A-Welle 0,92 m/s', 'Dezelerationszeit 236 ms', "septales e' 5,4 cm/s", 'LA-Volumenindex 31 ml/m²', 'Vorhofflimmern', 'mittelgradige Mitralinsuffizienz', 'keine Mitralstenose'],
+  fr: ['onde E 0,78 m/s, onde A 0,92 m/s', 'temps de décélération : 236 ms', "e' septale 5,4 cm/s", 'volume OG indexé : 31 ml/m²', 'fibrillation auriculaire', 'insuffisance mitrale modérée', 'pas de rétrécissement mitral'],
+  es: ['onda E 0,78 m/s, onda A 0,92 m/s', 'tiempo de desaceleración de 236 ms', "onda e' septal 5,4 cm/s", 'volumen AI indexado 31 ml/m2', 'fibrilación auricular', 'insuficiencia mitral moderada', 'sin estenosis mitral'],
+  it: ['onda E 0,78 m/s, onda A 0,92 m/s', 'tempo di decelerazione 236 ms', "e' settale 5,4 cm/s", 'volume AS indicizzato 31 ml/m²', 'fibrillazione atriale', 'insufficienza mitralica moderata', 'non segni di stenosi mitralica']
+};
+
+for (const [code, lines] of Object.entries(LINES)) {
+  test(`the ${code} pack reads numbers, rhythm, severity and negations`, () => {
+    const bag = DiastolicPaste.parse(lines.join('\n'));
+    assert.deepEqual(
+      [bag.MV_E_m_s, bag.MV_A_m_s, bag.DT_ms, bag.eprime_septal_cm_s, bag.LAVI_ml_m2, bag.Rhythm, bag.MR_severity, bag.Mitral_stenosis],
+      [0.78, 0.92, 236, 5.4, 31, 'AF', 'Moderate', 'No']);
+  });
+}
+
+test('a negation after the term reads as No in every pack', () => {
+  const cases = { 'Mitralstenose: keine': 'de', 'Mitralstenose: nein': 'de', 'rétrécissement mitral : absent': 'fr', 'estenosis mitral: no': 'es', 'stenosi mitralica: assente': 'it' };
+  for (const [line, code] of Object.entries(cases)) {
+    assert.equal(DiastolicPaste.parse(line, { languages: [code] }).Mitral_stenosis, 'No', line);
+    assert.equal(DiastolicPaste.parseDetailed(line).fields.Mitral_stenosis.status, 'reported', line);
+  }
+  assert.equal(DiastolicPaste.parse('HCM: nein').HCM, 'No', 'an English term with a German answer');
+  assert.equal(DiastolicPaste.parse('Mitralstenose: leichtgradig').Mitral_stenosis, 'Yes');
+});
+
+test('languages limits the packs that are tried', () => {
+  assert.equal(DiastolicPaste.parse('E-Welle 0,9 m/s').MV_E_m_s, 0.9);
+  assert.equal(DiastolicPaste.parse('E-Welle 0,9 m/s', { languages: ['fr'] }).MV_E_m_s, undefined);
+});
+
+test('registerLanguage() adds a pack and extends an existing one', () => {
+  assert.throws(() => DiastolicPaste.registerLanguage('', {}), /non-empty string/);
+  DiastolicPaste.registerLanguage('nl', { name: 'Nederlands', labels: { MV_E_m_s: ['E-golf'] }, ui: { language: 'Taal' } });
+  assert.equal(DiastolicPaste.parse('E-golf 0,81 m/s').MV_E_m_s, 0.81);
+  assert.ok(DiastolicPaste.languages().some(l => l.code === 'nl' && l.name === 'Nederlands'));
+  DiastolicPaste.registerLanguage('de', { labels: { TR_Vmax_m_s: ['TK-Geschwindigkeit'] } });
+  assert.equal(DiastolicPaste.parse('TK-Geschwindigkeit 2,7 m/s').TR_Vmax_m_s, 2.7);
+  assert.equal(DiastolicPaste.parse('E-Welle 0,9 m/s').MV_E_m_s, 0.9, 'the other German labels stay');
+});
+
+test('setup() translates the page and the toasts, and switches back', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const heading = dom.el('h2', { 'data-i18n': 'language', text: 'Language' });
+  const label = dom.el('label', { 'data-i18n-field': 'MV_E_m_s', text: 'Mitral E velocity (m/s)' });
+  const select = dom.el('select', { 'data-diasto-language': '' });
+  const mv_e = dom.el('input', { id: 'mv_e' }), rhythm = dom.el('input', { id: 'rhythm' });
+
+  const handle = DiastolicPaste.setup({}, { language: 'de' });
+  assert.equal(handle.language(), 'de');
+  assert.equal(heading.textContent, 'Sprache');
+  assert.equal(label.textContent, DiastolicPaste.LANGUAGES.de.fields.MV_E_m_s);
+  assert.equal(dom.document.documentElement.getAttribute('lang'), 'de');
+  assert.deepEqual(select.querySelectorAll('option').map(o => o.value).slice(0, 5), ['en', 'de', 'fr', 'es', 'it']);
+  assert.equal(select.value, 'de');
+
+  dom.paste('E-Welle 0,9 m/s\nA-Welle 0,7 m/s\nVorhofflimmern');
+  assert.equal(mv_e.value, '0.9');
+  assert.equal(rhythm.value, 'AF');
+  assert.match(dom.document.getElementById('diasto-toast').textContent, /Felder ausgefüllt/);
+
+  assert.equal(handle.setLanguage('en'), 'en');
+  assert.equal(heading.textContent, 'Language');
+  assert.equal(label.textContent, 'Mitral E velocity (m/s)');
+  assert.equal(select.value, 'en');
+
+  select.value = 'fr';
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+  assert.equal(handle.language(), 'fr');
+  assert.equal(heading.textContent, 'Langue');
+});
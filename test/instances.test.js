@@ -0,0 +1,170 @@
+'use strict';
+// Several calculators on one page: setup({ root }), destroy(), pause(), the parsed / filled /
+// rejected events and the <diastolic-calculator> element, against the DOM shim.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const REPORT = "Mitral E 0.92 m/s\nMitral A 0.71 m/s\nSeptal e' 6.1 cm/s\nLateral e' 8.3 cm/s\nTR Vmax 2.9 m/s\nLAVI 38 ml/m2";
+
+function page(t){
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  // Two forms with the same ids, as two mounts of one component would have
+  const form = (name) => {
+    const root = dom.el('section', { class: name });
+    const fields = {};
+    for (const id of ['mv_e', 'mv_a', 'ea_ratio', 'lavi']) fields[id] = dom.el('input', { id }, root);
+    return { root, fields };
+  };
+  return Object.assign(dom, { a: form('a'), b: form('b'), tick: () => t.mock.timers.tick(1) });
+}
+const styles = (dom) => dom.document.head.querySelectorAll('style').length;
+
+test('a paste fills only the calculator it lands in', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { root: p.a.root });
+  DiastolicPaste.setup({}, { root: '.b' });
+  assert.equal(styles(p), 1, 'the style is injected once');
+  assert.equal(p.paste(REPORT, p.b.fields.mv_a).defaultPrevented, true);
+  assert.equal(p.b.fields.mv_e.value, '0.92');
+  assert.equal(p.a.fields.mv_e.value, '');
+  assert.equal(p.paste(REPORT).defaultPrevented, false, 'outside both roots nothing listens');
+  p.a.fields.lavi.value = '400';
+  p.a.fields.lavi.dispatchEvent(new Event('input', { bubbles: true }));
+  p.b.fields.lavi.value = '500';
+  p.b.fields.lavi.dispatchEvent(new Event('input', { bubbles: true }));
+  p.tick();
+  const notes = p.document.querySelectorAll('.diasto-warning').map(n => n.id);
+  assert.equal(notes.length, 2);
+  assert.notEqual(notes[0], notes[1], 'warning ids stay unique');
+  assert.throws(() => DiastolicPaste.setup({}, { root: '#nowhere' }), /root "#nowhere" not found/);
+});
+
+test('destroy() takes every listener off, and a remount fills once', (t) => {
+  const p = page(t);
+  const filled = [];
+  const first = DiastolicPaste.setup({}, { root: p.a.root, onAfterFill: () => filled.push('first') });
+  first.destroy();
+  first.destroy();
+  assert.equal(styles(p), 0, 'the last destroy() removes the style');
+  assert.equal(p.paste(REPORT, p.a.fields.mv_e).defaultPrevented, false);
+  p.a.fields.mv_e.value = '0.9'; p.a.fields.mv_a.value = '0.6';
+  p.a.fields.mv_a.dispatchEvent(new Event('input', { bubbles: true }));
+  p.tick();
+  assert.equal(p.a.fields.ea_ratio.value, '', 'no live derivation either');
+
+  DiastolicPaste.setup({}, { root: p.a.root, onAfterFill: () => filled.push('second') });
+  p.paste(REPORT, p.a.fields.mv_e);
+  assert.deepEqual(filled, ['second']);
+  assert.equal(styles(p), 1);
+});
+
+test('destroy() empties the history panel, and a save already under way does not regrade', async (t) => {
+  const p = page(t);
+  const panel = p.el('div', { 'data-diasto-history': '' }, p.a.root);
+  const handle = DiastolicPaste.setup({}, { root: p.a.root, historyOptions: { storage: 'memory' } });
+  const save = panel.querySelectorAll('button').find(b => b.textContent === 'Save assessment');
+  const status = panel.querySelector('[role="status"]');
+  p.a.fields.mv_e.value = '0.9'; p.a.fields.mv_a.value = '0.6';
+  handle.destroy();
+  assert.equal(panel.childNodes.length, 0);
+  assert.equal(panel.classList.contains('diasto-history'), false);
+  save.click();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(status.textContent, 'this calculator was closed');
+  assert.deepEqual(await handle.history.list(), []);
+  p.tick();
+  assert.equal(p.a.fields.ea_ratio.value, '');
+});
+
+test('pause() lets pastes through until resume()', (t) => {
+  const p = page(t);
+  const handle = DiastolicPaste.setup({}, { root: p.a.root });
+  handle.pause();
+  assert.equal(handle.paused(), true);
+  assert.equal(p.paste(REPORT, p.a.fields.mv_e).defaultPrevented, false);
+  assert.equal(p.a.fields.mv_e.value, '');
+  handle.resume();
+  assert.equal(p.paste(REPORT, p.a.fields.mv_e).defaultPrevented, true);
+  assert.equal(p.a.fields.mv_e.value, '0.92');
+});
+
+test('parsed, filled and rejected events', (t) => {
+  const p = page(t);
+  const handle = DiastolicPaste.setup({}, { root: p.a.root });
+  const seen = [];
+  for (const type of ['parsed', 'filled', 'rejected']) handle.on(type, (e) => seen.push([type, e.reason || e.source, e.updated || e.keys || null]));
+  const stop = handle.on('filled', () => seen.push(['extra']));
+  stop();
+
+  p.paste(REPORT + '\nE/A 0.9.2', p.a.fields.mv_e);
+  assert.deepEqual(seen.map(s => s[0]), ['parsed', 'rejected', 'filled']);
+  assert.deepEqual(seen[1], ['rejected', 'implausible', ['EA_ratio']]);
+  assert.equal(seen[2][2], 4);
+
+  seen.length = 0;
+  p.paste('E wave 0.8 m/s', p.a.fields.mv_e);
+  assert.deepEqual(seen, [['parsed', 'paste', null], ['rejected', 'below-threshold', ['MV_E_m_s']]]);
+});
+
+test('values untouched in the review dialog are rejected as declined', (t) => {
+  const p = page(t);
+  const handle = DiastolicPaste.setup({}, { root: p.a.root, confirm: 'always' });
+  const rejected = [];
+  handle.on('rejected', (e) => rejected.push(e));
+  p.paste(REPORT, p.a.fields.mv_e);
+  p.document.querySelector('.diasto-modal-actions').querySelectorAll('button').find(b => b.textContent === 'Cancel').click();
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reason, 'declined');
+  assert.ok(rejected[0].keys.includes('MV_E_m_s'));
+  assert.equal(p.a.fields.mv_e.value, '');
+});
+
+test('<diastolic-calculator> renders, fills itself and cleans up when removed', (t) => {
+  const p = page(t);
+  const Calc = DiastolicPaste.defineElement();
+  assert.equal(DiastolicPaste.defineElement(), Calc, 'defined once');
+  const one = p.el('diastolic-calculator', { language: 'de' });
+  const two = p.el('diastolic-calculator');
+  assert.equal(styles(p), 1);
+  const mvE = one.querySelector('[data-field="MV_E_m_s"]');
+  assert.equal(one.querySelectorAll('[data-field]').length, DiastolicPaste.fields().length + 3);
+  assert.equal(one.querySelector('[data-field="Rhythm"]').tagName, 'SELECT');
+  assert.equal(one.querySelector('[data-i18n="calcGrade"]').textContent, 'Grad');
+  assert.equal(one.getAttribute('lang'), 'de');
+
+  const events = [];
+  p.document.body.addEventListener('filled', (e) => events.push([e.target, e.detail.updated]));
+  p.paste(REPORT, mvE);
+  assert.equal(mvE.value, '0.92');
+  assert.equal(two.querySelector('[data-field="MV_E_m_s"]').value, '');
+  assert.equal(events.length, 1);
+  assert.equal(events[0][0], one);
+  p.tick();
+  assert.notEqual(one.querySelector('[data-field="Result_grade"]').textContent, '');
+
+  one.setAttribute('language', 'fr');
+  assert.equal(one.querySelector('[data-i18n="calcGrade"]').textContent, 'Grade');
+  assert.equal(one.querySelector('[data-i18n="calcCopy"]').textContent, 'Copier le texte du compte rendu');
+
+  one.remove();
+  assert.equal(one.handle, null);
+  assert.equal(p.paste(REPORT, mvE).defaultPrevented, false);
+  two.remove();
+  assert.equal(styles(p), 0);
+});
+
+test('<diastolic-calculator> wires markup it already has', (t) => {
+  const p = page(t);
+  DiastolicPaste.defineElement();
+  const host = p.document.createElement('diastolic-calculator');
+  const mvE = p.el('input', { 'data-field': 'MV_E_m_s' }, host);
+  host.options = { signalsMin: 1, onlyWhenMultiLine: false };
+  p.document.body.appendChild(host);
+  assert.equal(host.children.length, 1, 'nothing is rendered around it');
+  p.paste('E wave 0.8 m/s', mvE);
+  assert.equal(mvE.value, '0.8');
+});
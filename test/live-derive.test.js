@@ -0,0 +1,105 @@
+'use strict';
+// Live derivation in setup(): derived fields follow typed inputs, typed or disagreeing reported
+// values are kept as overrides, and clearing or recalculate() hands a field back to its formula.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+function page(t, options){
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const fields = {};
+  for (const id of ['mv_e', 'mv_a', 'ea_ratio', 'eprime_septal', 'eprime_lateral', 'eprime_avg', 'e_over_eprime_avg', 'la_strain', 'la_stiffness', 'la_volume', 'bsa', 'lavi'])
+    fields[id] = dom.el('input', { id });
+  const handle = DiastolicPaste.setup({}, options);
+  const type = (id, value) => { fields[id].value = value; fields[id].dispatchEvent(new Event('input', { bubbles: true })); t.mock.timers.tick(1); };
+  return { dom, fields, handle, type };
+}
+
+test('derived fields follow what is typed, through chains', (t) => {
+  const { fields, type } = page(t);
+  type('mv_e', '0.9');
+  assert.equal(fields.ea_ratio.value, '');
+  type('mv_a', '0.6');
+  assert.equal(fields.ea_ratio.value, '1.5');
+  assert.equal(fields.ea_ratio.getAttribute('data-diasto-status'), 'derived');
+  type('eprime_septal', '5');
+  type('eprime_lateral', '7');
+  type('la_strain', '15');
+  assert.equal(fields.eprime_avg.value, '6');
+  assert.equal(fields.e_over_eprime_avg.value, '15');
+  assert.equal(fields.la_stiffness.value, '1');
+  type('mv_e', '1.2');
+  assert.equal(fields.ea_ratio.value, '2', 'a stale value is replaced');
+  assert.equal(fields.e_over_eprime_avg.value, '20');
+  type('mv_a', '');
+  assert.equal(fields.ea_ratio.value, '', 'and cleared when an input goes');
+  assert.equal(fields.ea_ratio.hasAttribute('data-diasto-status'), false);
+});
+
+test('a typed value overrides the formula until the field is cleared', (t) => {
+  const { fields, type, handle } = page(t);
+  type('mv_e', '0.9'); type('mv_a', '0.6');
+  type('ea_ratio', '1.4');
+  assert.equal(fields.ea_ratio.getAttribute('data-diasto-override'), 'manual');
+  assert.match(fields.ea_ratio.title, /entered by hand/);
+  type('mv_a', '0.45');
+  assert.equal(fields.ea_ratio.value, '1.4');
+  type('ea_ratio', '');
+  assert.equal(fields.ea_ratio.value, '2');
+  assert.equal(fields.ea_ratio.hasAttribute('data-diasto-override'), false);
+  type('ea_ratio', '1.9');
+  handle.recalculate('EA_ratio');
+  assert.equal(fields.ea_ratio.value, '2');
+});
+
+test('a typed derived value feeds the fields that depend on it', (t) => {
+  const { fields, type } = page(t);
+  type('e_over_eprime_avg', '12');
+  type('la_strain', '24');
+  assert.equal(fields.la_stiffness.value, '0.5');
+  assert.equal(fields.e_over_eprime_avg.getAttribute('data-diasto-override'), 'manual');
+});
+
+test('a paste keeps reported values that disagree with their formula, and undo restores the marks', (t) => {
+  const { dom, fields, type, handle } = page(t);
+  type('ea_ratio', '3');
+  dom.paste('Mitral E 0.9 m/s\nMitral A 0.6 m/s\nE/A 1.5\nLA volume 70 ml\nBSA 2.0 m2\nLAVI 42 ml/m2');
+  t.mock.timers.tick(1);
+  assert.equal(fields.ea_ratio.value, '1.5');
+  assert.equal(fields.ea_ratio.hasAttribute('data-diasto-override'), false, 'agrees with E ÷ A, so it stays live');
+  assert.equal(fields.lavi.value, '42');
+  assert.equal(fields.lavi.getAttribute('data-diasto-override'), 'report');
+  type('la_volume', '80');
+  assert.equal(fields.lavi.value, '42');
+  handle.undo();
+  t.mock.timers.tick(1);
+  assert.equal(fields.ea_ratio.value, '3');
+  assert.equal(fields.ea_ratio.getAttribute('data-diasto-override'), 'manual');
+  assert.equal(fields.lavi.hasAttribute('data-diasto-override'), false);
+});
+
+test('a reported value without its inputs stands in until they are typed', (t) => {
+  const graded = [];
+  const { dom, fields, type } = page(t, { onGrade: (result, bag) => graded.push(bag.EA_ratio) });
+  dom.paste('E/A ratio: 0.7\nHeart rate 64 bpm');
+  t.mock.timers.tick(1);
+  assert.equal(fields.ea_ratio.value, '0.7');
+  assert.equal(fields.ea_ratio.hasAttribute('data-diasto-override'), false, 'nothing to disagree with yet');
+  type('mv_e', '1.0');
+  assert.equal(fields.ea_ratio.value, '0.7', 'kept while A is missing');
+  type('mv_a', '0.5');
+  assert.equal(fields.ea_ratio.value, '2');
+  assert.equal(fields.ea_ratio.getAttribute('data-diasto-status'), 'derived');
+  assert.equal(graded[graded.length - 1], 2, 'the grade uses the recomputed value');
+  type('mv_a', '');
+  assert.equal(fields.ea_ratio.value, '');
+});
+
+test('liveDerive: false leaves derived fields to the paste', (t) => {
+  const { fields, type } = page(t, { liveDerive: false });
+  type('mv_e', '0.9'); type('mv_a', '0.6');
+  assert.equal(fields.ea_ratio.value, '');
+});
@@ -0,0 +1,56 @@
+'use strict';
+// narrative(): the interpretation paragraph, its criteria and caveats, locales and
+// institution templates from registerTemplates().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const GRADE2 = { E_over_eprime_avg: 15.2, TR_Vmax_m_s: 3.0, LAVI_ml_m2: 41, EA_ratio: 1.2 };
+const NORMAL = { MV_E_m_s: 0.8, MV_A_m_s: 0.7, eprime_septal_cm_s: 9, eprime_lateral_cm_s: 12, TR_Vmax_m_s: 2.4, LAVI_ml_m2: 28 };
+const AF = { MV_E_m_s: 0.9, E_over_eprime_septal: 12, TR_Vmax_m_s: 3.0, LAVI_ml_m2: 45, Rhythm: 'AF' };
+
+test('the grade with the values behind it, then criteria met, not met and missing', () => {
+  assert.equal(DiastolicPaste.narrative(GRADE2),
+    'Grade II diastolic dysfunction with elevated LAP (E/e′ avg 15.2, TR Vmax 3.0 m/s, LAVI 41 mL/m²). '
+    + 'Criteria met: E/e′ avg, TR Vmax, LAVI. Criteria not met: E/A. Not available: septal e′.');
+});
+
+test('a normal study cites the criteria that were not met, and lists no met ones', () => {
+  const text = DiastolicPaste.narrative(NORMAL);
+  assert.match(text, /^Normal diastolic function \(E\/e′ avg 7\.62, septal e′ 9 cm\/s, lateral e′ 12 cm\/s, TR Vmax 2\.4 m\/s, LAVI 28 mL\/m²\)\./);
+  assert.match(text, /Criteria not met: E\/e′ avg, septal e′, lateral e′, TR Vmax, LAVI\.$/);
+  assert.doesNotMatch(text, /Criteria met|Not available/);
+});
+
+test('special-population pathways add their caveat; indeterminate results cite no values', () => {
+  const af = DiastolicPaste.narrative(AF);
+  assert.match(af, /^Elevated LAP by atrial fibrillation criteria \(E\/e′ septal 12, TR Vmax 3\.0 m\/s\)\./);
+  assert.match(af, /Not available: E acceleration rate, IVRT, DT\./);
+  assert.match(af, /In atrial fibrillation, values should be averaged over several cycles; E\/A and LAVI were not used\.$/);
+  assert.match(DiastolicPaste.narrative({ ...NORMAL, HCM: 'Yes' }), /In HCM diastolic dysfunction is assumed; the criteria estimate LAP\./);
+  const one = DiastolicPaste.narrative({ MV_E_m_s: 0.8 });
+  assert.match(one, /^Indeterminate diastolic function\. Not available: /);
+  assert.match(one, /Low confidence\.$/);
+});
+
+test('the locale formats numbers; an unknown one falls back to its language, then English', () => {
+  assert.match(DiastolicPaste.narrative(GRADE2, null, { locale: 'de-DE' }), /\(E\/e′ avg 15,2, TR Vmax 3,0 m\/s, LAVI 41 mL\/m²\)/);
+  DiastolicPaste.registerTemplates('de', { grade: { grade2: 'Diastolische Dysfunktion Grad II mit erhöhtem LAP' }, met: 'Erfüllte Kriterien: {list}.' });
+  const de = DiastolicPaste.narrative(GRADE2, null, { locale: 'de-AT' });
+  assert.match(de, /^Diastolische Dysfunktion Grad II mit erhöhtem LAP \(E\/e′ avg 15,2/);
+  assert.match(de, /Erfüllte Kriterien: E\/e′ avg, TR Vmax, LAVI\. Criteria not met: E\/A\./, 'unset wording stays English');
+  assert.equal(DiastolicPaste.NARRATIVE_TEMPLATES.de.grade.grade1, DiastolicPaste.NARRATIVE_TEMPLATES.en.grade.grade1, 'nested groups merge key by key');
+});
+
+test('institution templates: registered wording, function templates and one-off overrides', () => {
+  DiastolicPaste.registerTemplates('en-x-site', { summary: 'IMPRESSION: {grade}{evidence}.', terms: { LAVI_ml_m2: 'LA volume index' } });
+  const site = DiastolicPaste.narrative(GRADE2, null, { locale: 'en-x-site' });
+  assert.match(site, /^IMPRESSION: Grade II diastolic dysfunction with elevated LAP \(.*LA volume index 41 mL\/m²\)\./);
+  assert.match(site, /Criteria met: E\/e′ avg, TR Vmax, LA volume index\./);
+  assert.doesNotMatch(DiastolicPaste.narrative(GRADE2), /IMPRESSION/, 'other locales keep their wording');
+
+  const once = DiastolicPaste.narrative(GRADE2, null, { templates: { met: (vars) => `Abnormal: ${vars.list.toUpperCase()}.`, notMet: '' } });
+  assert.match(once, /Abnormal: E\/E′ AVG, TR VMAX, LAVI\./);
+  assert.doesNotMatch(once, /not met/);
+  assert.throws(() => DiastolicPaste.registerTemplates('', {}), TypeError);
+});
@@ -0,0 +1,84 @@
+'use strict';
+// Regressions for FIELD_SPECS patterns: each case is a line that was once read wrongly.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+// Reported (non-derived) values only
+const reported = (text) => {
+  const d = DiastolicPaste.parseDetailed(text);
+  return Object.fromEntries(Object.entries(d.fields).filter(([, f]) => f.status !== 'derived').map(([k, f]) => [k, f.value]));
+};
+
+test('an E/A ratio is not a mitral E velocity', () => {
+  assert.deepEqual(reported('Mitral E/A ratio 1.4'), { EA_ratio: 1.4 });
+  assert.deepEqual(reported('MV E/A 0.84'), { EA_ratio: 0.84 });
+});
+
+test('E deceleration time and A duration are not velocities', () => {
+  assert.deepEqual(reported('MV E DT 190 ms'), { DT_ms: 190 });
+  assert.deepEqual(reported('Mitral A duration 120 ms'), {});
+});
+
+test('bare E: and A: lines are mitral velocities', () => {
+  assert.deepEqual(reported('E: 0.9 m/s\nA: 0.7 m/s'), { MV_E_m_s: 0.9, MV_A_m_s: 0.7 });
+});
+
+test('AF is read as a rhythm only in rhythm context', () => {
+  for (const text of ['AF: 2', 'The AF view was limited', 'AF gain adjusted'])
+    assert.equal(reported(text).Rhythm, undefined, text);
+  for (const text of ['Patient in AF, rate 88', 'AF with RVR', 'Known AF.', 'AFib', 'A-fib noted', 'Atrial fibrillation'])
+    assert.equal(reported(text).Rhythm, 'AF', text);
+});
+
+test('a rhythm is a named rhythm, not the word after "rhythm"', () => {
+  const cases = {
+    'Atrial fibrillation rhythm noted': 'AF', 'Sinus rhythm at 72 bpm': 'Sinus', 'Rhythm: sinus': 'Sinus',
+    'Underlying rhythm = paced': 'Paced', 'Rhythm: atrial fibrillation, ventricular rate 96 bpm.': 'AF'
+  };
+  for (const [text, rhythm] of Object.entries(cases)) assert.equal(reported(text).Rhythm, rhythm, text);
+  for (const text of ['Regular rhythm noted', 'Rhythm: atrial flutter', 'The rhythm strip was noisy'])
+    assert.equal(reported(text).Rhythm, undefined, text);
+});
+
+test('mild to moderate MR is Mild whichever side of "MR" it is on', () => {
+  for (const text of ['mild to moderate MR', 'MR: mild to moderate', 'Mild-moderate mitral regurgitation'])
+    assert.equal(reported(text).MR_severity, 'Mild', text);
+  assert.equal(reported('moderate MR').MR_severity, 'Moderate');
+  assert.equal(reported('MR: moderate to severe').MR_severity, 'Moderate-severe');
+  const normal = "Mitral E 0.8 m/s\nMitral A 0.7 m/s\nSeptal e' 9 cm/s\nLateral e' 12 cm/s\nTR Vmax 2.4 m/s\nLAVI 28 ml/m2\n";
+  for (const line of ['mild to moderate MR', 'MR: mild to moderate'])
+    assert.equal(DiastolicPaste.grade(DiastolicPaste.parse(normal + line)).pathway, 'standard', line);
+});
+
+test('PV S/D needs pulmonary vein context', () => {
+  assert.deepEqual(reported('Pulmonary vein S/D 0.8'), { PV_SD_ratio: 0.8 });
+  assert.deepEqual(reported('S/D ratio 1.3 (pulmonary vein)'), { PV_SD_ratio: 1.3 });
+  assert.deepEqual(reported('Pulmonary veins:\nS/D 0.7\n'), { PV_SD_ratio: 0.7 });
+  assert.deepEqual(reported('S/D 0.8'), {});
+});
+
+test('ranges and lists before the unit', () => {
+  const d = DiastolicPaste.parseDetailed('DT 180-200 ms');
+  assert.equal(d.bag.DT_ms, 190);
+  assert.equal(d.fields.DT_ms.aggregate, 'mean of range');
+});
+
+test('a number with another unit or a word after it is not a beat', () => {
+  assert.deepEqual(reported('TR Vmax 2.9 m/s, 34 mmHg'), { TR_Vmax_m_s: 2.9 });
+  assert.deepEqual(reported('LA volume 68 ml, 38 ml/m2'), { LA_volume_ml: 68 });
+  assert.deepEqual(reported('DT 190 ms, 2 beats'), { DT_ms: 190 });
+  assert.deepEqual(reported('Mitral E 0.9 m/s, 12 beats'), { MV_E_m_s: 0.9 });
+  assert.equal(DiastolicPaste.parseDetailed('DT 190 ms, 2 beats').fields.DT_ms.beatCount, 2);
+  assert.deepEqual(DiastolicPaste.parseDetailed('Mitral E 0.9 m/s, 0.95 m/s').fields.MV_E_m_s.beats, [0.9, 0.95]);
+  assert.deepEqual(DiastolicPaste.parseDetailed('DT 190, 200 ms').fields.DT_ms.beats, [190, 200]);
+});
+
+test('a sentence-final period is not part of the number', () => {
+  assert.deepEqual(reported('E/e′ average 12.1.'), { E_over_eprime_avg: 12.1 });
+  assert.deepEqual(reported('Mitral E 0.8 m/s.'), { MV_E_m_s: 0.8 });
+});
+
+test('generic labels do not select a vendor profile', () => {
+  assert.equal(DiastolicPaste.detectProfile('MV E 0.8 m/s\nLAVI 30 ml/m2\nTR Vmax 2.5 m/s\nDT 190 ms'), null);
+});
@@ -0,0 +1,116 @@
+'use strict';
+// De-identification before parsing: deidentify(), the age and sex read from the header, and the
+// privacy note setup() keeps up to date, against the DOM shim.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const HEADER = 'Patient Name: DOE^JANE   MRN: 00482913   DOB: 07/22/1951\n'
+  + 'Sex: F   Accession #: E24-118830   Study Date: 03/05/2024\n'
+  + 'Phone: (555) 201-7788   jane.doe@example.org\n';
+const REPORT = HEADER + "Mitral E 0.92 m/s\nMitral A 0.71 m/s\nSeptal e' 6.1 cm/s\nLateral e' 8.3 cm/s\nTR Vmax 2.9 m/s\nLAVI 38 ml/m2";
+const IDENTIFIERS = ['DOE', 'JANE', '00482913', '07/22/1951', 'E24-118830', '03/05/2024', '201-7788', 'example.org'];
+
+test('identifiers are replaced and only counted', () => {
+  const out = DiastolicPaste.deidentify(REPORT);
+  for (const id of IDENTIFIERS) assert.ok(!out.text.includes(id), `${id} removed`);
+  assert.match(out.text, /^Patient Name: \[NAME\] {3}MRN: \[MRN\] {3}DOB: \[DOB\]$/m);
+  assert.deepEqual(out.found, { name: 1, dob: 1, date: 1, mrn: 1, accession: 1, phone: 1, email: 1 });
+  assert.equal(out.redacted, 7);
+  assert.equal(out.Age_years, 72, 'counted to the study date, not today');
+  assert.ok(!JSON.stringify(out).includes('JANE'));
+});
+
+test('values, measurements and "Patient: female" survive', () => {
+  const text = "Patient: female\nName: Rossi, Maria Data di nascita: 3 marzo 1949\nE/A 1.3\nDate: 12.01.2024\nDevice name: Vivid E95";
+  const out = DiastolicPaste.deidentify(text);
+  assert.match(out.text, /^Patient: female$/m);
+  assert.match(out.text, /^Name: \[NAME\] Data di nascita: \[DOB\]$/m, 'the name stops at the next label');
+  assert.match(out.text, /E\/A 1\.3/);
+  assert.match(out.text, /Device name: Vivid E95/, 'labels only start a name at the start of a line');
+  assert.equal(out.Age_years, 74);
+});
+
+test('a name stops at the next label even without a colon', () => {
+  const out = DiastolicPaste.deidentify('Patient: John Smith, DOB 1958-03-14, Acc# 99887766', { now: new Date(2025, 5, 1) });
+  assert.equal(out.text, 'Patient: [NAME], DOB [DOB], Acc# [ACCESSION]');
+  assert.deepEqual(out.found, { name: 1, dob: 1, accession: 1 });
+  assert.equal(out.Age_years, 67);
+});
+
+test('dates: dmy unless the report says otherwise, two-digit years, `now` and `dateOrder`', () => {
+  const now = new Date(2025, 5, 1);
+  assert.equal(DiastolicPaste.deidentify('DOB: 02/07/1960', { now }).Age_years, 64, '2 July');
+  assert.equal(DiastolicPaste.deidentify('DOB: 02/07/1960', { now, dateOrder: 'mdy' }).Age_years, 65, '7 February');
+  assert.equal(DiastolicPaste.deidentify('DOB: 02/07/1960\nExam date: 05/28/2025', { now }).Age_years, 65, 'the study date decides');
+  assert.equal(DiastolicPaste.deidentify('DOB: 15.08.45', { now }).Age_years, 79);
+  assert.equal(DiastolicPaste.deidentify('Date of birth: Mar 3, 1950', { now }).Age_years, 75);
+  assert.equal(DiastolicPaste.deidentify('DOB: [unknown]', { now }).Age_years, null);
+});
+
+test('custom rules add to PHI_RULES', () => {
+  assert.ok(DiastolicPaste.PHI_RULES.some(r => r.type === 'mrn'));
+  const out = DiastolicPaste.deidentify('Ward: Cardio 4B\nBed 12-A', { rules: [{ type: 'ward', label: 'ward' }, { type: 'bed', pattern: /\bBed \d+-[A-Z]\b/ }] });
+  assert.equal(out.text, 'Ward: [WARD]\n[BED]');
+  assert.deepEqual(out.found, { ward: 1, bed: 1 });
+});
+
+test('parseDetailed() reads the redacted text and fills age and sex from the header', () => {
+  const d = DiastolicPaste.parseDetailed(REPORT);
+  assert.equal(d.text, DiastolicPaste.deidentify(REPORT).text);
+  assert.equal(d.bag.Age_years, 72);
+  assert.equal(d.fields.Age_years.status, 'derived');
+  assert.equal(d.bag.Sex, 'Female');
+  assert.equal(d.fields.MV_E_m_s.source.text, d.text.slice(d.fields.MV_E_m_s.source.start, d.fields.MV_E_m_s.source.end));
+  assert.deepEqual(d.phi, { found: { name: 1, dob: 1, date: 1, mrn: 1, accession: 1, phone: 1, email: 1 }, redacted: 7 });
+  assert.equal(DiastolicPaste.parseDetailed('Age: 80\n' + REPORT).bag.Age_years, 80, 'a stated age wins');
+  const raw = DiastolicPaste.parseDetailed(REPORT, { deidentify: false });
+  assert.equal(raw.phi, null);
+  assert.ok(raw.text.includes('DOE^JANE'));
+  assert.equal(raw.bag.Age_years, undefined);
+  assert.equal(DiastolicPaste.parse('Geschlecht: weiblich\n67-jähriger Mann', {}).Sex, 'Female');
+});
+
+test('nothing identifying reaches the page, events or preview; the note says what was removed', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  for (const id of ['mv_e', 'mv_a', 'age', 'sex']) dom.el('input', { id });
+  const note = dom.el('p', { 'data-diasto-privacy': '' });
+  const preview = dom.el('pre', { 'data-diasto-preview': '' });
+  const handle = DiastolicPaste.setup({}, {});
+  assert.equal(note.getAttribute('data-state'), 'idle');
+  const seen = [];
+  handle.on('parsed', (e) => seen.push(e.text));
+  handle.on('filled', (e) => seen.push(JSON.stringify(e.bag)));
+  assert.equal(dom.paste(REPORT).defaultPrevented, true);
+  assert.equal(dom.document.querySelector('#age').value, '72');
+  assert.equal(dom.document.querySelector('#sex').value, 'Female');
+  assert.equal(note.getAttribute('data-state'), 'redacted');
+  assert.match(note.textContent, /^Removed before reading: name, date of birth, study date, record number, accession number, phone number, e-mail address\./);
+  const everything = seen.join('\n') + preview.textContent;
+  for (const id of IDENTIFIERS) assert.ok(!everything.includes(id), `${id} not passed on`);
+  handle.setLanguage('de');
+  assert.match(note.textContent, /^Vor dem Einlesen entfernt: Name, Geburtsdatum/);
+  handle.fill("Mitral E 0.8 m/s\nMitral A 0.9 m/s");
+  assert.equal(note.getAttribute('data-state'), 'clean');
+  handle.destroy();
+  DiastolicPaste.setup({}, { deidentify: false });
+  assert.equal(note.getAttribute('data-state'), 'off');
+});
+
+test('saved assessments: identifiers in the label are redacted, and the note says history is not covered', async (t) => {
+  const dom = installDom();
+  t.after(dom.restore);
+  dom.el('input', { id: 'mv_e' });
+  const note = dom.el('p', { 'data-diasto-privacy': '' });
+  const panel = dom.el('div', { 'data-diasto-history': '' });
+  const handle = DiastolicPaste.setup({}, { historyOptions: { storage: 'memory' } });
+  assert.match(note.textContent, /Saved assessments are outside this/);
+  assert.equal(panel.querySelector('input[type="text"]').getAttribute('placeholder'), 'Label (no patient identifiers)');
+  const rec = await handle.history.save({ name: 'Follow-up MRN: 00482913', notes: 'DOB: 07/22/1951', bag: { MV_E_m_s: 0.9 } });
+  assert.equal(rec.name, 'Follow-up MRN: [MRN]');
+  assert.equal(rec.notes, 'DOB: [DOB]');
+  handle.destroy();
+});
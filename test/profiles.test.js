@@ -0,0 +1,68 @@
+'use strict';
+// Vendor report profiles: registerProfile() and detection, rows read by label or column, and the
+// unit a row prints (or the profile assumes) converted to the canonical one.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+test('a tab export with velocities in cm/s is converted to m/s', () => {
+  const d = DiastolicPaste.parseDetailed('MV E Vel\t74\tcm/s\nMV A Vel\t0.92\tm/s\nTR Peak Vel\t285\tcm/s\nLA Vol Index (BP)\t29\tml/m2\n');
+  assert.equal(d.profile, 'epiq-tabular');
+  assert.deepEqual([d.bag.MV_E_m_s, d.bag.MV_A_m_s, d.bag.TR_Vmax_m_s], [0.74, 0.92, 2.85]);
+  assert.equal(d.fields.TR_Vmax_m_s.unit, 'cm/s');
+  assert.deepEqual(d.warnings.filter(w => w.key === 'TR_Vmax_m_s'), []);
+  assert.equal(DiastolicPaste.grade(d.bag).criteria.find(c => c.key === 'TR_Vmax_m_s').value, 2.85);
+});
+
+test('exercise TR Vmax in cm/s is converted too, from the unit cell or the profile default', () => {
+  DiastolicPaste.registerProfile({
+    id: 'test-stress-lab',
+    aliases: { TR_Vmax_m_s: ['Rest TRV'], TR_Vmax_exercise_m_s: ['Peak TRV'] },
+    units: { 'Rest TRV': 'cm/s' },
+    columns: { separator: /\t/, label: 0, value: 1, unit: 2 }
+  });
+  const bag = DiastolicPaste.parse('Rest TRV\t240\nPeak TRV\t331\tcm/s', { profile: 'test-stress-lab' });
+  assert.deepEqual([bag.TR_Vmax_m_s, bag.TR_Vmax_exercise_m_s], [2.4, 3.31]);
+});
+
+test('registerProfile(): a site template is detected, read with its default units, and replaced by id', () => {
+  const profile = {
+    id: 'st-elsewhere', label: 'St Elsewhere structured report',
+    detect: /St Elsewhere Echo Lab/,
+    aliases: { DT_ms: ['Decel time'], LAVI_ml_m2: ['LA vol idx'], eprime_septal_cm_s: ['Sept TDI'] },
+    units: { 'LA vol idx': 'mL/m²' }
+  };
+  const compiled = DiastolicPaste.registerProfile(profile);
+  assert.equal(compiled.id, 'st-elsewhere');
+  assert.ok(DiastolicPaste.profiles().some(p => p.id === 'st-elsewhere' && p.label === 'St Elsewhere structured report'));
+
+  const text = 'St Elsewhere Echo Lab\nDecel time: 212 ms\nLA vol idx  38\nSept TDI | 0.061 | m/s\n';
+  assert.equal(DiastolicPaste.detectProfile(text).id, 'st-elsewhere');
+  const d = DiastolicPaste.parseDetailed(text);
+  assert.equal(d.profile, 'st-elsewhere');
+  assert.deepEqual(d.bag, { DT_ms: 212, LAVI_ml_m2: 38, eprime_septal_cm_s: 6.1 });
+  assert.equal(d.fields.LAVI_ml_m2.unit, 'mL/m²', 'the profile default fills a missing unit');
+  assert.equal(d.fields.LAVI_ml_m2.pattern, 'profile:st-elsewhere "LA vol idx"');
+  assert.deepEqual(DiastolicPaste.parse(text, { profile: 'none' }), {}, 'the labels are the profile\'s own');
+
+  DiastolicPaste.registerProfile(Object.assign({}, profile, { aliases: { DT_ms: ['Decel time'] } }));
+  assert.equal(DiastolicPaste.profiles().filter(p => p.id === 'st-elsewhere').length, 1);
+  assert.deepEqual(DiastolicPaste.parse(text), { DT_ms: 212 });
+
+  assert.throws(() => DiastolicPaste.registerProfile({ aliases: {} }), /profile\.id is required/);
+  assert.throws(() => DiastolicPaste.registerProfile({ id: 'x', aliases: { LAVI: ['LAVI'] } }), { name: 'TypeError', message: /unknown field "LAVI"/ });
+});
+
+test('a tab export reads the unit column per row and quotes the row as the source', () => {
+  const text = "MV E Vel\t92.1\tcm/s\nMV A Vel\t0.71\tm/s\nMed E' Vel\t0.058\tm/s\nLat E' Vel\t7.9\tcm/s\nTR Peak Vel\t2.9\tm/s\n";
+  const d = DiastolicPaste.parseDetailed(text);
+  assert.equal(d.profile, 'epiq-tabular');
+  const stated = Object.fromEntries(Object.entries(d.fields).filter(([, f]) => f.status === 'reported').map(([k, f]) => [k, [f.value, f.unit]]));
+  assert.deepEqual(stated, {
+    MV_E_m_s: [0.921, 'cm/s'], MV_A_m_s: [0.71, 'm/s'],
+    eprime_septal_cm_s: [5.8, 'm/s'], eprime_lateral_cm_s: [7.9, 'cm/s'], TR_Vmax_m_s: [2.9, 'm/s']
+  });
+  const src = d.fields.eprime_septal_cm_s.source;
+  assert.equal(src.text, "Med E' Vel\t0.058\tm/s");
+  assert.equal(text.slice(src.valueStart, src.valueEnd), '0.058');
+});
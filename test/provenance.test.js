@@ -0,0 +1,61 @@
+'use strict';
+// parseDetailed() provenance: status, confidence, source offsets and candidates per field, and the
+// paste preview that highlights each source in the page.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const REPORT = "Mitral E 0.9 m/s\nMitral A 0.6 m/s\nLAVI 38 ml/m2\nLAVI 44 ml/m2\nTR Vmax 9.5 m/s\nSeptal e' 6 cm/s\nLateral e' 8\n";
+
+test('each field says whether it was reported, derived, conflicting or rejected', () => {
+  const d = DiastolicPaste.parseDetailed(REPORT);
+  const summary = Object.fromEntries(Object.entries(d.fields).map(([k, f]) => [k, [f.status, f.confidence]]));
+  assert.deepEqual(summary, {
+    MV_E_m_s: ['reported', 'high'], MV_A_m_s: ['reported', 'high'],
+    eprime_septal_cm_s: ['reported', 'high'], eprime_lateral_cm_s: ['reported', 'medium'],
+    LAVI_ml_m2: ['conflicting', 'low'], TR_Vmax_m_s: ['rejected', 'low'],
+    EA_ratio: ['derived', 'medium'], eprime_avg_cm_s: ['derived', 'medium'],
+    E_over_eprime_septal: ['derived', 'medium'], E_over_eprime_lateral: ['derived', 'medium'], E_over_eprime_avg: ['derived', 'medium']
+  });
+  assert.equal(d.bag.TR_Vmax_m_s, undefined, 'a rejected value stays out of the bag');
+  assert.equal(d.bag.LAVI_ml_m2, 38, 'the first match wins a conflict');
+});
+
+test('sources point into the pasted text, and candidates list every match in order', () => {
+  const d = DiastolicPaste.parseDetailed(REPORT);
+  const at = (s) => REPORT.slice(s.valueStart, s.valueEnd);
+  const e = d.fields.MV_E_m_s;
+  assert.equal(at(e.source), '0.9');
+  assert.equal(REPORT.slice(e.source.start, e.source.end), e.source.text);
+  assert.equal(e.unit, 'm/s');
+  assert.equal(typeof e.pattern, 'string');
+  const lavi = d.fields.LAVI_ml_m2;
+  assert.deepEqual(lavi.candidates.map(c => [c.value, at(c.source)]), [[38, '38'], [44, '44']]);
+  assert.ok(!d.fields.EA_ratio.source, 'a derived value has no source');
+  assert.deepEqual(d.fields.EA_ratio.candidates || [], []);
+});
+
+test('the preview marks each source, and a focused field highlights its own', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const mv_e = dom.el('input', { id: 'mv_e' }), lavi = dom.el('input', { id: 'lavi' });
+  const preview = dom.el('pre', { 'data-diasto-preview': '' });
+  DiastolicPaste.setup();
+  dom.paste(REPORT);
+  assert.equal(preview.textContent, REPORT);
+  const marks = preview.querySelectorAll('mark');
+  const mark = (key) => marks.filter(m => m.getAttribute('data-diasto-key') === key);
+  assert.deepEqual(mark('MV_E_m_s').map(m => m.textContent), ['0.9']);
+  assert.deepEqual(mark('LAVI_ml_m2').map(m => [m.textContent, m.className]),
+    [['38', 'diasto-source diasto-conflict'], ['44', 'diasto-source diasto-alt diasto-conflict']]);
+  assert.equal(lavi.getAttribute('data-diasto-status'), 'conflicting');
+  assert.match(mv_e.title, /.+/, 'the field tooltip describes its source');
+
+  lavi.focus();
+  lavi.dispatchEvent(new Event('focusin', { bubbles: true }));
+  assert.deepEqual(preview.querySelectorAll('mark.diasto-active').map(m => m.getAttribute('data-diasto-key')), ['LAVI_ml_m2', 'LAVI_ml_m2']);
+  mv_e.dispatchEvent(new Event('mouseover', { bubbles: true }));
+  assert.deepEqual(preview.querySelectorAll('mark.diasto-active').map(m => m.textContent), ['0.9']);
+});
@@ -0,0 +1,196 @@
+'use strict';
+// HTML tables, the PDF text layer, OCR hooks and the paste/drop wiring in setup().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const TABLE = `<html><head><style>td { color: red }</style><script>var E = 9;</script></head><body>
+<h2>Doppler</h2>
+<table>
+  <tr><th>Measurement</th><th>Value</th><th>Unit</th><th>Normal</th></tr>
+  <tr><td>MV E Vel</td><td>92.1</td><td>cm/s</td><td>60&ndash;130</td></tr>
+  <tr><td>MV A Vel</td><td>71.0&nbsp;cm/s</td></tr>
+  <tr><th>Sept e&#39; Vel (cm/s)</th><td>6.1</td></tr>
+  <tr><td>LAVI</td><td>38</td><td>ml/m&sup2;</td></tr>
+  <tr><td>Rhythm</td><td>Sinus rhythm</td></tr>
+</table>
+<p>Comment: normal LV<br>size.</p>
+<table><tr><th>TR Vmax (m/s)</th><th>IVRT (ms)</th></tr><tr><td>2.9</td><td>84</td></tr></table>
+</body></html>`;
+
+test('htmlToText() turns each table row into a label, value and unit line', () => {
+  const text = DiastolicPaste.htmlToText(TABLE);
+  assert.equal(text, [
+    'Doppler', '',
+    'Measurement\tValue\tUnit\tNormal',
+    'MV E Vel\t92.1\tcm/s',
+    'MV A Vel\t71.0\tcm/s',
+    "Sept e' Vel\t6.1\tcm/s",
+    'LAVI\t38\tml/m²',
+    'Rhythm\tSinus rhythm', '',
+    'Comment: normal LV', 'size.', '',
+    'TR Vmax (m/s)\tIVRT (ms)',
+    'TR Vmax\t2.9\tm/s',
+    'IVRT\t84\tms'
+  ].join('\n'));
+  const bag = DiastolicPaste.parse(text);
+  for (const [k, v] of Object.entries({ MV_E_m_s: 0.921, MV_A_m_s: 0.71, eprime_septal_cm_s: 6.1, LAVI_ml_m2: 38, TR_Vmax_m_s: 2.9, IVRT_ms: 84, Rhythm: 'Sinus' }))
+    assert.equal(bag[k], v, k);
+});
+
+test('tableRows() reports the triples and walks nested tables', () => {
+  const rows = DiastolicPaste.tableRows('<table><tr><td>Layout<table><tr><td>DT:</td><td>210 ms</td></tr></table></td></tr><tr><td>2D</td><td>LVEF</td><td>55</td><td>%</td></tr></table>');
+  assert.deepEqual(rows.map(r => [r.label, r.value, r.unit]), [['DT', '210', 'ms'], [null, null, null], ['2D LVEF', '55', '%']]);
+  assert.equal(DiastolicPaste.htmlToText('<table><tr><td>E/A</td><td>&lt; 0.8</td></tr></table>'), 'E/A\t< 0.8', 'a censored value keeps its sign');
+});
+
+// Minimal PDF writer: each object is a dictionary string or { dict, data } for a stream
+function pdf(objects){
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  objects.forEach((o, i) => {
+    parts.push(Buffer.from(`${i + 1} 0 obj\n`, 'latin1'));
+    if (typeof o === 'string') parts.push(Buffer.from(`${o}\nendobj\n`, 'latin1'));
+    else parts.push(Buffer.from(`<< ${o.dict} /Length ${o.data.length} >>\nstream\n`, 'latin1'), o.data, Buffer.from('\nendstream\nendobj\n', 'latin1'));
+  });
+  parts.push(Buffer.from('trailer << /Root 1 0 R >>\n%%EOF\n', 'latin1'));
+  return Buffer.concat(parts);
+}
+// Glyph ids for an Identity-H font whose ToUnicode maps <0003>..<005d> to U+0020..U+007A and <0100> to ²
+const glyphs = (s) => [...s].map(c => c === '²' ? '0100' : (c.charCodeAt(0) - 29).toString(16).padStart(4, '0')).join('');
+const CMAP = '/CIDInit /ProcSet findresource begin 12 dict begin begincmap 1 begincodespacerange <0000> <FFFF> endcodespacerange\n' +
+  '1 beginbfrange <0003> <005d> <0020> endbfrange 1 beginbfchar <0100> <00B2> endbfchar endcmap end end';
+const REPORT_PDF = pdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R 6 0 R] /Count 2 /Resources << /Font << /F1 5 0 R /F2 7 0 R >> >> >>',
+  '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+  { dict: '/Filter /FlateDecode', data: zlib.deflateSync(Buffer.from(
+    'BT /F1 10 Tf 50 700 Td (Mitral E 0.92 m/s) Tj 0 -14 Td [(Septal e) -40 (\\222 6.1 cm/s)] TJ ET\n' +
+    'BT /F1 10 Tf 1 0 0 1 50 672 Tm (TR Vmax) Tj 1 0 0 1 150 672 Tm (2.9 m/s) Tj ET', 'latin1')) },
+  '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+  '<< /Type /Page /Parent 2 0 R /Contents [8 0 R] >>',
+  '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Arial /Encoding /Identity-H /ToUnicode 9 0 R >>',
+  { dict: '', data: Buffer.from(`BT /F2 10 Tf 50 700 Td <${glyphs('LAVI 38 ml/m²')}> Tj T* <${glyphs('Rhythm: sinus')}> Tj ET`, 'latin1') },
+  { dict: '/Filter /FlateDecode', data: zlib.deflateSync(Buffer.from(CMAP, 'latin1')) }
+]);
+
+test('pdfToText() reads the text layer in page order', async () => {
+  const text = await DiastolicPaste.pdfToText(REPORT_PDF);
+  assert.equal(text, "Mitral E 0.92 m/s\nSeptal e’ 6.1 cm/s\nTR Vmax 2.9 m/s\n\nLAVI 38 ml/m²\nRhythm: sinus");
+  const bag = DiastolicPaste.parse(text);
+  assert.equal(bag.MV_E_m_s, 0.92);
+  assert.equal(bag.eprime_septal_cm_s, 6.1);
+  assert.equal(bag.LAVI_ml_m2, 38);
+});
+
+test('pdfToText() returns nothing for a scanned page and rejects other files', async () => {
+  const scanned = pdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+    { dict: '', data: Buffer.from('q 600 0 0 800 0 0 cm /Im1 Do Q', 'latin1') }
+  ]);
+  assert.equal(await DiastolicPaste.pdfToText(scanned), '');
+  await assert.rejects(DiastolicPaste.pdfToText(Buffer.from('Mitral E 0.9 m/s')), /not a PDF file/);
+});
+
+test('fileToText() picks the reader by extension or type', async () => {
+  assert.equal(await DiastolicPaste.fileToText(new File(['Mitral E 0.9 m/s'], 'report.txt')), 'Mitral E 0.9 m/s');
+  assert.equal(await DiastolicPaste.fileToText(new File(['<table><tr><td>LAVI</td><td>30</td></tr></table>'], 'export', { type: 'text/html' })), 'LAVI\t30');
+  assert.match(await DiastolicPaste.fileToText(new File([REPORT_PDF], 'REPORT.PDF')), /^Mitral E 0\.92 m\/s/);
+  await assert.rejects(DiastolicPaste.fileToText(new File(['x'], 'scan.png')), /needs the ocr option/);
+  await assert.rejects(DiastolicPaste.fileToText(new File(['x'], 'study.dcm')), /unsupported file type "study.dcm"/);
+});
+
+test('images go to the ocr function or a page-provided Tesseract', async (t) => {
+  const image = new File(['png'], 'panel.png', { type: 'image/png' });
+  assert.equal(await DiastolicPaste.fileToText(image, { ocr: async (img) => `read ${img.name}` }), 'read panel.png');
+  assert.equal(await DiastolicPaste.fileToText(image, { ocr: () => ({ text: 'TR Vmax 2.9 m/s' }) }), 'TR Vmax 2.9 m/s');
+
+  const ocr = { engine: 'tesseract', lang: 'eng', langPath: '/ocr/lang', corePath: '/ocr/core' };
+  await assert.rejects(DiastolicPaste.fileToText(image, { ocr }), /needs Tesseract\.js/);
+  const created = [];
+  globalThis.Tesseract = { createWorker: async (lang, oem, options) => { created.push([lang, options]); return { recognize: async () => ({ data: { text: 'LAVI 40 ml/m2' } }) }; } };
+  t.after(() => { delete globalThis.Tesseract; });
+  assert.equal(await DiastolicPaste.fileToText(image, { ocr }), 'LAVI 40 ml/m2');
+  assert.equal(await DiastolicPaste.fileToText(image, { ocr }), 'LAVI 40 ml/m2');
+  assert.deepEqual(created, [['eng', { langPath: '/ocr/lang', corePath: '/ocr/core' }]], 'one worker, created with the self-hosted paths');
+});
+
+function page(t){
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  const fields = {};
+  for (const id of ['mv_e', 'mv_a', 'eprime_septal', 'tr_vmax', 'lavi', 'notes']) fields[id] = dom.el('input', { id });
+  return Object.assign(dom, { fields, toast: () => (dom.document.getElementById('diasto-toast') || { textContent: '' }).textContent });
+}
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a pasted table is read from text/html', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup();
+  // What a browser puts in text/plain for a copied table loses the cells
+  const ev = p.paste({ 'text/plain': 'MV E Vel 92.1 cm/s MV A Vel 71.0 cm/s', 'text/html': TABLE });
+  assert.equal(ev.defaultPrevented, true);
+  assert.equal(p.fields.mv_e.value, '0.921');
+  assert.equal(p.fields.lavi.value, '38');
+  assert.equal(p.fields.tr_vmax.value, '2.9');
+});
+
+test('html without a table falls back to text/plain', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup();
+  p.paste({ 'text/plain': 'Mitral E 0.8 m/s\nMitral A 0.6 m/s', 'text/html': '<b>Mitral E 0.1 m/s</b>' });
+  assert.equal(p.fields.mv_e.value, '0.8');
+});
+
+test('a dropped file fills the form; unreadable ones say why', async (t) => {
+  const p = page(t);
+  const handle = DiastolicPaste.setup();
+  const ev = p.drop([new File(['Mitral E 0.92 m/s\nLAVI 38 ml/m2'], 'report.txt', { type: 'text/plain' })]);
+  assert.equal(ev.defaultPrevented, true);
+  await settle();
+  assert.equal(p.fields.mv_e.value, '0.92');
+  assert.equal(p.document.documentElement.classList.contains('diasto-dropping'), false);
+
+  assert.equal(await handle.fillFiles([new File([REPORT_PDF], 'echo.pdf', { type: 'application/pdf' })]), 4);
+  assert.equal(p.fields.tr_vmax.value, '2.9');
+  assert.equal(await handle.fillFiles([new File(['x'], 'scan.png', { type: 'image/png' })]), 0);
+  assert.match(p.toast(), /scan\.png was not read/);
+  assert.equal(await handle.fillFiles([new File(['Please call the lab'], 'note.txt')]), 0);
+  assert.match(p.toast(), /no echo measurements/);
+});
+
+test('drop: false leaves drops to the page', (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { drop: false });
+  assert.equal(p.drop([new File(['Mitral E 0.92 m/s'], 'report.txt')]).defaultPrevented, false);
+});
+
+test('a pasted screenshot is read by OCR and always reviewed', async (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { ocr: async () => 'Mitral E 0.92 m/s\nTR Vmax 2.9 m/s' });
+  const ev = p.paste({ files: [new File(['png'], 'image.png', { type: 'image/png' })] });
+  assert.equal(ev.defaultPrevented, true);
+  await settle();
+  const dialog = p.document.querySelector('.diasto-modal');
+  assert.ok(dialog, 'OCR values open the review dialog');
+  assert.equal(p.fields.mv_e.value, '');
+  dialog.querySelector('.diasto-primary').click();
+  assert.equal(p.fields.mv_e.value, '0.92');
+  assert.equal(p.fields.tr_vmax.value, '2.9');
+});
+
+test("trigger: 'modifier' leaves pasted files to the page unless Shift is held", async (t) => {
+  const p = page(t);
+  DiastolicPaste.setup({}, { trigger: 'modifier' });
+  const file = () => [new File(['Mitral E 0.92 m/s\nLAVI 38 ml/m2'], 'report.txt', { type: 'text/plain' })];
+  assert.equal(p.paste({ files: file() }).defaultPrevented, false);
+  await settle();
+  assert.equal(p.fields.mv_e.value, '');
+  assert.equal(p.paste({ files: file() }, p.document.body, { shiftKey: true }).defaultPrevented, true);
+  await settle();
+  assert.equal(p.fields.mv_e.value, '0.92');
+});
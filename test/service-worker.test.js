@@ -0,0 +1,143 @@
+'use strict';
+// service-worker.js in a vm with an in-memory Cache Storage and network, plus the stamped
+// precache manifest and the icons it lists.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const stamper = require('../bin/stamp-precache');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8');
+const SCOPE = 'https://calc.example/app/';
+
+// files: { absolute url: body | { status, body, type } }
+function worker(files){
+  const net = { online: true, files: Object.assign({}, files), log: [] };
+  const stores = new Map();
+  const keyOf = (r, o) => { const u = new URL(typeof r === 'string' ? r : r.url, SCOPE); if (o && o.ignoreSearch) u.search = ''; return u.href; };
+  const answer = (url) => {
+    const f = net.files[url];
+    const spec = f == null ? { status: 404, body: 'not found' } : typeof f === 'string' ? { body: f } : f;
+    const res = new Response(spec.body, { status: spec.status || 200 });
+    Object.defineProperty(res, 'type', { value: spec.type || 'basic' });
+    Object.defineProperty(res, 'redirected', { value: false });
+    return res;
+  };
+  const fetch = async (r) => {
+    const url = keyOf(r);
+    net.log.push(url);
+    if (!net.online) throw new TypeError('Failed to fetch');
+    return answer(url);
+  };
+  const open = async (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const m = stores.get(name);
+    return {
+      match: async (r, o) => { for (const [k, v] of m) if ((o && o.ignoreSearch ? k.split('?')[0] : k) === keyOf(r, o)) return v.clone(); return undefined; },
+      put: async (r, res) => { m.set(keyOf(r), res); },
+      addAll: async (list) => { for (const r of list) { const res = await fetch(r); if (!res.ok) throw new TypeError(`addAll: ${res.status}`); m.set(keyOf(r), res); } }
+    };
+  };
+  const listeners = {};
+  const self = {
+    location: new URL('service-worker.js', SCOPE),
+    registration: { scope: SCOPE },
+    clients: { claim: async () => { self.claimed = true; } },
+    skipWaiting: () => { self.skipped = true; },
+    addEventListener: (type, fn) => { listeners[type] = fn; }
+  };
+  class Request { constructor(url, init){ Object.assign(this, { method: 'GET', mode: 'cors' }, init, { url: keyOf(url) }); } }
+  const caches = { open, keys: async () => [...stores.keys()], delete: async (n) => stores.delete(n) };
+  vm.runInNewContext(SOURCE, { self, caches, fetch, Request, URL, Set, console });
+  const lifecycle = async (type) => { let p; listeners[type]({ waitUntil: (x) => { p = x; } }); await p; };
+  // Resolves to the response, or to null when the worker leaves the request to the browser
+  const request = async (url, init) => {
+    const background = [];
+    let response = null;
+    listeners.fetch({ request: Object.assign({ method: 'GET', mode: 'cors' }, init, { url: new URL(url, SCOPE).href }), respondWith: (p) => { response = p; }, waitUntil: (p) => background.push(p) });
+    const res = response && await response;
+    await Promise.all(background);
+    return res;
+  };
+  return { net, stores, self, listeners, lifecycle, request, build: vm.runInNewContext(`${SOURCE.match(/const PRECACHE = [\s\S]*?};/)[0]} PRECACHE`, {}) };
+}
+
+const site = () => {
+  const files = {};
+  for (const url of stamper.ASSETS) files[new URL(url, SCOPE).href] = `v1 ${url}`;
+  files[new URL('test/fixtures/ge-echopac.txt', SCOPE).href] = 'fixture v1';
+  return files;
+};
+
+test('install precaches the build; activate drops only our older caches', async () => {
+  const w = worker(site());
+  const cacheName = `df2025-${w.build.build}`;
+  w.stores.set('df2025-old', new Map());
+  w.stores.set('other-app', new Map());
+  await w.lifecycle('install');
+  assert.deepEqual([...w.stores.get(cacheName).keys()].sort(), stamper.ASSETS.map(u => new URL(u, SCOPE).href).sort());
+  assert.equal(w.self.skipped, undefined, 'a new build waits for the page');
+  await w.lifecycle('activate');
+  assert.deepEqual([...w.stores.keys()].sort(), [cacheName, 'other-app']);
+  assert.equal(w.self.claimed, true);
+  w.listeners.message({ data: { type: 'SKIP_WAITING' } });
+  assert.equal(w.self.skipped, true);
+});
+
+test('precached files come from their build, even after the server changed', async () => {
+  const w = worker(site());
+  await w.lifecycle('install');
+  const js = new URL('diastolic-bulk-paste-2025-anywhere.js', SCOPE).href;
+  w.net.files[js] = 'v2';
+  const before = w.net.log.length;
+  assert.equal(await (await w.request(js + '?v=2')).text(), 'v1 ./diastolic-bulk-paste-2025-anywhere.js');
+  assert.equal(await (await w.request(SCOPE + '?lang=de', { mode: 'navigate' })).text(), 'v1 ./');
+  assert.equal(w.net.log.length, before, 'no network');
+});
+
+test('other same-origin files are stale-while-revalidate; errors are not cached', async () => {
+  const w = worker(site());
+  await w.lifecycle('install');
+  const fixture = new URL('test/fixtures/ge-echopac.txt', SCOPE).href;
+  assert.equal(await (await w.request(fixture)).text(), 'fixture v1');
+  w.net.files[fixture] = 'fixture v2';
+  assert.equal(await (await w.request(fixture)).text(), 'fixture v1', 'stale first');
+  assert.equal(await (await w.request(fixture)).text(), 'fixture v2', 'then revalidated');
+  const missing = new URL('nope.txt', SCOPE).href;
+  assert.equal((await w.request(missing)).status, 404);
+  const cache = w.stores.get(`df2025-${w.build.build}`);
+  assert.equal(cache.has(missing), false);
+  w.net.files[new URL('opaque.txt', SCOPE).href] = { body: '', type: 'opaque' };
+  await w.request(new URL('opaque.txt', SCOPE).href);
+  assert.equal(cache.has(new URL('opaque.txt', SCOPE).href), false);
+});
+
+test('other origins and non-GET requests are left alone; only pages fall back offline', async () => {
+  const w = worker(site());
+  await w.lifecycle('install');
+  assert.equal(await w.request('https://cdn.example/pdf.min.mjs'), null);
+  assert.equal(await w.request(SCOPE + 'api', { method: 'POST' }), null);
+  w.net.online = false;
+  assert.equal(await (await w.request(SCOPE + 'deep/link', { mode: 'navigate' })).text(), 'v1 ./index.html');
+  await assert.rejects(w.request(SCOPE + 'missing.css'), /Failed to fetch/);
+  w.net.online = true;
+  w.net.files[SCOPE + 'README.md'] = '# readme';
+  assert.equal(await (await w.request(SCOPE + 'README.md', { mode: 'navigate' })).text(), '# readme', 'online pages are not replaced by the shell');
+});
+
+test('the stamped manifest is current and lists installable icons', () => {
+  assert.equal(stamper.main(['--check']), 0, 'run bin/stamp-precache');
+  const m = stamper.manifest();
+  assert.match(m.build, /^[0-9a-f]{12}$/);
+  assert.notEqual(stamper.stamp(SOURCE, Object.assign({}, m, { build: 'x' })), SOURCE);
+  const app = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+  for (const purpose of ['any', 'maskable']) for (const size of [192, 512]) {
+    const icon = app.icons.find(i => i.purpose === purpose && i.sizes === `${size}x${size}` && i.type === 'image/png');
+    assert.ok(icon, `${purpose} ${size}`);
+    const png = fs.readFileSync(path.join(ROOT, icon.src));
+    assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [size, size], icon.src);
+    assert.ok(stamper.ASSETS.includes(`./${icon.src}`), `${icon.src} is precached`);
+  }
+});
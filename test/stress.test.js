@@ -0,0 +1,157 @@
+'use strict';
+// Diastolic stress test: stage sections and stage tables read by parseStress(), the rest-vs-exercise
+// interpretation, and the stage table, trend chart and result setup() renders, against the DOM shim.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { installDom } = require('./helpers/dom-shim.js');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.txt`), 'utf8');
+const SECTIONS = fixture('stress-echo-sections');
+const TABLE = fixture('stress-echo-table');
+
+test('stage sections: each stage is read on its own, up to the next stage or heading', () => {
+  const s = DiastolicPaste.parseStress(SECTIONS);
+  assert.equal(s.layout, 'sections');
+  assert.deepEqual(Object.keys(s.stages), ['rest', 'low', 'peak', 'recovery']);
+  assert.deepEqual([s.stages.low.workload, s.stages.peak.workload, s.stages.recovery.workload], [50, 100, null]);
+  assert.equal(s.stages.rest.values.MV_E_m_s, 0.82);
+  assert.equal(s.stages.low.values.HR_bpm, 96, '"HR 96" in the stage heading');
+  assert.equal(s.stages.peak.values.MV_E_m_s, 1.25, '"E 1.25 m/s" inside a stage');
+  assert.equal(s.stages.peak.values.E_over_eprime_avg, 16.2);
+  assert.equal(s.stages.peak.fields.E_over_eprime_avg.status, 'reported');
+  assert.equal(s.stages.low.fields.E_over_eprime_septal.status, 'derived');
+  assert.deepEqual(s.stages.recovery.values, { MV_E_m_s: 0.98, TR_Vmax_m_s: 2.9 }, 'the CONCLUSION heading ends the last stage');
+  const f = s.stages.peak.fields.TR_Vmax_m_s;
+  assert.equal(SECTIONS.slice(f.source.start, f.source.end), f.source.text);
+  assert.equal(SECTIONS.slice(f.source.valueStart, f.source.valueEnd), '3.2');
+});
+
+test('stage tables: one column per stage, units from the row label', () => {
+  const s = DiastolicPaste.parseStress(TABLE);
+  assert.equal(s.layout, 'table');
+  assert.deepEqual(s.stages.peak.values, {
+    MV_E_m_s: 0.98, eprime_septal_cm_s: 12.4, eprime_lateral_cm_s: 15.6, TR_Vmax_m_s: 2.5, HR_bpm: 121,
+    eprime_avg_cm_s: 14, E_over_eprime_septal: 7.9, E_over_eprime_avg: 7
+  });
+  assert.equal(s.stages.low.workload, 25);
+  const f = s.stages.recovery.fields.TR_Vmax_m_s;
+  assert.equal(f.source.text, 'TR Vmax (m/s)\t2.1\t2.3\t2.5\t2.2');
+  assert.equal(TABLE.slice(f.source.valueStart, f.source.valueEnd), '2.2');
+  const piped = '| | Baseline | Peak stress |\n|---|---|---|\n| E/e\' avg | 8 | 15 |\n| TR Vmax (m/s) | 2,4 | 3,0 |';
+  const p = DiastolicPaste.parseStress(piped);
+  assert.deepEqual([p.stages.rest.values.E_over_eprime_avg, p.stages.peak.values.E_over_eprime_avg, p.stages.peak.values.TR_Vmax_m_s], [8, 15, 3]);
+});
+
+test('parseDetailed(): rest fills the report, exercise fields come from peak, the rest reads as before', () => {
+  const d = DiastolicPaste.parseDetailed(SECTIONS);
+  assert.equal(d.bag.MV_E_m_s, 0.82, 'the rest value, not peak or recovery');
+  assert.equal(d.fields.MV_E_m_s.stage, 'rest');
+  assert.equal(d.bag.E_over_eprime_avg_exercise, 16.2);
+  assert.equal(d.fields.TR_Vmax_exercise_m_s.stage, 'peak');
+  assert.equal(d.text.slice(d.fields.TR_Vmax_exercise_m_s.source.start, d.fields.TR_Vmax_exercise_m_s.source.end), 'TR Vmax 3.2 m/s');
+  const t = DiastolicPaste.parseDetailed(TABLE);
+  assert.equal(t.bag.E_over_eprime_avg_exercise, 7);
+  assert.equal(t.fields.E_over_eprime_avg_exercise.status, 'derived');
+  // No stages: the single "peak" fields keep their own patterns
+  const plain = DiastolicPaste.parseDetailed("Baseline:\nMitral E 0.9 m/s\nPeak E/e' 15\nPeak TR Vmax 3.1 m/s");
+  assert.equal(plain.stress, null);
+  assert.deepEqual([plain.bag.MV_E_m_s, plain.bag.E_over_eprime_avg_exercise, plain.bag.TR_Vmax_exercise_m_s], [0.9, 15, 3.1]);
+  const off = DiastolicPaste.parseDetailed(SECTIONS, { stress: false });
+  assert.equal(off.stress, null);
+  assert.equal(off.bag.E_over_eprime_avg_exercise, undefined);
+});
+
+test('interpretStress(): positive, negative and indeterminate by the guideline criteria', () => {
+  const pos = DiastolicPaste.interpretStress(DiastolicPaste.parseStress(SECTIONS));
+  assert.equal(pos.result, 'positive');
+  assert.equal(pos.confidence, 'high');
+  assert.deepEqual(pos.fired, ['stress_E_eprime_high', 'stress_TR_high', 'stress_rest_eprime_reduced']);
+  assert.deepEqual(pos.criteria.map(c => c.stage), ['peak', 'peak', 'rest']);
+  assert.deepEqual(pos.trend.map(p => p.stage), ['rest', 'low', 'peak', 'recovery']);
+  assert.equal(pos.trend[2].TR_Vmax_m_s, 3.2);
+
+  const neg = DiastolicPaste.interpretStress(DiastolicPaste.parseStress(TABLE));
+  assert.deepEqual([neg.result, neg.confidence], ['negative', 'high']);
+
+  const I = (stages, limits) => DiastolicPaste.interpretStress(stages, limits);
+  const rest = { eprime_septal_cm_s: 6, MV_E_m_s: 0.8, eprime_lateral_cm_s: 8 };
+  const calm = { eprime_septal_cm_s: 8, eprime_lateral_cm_s: 11, MV_E_m_s: 0.7 };
+  const noTrNeg = I({ rest: calm, peak: { E_over_eprime_avg: 8 } });
+  assert.deepEqual([noTrNeg.result, noTrNeg.missing], ['indeterminate', ['TR_Vmax_m_s']], 'TR not obtained: E/e′ alone is not negative');
+  assert.match(noTrNeg.notes.join(' '), /E\/e′ alone cannot make the test negative/);
+  assert.deepEqual([I({ rest: calm, peak: { E_over_eprime_avg: 8, TR_Vmax_m_s: 2.5 } }).result, I({ rest: calm, peak: { E_over_eprime_avg: 8, TR_Vmax_m_s: 2.5 } }).confidence], ['negative', 'high']);
+  assert.equal(I({ rest, peak: { E_over_eprime_avg: 8, TR_Vmax_m_s: 2.5 } }).result, 'indeterminate', 'average E/e′ 11.4 at rest');
+  const noTr = I({ rest, peak: { E_over_eprime_avg: 16 } });
+  assert.equal(noTr.result, 'indeterminate');
+  assert.match(noTr.notes.join(' '), /no TR Vmax/);
+  assert.equal(I({ rest: { eprime_septal_cm_s: 9 }, peak: { E_over_eprime_avg: 16, TR_Vmax_m_s: 3.1 } }).result, 'indeterminate', 'normal e′ at rest');
+  assert.equal(I({ rest, peak: { E_over_eprime_avg: 12, TR_Vmax_m_s: 3.1 } }).result, 'indeterminate', 'E/e′ between 10 and 14');
+  assert.equal(I({ rest, peak: { E_over_eprime_avg: 12, TR_Vmax_m_s: 3.1 } }, { E_over_eprime_avg: 11 }).result, 'positive', 'limits');
+  const fused = I({ rest, peak: { TR_Vmax_m_s: 3.0 }, recovery: { MV_E_m_s: 1.2, eprime_septal_cm_s: 7 } });
+  assert.equal(fused.result, 'positive');
+  assert.deepEqual([fused.criteria[0].key, fused.criteria[0].stage], ['E_over_eprime_septal', 'recovery'], 'septal E/e′ 17.1 in early recovery');
+  assert.equal(I({}).result, 'indeterminate');
+});
+
+test('grade() and narrative() add the stress test when exercise values are present', () => {
+  const d = DiastolicPaste.parseDetailed(SECTIONS);
+  const r = DiastolicPaste.grade(d.bag);
+  assert.equal(r.stress.result, 'positive');
+  assert.match(DiastolicPaste.narrative(d.bag, r), /Diastolic stress test positive: E\/e′ and TR velocity rise with exercise\.$/);
+  assert.equal(DiastolicPaste.grade({ MV_E_m_s: 0.8, eprime_septal_cm_s: 9 }).stress, undefined);
+});
+
+test('the panel: stage table, trend chart and result follow pastes, edits, undo and the language', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const dom = installDom();
+  t.after(dom.restore);
+  for (const id of ['mv_e', 'eprime_septal', 'tr_vmax', 'e_over_eprime_avg_ex', 'tr_vmax_ex']) dom.el('input', { id });
+  const panel = dom.el('div', { 'data-diasto-stress': '' });
+  const handle = DiastolicPaste.setup({}, {});
+  const $ = (sel) => dom.document.querySelector(sel);
+  const result = panel.querySelector('.diasto-stress-result');
+  const cell = (stage, key) => panel.querySelector(`input[data-stress-stage="${stage}"][data-stress-key="${key}"]`);
+  assert.equal(result.getAttribute('data-state'), 'empty');
+  assert.equal(panel.querySelectorAll('input').length, 24);
+
+  assert.equal(dom.paste(SECTIONS).defaultPrevented, true);
+  assert.equal($('#mv_e').value, '0.82');
+  assert.equal($('#e_over_eprime_avg_ex').value, '16.2');
+  assert.equal(cell('peak', 'TR_Vmax_m_s').value, '3.2');
+  assert.equal(cell('low', 'E_over_eprime_avg').value, '', 'not stated');
+  assert.equal(cell('rest', 'E_over_eprime_avg').getAttribute('placeholder'), '11.97', 'derived values are placeholders');
+  assert.match(panel.querySelector('thead').textContent, /Peak \(100 W\)/);
+  assert.equal(result.getAttribute('data-state'), 'positive');
+  const svg = panel.querySelector('svg');
+  assert.equal(svg.namespaceURI, 'http://www.w3.org/2000/svg');
+  assert.equal(svg.querySelectorAll('polyline').length, 2);
+  assert.deepEqual(svg.querySelectorAll('circle.diasto-stress-tr').map(c => c.getAttribute('data-stage')), ['rest', 'low', 'peak', 'recovery']);
+  assert.equal(svg.querySelectorAll('line.diasto-stress-limit').length, 2);
+  t.mock.timers.tick(0);
+  assert.match(handle.narrative(), /Diastolic stress test positive/);
+
+  // Editing the table moves the exercise fields and the interpretation
+  const peakTr = cell('peak', 'TR_Vmax_m_s');
+  peakTr.value = '2.4';
+  peakTr.dispatchEvent(new Event('input', { bubbles: true }));
+  assert.equal($('#tr_vmax_ex').value, '2.4');
+  assert.equal(result.getAttribute('data-state'), 'indeterminate');
+  assert.equal(handle.stress().result, 'indeterminate');
+
+  handle.undo();
+  assert.equal($('#mv_e').value, '');
+  assert.equal(cell('peak', 'TR_Vmax_m_s').value, '', 'the table goes back too');
+
+  handle.setStress(DiastolicPaste.parseStress(TABLE));
+  assert.equal(result.getAttribute('data-state'), 'negative');
+  assert.equal($('#e_over_eprime_avg_ex').value, '7');
+  handle.setLanguage('de');
+  const table = panel.querySelector('.diasto-stress-table');
+  assert.match(table.querySelector('thead').textContent, /Ruhe.*Maximalbelastung \(75 W\)/);
+  assert.equal(cell('peak', 'MV_E_m_s').value, '0.98', 'values survive the language switch');
+  assert.match(panel.querySelector('.diasto-stress-result').textContent, /^Negative diastolische Stressechokardiographie/);
+  handle.destroy();
+});
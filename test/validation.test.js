@@ -0,0 +1,47 @@
+'use strict';
+// Validation: units inferred from the value, malformed and out-of-range values rejected, and
+// reported values checked against their derivation by validate().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiastolicPaste = require('../diastolic-bulk-paste-2025-anywhere.js');
+
+const codes = (warnings, key) => warnings.filter(w => w.key === key).map(w => [w.level, w.code]);
+
+test('a missing unit is inferred from the size of the value, with a note and lower confidence', () => {
+  const d = DiastolicPaste.parseDetailed("Mitral E 92\nMitral A 0.6 m/s\nSeptal e' 0.06\n");
+  assert.deepEqual([d.bag.MV_E_m_s, d.bag.eprime_septal_cm_s], [0.92, 6]);
+  assert.equal(d.fields.MV_E_m_s.unit, 'cm/s');
+  assert.equal(d.fields.MV_E_m_s.candidates[0].unitInferred, 'cm/s');
+  assert.equal(d.fields.eprime_septal_cm_s.unit, 'm/s');
+  assert.equal(d.fields.MV_E_m_s.confidence, 'medium');
+  assert.equal(d.fields.MV_A_m_s.confidence, 'high', 'a stated unit keeps high confidence');
+  assert.deepEqual(codes(d.warnings, 'MV_E_m_s'), [['info', 'unit-inferred']]);
+  assert.match(d.warnings.find(w => w.key === 'eprime_septal_cm_s').message, /read "0\.06" as m\/s/);
+  assert.deepEqual(codes(d.warnings, 'MV_A_m_s'), []);
+});
+
+test('malformed and out-of-range values are rejected and kept out of the bag and the grade', () => {
+  const d = DiastolicPaste.parseDetailed('Mitral E 0.9.2 m/s\nMitral A 0.6 m/s\nTR Vmax 9.5 m/s\n');
+  assert.deepEqual(d.bag, { MV_A_m_s: 0.6 });
+  assert.deepEqual(codes(d.warnings, 'MV_E_m_s'), [['error', 'malformed']]);
+  assert.deepEqual(codes(d.warnings, 'TR_Vmax_m_s'), [['error', 'out-of-range']]);
+  assert.equal(d.fields.TR_Vmax_m_s.status, 'rejected');
+
+  assert.deepEqual(codes(DiastolicPaste.validate({ TR_Vmax_m_s: 9.5 }), 'TR_Vmax_m_s'), [['error', 'out-of-range']]);
+  const g = DiastolicPaste.grade({ TR_Vmax_m_s: 9.5 });
+  assert.equal(g.criteria.find(c => c.key === 'TR_Vmax_m_s').value, null, 'grade() ignores it');
+  assert.deepEqual(codes(g.warnings, 'TR_Vmax_m_s'), [['error', 'out-of-range']]);
+});
+
+test('validate() flags a reported value that disagrees with its derivation', () => {
+  const ea = DiastolicPaste.validate({ MV_E_m_s: 0.9, MV_A_m_s: 0.6, EA_ratio: 2.0 });
+  assert.deepEqual(ea, [{ key: 'EA_ratio', level: 'warning', code: 'inconsistent', value: 2, derived: 1.5, message: 'E/A ratio: reported 2 but E ÷ A gives 1.5.' }]);
+  assert.deepEqual(DiastolicPaste.validate({ MV_E_m_s: 0.9, MV_A_m_s: 0.6, EA_ratio: 1.6 }), [], 'within ±10 %');
+  assert.deepEqual(DiastolicPaste.validate({ MV_E_m_s: 0.9, MV_A_m_s: 0.6 }), [], 'nothing reported, nothing to check');
+
+  // PASP against 4·TRV² + RAP = 44 mmHg, within ±5 mmHg
+  const pasp = (v) => codes(DiastolicPaste.validate({ TR_Vmax_m_s: 3, RA_pressure_mmHg: 8, PASP_mmHg: v }), 'PASP_mmHg');
+  assert.deepEqual([pasp(40), pasp(48)], [[], []]);
+  assert.deepEqual([pasp(38), pasp(50)], [[['warning', 'inconsistent']], [['warning', 'inconsistent']]]);
+  assert.deepEqual(codes(DiastolicPaste.parseDetailed('E/A ratio: 2.0\nMitral E 0.9 m/s\nMitral A 0.6 m/s\n').warnings, 'EA_ratio'), [['warning', 'inconsistent']]);
+});